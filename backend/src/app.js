@@ -31,13 +31,19 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const incidentRoutes = require('./routes/incidents'); // Phase 3 - Incident Management
 const analysisRoutes = require('./routes/analysis'); // Phase 4 - Advanced GIS Analytics
+const tileRoutes = require('./routes/tiles');
+const watchZoneRoutes = require('./routes/watch-zones');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const streamRoutes = require('./routes/stream');
+const apiKeyRoutes = require('./routes/api-keys');
 // const healthRoutes = require('./routes/health'); // Will be created in Phase 4
 
 class ExpressApp {
   constructor(options = {}) {
     this.app = express();
     this.io = null; // To hold Socket.io instance
-    this.isTestMode = options.isTestMode || process.env.NODE_ENV === 'test';
+    this.isTestMode = options.isTestMode ?? process.env.NODE_ENV === 'test';
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -131,7 +137,7 @@ class ExpressApp {
       const start = Date.now();
       
       // Log request
-      logger.http(`${req.method} ${req.url}`, {
+      logger.http(`${req.method} ${logger.redactUrl(req.url)}`, {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         userId: req.user?.id,
@@ -174,9 +180,15 @@ class ExpressApp {
         return req.ip + ':' + (req.user?.id || 'anonymous');
       },
       skip: (req) => {
-        // Skip rate limiting for health checks
-        return req.path.startsWith('/api/health');
+        // Skip rate limiting for health checks; map tiles have their own limiter
+        return req.path.startsWith('/api/health') ||
+          req.originalUrl.startsWith('/api/tiles/');
       },
+      // A request that authenticated with an API key gets its hit back once it
+      // finishes, since the key's own limit applies. Requests with an invalid or
+      // ignored key stay counted against the IP.
+      skipSuccessfulRequests: true,
+      requestWasSuccessful: (req) => Boolean(req.apiKey),
     });
 
     // Stricter rate limit for authentication endpoints
@@ -263,6 +275,12 @@ class ExpressApp {
           auth: '/api/auth',
           incidents: '/api/incidents', 
           analysis: '/api/analysis',
+          tiles: '/api/tiles/{layer}/{z}/{x}/{y}.mvt',
+          watchZones: '/api/watch-zones',
+          notifications: '/api/notifications',
+          webhooks: '/api/webhooks',
+          stream: '/api/stream/incidents',
+          apiKeys: '/api/api-keys',
         },
         features: [
           'Real-time incident reporting',
@@ -287,12 +305,30 @@ class ExpressApp {
     // Authentication and user management routes
     this.app.use('/api/auth', authRoutes);
     this.app.use('/api/users', authenticateToken, userRoutes);
+
+    // Personal API keys and service accounts for machine clients
+    this.app.use('/api/api-keys', apiKeyRoutes);
     
     // Incident management routes (Phase 3)
     this.app.use('/api/incidents', incidentRoutes.router);
     
     // Advanced GIS analysis routes (Phase 4)
     this.app.use('/api/analysis', analysisRoutes);
+    
+    // Vector tiles for map layers
+    this.app.use('/api/tiles', tileRoutes);
+
+    // Saved watch zones and geofenced alerts
+    this.app.use('/api/watch-zones', watchZoneRoutes);
+
+    // Stored notifications with read state and preferences
+    this.app.use('/api/notifications', notificationRoutes);
+
+    // Outbound incident webhooks for partner systems (admin)
+    this.app.use('/api/webhooks', webhookRoutes);
+
+    // Server-Sent Events fallback for clients without WebSockets
+    this.app.use('/api/stream', streamRoutes);
 
     // 404 handler for unknown routes
     this.app.use('*', (req, res) => {
@@ -5,12 +5,13 @@
  * ==================================================
  * 
  * This controller provides advanced GIS functionality including:
- * - Hotspot analysis using kernel density estimation
+ * - Hotspot analysis using kernel density estimation or Getis-Ord Gi*
  * - Temporal pattern detection with trend analysis
  * - Incident clustering with predictive modeling
- * - Geospatial exports and reporting (GeoJSON)
+ * - Geospatial exports and reporting (GeoJSON, CSV, KML, GPX, GeoPackage, Shapefile)
  * - Impact zone calculations with buffer operations
  * - Incident density analysis across geographic areas
+ * - Mapbox Vector Tiles with ETag/Cache-Control support
  * 
  * DEPENDENCIES:
  * - AnalysisService: Core spatial analysis functions
@@ -21,22 +22,34 @@
  * OUTPUTS: JSON responses with analysis results and metadata
  */
 
+const crypto = require('crypto');
 const logger = require('../services/logger');
 const AnalysisService = require('../services/analysis');
 const IncidentService = require('../services/incident');
+const ExportService = require('../services/export');
+
+// Client cache lifetime per tile layer (seconds); live incidents change fastest
+const TILE_MAX_AGE = {
+  incidents: 30,
+  hotspots: 300,
+  density: 300
+};
 
 class AnalysisController {
   constructor() {
     this.analysisService = new AnalysisService();
     this.incidentService = new IncidentService();
+    this.exportService = new ExportService();
     
     // Bind methods to preserve 'this' context in route handlers
     this.getHotspotAnalysis = this.getHotspotAnalysis.bind(this);
     this.generateImpactZones = this.generateImpactZones.bind(this);
     this.exportGeoJson = this.exportGeoJson.bind(this);
+    this.exportIncidents = this.exportIncidents.bind(this);
     this.getTemporalPatterns = this.getTemporalPatterns.bind(this);
     this.getPredictiveModel = this.getPredictiveModel.bind(this);
     this.getIncidentDensity = this.getIncidentDensity.bind(this);
+    this.getVectorTile = this.getVectorTile.bind(this);
   }
 
   /**
@@ -50,6 +63,7 @@ class AnalysisController {
    * @param {number} req.query.gridSize - Grid resolution (10-500)
    * @param {number} req.query.minIncidents - Minimum incidents per hotspot (1-50)
    * @param {string} req.query.incidentTypes - Comma-separated incident type IDs
+   * @param {string} req.query.method - 'grid' or 'gistar' (z-scores, p-values, confidence bins)
    */
   async getHotspotAnalysis(req, res) {
     try {
@@ -249,6 +263,68 @@ class AnalysisController {
     }
   }
 
+  /**
+   * Stream an incident export file (CSV, KML, GPX, GeoPackage, zipped Shapefile)
+   * Uses the same filters as the GeoJSON export and sends the file as an
+   * attachment while rows are still being read from the database.
+   * 
+   * @route GET /api/analysis/export/:format
+   * @access Private (requires authentication)
+   * @param {string} req.params.format - csv | kml | gpx | gpkg | shapefile
+   * @param {Object} req.query - Export filters (timeRange, bbox, incidentTypes, includeBuffers, bufferDistance, maxIncidents)
+   */
+  async exportIncidents(req, res) {
+    const { format } = req.params;
+    const { contentType, extension, buffers } = ExportService.getFormat(format);
+
+    if (req.query.includeBuffers === 'true' && !buffers) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation failed',
+        message: `Buffer geometries are not available in ${format} exports; use csv, kml, gpkg or geojson`,
+      });
+    }
+
+    const filename = `incidents-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    
+    logger.info('AnalysisController: Exporting incidents', {
+      userId: req.user.id,
+      format,
+      params: req.query
+    });
+    
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    
+    try {
+      await this.exportService.exportIncidents(format, req.query, res);
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'export_incidents',
+        userId: req.user?.id,
+        format,
+        params: req.query
+      });
+      
+      // Once bytes are on the wire the only option is to abort the download
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        error: 'Export failed',
+        message: `Unable to export incidents as ${format}.`,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   /**
    * Analyze temporal patterns and trends in incident data
    * Identifies patterns by time periods (hour, day, weekday, month)
@@ -327,15 +403,16 @@ class AnalysisController {
    * Uses clustering and time-based patterns to predict future incidents
    * 
    * @route GET /api/analysis/predictive
-   * @access Private (requires authentication, admin role)
+   * @access Private (requires view-analytics permission)
    * @param {Object} req.query - Prediction parameters
    * @param {number} req.query.predictionHours - Prediction window (1-168 hours)
    * @param {number} req.query.confidence - Confidence threshold (0.1-1.0)
+   * @param {string} req.query.method - 'kmeans' or 'dbscan' (with eps meters and minPoints)
    */
   async getPredictiveModel(req, res) {
     try {
       const userId = req.user.id;
-  const { predictionHours, confidence, clusters, cluster_count } = req.query;
+  const { predictionHours, confidence, clusters, cluster_count, method, eps, minPoints, hull } = req.query;
       
       logger.info('AnalysisController: Generating predictive model', {
         userId,
@@ -347,7 +424,11 @@ class AnalysisController {
       const result = await this.analysisService.generatePredictiveModel({
         predictionHours: parseInt(predictionHours) || 24,
         confidence: parseFloat(confidence) || 0.7,
-        clusters: clusters ? parseInt(clusters) : (cluster_count ? parseInt(cluster_count) : undefined)
+        clusters: clusters ? parseInt(clusters) : (cluster_count ? parseInt(cluster_count) : undefined),
+        method,
+        eps,
+        minPoints,
+        hull
       });
       const executionTime = Date.now() - startTime;
       const modelAccuracy = Number(((result.metadata.totalPredictions || 0) / Math.max(1, result.metadata.modelSize || 1)).toFixed(2));
@@ -356,7 +437,8 @@ class AnalysisController {
         success: true,
         data: {
           risk_areas: result.predictedIncidents,
-          model_accuracy: modelAccuracy
+          model_accuracy: modelAccuracy,
+          noise: result.noise || []
         },
         metadata: {
           ...result.metadata,
@@ -459,6 +541,55 @@ class AnalysisController {
       });
     }
   }
+
+  /**
+   * Serve a Mapbox Vector Tile for incidents, hotspot cells or density cells
+   * Responds 304 when the client's If-None-Match matches the tile ETag
+   * and 204 when the tile contains no features.
+   * 
+   * @route GET /api/tiles/:layer/:z/:x/:y.mvt
+   * @access Private (requires authentication)
+   * @param {Object} req.params - Tile layer and z/x/y coordinates
+   * @param {Object} req.query - Filters (timeRange, incidentTypes, gridSize, minIncidents, resolution)
+   */
+  async getVectorTile(req, res) {
+    const { layer, z, x, y } = req.params;
+    
+    try {
+      const tile = await this.analysisService.generateVectorTile(layer, z, x, y, req.query);
+      
+      if (tile.length === 0) {
+        return res.status(204).end();
+      }
+      
+      const etag = `"${crypto.createHash('sha1').update(tile).digest('hex')}"`;
+      
+      res.set({
+        'Content-Type': 'application/vnd.mapbox-vector-tile',
+        'Cache-Control': `private, max-age=${TILE_MAX_AGE[layer]}`,
+        ETag: etag
+      });
+      
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      
+      res.send(tile);
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'vector_tile',
+        userId: req.user?.id,
+        tile: { layer, z, x, y },
+        query: req.query
+      });
+      
+      res.status(500).json({
+        error: 'Tile generation failed',
+        message: 'Unable to generate the requested map tile.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 module.exports = AnalysisController;
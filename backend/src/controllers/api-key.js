@@ -0,0 +1,398 @@
+/**
+ * ==================================================
+ * API KEY CONTROLLER
+ * HTTP Request Handlers for API Keys & Service Accounts
+ * ==================================================
+ *
+ * Users manage their own API keys; admins also create service
+ * accounts and issue keys for them. Keys are returned once, when they
+ * are created.
+ *
+ * ENDPOINT HANDLERS:
+ * - GET /api-keys: List the current user's keys
+ * - POST /api-keys: Create a key for the current user
+ * - DELETE /api-keys/:id: Revoke a key (admins can revoke any key)
+ * - GET /api-keys/service-accounts: List service accounts
+ * - POST /api-keys/service-accounts: Create a service account
+ * - DELETE /api-keys/service-accounts/:userId: Deactivate a service account
+ * - GET /api-keys/service-accounts/:userId/keys: List a service account's keys
+ * - POST /api-keys/service-accounts/:userId/keys: Issue a service account key
+ *
+ * DEPENDENCIES:
+ * - ApiKeyService: Key and service account storage
+ * - Logger: Request and security logging
+ *
+ * USAGE:
+ * const apiKeyController = new ApiKeyController();
+ * router.post('/', authenticateToken, validateApiKeyCreation, apiKeyController.createKey);
+ */
+
+const logger = require('../services/logger');
+const apiKeyService = require('../services/api-key');
+
+class ApiKeyController {
+  constructor(service) {
+    this.apiKeyService = service || apiKeyService;
+
+    // Bind methods to preserve 'this' context
+    this.listKeys = this.listKeys.bind(this);
+    this.createKey = this.createKey.bind(this);
+    this.revokeKey = this.revokeKey.bind(this);
+    this.listServiceAccounts = this.listServiceAccounts.bind(this);
+    this.createServiceAccount = this.createServiceAccount.bind(this);
+    this.deactivateServiceAccount = this.deactivateServiceAccount.bind(this);
+    this.listServiceAccountKeys = this.listServiceAccountKeys.bind(this);
+    this.createServiceAccountKey = this.createServiceAccountKey.bind(this);
+  }
+
+  /**
+   * List the current user's API keys
+   * @route GET /api/api-keys
+   * @access Private
+   */
+  async listKeys(req, res) {
+    try {
+      const apiKeys = await this.apiKeyService.listKeys(req.user.id);
+
+      res.json({
+        success: true,
+        apiKeys,
+        scopes: apiKeyService.ApiKeyService.SCOPES,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_api_keys',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve API keys',
+        message: 'Unable to get your API keys',
+      });
+    }
+  }
+
+  /**
+   * Create an API key for the current user
+   * @route POST /api/api-keys
+   * @access Private
+   */
+  async createKey(req, res) {
+    if (req.body.rateLimitPerMinute && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'admin permissions required',
+        message: 'Only admins can set a custom rate limit',
+      });
+    }
+
+    return this.issueKey(req, res, req.user.id);
+  }
+
+  /**
+   * Revoke an API key
+   * @route DELETE /api/api-keys/:id
+   * @access Private (own keys; admins can revoke any key)
+   */
+  async revokeKey(req, res) {
+    try {
+      const keyId = parseInt(req.params.id);
+
+      if (!keyId || isNaN(keyId)) {
+        return res.status(400).json({
+          error: 'Invalid API key ID',
+          message: 'API key ID must be a valid number',
+        });
+      }
+
+      const ownerId = req.user.role === 'admin' ? null : req.user.id;
+      const apiKey = await this.apiKeyService.revokeKey(keyId, ownerId);
+
+      logger.logSecurity('api_key_revoked', {
+        apiKeyId: keyId,
+        ownerId: apiKey.userId,
+        userId: req.user.id,
+      }, req);
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        apiKey,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'revoke_api_key',
+        userId: req.user?.id,
+        apiKeyId: req.params.id,
+      });
+
+      if (error.message.includes('API key not found')) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: 'The requested API key does not exist or was already revoked',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        message: 'Unable to revoke API key',
+      });
+    }
+  }
+
+  /**
+   * List service accounts
+   * @route GET /api/api-keys/service-accounts
+   * @access Private (admin only)
+   */
+  async listServiceAccounts(req, res) {
+    try {
+      const serviceAccounts = await this.apiKeyService.listServiceAccounts();
+
+      res.json({
+        success: true,
+        serviceAccounts,
+        total: serviceAccounts.length,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_service_accounts',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve service accounts',
+        message: 'Unable to get service accounts',
+      });
+    }
+  }
+
+  /**
+   * Create a service account
+   * @route POST /api/api-keys/service-accounts
+   * @access Private (admin only)
+   */
+  async createServiceAccount(req, res) {
+    try {
+      const { username, name, role } = req.body;
+      const serviceAccount = await this.apiKeyService.createServiceAccount({
+        username,
+        role,
+        firstName: name,
+      });
+
+      logger.logSecurity('service_account_created', {
+        serviceAccountId: serviceAccount.id,
+        username,
+        role,
+        userId: req.user.id,
+      }, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Service account created. Issue an API key for it to start making requests.',
+        serviceAccount,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'create_service_account',
+        userId: req.user?.id,
+      });
+
+      if (error.message.includes('Username already exists')) {
+        return res.status(409).json({
+          error: 'Username taken',
+          message: 'A user with that username already exists',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Service account creation failed',
+        message: 'Unable to create service account',
+      });
+    }
+  }
+
+  /**
+   * Deactivate a service account and revoke its keys
+   * @route DELETE /api/api-keys/service-accounts/:userId
+   * @access Private (admin only)
+   */
+  async deactivateServiceAccount(req, res) {
+    try {
+      const serviceAccountId = parseInt(req.params.userId);
+
+      if (!serviceAccountId || isNaN(serviceAccountId)) {
+        return res.status(400).json({
+          error: 'Invalid service account ID',
+          message: 'Service account ID must be a valid number',
+        });
+      }
+
+      const revokedKeys = await this.apiKeyService.deactivateServiceAccount(serviceAccountId);
+
+      logger.logSecurity('service_account_deactivated', {
+        serviceAccountId,
+        revokedKeys,
+        userId: req.user.id,
+      }, req);
+
+      res.json({
+        success: true,
+        message: 'Service account deactivated',
+        revokedKeys,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'deactivate_service_account',
+        userId: req.user?.id,
+        serviceAccountId: req.params.userId,
+      });
+
+      if (error.message.includes('Service account not found')) {
+        return res.status(404).json({
+          error: 'Service account not found',
+          message: 'The requested service account does not exist or is already deactivated',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to deactivate service account',
+        message: 'Unable to deactivate service account',
+      });
+    }
+  }
+
+  /**
+   * List a service account's API keys
+   * @route GET /api/api-keys/service-accounts/:userId/keys
+   * @access Private (admin only)
+   */
+  async listServiceAccountKeys(req, res) {
+    try {
+      const serviceAccountId = parseInt(req.params.userId);
+
+      if (!serviceAccountId || isNaN(serviceAccountId)) {
+        return res.status(400).json({
+          error: 'Invalid service account ID',
+          message: 'Service account ID must be a valid number',
+        });
+      }
+
+      const serviceAccount = await this.apiKeyService.getServiceAccount(serviceAccountId);
+      const apiKeys = await this.apiKeyService.listKeys(serviceAccountId);
+
+      res.json({
+        success: true,
+        serviceAccount,
+        apiKeys,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_service_account_keys',
+        userId: req.user?.id,
+        serviceAccountId: req.params.userId,
+      });
+
+      if (error.message.includes('Service account not found')) {
+        return res.status(404).json({
+          error: 'Service account not found',
+          message: 'The requested service account does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve API keys',
+        message: 'Unable to get service account API keys',
+      });
+    }
+  }
+
+  /**
+   * Issue an API key for a service account
+   * @route POST /api/api-keys/service-accounts/:userId/keys
+   * @access Private (admin only)
+   */
+  async createServiceAccountKey(req, res) {
+    const serviceAccountId = parseInt(req.params.userId);
+
+    if (!serviceAccountId || isNaN(serviceAccountId)) {
+      return res.status(400).json({
+        error: 'Invalid service account ID',
+        message: 'Service account ID must be a valid number',
+      });
+    }
+
+    try {
+      await this.apiKeyService.getServiceAccount(serviceAccountId);
+    } catch (error) {
+      return res.status(404).json({
+        error: 'Service account not found',
+        message: 'The requested service account does not exist',
+      });
+    }
+
+    return this.issueKey(req, res, serviceAccountId);
+  }
+
+  /**
+   * Creates a key for a user and responds with it
+   * @private
+   */
+  async issueKey(req, res, ownerId) {
+    try {
+      const { apiKey, key } = await this.apiKeyService.createKey(ownerId, {
+        ...req.body,
+        createdBy: req.user.id,
+      });
+
+      logger.logSecurity('api_key_created', {
+        apiKeyId: apiKey.id,
+        ownerId,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        userId: req.user.id,
+      }, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now; it will not be shown again.',
+        apiKey,
+        key,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'create_api_key',
+        userId: req.user?.id,
+        ownerId,
+      });
+
+      if (error.message.includes('API key limit reached')) {
+        return res.status(409).json({
+          error: 'API key limit reached',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Unknown API key scope')) {
+        return res.status(400).json({
+          error: 'Invalid scope',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'API key creation failed',
+        message: 'Unable to create API key',
+      });
+    }
+  }
+}
+
+module.exports = ApiKeyController;
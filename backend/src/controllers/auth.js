@@ -10,26 +10,36 @@
  * AUTHENTICATION ENDPOINTS:
  * - POST /register: New user account registration with validation
  * - POST /login: User authentication with JWT token generation
- * - POST /logout: Secure logout with token blacklisting
+ * - POST /logout: Secure logout with token blacklisting; ends this session only
  * - POST /refresh: JWT token refresh using refresh tokens
  * - POST /forgot-password: Password reset request generation
  * - POST /reset-password: Password reset completion
  * - POST /verify-email: Email address verification
  * - POST /resend-verification: Resend email verification token
+ * - POST /login returns a pre-auth token instead of tokens when the
+ *   account has (or its role requires) two-factor authentication
  * 
  * SECURITY FEATURES:
  * - Comprehensive input validation and sanitization
  * - Brute force protection with account lockout
  * - Password strength enforcement and history tracking
  * - JWT token management with refresh capabilities
+ * - One session per sign-in; password resets end every session and
+ *   close its sockets
  * - Detailed security event logging and monitoring
  * - Rate limiting integration for sensitive operations
+ * - Email alerts for password changes and sign-ins from new devices
  * 
  * DEPENDENCIES:
  * - Authentication service: JWT token management
  * - Password service: Secure password operations
+ * - Two-factor service: Second sign-in step
+ * - Session service: Per-sign-in sessions
+ * - Permission service: Permissions returned with the user
+ * - Socket.IO handler: Disconnects sockets of ended sessions
  * - Database connection: User data persistence
  * - Logger service: Security audit trails
+ * - Mailer service: Reset, verification and security alert emails
  * - Validation middleware: Input sanitization
  * 
  * USAGE:
@@ -39,8 +49,14 @@
 
 const authService = require('../services/auth');
 const passwordService = require('../services/password');
+const twoFactorService = require('../services/two-factor');
+const sessionService = require('../services/session');
+const permissionService = require('../services/permission');
+const { REVOKE_REASONS } = sessionService.SessionService;
+const { socketIOHandler } = require('../services/socket');
 const db = require('../db/connection');
 const logger = require('../services/logger');
+const { mailer } = require('../services/mailer');
 
 class AuthController {
   /**
@@ -110,12 +126,14 @@ class AuthController {
       // Add password to history
       await passwordService.addToPasswordHistory(user.id, hashedPassword);
 
-      // Generate email verification token (implementation depends on email service)
-      const verificationToken = await this.generateEmailVerificationToken(user.id);
+      // Email a verification link; registration succeeds even if mail fails
+      await this.sendVerificationEmail(user);
 
       // Generate JWT tokens for immediate login
-      const accessToken = await authService.generateAccessToken(user);
-      const refreshTokenData = await authService.generateRefreshToken(user);
+      const { accessToken, refreshTokenData } = await authService.startSession(user, {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
 
       // Log successful registration
       logger.info(`👤 User registered successfully: ${user.username}`, {
@@ -143,6 +161,7 @@ class AuthController {
           lastName: user.last_name,
           phone: user.phone,
           role: user.role,
+          permissions: await permissionService.permissionsFor(user.role),
           isActive: user.is_active,
           emailVerified: user.email_verified,
           createdAt: user.created_at,
@@ -250,53 +269,13 @@ class AuthController {
         });
       }
 
-      // Successful login - clear failed attempts
-      await passwordService.clearFailedLogins(email);
-
-      // Generate tokens
-      const tokenOptions = rememberMe ? { expiresIn: '30d' } : {};
-      const accessToken = await authService.generateAccessToken(user, tokenOptions);
-      const refreshTokenData = await authService.generateRefreshToken(user);
-
-      // Update last login
-      await db.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
-
-      // Log successful login
-      logger.info(`🔑 User logged in successfully: ${user.username}`, {
-        userId: user.id,
-        email: user.email,
-        clientIP,
-        rememberMe,
-      });
-
-      // Security event logging
-      await this.logSecurityEvent(user.id, 'login_success', {
-        clientIP,
-        userAgent: req.get('User-Agent'),
-        rememberMe,
-      });
+      // Accounts with two-factor authentication finish signing in at /2fa/verify
+      const twoFactorStep = await twoFactorService.getLoginStep(user);
+      if (twoFactorStep) {
+        return this.startTwoFactorStep(user, twoFactorStep, req, res, { rememberMe });
+      }
 
-      res.json({
-        success: true,
-        message: 'Login successful',
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          phone: user.phone,
-          role: user.role,
-          isActive: user.is_active,
-          emailVerified: user.email_verified,
-          lastLogin: user.last_login,
-        },
-        tokens: {
-          accessToken,
-          refreshToken: refreshTokenData.token,
-          expiresAt: refreshTokenData.expiresAt,
-        },
-      });
+      await this.completeLogin(user, req, res, { rememberMe });
 
     } catch (error) {
       logger.logError(error, req, { 
@@ -311,6 +290,123 @@ class AuthController {
     }
   }
 
+  /**
+   * Issues tokens and responds for a fully authenticated sign-in
+   * Shared by password-only logins and the two-factor steps that finish one.
+   *
+   * @param {Object} user - Full user row
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { rememberMe, twoFactorMethod?, extra? }
+   */
+  async completeLogin(user, req, res, options = {}) {
+    const { rememberMe = false, twoFactorMethod = null, extra = {} } = options;
+    const clientIP = req.ip;
+
+    // Successful login - clear failed attempts
+    await passwordService.clearFailedLogins(user.email);
+
+    // Generate tokens
+    const { accessToken, refreshTokenData } = await authService.startSession(user, {
+      expiresIn: rememberMe ? '30d' : undefined,
+      clientIP,
+      userAgent: req.get('User-Agent'),
+    });
+
+    // Update last login
+    await db.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+    // Must run before this login is recorded as a security event
+    await this.alertOnNewLogin(user, req);
+
+    // Log successful login
+    logger.info(`🔑 User logged in successfully: ${user.username}`, {
+      userId: user.id,
+      email: user.email,
+      clientIP,
+      rememberMe,
+      twoFactorMethod,
+    });
+
+    // Security event logging
+    await this.logSecurityEvent(user.id, 'login_success', {
+      clientIP,
+      userAgent: req.get('User-Agent'),
+      rememberMe,
+      twoFactorMethod,
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        phone: user.phone,
+        role: user.role,
+        permissions: await permissionService.permissionsFor(user.role),
+        isActive: user.is_active,
+        emailVerified: user.email_verified,
+        lastLogin: user.last_login,
+      },
+      tokens: {
+        accessToken,
+        refreshToken: refreshTokenData.token,
+        expiresAt: refreshTokenData.expiresAt,
+      },
+      ...extra,
+    });
+  }
+
+  /**
+   * Responds to a correct password with a pre-auth token instead of tokens
+   * 'verify' asks for a code from the user's authenticator app; 'setup'
+   * sends a user whose role requires two-factor authentication through
+   * enrolment first.
+   *
+   * @param {Object} user - Full user row
+   * @param {string} step - 'verify' or 'setup'
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { rememberMe }
+   */
+  async startTwoFactorStep(user, step, req, res, options = {}) {
+    const preAuth = twoFactorService.generatePreAuthToken(user, step, options);
+
+    logger.info(`🔐 Two-factor ${step} required for ${user.username}`, {
+      userId: user.id,
+      clientIP: req.ip,
+    });
+
+    await this.logSecurityEvent(user.id, 'two_factor_challenge', {
+      clientIP: req.ip,
+      userAgent: req.get('User-Agent'),
+      step,
+    });
+
+    if (step === 'setup') {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        message: 'Your role requires two-factor authentication. Set it up to finish signing in.',
+        preAuthToken: preAuth.token,
+        expiresAt: preAuth.expiresAt,
+      });
+    }
+
+    res.json({
+      success: true,
+      twoFactorRequired: true,
+      message: 'Enter the code from your authenticator app to finish signing in',
+      preAuthToken: preAuth.token,
+      expiresAt: preAuth.expiresAt,
+      methods: ['totp', 'recovery_code'],
+    });
+  }
+
   /**
    * User Logout Endpoint
    * Invalidates user tokens for secure logout
@@ -322,14 +418,20 @@ class AuthController {
     try {
       const user = req.user;
       const token = req.token?.raw;
+      const sessionId = req.token?.decoded?.sid;
 
       if (token) {
         // Invalidate current access token
         await authService.invalidateToken(token);
       }
 
-      // Remove refresh token from database
-      await db.query('DELETE FROM user_refresh_tokens WHERE user_id = $1', [user.id]);
+      if (sessionId) {
+        // End this session only; other devices stay signed in
+        await sessionService.revokeSession(user.id, sessionId, REVOKE_REASONS.LOGOUT);
+      } else {
+        // Tokens from before sessions: remove every refresh token
+        await db.query('DELETE FROM user_refresh_tokens WHERE user_id = $1', [user.id]);
+      }
 
       logger.info(`👋 User logged out: ${user.username}`, {
         userId: user.id,
@@ -374,6 +476,25 @@ class AuthController {
       // Refresh the access token
       const result = await authService.refreshAccessToken(refreshToken);
 
+      // Sessions from before their role required two-factor end here
+      if (await twoFactorService.getLoginStep(result.user) === 'setup') {
+        const sessionIds = await authService.invalidateAllUserTokens(
+          result.user.id,
+          REVOKE_REASONS.TWO_FACTOR_REQUIRED
+        );
+        socketIOHandler.disconnectSessions(sessionIds);
+
+        return res.status(401).json({
+          error: 'Two-factor required',
+          message: 'Your role now requires two-factor authentication. Please log in again to set it up.',
+          requiresLogin: true,
+        });
+      }
+
+      if (result.sessionId) {
+        await sessionService.touch(result.sessionId, req.ip);
+      }
+
       logger.debug(`🔄 Token refreshed for user ${result.user.id}`, {
         userId: result.user.id,
         clientIP: req.ip,
@@ -391,7 +512,7 @@ class AuthController {
         operation: 'token_refresh',
       });
 
-      if (error.message.includes('expired') || error.message.includes('invalid')) {
+      if (error.message.includes('expired') || error.message.includes('invalid') || error.message.includes('not found')) {
         return res.status(401).json({
           error: 'Token refresh failed',
           message: 'Refresh token is invalid or expired',
@@ -406,10 +527,336 @@ class AuthController {
     }
   }
 
+  /**
+   * Password Reset Request Endpoint
+   * Emails a single-use reset link if an active account uses the address.
+   * The response is the same either way and is sent before the lookup,
+   * so neither its content nor its timing reveals whether the account exists.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forgotPassword(req, res) {
+    const { email } = req.body;
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent',
+    });
+
+    try {
+      const userResult = await db.query(
+        'SELECT id, username, email, first_name, is_active, is_service_account FROM users WHERE email = $1',
+        [email.toLowerCase()]
+      );
+
+      const user = userResult.rows[0];
+
+      // Service accounts have no password to reset
+      if (!user || !user.is_active || user.is_service_account) {
+        logger.logSecurity('password_reset_unknown_account', {
+          email,
+          clientIP: req.ip,
+        }, req);
+        return;
+      }
+
+      const { token, expiresAt } = await passwordService.generatePasswordResetToken(user.id);
+
+      await mailer.send(user.email, 'password-reset', {
+        user,
+        resetUrl: mailer.link('/reset-password', { token }),
+        expiresAt,
+      });
+
+      await this.logSecurityEvent(user.id, 'password_reset_requested', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'forgot_password',
+        email,
+      });
+    }
+  }
+
+  /**
+   * Password Reset Completion Endpoint
+   * Sets a new password from a reset token and signs out other sessions
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      let user;
+      try {
+        ({ user } = await passwordService.validatePasswordResetToken(token));
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid reset token',
+          message: 'This password reset link is invalid or has expired',
+        });
+      }
+
+      const passwordStrength = passwordService.assessPasswordStrength(password);
+      if (passwordStrength.level === 'very_weak' || passwordStrength.score < 4) {
+        return res.status(400).json({
+          error: 'Weak password',
+          message: 'Password does not meet security requirements',
+          recommendations: passwordStrength.recommendations,
+          strength: passwordStrength,
+        });
+      }
+
+      if (await passwordService.isPasswordRecentlyUsed(user.id, password)) {
+        return res.status(400).json({
+          error: 'Password recently used',
+          message: 'Choose a password you have not used recently',
+        });
+      }
+
+      // Consume first so two concurrent requests cannot both use the token
+      const consumed = await passwordService.consumePasswordResetToken(token);
+      if (!consumed) {
+        return res.status(400).json({
+          error: 'Invalid reset token',
+          message: 'This password reset link is invalid or has expired',
+        });
+      }
+
+      const hashedPassword = await passwordService.hashPassword(password);
+
+      await db.query(
+        'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashedPassword, user.id]
+      );
+      await passwordService.addToPasswordHistory(user.id, hashedPassword);
+      await passwordService.clearFailedLogins(user.email);
+
+      // Whoever had the old password should not keep a session
+      const sessionIds = await authService.invalidateAllUserTokens(
+        user.id,
+        REVOKE_REASONS.PASSWORD_RESET
+      );
+      socketIOHandler.disconnectSessions(sessionIds);
+
+      await this.logSecurityEvent(user.id, 'password_reset_completed', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      this.sendPasswordChangedEmail(user, req);
+
+      logger.info(`🔑 Password reset completed for user ${user.id}`, {
+        userId: user.id,
+        clientIP: req.ip,
+      });
+
+      res.json({
+        success: true,
+        message: 'Password has been reset successfully',
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'reset_password',
+      });
+
+      res.status(500).json({
+        error: 'Password reset failed',
+        message: 'Unable to reset password',
+      });
+    }
+  }
+
+  /**
+   * Email Verification Endpoint
+   * Marks the account's email verified; each token works once
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      const tokenResult = await db.query(`
+        DELETE FROM email_verification_tokens
+        WHERE token = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+      `, [token]);
+
+      if (tokenResult.rows.length === 0) {
+        logger.logSecurity('invalid_verification_token_used', {
+          token: token.substring(0, 8) + '...',
+        }, req);
+
+        return res.status(400).json({
+          error: 'Invalid verification token',
+          message: 'This verification link is invalid or has expired',
+        });
+      }
+
+      const userResult = await db.query(`
+        UPDATE users SET email_verified = true, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, username, email
+      `, [tokenResult.rows[0].user_id]);
+
+      if (userResult.rows.length === 0) {
+        return res.status(400).json({
+          error: 'Invalid verification token',
+          message: 'This verification link is invalid or has expired',
+        });
+      }
+
+      const user = userResult.rows[0];
+
+      logger.info(`📧 Email verified for user ${user.username}`, {
+        userId: user.id,
+        email: user.email,
+      });
+
+      res.json({
+        success: true,
+        message: 'Email address verified successfully',
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'verify_email',
+      });
+
+      res.status(500).json({
+        error: 'Email verification failed',
+        message: 'Unable to verify email address',
+      });
+    }
+  }
+
+  /**
+   * Resend Verification Endpoint
+   * Replaces the user's verification token and emails the new link
+   *
+   * @param {Object} req - Express request object (requires authentication)
+   * @param {Object} res - Express response object
+   */
+  async resendVerification(req, res) {
+    try {
+      const user = req.user;
+
+      if (user.email_verified) {
+        return res.status(400).json({
+          error: 'Already verified',
+          message: 'Your email address is already verified',
+        });
+      }
+
+      const sent = await this.sendVerificationEmail(user);
+
+      if (!sent) {
+        return res.status(503).json({
+          error: 'Verification resend failed',
+          message: 'Unable to send the verification email right now, please try again later',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Verification email has been resent',
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'resend_verification',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Verification resend failed',
+        message: 'Unable to resend verification email',
+      });
+    }
+  }
+
+  /**
+   * Creates a verification token and emails the link
+   * @param {Object} user - { id, username, email, first_name? }
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async sendVerificationEmail(user) {
+    const { token, expiresAt } = await this.generateEmailVerificationToken(user.id);
+
+    return mailer.send(user.email, 'email-verification', {
+      user,
+      verifyUrl: mailer.link('/verify-email', { token }),
+      expiresAt,
+    });
+  }
+
+  /**
+   * Emails a password change alert without holding up the response
+   * @param {Object} user - { id, username, email, first_name? }
+   * @param {Object} req - Express request object
+   */
+  sendPasswordChangedEmail(user, req) {
+    mailer.send(user.email, 'password-changed', {
+      user,
+      changedAt: new Date(),
+      clientIP: req.ip,
+      resetUrl: mailer.link('/forgot-password'),
+    }).catch(error => logger.error('Failed to send password change alert:', error.message));
+  }
+
+  /**
+   * Emails an alert when a user signs in from an IP and browser pair
+   * with no earlier successful login. A first-ever login is not alerted.
+   * @param {Object} user - Full user row
+   * @param {Object} req - Express request object
+   */
+  async alertOnNewLogin(user, req) {
+    try {
+      const userAgent = req.get('User-Agent') || null;
+
+      const result = await db.query(`
+        SELECT
+          COUNT(*) AS previous_logins,
+          COUNT(*) FILTER (
+            WHERE client_ip = $2::inet AND user_agent IS NOT DISTINCT FROM $3
+          ) AS known_device_logins
+        FROM security_events
+        WHERE user_id = $1 AND event_type = 'login_success'
+      `, [user.id, req.ip, userAgent]);
+
+      const { previous_logins: previousLogins, known_device_logins: knownDeviceLogins } = result.rows[0];
+
+      if (Number(previousLogins) === 0 || Number(knownDeviceLogins) > 0) {
+        return;
+      }
+
+      // Don't hold up the login on mail delivery
+      mailer.send(user.email, 'new-login', {
+        user,
+        loginAt: new Date(),
+        clientIP: req.ip,
+        userAgent,
+        resetUrl: mailer.link('/forgot-password'),
+      }).catch(error => logger.error('Failed to send new login alert:', error.message));
+
+    } catch (error) {
+      logger.error('Failed to check for a new login device:', error.message);
+    }
+  }
+
   /**
    * Generates an email verification token
    * @param {number} userId - User ID
-   * @returns {Promise<string>} Verification token
+   * @returns {Promise<Object>} { token, expiresAt }
    */
   async generateEmailVerificationToken(userId) {
     try {
@@ -424,7 +871,7 @@ class AuthController {
         DO UPDATE SET token = $2, expires_at = $3, created_at = CURRENT_TIMESTAMP
       `, [userId, token, expiresAt]);
 
-      return token;
+      return { token, expiresAt };
 
     } catch (error) {
       logger.error('Failed to generate email verification token:', error.message);
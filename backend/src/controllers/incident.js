@@ -10,18 +10,29 @@
  * 
  * ENDPOINT HANDLERS:
  * - POST /incidents: Create new incident reports
+ * - POST /incidents/import: Bulk import from GeoJSON/CSV (import permission)
  * - GET /incidents: Search incidents with spatial filtering
  * - GET /incidents/:id: Get specific incident details
  * - PUT /incidents/:id: Update existing incidents (with ownership)
  * - DELETE /incidents/:id: Delete incidents (with ownership)
- * - POST /incidents/:id/verify: Community verification
+ * - POST /incidents/:id/verify: Weighted community verification (confirm/dispute/spam)
+ * - POST /incidents/:id/{acknowledge,start,resolve,false-report,reopen}: Status workflow
+ * - GET /incidents/:id/history: Status transition history
+ * - GET/POST /incidents/:id/attachments: Photo and video attachments
+ * - GET/DELETE /incidents/:id/attachments/:attachmentId: Attachment files
+ * - GET/POST /incidents/:id/comments: Comment threads and internal notes
+ * - PUT/DELETE /incidents/:id/comments/:commentId: Edit or delete comments
+ * - GET /incidents/duplicates: Likely duplicates of a report being drafted
+ * - POST /incidents/:id/merge: Fold duplicate incidents into one (verify permission)
  * - GET /incidents/clusters: Generate incident clusters for maps
  * - GET /incidents/heatmap: Generate heatmap data points
+ * - PUT /incidents/types/:typeId: Update incident type rules (manage-types permission)
  * 
  * REAL-TIME FEATURES:
  * - New incident broadcasting to connected clients
  * - Incident updates and deletions broadcasted
  * - User-specific notifications for owned incidents
+ * - Stored alerts for owners of matching watch zones
  * - Geographic area subscriptions for location-based updates
  * 
  * SECURITY FEATURES:
@@ -33,6 +44,10 @@
  * 
  * DEPENDENCIES:
  * - IncidentService: Business logic and data access
+ * - AttachmentService: Attachment processing and storage
+ * - CommentService: Comment threads and mentions
+ * - WatchZoneService: Alerts for incidents inside saved watch zones
+ * - NotificationService: Stored user notifications
  * - Socket.io: Real-time event broadcasting
  * - Auth Middleware: User authentication and authorization
  * - Logger: Request and security logging
@@ -44,14 +59,34 @@
 
 const logger = require('../services/logger');
 const IncidentService = require('../services/incident');
+const AttachmentService = require('../services/attachment');
+const CommentService = require('../services/comment');
+const WatchZoneService = require('../services/watch-zone');
+const NotificationService = require('../services/notification');
+const { socketIOHandler } = require('../services/socket');
 
 class IncidentController {
-  constructor(incidentService, socketIo) {
+  constructor(incidentService, socketIo, attachmentService, commentService, watchZoneService) {
     this.incidentService = incidentService || new IncidentService();
+    this.attachmentService = attachmentService || new AttachmentService();
+    this.commentService = commentService || new CommentService();
+    this.watchZoneService = watchZoneService || new WatchZoneService();
+    this.notificationService = new NotificationService();
     this.io = socketIo; // Socket.io instance for real-time updates
     
     // Bind methods to preserve 'this' context
     this.createIncident = this.createIncident.bind(this);
+    this.importIncidents = this.importIncidents.bind(this);
+    this.checkDuplicates = this.checkDuplicates.bind(this);
+    this.mergeIncidents = this.mergeIncidents.bind(this);
+    this.listAttachments = this.listAttachments.bind(this);
+    this.uploadAttachments = this.uploadAttachments.bind(this);
+    this.getAttachmentFile = this.getAttachmentFile.bind(this);
+    this.deleteAttachment = this.deleteAttachment.bind(this);
+    this.listComments = this.listComments.bind(this);
+    this.createComment = this.createComment.bind(this);
+    this.updateComment = this.updateComment.bind(this);
+    this.deleteComment = this.deleteComment.bind(this);
     this.getIncidents = this.getIncidents.bind(this);
     this.getIncidentById = this.getIncidentById.bind(this);
     this.updateIncident = this.updateIncident.bind(this);
@@ -60,7 +95,14 @@ class IncidentController {
     this.getIncidentClusters = this.getIncidentClusters.bind(this);
     this.getHeatmapData = this.getHeatmapData.bind(this);
     this.getIncidentTypes = this.getIncidentTypes.bind(this);
+    this.updateIncidentType = this.updateIncidentType.bind(this);
     this.getIncidentStatistics = this.getIncidentStatistics.bind(this);
+    this.acknowledgeIncident = this.acknowledgeIncident.bind(this);
+    this.startIncidentWork = this.startIncidentWork.bind(this);
+    this.resolveIncident = this.resolveIncident.bind(this);
+    this.markIncidentFalseReport = this.markIncidentFalseReport.bind(this);
+    this.reopenIncident = this.reopenIncident.bind(this);
+    this.getIncidentStatusHistory = this.getIncidentStatusHistory.bind(this);
   }
 
   /**
@@ -86,42 +128,41 @@ class IncidentController {
       // Create incident using service layer
       const result = await this.incidentService.createIncident(incidentData, userId);
 
-      // Broadcast new incident to connected clients
-      if (this.io && result.success) {
-        const broadcastData = {
-          type: 'incident_created',
-          incident: {
-            id: result.incident.id,
-            description: result.incident.description,
-            severity: result.incident.severity,
-            location: result.incident.location,
-            incidentType: result.incident.incidentType,
-            reportedBy: {
-              id: result.incident.reportedBy.id,
-              username: result.incident.reportedBy.username,
-            },
-            createdAt: result.incident.timestamps.createdAt,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-        // Broadcast to all connected clients
-        this.io.emit('new-incident', broadcastData);
-
-        // Send to specific geographic area room (if implemented)
-        const locationRoom = this.getLocationRoom(
-          result.incident.location.latitude,
-          result.incident.location.longitude
-        );
-        this.io.to(locationRoom).emit('area-incident', broadcastData);
+      // Files sent with a multipart report; the incident stands even if they fail
+      let attachmentErrors;
+      if (req.files?.length > 0) {
+        try {
+          result.incident.attachments = await this.attachmentService.addAttachments(
+            result.incident,
+            req.files,
+            userId
+          );
+        } catch (attachmentError) {
+          attachmentErrors = [attachmentError.message];
+        }
+      }
 
-        logger.debug('IncidentController: Real-time incident broadcast sent', {
-          incidentId: result.incident.id,
-          locationRoom,
-          connectedClients: this.io.engine.clientsCount,
+      // Broadcast new incident to all clients and its tile rooms
+      if (result.success) {
+        await socketIOHandler.broadcastIncidentCreated({
+          id: result.incident.id,
+          description: result.incident.description,
+          severity: result.incident.severity,
+          verified: result.incident.verified,
+          status: result.incident.status,
+          location: result.incident.location,
+          extent: result.incident.extent,
+          incidentType: result.incident.incidentType,
+          reportedBy: {
+            id: result.incident.reportedBy.id,
+            username: result.incident.reportedBy.username,
+          },
+          createdAt: result.incident.timestamps.createdAt,
         });
       }
 
+      await this.notifyWatchZones(result.incident, 'created', req.user);
+
       // Log incident creation for analytics
       logger.info('IncidentController: Incident created successfully', {
         incidentId: result.incident.id,
@@ -131,10 +172,13 @@ class IncidentController {
         location: result.incident.location,
       });
 
+      // Candidates let the client offer "confirm existing instead"
       res.status(201).json({
         success: true,
         message: 'Incident reported successfully',
         incident: result.incident,
+        duplicateCandidates: result.duplicateCandidates,
+        ...(attachmentErrors ? { attachmentErrors } : {}),
       });
 
     } catch (error) {
@@ -165,6 +209,13 @@ class IncidentController {
         });
       }
 
+      if (error.message.includes('Invalid extent geometry')) {
+        return res.status(400).json({
+          error: 'Invalid extent',
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         error: 'Incident creation failed',
         message: 'Unable to create incident report',
@@ -172,6 +223,78 @@ class IncidentController {
     }
   }
 
+  /**
+   * Bulk import incidents from GeoJSON or CSV
+   * Dry run by default; confirm=true commits all rows in one transaction
+   * @route POST /api/incidents/import
+   * @access Private (import permission)
+   */
+  async importIncidents(req, res) {
+    try {
+      const userId = req.user.id;
+      const { format, confirm } = req.body;
+
+      logger.info('IncidentController: Importing incidents', {
+        userId,
+        username: req.user.username,
+        format,
+        confirm,
+      });
+
+      const result = await this.incidentService.importIncidents(req.body, userId);
+
+      if (!confirm) {
+        return res.json({
+          success: true,
+          message: result.report.invalidRows > 0
+            ? 'Dry run completed with validation errors'
+            : 'Dry run completed, all rows are valid',
+          report: result.report,
+        });
+      }
+
+      logger.info('IncidentController: Incident import committed', {
+        userId,
+        format,
+        importedCount: result.incidentIds.length,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${result.incidentIds.length} incidents`,
+        report: result.report,
+        incidentIds: result.incidentIds,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'import_incidents',
+        userId: req.user?.id,
+        format: req.body?.format,
+      });
+
+      if (error.message.includes('Import contains invalid rows')) {
+        return res.status(422).json({
+          error: 'Import rejected',
+          message: 'No incidents were imported because some rows are invalid',
+          report: error.report,
+        });
+      }
+
+      if (error.message.includes('Invalid import file')) {
+        return res.status(400).json({
+          error: 'Invalid import file',
+          message: error.message.replace('Invalid import file: ', ''),
+        });
+      }
+
+      res.status(500).json({
+        error: 'Incident import failed',
+        message: 'Unable to import incidents',
+      });
+    }
+  }
+
   /**
    * Search and retrieve incidents with spatial filtering
    * @route GET /api/incidents
@@ -256,6 +379,18 @@ class IncidentController {
         });
       }
 
+      // Merged duplicates permanently redirect to their canonical incident
+      if (incident.mergedIntoId) {
+        return res
+          .status(301)
+          .location(`${req.baseUrl}/${incident.mergedIntoId}`)
+          .json({
+            error: 'Incident merged',
+            message: `This incident was merged into incident ${incident.mergedIntoId}`,
+            canonicalIncidentId: incident.mergedIntoId,
+          });
+      }
+
       logger.debug('IncidentController: Incident retrieved', {
         incidentId,
         userId,
@@ -291,7 +426,7 @@ class IncidentController {
       const incidentId = parseInt(req.params.id);
       const userId = req.user.id;
       const updateData = req.body;
-      const isAdmin = req.user.role === 'admin';
+      const actor = { id: userId, role: req.user.role };
 
       if (!incidentId || isNaN(incidentId)) {
         return res.status(400).json({
@@ -303,7 +438,6 @@ class IncidentController {
       logger.info('IncidentController: Updating incident', {
         incidentId,
         userId,
-        isAdmin,
         updateData,
       });
 
@@ -311,42 +445,37 @@ class IncidentController {
       const result = await this.incidentService.updateIncident(
         incidentId,
         updateData,
-        userId,
-        isAdmin
+        actor
       );
 
       // Broadcast incident update to connected clients
-      if (this.io && result.success) {
-        const broadcastData = {
-          type: 'incident_updated',
-          incident: {
-            id: result.incident.id,
-            description: result.incident.description,
-            severity: result.incident.severity,
-            location: result.incident.location,
-            incidentType: result.incident.incidentType,
-            updatedFields: Object.keys(updateData),
-          },
-          updatedBy: {
-            id: userId,
-            username: req.user.username,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-        this.io.emit('incident-updated', broadcastData);
-
-        // Send notification to incident owner if updated by someone else
-        if (result.incident.reportedBy.id !== userId) {
-          this.io.to(`user-${result.incident.reportedBy.id}`).emit('incident-notification', {
-            type: 'incident_updated_by_other',
-            incidentId: result.incident.id,
-            updatedBy: req.user.username,
-            message: `Your incident report was updated by ${req.user.username}`,
-          });
-        }
+      if (result.success) {
+        await socketIOHandler.broadcastIncidentUpdated({
+          id: result.incident.id,
+          description: result.incident.description,
+          severity: result.incident.severity,
+          location: result.incident.location,
+          extent: result.incident.extent,
+          incidentType: result.incident.incidentType,
+          updatedFields: Object.keys(updateData),
+        }, {
+          id: userId,
+          username: req.user.username,
+        });
+      }
+
+      // Send notification to incident owner if updated by someone else
+      if (result.incident.reportedBy.id !== userId) {
+        await this.notifyUser(result.incident.reportedBy.id, {
+          type: 'incident_updated_by_other',
+          incidentId: result.incident.id,
+          updatedBy: req.user.username,
+          message: `Your incident report was updated by ${req.user.username}`,
+        });
       }
 
+      await this.notifyWatchZones(result.incident, 'updated', req.user);
+
       logger.info('IncidentController: Incident updated successfully', {
         incidentId,
         userId,
@@ -388,6 +517,13 @@ class IncidentController {
         });
       }
 
+      if (error.message.includes('Invalid extent geometry')) {
+        return res.status(400).json({
+          error: 'Invalid extent',
+          message: error.message,
+        });
+      }
+
       res.status(500).json({
         error: 'Incident update failed',
         message: 'Unable to update incident',
@@ -404,7 +540,7 @@ class IncidentController {
     try {
       const incidentId = parseInt(req.params.id);
       const userId = req.user.id;
-      const isAdmin = req.user.role === 'admin';
+      const actor = { id: userId, role: req.user.role };
 
       if (!incidentId || isNaN(incidentId)) {
         return res.status(400).json({
@@ -416,7 +552,6 @@ class IncidentController {
       logger.info('IncidentController: Deleting incident', {
         incidentId,
         userId,
-        isAdmin,
       });
 
       // Get incident details before deletion for broadcasting
@@ -430,22 +565,14 @@ class IncidentController {
       }
 
       // Delete incident using service layer
-      const result = await this.incidentService.deleteIncident(incidentId, userId, isAdmin);
+      const result = await this.incidentService.deleteIncident(incidentId, actor);
 
       // Broadcast incident deletion to connected clients
-      if (this.io && result.success) {
-        const broadcastData = {
-          type: 'incident_deleted',
-          incidentId: incidentId,
-          location: incident.location,
-          deletedBy: {
-            id: userId,
-            username: req.user.username,
-          },
-          timestamp: new Date().toISOString(),
-        };
-
-        this.io.emit('incident-deleted', broadcastData);
+      if (result.success) {
+        await socketIOHandler.broadcastIncidentDeleted(incidentId, incident.location, {
+          id: userId,
+          username: req.user.username,
+        });
       }
 
       logger.info('IncidentController: Incident deleted successfully', {
@@ -490,7 +617,7 @@ class IncidentController {
   }
 
   /**
-   * Verify an incident (community verification)
+   * Cast a community verification vote (confirm, dispute or spam)
    * @route POST /api/incidents/:id/verify
    * @access Private (requires authentication)
    */
@@ -498,6 +625,7 @@ class IncidentController {
     try {
       const incidentId = parseInt(req.params.id);
       const userId = req.user.id;
+      const { vote, notes } = req.body;
 
       if (!incidentId || isNaN(incidentId)) {
         return res.status(400).json({
@@ -510,41 +638,74 @@ class IncidentController {
         incidentId,
         userId,
         username: req.user.username,
+        vote,
       });
 
-      // Verify incident using service layer
-      const result = await this.incidentService.verifyIncident(incidentId, userId);
+      // Record the weighted vote using service layer
+      const result = await this.incidentService.verifyIncident(
+        incidentId,
+        { id: userId, role: req.user.role },
+        { vote, notes: notes || null }
+      );
+
+      const voter = {
+        id: userId,
+        username: req.user.username,
+      };
 
-      // Broadcast verification update if incident becomes verified
-      if (this.io && result.isVerified) {
-        const broadcastData = {
-          type: 'incident_verified',
-          incidentId: incidentId,
+      // Broadcast when the vote changed the verification outcome
+      if (result.verificationChanged) {
+        socketIOHandler.broadcastIncidentVerified(incidentId, {
+          verified: result.isVerified,
           verificationCount: result.verificationCount,
-          verifiedBy: {
-            id: userId,
-            username: req.user.username,
-          },
-          timestamp: new Date().toISOString(),
-        };
+          confirmWeight: result.confirmWeight,
+          disputeWeight: result.disputeWeight,
+          verifiedBy: voter,
+        });
+      }
+
+      if (result.autoFlagged) {
+        const incident = await this.incidentService.getIncidentById(incidentId);
+        socketIOHandler.broadcastIncidentStatusChanged(incident, result.transition, voter);
 
-        this.io.emit('incident-verified', broadcastData);
+        await this.notifyUser(incident.reportedBy.id, {
+          type: 'incident_status_change',
+          incidentId,
+          action: 'mark_false_report',
+          message: 'Your incident report was flagged as a false report by community disputes',
+        });
       }
 
       logger.info('IncidentController: Incident verification added', {
         incidentId,
         userId,
+        vote: result.vote,
+        weight: result.weight,
         verificationCount: result.verificationCount,
         isVerified: result.isVerified,
+        autoFlagged: result.autoFlagged,
       });
 
+      let message = 'Your verification has been recorded';
+      if (result.autoFlagged) {
+        message = 'Incident has been flagged as a false report by the community';
+      } else if (result.isVerified && result.verificationChanged) {
+        message = 'Incident has been verified by the community';
+      } else if (result.vote !== 'confirm') {
+        message = 'Your dispute has been recorded';
+      }
+
       res.json({
         success: true,
-        message: result.isVerified 
-          ? 'Incident has been verified by the community'
-          : 'Your verification has been recorded',
+        message,
+        vote: result.vote,
+        weight: result.weight,
         verificationCount: result.verificationCount,
+        confirmWeight: result.confirmWeight,
+        disputeWeight: result.disputeWeight,
+        thresholds: result.thresholds,
         isVerified: result.isVerified,
+        status: result.status,
       });
 
     } catch (error) {
@@ -554,10 +715,24 @@ class IncidentController {
         incidentId: req.params.id,
       });
 
-      if (error.message.includes('already verified')) {
+      if (error.message.includes('already verified') || error.message.includes('already voted')) {
         return res.status(400).json({
           error: 'Already verified',
-          message: 'You have already verified this incident',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Incident not found')) {
+        return res.status(404).json({
+          error: 'Incident not found',
+          message: 'The incident you are trying to verify does not exist',
+        });
+      }
+
+      if (error.message.includes('Voting is closed')) {
+        return res.status(409).json({
+          error: 'Voting closed',
+          message: error.message,
         });
       }
 
@@ -569,163 +744,1025 @@ class IncidentController {
   }
 
   /**
-   * Generate incident clusters for map visualization
-   * @route GET /api/incidents/clusters
+   * Acknowledge an active incident
+   * @route POST /api/incidents/:id/acknowledge
+   * @access Private (verify permission)
+   */
+  async acknowledgeIncident(req, res) {
+    return this.handleStatusTransition(req, res, 'acknowledge');
+  }
+
+  /**
+   * Mark an incident as being worked on
+   * @route POST /api/incidents/:id/start
+   * @access Private (verify permission)
+   */
+  async startIncidentWork(req, res) {
+    return this.handleStatusTransition(req, res, 'start_work');
+  }
+
+  /**
+   * Resolve an incident with resolution notes
+   * @route POST /api/incidents/:id/resolve
+   * @access Private (resolve permission, or the original reporter)
+   */
+  async resolveIncident(req, res) {
+    return this.handleStatusTransition(req, res, 'resolve');
+  }
+
+  /**
+   * Flag an incident as a false report
+   * @route POST /api/incidents/:id/false-report
+   * @access Private (verify permission)
+   */
+  async markIncidentFalseReport(req, res) {
+    return this.handleStatusTransition(req, res, 'mark_false_report');
+  }
+
+  /**
+   * Reopen a resolved or false-reported incident
+   * @route POST /api/incidents/:id/reopen
+   * @access Private (resolve permission)
+   */
+  async reopenIncident(req, res) {
+    return this.handleStatusTransition(req, res, 'reopen');
+  }
+
+  /**
+   * List attachments of an incident
+   * @route GET /api/incidents/:id/attachments
    * @access Private (requires authentication)
    */
-  async getIncidentClusters(req, res) {
+  async listAttachments(req, res) {
     try {
-      const clusterParams = req.query;
-      const userId = req.user.id;
-
-      logger.debug('IncidentController: Generating incident clusters', {
-        userId,
-        clusterParams,
-      });
+      const incidentId = parseInt(req.params.id);
 
-      // Generate clusters using service layer
-      const result = await this.incidentService.getIncidentClusters(clusterParams);
+      if (!incidentId || isNaN(incidentId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
 
-      logger.debug('IncidentController: Clusters generated', {
-        userId,
-        clusterCount: result.clusters.length,
-        parameters: result.parameters,
-      });
+      const attachments = await this.attachmentService.listAttachments(incidentId);
 
       res.json({
         success: true,
-        clusters: result.clusters,
-        parameters: result.parameters,
+        incidentId,
+        attachments,
       });
 
     } catch (error) {
       logger.logError(error, req, {
-        operation: 'get_incident_clusters',
+        operation: 'list_attachments',
         userId: req.user?.id,
-        clusterParams: req.query,
+        incidentId: req.params.id,
       });
 
       res.status(500).json({
-        error: 'Cluster generation failed',
-        message: 'Unable to generate incident clusters',
+        error: 'Attachment retrieval failed',
+        message: 'Unable to retrieve incident attachments',
       });
     }
   }
 
   /**
-   * Generate heatmap data for incident density visualization
-   * @route GET /api/incidents/heatmap
+   * Upload photos or videos to an existing incident
+   * @route POST /api/incidents/:id/attachments
    * @access Private (requires authentication)
    */
-  async getHeatmapData(req, res) {
+  async uploadAttachments(req, res) {
     try {
-      const heatmapParams = req.query;
+      const incidentId = parseInt(req.params.id);
       const userId = req.user.id;
 
-      logger.debug('IncidentController: Generating heatmap data', {
+      if (!incidentId || isNaN(incidentId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
+
+      const incident = await this.incidentService.getIncidentById(incidentId);
+
+      if (!incident || incident.mergedIntoId) {
+        return res.status(404).json({
+          error: 'Incident not found',
+          message: 'The incident you are trying to attach files to does not exist',
+        });
+      }
+
+      logger.info('IncidentController: Uploading attachments', {
+        incidentId,
         userId,
-        heatmapParams,
+        fileCount: req.files.length,
       });
 
-      // Generate heatmap data using service layer
-      const result = await this.incidentService.getHeatmapData(heatmapParams);
+      const attachments = await this.attachmentService.addAttachments(incident, req.files, userId);
 
-      logger.debug('IncidentController: Heatmap data generated', {
-        userId,
-        pointCount: result.heatmapPoints.length,
-        parameters: result.parameters,
+      socketIOHandler.broadcastIncidentUpdated({
+        ...incident,
+        attachments: [...(incident.attachments || []), ...attachments],
+      }, {
+        id: userId,
+        username: req.user.username,
       });
 
-      res.json({
+      res.status(201).json({
         success: true,
-        heatmapPoints: result.heatmapPoints,
-        parameters: result.parameters,
+        message: `${attachments.length} attachment(s) uploaded`,
+        attachments,
       });
 
     } catch (error) {
       logger.logError(error, req, {
-        operation: 'get_heatmap_data',
+        operation: 'upload_attachments',
         userId: req.user?.id,
-        heatmapParams: req.query,
+        incidentId: req.params.id,
       });
 
+      if (error.message.includes('Attachment limit reached')) {
+        return res.status(409).json({
+          error: 'Attachment limit reached',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Attachment location mismatch')) {
+        return res.status(422).json({
+          error: 'Attachment location mismatch',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Unsupported file type') || error.message.includes('Input buffer')) {
+        return res.status(415).json({
+          error: 'Unsupported file type',
+          message: 'The uploaded file could not be processed',
+        });
+      }
+
       res.status(500).json({
-        error: 'Heatmap generation failed',
-        message: 'Unable to generate heatmap data',
+        error: 'Attachment upload failed',
+        message: 'Unable to upload attachments',
       });
     }
   }
 
   /**
-   * Get available incident types
-   * @route GET /api/incidents/types
+   * Stream an attachment file or its thumbnail
+   * @route GET /api/incidents/:id/attachments/:attachmentId/:variant
    * @access Private (requires authentication)
    */
-  async getIncidentTypes(req, res) {
-    try {
-      const userId = req.user.id;
+  async getAttachmentFile(req, res) {
+    const incidentId = parseInt(req.params.id);
+    const attachmentId = parseInt(req.params.attachmentId);
+    const variant = req.params.variant === 'thumbnail' ? 'thumbnail' : 'file';
 
-      logger.debug('IncidentController: Fetching incident types', {
-        userId,
-      });
-
-      // This would typically come from the database
-      const db = this.incidentService.db;
-      const query = `
-        SELECT 
-          id, name, category, description, 
-          severity_range, default_severity, 
-          icon, color, requires_verification
-        FROM incident_types
-        ORDER BY category, name
-      `;
+    try {
+      if (!incidentId || !attachmentId || isNaN(incidentId) || isNaN(attachmentId)) {
+        return res.status(400).json({
+          error: 'Invalid attachment ID',
+          message: 'Incident and attachment IDs must be valid numbers',
+        });
+      }
 
-      const result = await db.query(query);
+      const { stream, mimeType, fileName } = await this.attachmentService.openAttachment(
+        incidentId,
+        attachmentId,
+        variant
+      );
 
-      const incidentTypes = result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        category: row.category,
-        description: row.description,
-        severityRange: JSON.parse(row.severity_range),
-        defaultSeverity: row.default_severity,
-        icon: row.icon,
-        color: row.color,
-        requiresVerification: row.requires_verification,
-      }));
+      res.set({
+        'Content-Type': mimeType,
+        'Content-Disposition': `inline; filename="${encodeURIComponent(fileName || `attachment-${attachmentId}`)}"`,
+        'Cache-Control': 'private, max-age=86400',
+      });
 
-      res.json({
-        success: true,
-        incidentTypes,
+      stream.on('error', (streamError) => {
+        logger.logError(streamError, req, {
+          operation: 'stream_attachment',
+          incidentId,
+          attachmentId,
+        });
+        res.destroy(streamError);
       });
+      stream.pipe(res);
 
     } catch (error) {
-      logger.logError(error, req, {
-        operation: 'get_incident_types',
-        userId: req.user?.id,
-      });
+      if (error.message.includes('not found') || error.message.includes('no thumbnail') || error.code === 'ENOENT') {
+        return res.status(404).json({
+          error: 'Attachment not found',
+          message: 'The requested attachment does not exist',
+        });
+      }
 
       res.status(500).json({
-        error: 'Failed to retrieve incident types',
-        message: 'Unable to get available incident types',
+        error: 'Attachment retrieval failed',
+        message: 'Unable to retrieve attachment',
       });
     }
   }
 
   /**
-   * Get incident statistics for reporting and analytics
-   * @route GET /api/incidents/statistics
-   * @access Private (requires authentication)
+   * Delete an attachment
+   * @route DELETE /api/incidents/:id/attachments/:attachmentId
+   * @access Private (uploader, incident reporter, or delete-any permission)
    */
-  async getIncidentStatistics(req, res) {
+  async deleteAttachment(req, res) {
     try {
-      const statsParams = req.query;
-      const userId = req.user.id;
+      const incidentId = parseInt(req.params.id);
+      const attachmentId = parseInt(req.params.attachmentId);
+      const actor = { id: req.user.id, role: req.user.role };
 
-      logger.debug('IncidentController: Generating incident statistics', {
-        userId,
-        statsParams,
-      });
+      if (!incidentId || !attachmentId || isNaN(incidentId) || isNaN(attachmentId)) {
+        return res.status(400).json({
+          error: 'Invalid attachment ID',
+          message: 'Incident and attachment IDs must be valid numbers',
+        });
+      }
+
+      await this.attachmentService.deleteAttachment(incidentId, attachmentId, actor);
+
+      res.json({
+        success: true,
+        message: 'Attachment deleted successfully',
+        attachmentId,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'delete_attachment',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+        attachmentId: req.params.attachmentId,
+      });
+
+      if (error.message.includes('Attachment not found')) {
+        return res.status(404).json({
+          error: 'Attachment not found',
+          message: 'The attachment you are trying to delete does not exist',
+        });
+      }
+
+      if (error.message.includes('Not authorized')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Attachment deletion failed',
+        message: 'Unable to delete attachment',
+      });
+    }
+  }
+
+  /**
+   * List an incident's comment threads
+   * Internal notes are included only with the view-internal-notes permission.
+   * @route GET /api/incidents/:id/comments
+   * @access Private (requires authentication)
+   */
+  async listComments(req, res) {
+    try {
+      const incidentId = parseInt(req.params.id);
+
+      if (!incidentId || isNaN(incidentId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
+
+      const result = await this.commentService.listComments(incidentId, req.user);
+
+      res.json({
+        success: true,
+        incidentId,
+        total: result.total,
+        comments: result.comments,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_comments',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+      });
+
+      if (error.message.includes('Incident not found')) {
+        return res.status(404).json({
+          error: 'Incident not found',
+          message: 'The requested incident does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Comment retrieval failed',
+        message: 'Unable to retrieve incident comments',
+      });
+    }
+  }
+
+  /**
+   * Post a comment, reply or internal note on an incident
+   * @route POST /api/incidents/:id/comments
+   * @access Private (internal notes require view-internal-notes permission)
+   */
+  async createComment(req, res) {
+    try {
+      const incidentId = parseInt(req.params.id);
+      const author = { id: req.user.id, username: req.user.username, role: req.user.role };
+
+      if (!incidentId || isNaN(incidentId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
+
+      const result = await this.commentService.createComment(incidentId, req.body, author);
+      const { comment } = result;
+      const actor = { id: author.id, username: author.username };
+
+      socketIOHandler.broadcastIncidentComment(incidentId, 'created', comment, actor);
+
+      for (const userId of result.mentionedUserIds) {
+        await this.notifyUser(userId, {
+          type: 'comment_mention',
+          incidentId,
+          commentId: comment.id,
+          internal: comment.internal,
+          from: actor,
+          message: `${author.username} mentioned you in a comment on incident #${incidentId}`,
+        });
+      }
+
+      if (result.replyToUserId && !result.mentionedUserIds.includes(result.replyToUserId)) {
+        await this.notifyUser(result.replyToUserId, {
+          type: 'comment_reply',
+          incidentId,
+          commentId: comment.id,
+          internal: comment.internal,
+          from: actor,
+          message: `${author.username} replied to your comment on incident #${incidentId}`,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: comment.internal ? 'Internal note added' : 'Comment added',
+        comment,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'create_comment',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+      });
+
+      if (error.message.includes('Incident not found') || error.message.includes('Comment not found')) {
+        return res.status(404).json({
+          error: error.message.includes('Incident') ? 'Incident not found' : 'Parent comment not found',
+          message: 'The incident or comment you are replying to does not exist',
+        });
+      }
+
+      if (error.message.includes('internal notes')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('deleted comment') || error.message.includes('Reply depth limit')) {
+        return res.status(400).json({
+          error: 'Invalid reply',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Comment creation failed',
+        message: 'Unable to add comment',
+      });
+    }
+  }
+
+  /**
+   * Edit a comment (author only)
+   * @route PUT /api/incidents/:id/comments/:commentId
+   * @access Private (comment author)
+   */
+  async updateComment(req, res) {
+    try {
+      const incidentId = parseInt(req.params.id);
+      const commentId = parseInt(req.params.commentId);
+      const actor = { id: req.user.id, username: req.user.username, role: req.user.role };
+
+      if (!incidentId || !commentId || isNaN(incidentId) || isNaN(commentId)) {
+        return res.status(400).json({
+          error: 'Invalid comment ID',
+          message: 'Incident and comment IDs must be valid numbers',
+        });
+      }
+
+      const result = await this.commentService.updateComment(incidentId, commentId, req.body, actor);
+      const { comment } = result;
+
+      socketIOHandler.broadcastIncidentComment(incidentId, 'updated', comment, {
+        id: actor.id,
+        username: actor.username,
+      });
+
+      for (const userId of result.mentionedUserIds) {
+        await this.notifyUser(userId, {
+          type: 'comment_mention',
+          incidentId,
+          commentId,
+          internal: comment.internal,
+          from: { id: actor.id, username: actor.username },
+          message: `${actor.username} mentioned you in a comment on incident #${incidentId}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Comment updated',
+        comment,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_comment',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+        commentId: req.params.commentId,
+      });
+
+      if (error.message.includes('Comment not found')) {
+        return res.status(404).json({
+          error: 'Comment not found',
+          message: 'The comment you are trying to edit does not exist',
+        });
+      }
+
+      if (error.message.includes('Not authorized')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Comment update failed',
+        message: 'Unable to update comment',
+      });
+    }
+  }
+
+  /**
+   * Delete a comment
+   * @route DELETE /api/incidents/:id/comments/:commentId
+   * @access Private (comment author, or delete-any permission)
+   */
+  async deleteComment(req, res) {
+    try {
+      const incidentId = parseInt(req.params.id);
+      const commentId = parseInt(req.params.commentId);
+      const actor = { id: req.user.id, role: req.user.role };
+
+      if (!incidentId || !commentId || isNaN(incidentId) || isNaN(commentId)) {
+        return res.status(400).json({
+          error: 'Invalid comment ID',
+          message: 'Incident and comment IDs must be valid numbers',
+        });
+      }
+
+      const result = await this.commentService.deleteComment(incidentId, commentId, actor);
+
+      socketIOHandler.broadcastIncidentComment(incidentId, 'deleted', {
+        id: commentId,
+        parentId: result.parentId,
+        internal: result.internal,
+      }, {
+        id: req.user.id,
+        username: req.user.username,
+      });
+
+      res.json({
+        success: true,
+        message: 'Comment deleted',
+        commentId,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'delete_comment',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+        commentId: req.params.commentId,
+      });
+
+      if (error.message.includes('Comment not found')) {
+        return res.status(404).json({
+          error: 'Comment not found',
+          message: 'The comment you are trying to delete does not exist',
+        });
+      }
+
+      if (error.message.includes('Not authorized')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Comment deletion failed',
+        message: 'Unable to delete comment',
+      });
+    }
+  }
+
+  /**
+   * Get the status transition history of an incident
+   * @route GET /api/incidents/:id/history
+   * @access Private (requires authentication)
+   */
+  async getIncidentStatusHistory(req, res) {
+    try {
+      const incidentId = parseInt(req.params.id);
+
+      if (!incidentId || isNaN(incidentId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
+
+      const incident = await this.incidentService.getIncidentById(incidentId);
+
+      if (!incident) {
+        return res.status(404).json({
+          error: 'Incident not found',
+          message: 'The requested incident does not exist',
+        });
+      }
+
+      const history = await this.incidentService.getIncidentStatusHistory(incidentId);
+
+      res.json({
+        success: true,
+        incidentId,
+        status: incident.status,
+        history,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_incident_status_history',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+      });
+
+      res.status(500).json({
+        error: 'History retrieval failed',
+        message: 'Unable to retrieve incident status history',
+      });
+    }
+  }
+
+  /**
+   * Shared handler for incident lifecycle transitions
+   * @private
+   */
+  async handleStatusTransition(req, res, action) {
+    try {
+      const incidentId = parseInt(req.params.id);
+      const actor = { id: req.user.id, role: req.user.role };
+
+      if (!incidentId || isNaN(incidentId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
+
+      logger.info('IncidentController: Changing incident status', {
+        incidentId,
+        action,
+        userId: actor.id,
+        role: actor.role,
+      });
+
+      const result = await this.incidentService.transitionIncidentStatus(
+        incidentId,
+        action,
+        actor,
+        { notes: req.body?.notes }
+      );
+
+      const changedBy = {
+        id: req.user.id,
+        username: req.user.username,
+      };
+
+      socketIOHandler.broadcastIncidentStatusChanged(result.incident, result.transition, changedBy);
+
+      // Let the reporter know when someone else moves their incident along
+      if (result.incident.reportedBy.id !== req.user.id) {
+        await this.notifyUser(result.incident.reportedBy.id, {
+          type: 'incident_status_change',
+          incidentId,
+          action,
+          status: result.transition.toStatus,
+          message: `Your incident report is now ${result.transition.toStatus.replace(/_/g, ' ')}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Incident status changed to ${result.transition.toStatus}`,
+        incident: result.incident,
+        transition: result.transition,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'change_incident_status',
+        action,
+        userId: req.user?.id,
+        incidentId: req.params.id,
+      });
+
+      if (error.message.includes('Incident not found')) {
+        return res.status(404).json({
+          error: 'Incident not found',
+          message: 'The incident you are trying to update does not exist',
+        });
+      }
+
+      if (error.message.includes('Not authorized')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Invalid status transition')) {
+        return res.status(409).json({
+          error: 'Invalid status transition',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Status change failed',
+        message: 'Unable to change incident status',
+      });
+    }
+  }
+
+  /**
+   * Find likely duplicates of an incident before it is reported
+   * @route GET /api/incidents/duplicates
+   * @access Private (requires authentication)
+   */
+  async checkDuplicates(req, res) {
+    try {
+      const { typeId, latitude, longitude, radius, windowMinutes } = req.query;
+
+      const candidates = await this.incidentService.findDuplicateCandidates(
+        { typeId, latitude, longitude },
+        { radius, windowMinutes }
+      );
+
+      res.json({
+        success: true,
+        duplicateCandidates: candidates,
+        parameters: {
+          radius: radius || this.incidentService.duplicateRadius,
+          windowMinutes: windowMinutes || this.incidentService.duplicateWindowMinutes,
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'check_duplicates',
+        userId: req.user?.id,
+        query: req.query,
+      });
+
+      res.status(500).json({
+        error: 'Duplicate check failed',
+        message: 'Unable to check for duplicate incidents',
+      });
+    }
+  }
+
+  /**
+   * Merge duplicate incidents into a canonical incident
+   * @route POST /api/incidents/:id/merge
+   * @access Private (verify permission)
+   */
+  async mergeIncidents(req, res) {
+    try {
+      const canonicalId = parseInt(req.params.id);
+      const { duplicateIds, notes } = req.body;
+      const actor = { id: req.user.id, role: req.user.role };
+
+      if (!canonicalId || isNaN(canonicalId)) {
+        return res.status(400).json({
+          error: 'Invalid incident ID',
+          message: 'Incident ID must be a valid number',
+        });
+      }
+
+      logger.info('IncidentController: Merging incidents', {
+        canonicalId,
+        duplicateIds,
+        userId: actor.id,
+      });
+
+      const result = await this.incidentService.mergeIncidents(canonicalId, duplicateIds, actor, { notes });
+
+      const mergedBy = {
+        id: req.user.id,
+        username: req.user.username,
+      };
+
+      result.merged.forEach(({ incidentId, location }) => {
+        socketIOHandler.broadcastIncidentDeleted(incidentId, location, mergedBy);
+      });
+      socketIOHandler.broadcastIncidentUpdated(result.incident, mergedBy);
+
+      res.json({
+        success: true,
+        message: `Merged ${result.merged.length} incidents into incident ${canonicalId}`,
+        incident: result.incident,
+        merged: result.merged,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'merge_incidents',
+        userId: req.user?.id,
+        incidentId: req.params.id,
+      });
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Incident not found',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Cannot merge')) {
+        return res.status(400).json({
+          error: 'Invalid merge',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Incident merge failed',
+        message: 'Unable to merge incidents',
+      });
+    }
+  }
+
+  /**
+   * Generate incident clusters for map visualization
+   * @route GET /api/incidents/clusters
+   * @access Private (requires authentication)
+   */
+  async getIncidentClusters(req, res) {
+    try {
+      const clusterParams = req.query;
+      const userId = req.user.id;
+
+      logger.debug('IncidentController: Generating incident clusters', {
+        userId,
+        clusterParams,
+      });
+
+      // Generate clusters using service layer
+      const result = await this.incidentService.getIncidentClusters(clusterParams);
+
+      logger.debug('IncidentController: Clusters generated', {
+        userId,
+        clusterCount: result.clusters.length,
+        parameters: result.parameters,
+      });
+
+      res.json({
+        success: true,
+        clusters: result.clusters,
+        ...(result.noise ? { noise: result.noise } : {}),
+        parameters: result.parameters,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_incident_clusters',
+        userId: req.user?.id,
+        clusterParams: req.query,
+      });
+
+      res.status(500).json({
+        error: 'Cluster generation failed',
+        message: 'Unable to generate incident clusters',
+      });
+    }
+  }
+
+  /**
+   * Generate heatmap data for incident density visualization
+   * @route GET /api/incidents/heatmap
+   * @access Private (requires authentication)
+   */
+  async getHeatmapData(req, res) {
+    try {
+      const heatmapParams = req.query;
+      const userId = req.user.id;
+
+      logger.debug('IncidentController: Generating heatmap data', {
+        userId,
+        heatmapParams,
+      });
+
+      // Generate heatmap data using service layer
+      const result = await this.incidentService.getHeatmapData(heatmapParams);
+
+      logger.debug('IncidentController: Heatmap data generated', {
+        userId,
+        pointCount: result.heatmapPoints.length,
+        parameters: result.parameters,
+      });
+
+      res.json({
+        success: true,
+        heatmapPoints: result.heatmapPoints,
+        parameters: result.parameters,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_heatmap_data',
+        userId: req.user?.id,
+        heatmapParams: req.query,
+      });
+
+      res.status(500).json({
+        error: 'Heatmap generation failed',
+        message: 'Unable to generate heatmap data',
+      });
+    }
+  }
+
+  /**
+   * Get available incident types
+   * @route GET /api/incidents/types
+   * @access Private (requires authentication)
+   */
+  async getIncidentTypes(req, res) {
+    try {
+      const userId = req.user.id;
+
+      logger.debug('IncidentController: Fetching incident types', {
+        userId,
+      });
+
+      // This would typically come from the database
+      const db = this.incidentService.db;
+      const query = `
+        SELECT 
+          id, name, category, description, 
+          severity_range, default_severity, 
+          icon, color, requires_verification,
+          auto_expire_hours, expiry_action, stale_after_hours
+        FROM incident_types
+        ORDER BY category, name
+      `;
+
+      const result = await db.query(query);
+
+      const incidentTypes = result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        category: row.category,
+        description: row.description,
+        severityRange: JSON.parse(row.severity_range),
+        defaultSeverity: row.default_severity,
+        icon: row.icon,
+        color: row.color,
+        requiresVerification: row.requires_verification,
+        expiryPolicy: {
+          autoExpireHours: row.auto_expire_hours,
+          action: row.expiry_action || 'resolve',
+          staleAfterHours: row.stale_after_hours,
+        },
+      }));
+
+      res.json({
+        success: true,
+        incidentTypes,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_incident_types',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve incident types',
+        message: 'Unable to get available incident types',
+      });
+    }
+  }
+
+  /**
+   * Update an incident type's verification and expiry rules
+   * @route PUT /api/incidents/types/:typeId
+   * @access Private (manage-types permission)
+   */
+  async updateIncidentType(req, res) {
+    try {
+      const typeId = parseInt(req.params.typeId);
+      const userId = req.user.id;
+
+      if (!typeId || isNaN(typeId)) {
+        return res.status(400).json({
+          error: 'Invalid incident type ID',
+          message: 'Incident type ID must be a valid number',
+        });
+      }
+
+      const row = await this.incidentService.updateIncidentType(typeId, req.body, userId);
+
+      logger.logSecurity('incident_type_updated', {
+        typeId,
+        changes: req.body,
+        userId,
+      }, req);
+
+      res.json({
+        success: true,
+        message: 'Incident type updated',
+        incidentType: {
+          id: row.id,
+          name: row.name,
+          verifyThreshold: row.verify_threshold === null ? null : parseFloat(row.verify_threshold),
+          disputeThreshold: row.dispute_threshold === null ? null : parseFloat(row.dispute_threshold),
+          autoFlagFalseReports: row.auto_flag_false_reports,
+          expiryPolicy: {
+            autoExpireHours: row.auto_expire_hours,
+            action: row.expiry_action || 'resolve',
+            staleAfterHours: row.stale_after_hours,
+          },
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_incident_type',
+        userId: req.user?.id,
+        typeId: req.params.typeId,
+      });
+
+      if (error.message.includes('Incident type not found')) {
+        return res.status(404).json({
+          error: 'Incident type not found',
+          message: 'The requested incident type does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update incident type',
+        message: 'Unable to update incident type',
+      });
+    }
+  }
+
+  /**
+   * Get incident statistics for reporting and analytics
+   * @route GET /api/incidents/statistics
+   * @access Private (requires authentication)
+   */
+  async getIncidentStatistics(req, res) {
+    try {
+      const statsParams = req.query;
+      const userId = req.user.id;
+
+      logger.debug('IncidentController: Generating incident statistics', {
+        userId,
+        statsParams,
+      });
 
       // Generate statistics using service layer
       const result = await this.incidentService.getIncidentStatistics(statsParams);
@@ -751,14 +1788,40 @@ class IncidentController {
   }
 
   /**
-   * Helper method to determine geographic room for real-time updates
+   * Store and push a notification for a user
+   * Notification failures are logged; they never fail the request.
+   * @private
+   */
+  async notifyUser(userId, notification) {
+    try {
+      await this.notificationService.notify(userId, notification);
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'notify_user',
+        userId,
+        type: notification.type,
+      });
+    }
+  }
+
+  /**
+   * Alert owners of watch zones the incident falls in
+   * Alert failures are logged; they never fail the incident request.
    * @private
    */
-  getLocationRoom(latitude, longitude) {
-    // Simple grid-based room assignment (can be enhanced with geohash)
-    const latGrid = Math.floor(latitude * 10); // 0.1 degree precision
-    const lonGrid = Math.floor(longitude * 10);
-    return `geo_${latGrid}_${lonGrid}`;
+  async notifyWatchZones(incident, event, user) {
+    try {
+      await this.watchZoneService.notifyForIncident(incident, event, {
+        id: user.id,
+        username: user.username,
+      });
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'notify_watch_zones',
+        incidentId: incident.id,
+        event,
+      });
+    }
   }
 }
 
@@ -0,0 +1,291 @@
+/**
+ * ==================================================
+ * NOTIFICATION CONTROLLER
+ * HTTP Request Handlers for the Notification Center
+ * ==================================================
+ *
+ * Lists and manages the current user's stored notifications. New
+ * notifications are created by other services through
+ * NotificationService.notify; read state changes are pushed to the
+ * user's other open clients.
+ *
+ * ENDPOINT HANDLERS:
+ * - GET /notifications: Paginated list with unread count
+ * - GET /notifications/unread-count: Unread count only
+ * - PUT /notifications/:id/read: Mark one read
+ * - PUT /notifications/read-all: Mark all read
+ * - DELETE /notifications/:id: Delete one
+ * - GET /notifications/preferences: Per-type settings
+ * - PUT /notifications/preferences: Turn types on or off
+ *
+ * DEPENDENCIES:
+ * - NotificationService: Notification storage and delivery
+ * - Logger: Request logging
+ *
+ * USAGE:
+ * const notificationController = new NotificationController();
+ * router.get('/', authenticateToken, notificationController.listNotifications);
+ */
+
+const logger = require('../services/logger');
+const NotificationService = require('../services/notification');
+
+class NotificationController {
+  constructor(notificationService) {
+    this.notificationService = notificationService || new NotificationService();
+
+    // Bind methods to preserve 'this' context
+    this.listNotifications = this.listNotifications.bind(this);
+    this.getUnreadCount = this.getUnreadCount.bind(this);
+    this.markRead = this.markRead.bind(this);
+    this.markAllRead = this.markAllRead.bind(this);
+    this.deleteNotification = this.deleteNotification.bind(this);
+    this.getPreferences = this.getPreferences.bind(this);
+    this.updatePreferences = this.updatePreferences.bind(this);
+  }
+
+  /**
+   * List the current user's notifications
+   * @route GET /api/notifications
+   * @access Private (requires authentication)
+   */
+  async listNotifications(req, res) {
+    try {
+      const { unreadOnly, limit, offset } = req.query;
+      const result = await this.notificationService.listNotifications(req.user.id, {
+        unreadOnly,
+        limit,
+        offset,
+      });
+
+      res.json({
+        success: true,
+        ...result,
+        pagination: {
+          limit,
+          offset,
+          hasMore: offset + result.notifications.length < result.total,
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_notifications',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve notifications',
+        message: 'Unable to get your notifications',
+      });
+    }
+  }
+
+  /**
+   * Get the current user's unread notification count
+   * @route GET /api/notifications/unread-count
+   * @access Private (requires authentication)
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await this.notificationService.getUnreadCount(req.user.id);
+
+      res.json({
+        success: true,
+        unreadCount,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_unread_notification_count',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve unread count',
+        message: 'Unable to get your unread notification count',
+      });
+    }
+  }
+
+  /**
+   * Mark one notification read
+   * @route PUT /api/notifications/:id/read
+   * @access Private (requires authentication)
+   */
+  async markRead(req, res) {
+    try {
+      const notificationId = parseInt(req.params.id);
+
+      if (!notificationId || isNaN(notificationId)) {
+        return res.status(400).json({
+          error: 'Invalid notification ID',
+          message: 'Notification ID must be a valid number',
+        });
+      }
+
+      const result = await this.notificationService.markRead(notificationId, req.user.id);
+
+      res.json({
+        success: true,
+        ...result,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'mark_notification_read',
+        userId: req.user?.id,
+        notificationId: req.params.id,
+      });
+
+      if (error.message.includes('Notification not found')) {
+        return res.status(404).json({
+          error: 'Notification not found',
+          message: 'The requested notification does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update notification',
+        message: 'Unable to mark notification as read',
+      });
+    }
+  }
+
+  /**
+   * Mark all of the current user's notifications read
+   * @route PUT /api/notifications/read-all
+   * @access Private (requires authentication)
+   */
+  async markAllRead(req, res) {
+    try {
+      const result = await this.notificationService.markAllRead(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        ...result,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'mark_all_notifications_read',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to update notifications',
+        message: 'Unable to mark notifications as read',
+      });
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @route DELETE /api/notifications/:id
+   * @access Private (requires authentication)
+   */
+  async deleteNotification(req, res) {
+    try {
+      const notificationId = parseInt(req.params.id);
+
+      if (!notificationId || isNaN(notificationId)) {
+        return res.status(400).json({
+          error: 'Invalid notification ID',
+          message: 'Notification ID must be a valid number',
+        });
+      }
+
+      const result = await this.notificationService.deleteNotification(notificationId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Notification deleted',
+        ...result,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'delete_notification',
+        userId: req.user?.id,
+        notificationId: req.params.id,
+      });
+
+      if (error.message.includes('Notification not found')) {
+        return res.status(404).json({
+          error: 'Notification not found',
+          message: 'The notification you are trying to delete does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Notification deletion failed',
+        message: 'Unable to delete notification',
+      });
+    }
+  }
+
+  /**
+   * Get the current user's notification preferences
+   * @route GET /api/notifications/preferences
+   * @access Private (requires authentication)
+   */
+  async getPreferences(req, res) {
+    try {
+      const preferences = await this.notificationService.getPreferences(req.user.id);
+
+      res.json({
+        success: true,
+        preferences,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_notification_preferences',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve preferences',
+        message: 'Unable to get your notification preferences',
+      });
+    }
+  }
+
+  /**
+   * Turn notification types on or off
+   * @route PUT /api/notifications/preferences
+   * @access Private (requires authentication)
+   */
+  async updatePreferences(req, res) {
+    try {
+      const preferences = await this.notificationService.updatePreferences(req.user.id, req.body.types);
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated',
+        preferences,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_notification_preferences',
+        userId: req.user?.id,
+      });
+
+      if (error.message.includes('Unknown notification type')) {
+        return res.status(400).json({
+          error: 'Invalid notification preferences',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Preferences update failed',
+        message: 'Unable to update notification preferences',
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
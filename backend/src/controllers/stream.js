@@ -0,0 +1,117 @@
+/**
+ * ==================================================
+ * STREAM CONTROLLER
+ * HTTP Request Handlers for Server-Sent Event Streams
+ * ==================================================
+ *
+ * Opens long-lived SSE responses for clients that cannot use
+ * Socket.IO. The stream itself, replay and delivery live in
+ * IncidentStreamService.
+ *
+ * ENDPOINT HANDLERS:
+ * - POST /stream/token: Short-lived token for EventSource clients
+ * - GET /stream/incidents: Live incident events with Last-Event-ID resume
+ *
+ * DEPENDENCIES:
+ * - IncidentStreamService: Stream clients and event delivery
+ * - Authentication Service: Stream token signing
+ * - Logger: Request logging
+ *
+ * USAGE:
+ * const streamController = new StreamController();
+ * router.get('/incidents', authenticateStream, streamController.streamIncidents);
+ */
+
+const authService = require('../services/auth');
+const logger = require('../services/logger');
+const { incidentStream } = require('../services/incident-stream');
+
+class StreamController {
+  constructor(stream) {
+    this.stream = stream || incidentStream;
+
+    // Bind methods to preserve 'this' context
+    this.issueStreamToken = this.issueStreamToken.bind(this);
+    this.streamIncidents = this.streamIncidents.bind(this);
+  }
+
+  /**
+   * Issue a stream token for the signed-in session
+   * @route POST /api/stream/token
+   * @access Private (requires authentication)
+   */
+  async issueStreamToken(req, res) {
+    // API key clients can send headers, and have no session to tie the token to
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'API keys authenticate streams with the Authorization header',
+      });
+    }
+
+    const { token, expiresAt } = authService.generateStreamToken(req.user, req.token.decoded);
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt: expiresAt.toISOString(),
+    });
+  }
+
+  /**
+   * Stream incident events as text/event-stream
+   * @route GET /api/stream/incidents
+   * @access Private (requires authentication)
+   */
+  async streamIncidents(req, res) {
+    const lastEventIdHeader = req.get('Last-Event-ID');
+    let lastEventId = null;
+
+    if (lastEventIdHeader !== undefined && lastEventIdHeader !== '') {
+      lastEventId = Number(lastEventIdHeader);
+
+      if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+        return res.status(400).json({
+          error: 'Invalid Last-Event-ID',
+          message: 'Last-Event-ID must be an event id received from this stream',
+        });
+      }
+    }
+
+    if (lastEventId === null) {
+      lastEventId = req.query.lastEventId;
+    }
+
+    try {
+      const { bounds, filters } = req.query;
+      const decoded = req.token?.decoded;
+
+      await this.stream.open(req, res, {
+        user: req.user,
+        bounds,
+        filters,
+        lastEventId,
+        sessionId: decoded?.sid || null,
+        expiresAt: decoded?.exp ? new Date(decoded.exp * 1000) : null,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'stream_incidents',
+        userId: req.user?.id,
+      });
+
+      if (!res.headersSent) {
+        return res.status(500).json({
+          error: 'Failed to open incident stream',
+          message: 'Unable to start streaming incident updates',
+        });
+      }
+
+      res.end();
+    }
+  }
+}
+
+module.exports = StreamController;
@@ -0,0 +1,652 @@
+/**
+ * ==================================================
+ * TWO-FACTOR CONTROLLER
+ * HTTP Request Handlers for TOTP Two-Factor Authentication
+ * ==================================================
+ *
+ * Handles enrolment, the code step of sign-in, recovery codes and the
+ * admin requirement for privileged roles. Every step is recorded in
+ * security_events.
+ *
+ * SIGN-IN FLOW:
+ * 1. POST /auth/login with the password returns a pre-auth token with
+ *    twoFactorRequired (or twoFactorSetupRequired) instead of tokens
+ * 2. POST /auth/2fa/verify with the pre-auth token and a TOTP or
+ *    recovery code returns the usual login response
+ * 3. For twoFactorSetupRequired, POST /auth/2fa/setup and
+ *    /auth/2fa/enable with the pre-auth token enrol the user and return
+ *    the login response along with the recovery codes
+ *
+ * Wrong codes count as failed logins, so the account lockout applies
+ * to the second factor as well as the password.
+ *
+ * ENDPOINT HANDLERS:
+ * - GET /auth/2fa: Two-factor status for the current user
+ * - POST /auth/2fa/setup: Start enrolment
+ * - POST /auth/2fa/enable: Confirm enrolment with a code
+ * - POST /auth/2fa/disable: Turn two-factor authentication off
+ * - POST /auth/2fa/recovery-codes: Replace recovery codes
+ * - POST /auth/2fa/verify: Finish a sign-in
+ * - GET /auth/2fa/policy: Role requirements (admin)
+ * - PUT /auth/2fa/policy: Require two-factor for a role (admin)
+ * - POST /auth/2fa/users/:userId/reset: Remove a user's two-factor (admin)
+ *
+ * DEPENDENCIES:
+ * - Two-factor service: TOTP, recovery codes and pre-auth tokens
+ * - Auth controller: Finishing sign-ins and security event logging
+ * - Authentication service: Pre-auth token blacklisting
+ * - Password service: Password checks and failed login tracking
+ * - Database connection: User lookups
+ * - Logger service: Security audit trails
+ *
+ * USAGE:
+ * const twoFactorController = new TwoFactorController();
+ * router.post('/2fa/verify', validateTwoFactorVerify, twoFactorController.verifyLogin);
+ */
+
+const authController = require('./auth');
+const authService = require('../services/auth');
+const passwordService = require('../services/password');
+const twoFactorService = require('../services/two-factor');
+const db = require('../db/connection');
+const logger = require('../services/logger');
+
+class TwoFactorController {
+  constructor() {
+    // Bind methods to preserve 'this' context
+    this.getStatus = this.getStatus.bind(this);
+    this.beginSetup = this.beginSetup.bind(this);
+    this.enable = this.enable.bind(this);
+    this.disable = this.disable.bind(this);
+    this.regenerateRecoveryCodes = this.regenerateRecoveryCodes.bind(this);
+    this.verifyLogin = this.verifyLogin.bind(this);
+    this.getPolicy = this.getPolicy.bind(this);
+    this.updatePolicy = this.updatePolicy.bind(this);
+    this.resetUser = this.resetUser.bind(this);
+  }
+
+  /**
+   * Two-factor status for the current user
+   * @route GET /api/auth/2fa
+   * @access Private
+   */
+  async getStatus(req, res) {
+    try {
+      const status = await twoFactorService.getStatus(req.user);
+
+      res.json({
+        success: true,
+        twoFactor: status,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_status',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor status failed',
+        message: 'Unable to load two-factor authentication status',
+      });
+    }
+  }
+
+  /**
+   * Start enrolment with a new secret
+   * @route POST /api/auth/2fa/setup
+   * @access Private, or a 'setup' pre-auth token from login
+   */
+  async beginSetup(req, res) {
+    try {
+      const enrolment = await this.resolveEnrolment(req, res);
+      if (!enrolment) return;
+
+      const { user } = enrolment;
+      const setup = await twoFactorService.beginEnrolment(user);
+
+      if (!setup) {
+        return res.status(409).json({
+          error: 'Two-factor already enabled',
+          message: 'Two-factor authentication is already turned on for this account',
+        });
+      }
+
+      await authController.logSecurityEvent(user.id, 'two_factor_enrollment_started', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code or enter the key in your authenticator app, then confirm with a code',
+        setup: {
+          secret: setup.secret,
+          otpauthUrl: setup.otpauthUrl,
+          qrCodeDataUrl: setup.qrCodeDataUrl,
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_setup',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor setup failed',
+        message: 'Unable to start two-factor authentication setup',
+      });
+    }
+  }
+
+  /**
+   * Confirm enrolment with a code from the new secret
+   * Signed-in users get their recovery codes. Users enrolling during
+   * login also get the login response, finishing the sign-in.
+   * @route POST /api/auth/2fa/enable
+   * @access Private, or a 'setup' pre-auth token from login
+   */
+  async enable(req, res) {
+    try {
+      const enrolment = await this.resolveEnrolment(req, res);
+      if (!enrolment) return;
+
+      const { user, preAuth } = enrolment;
+      const recoveryCodes = await twoFactorService.confirmEnrolment(user.id, req.body.code);
+
+      if (!recoveryCodes) {
+        await authController.logSecurityEvent(user.id, 'two_factor_failed', {
+          clientIP: req.ip,
+          userAgent: req.get('User-Agent'),
+          step: 'enable',
+        });
+
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'That code did not match. Check the time on your device and try a new code.',
+        });
+      }
+
+      logger.info(`🔐 Two-factor authentication enabled for ${user.username}`, {
+        userId: user.id,
+        clientIP: req.ip,
+      });
+
+      await authController.logSecurityEvent(user.id, 'two_factor_enabled', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      if (preAuth) {
+        await authService.invalidateToken(req.body.preAuthToken);
+
+        return authController.completeLogin(user, req, res, {
+          rememberMe: preAuth.rememberMe,
+          twoFactorMethod: 'totp',
+          extra: { recoveryCodes },
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication is on. Store your recovery codes somewhere safe.',
+        recoveryCodes,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_enable',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor setup failed',
+        message: 'Unable to turn on two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * Needs the password and a current code or recovery code.
+   * @route POST /api/auth/2fa/disable
+   * @access Private
+   */
+  async disable(req, res) {
+    try {
+      const user = req.user;
+      const { password, code, recoveryCode } = req.body;
+
+      if (await twoFactorService.isRequiredForRole(user.role)) {
+        return res.status(403).json({
+          error: 'Two-factor required',
+          message: `Two-factor authentication is required for the ${user.role} role`,
+        });
+      }
+
+      if (!await twoFactorService.isEnabled(user.id)) {
+        return res.status(400).json({
+          error: 'Two-factor not enabled',
+          message: 'Two-factor authentication is not turned on for this account',
+        });
+      }
+
+      const passwordResult = await db.query('SELECT password FROM users WHERE id = $1', [user.id]);
+      const isPasswordValid = await passwordService.verifyPassword(password, passwordResult.rows[0].password);
+
+      if (!isPasswordValid) {
+        logger.logSecurity('two_factor_disable_wrong_password', {
+          userId: user.id,
+        }, req);
+
+        return res.status(400).json({
+          error: 'Invalid password',
+          message: 'Password is incorrect',
+        });
+      }
+
+      const method = await this.checkSecondFactor(user.id, code, recoveryCode, req);
+      if (!method) {
+        await authController.logSecurityEvent(user.id, 'two_factor_failed', {
+          clientIP: req.ip,
+          userAgent: req.get('User-Agent'),
+          step: 'disable',
+        });
+
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The code is incorrect or has already been used',
+        });
+      }
+
+      await twoFactorService.disable(user.id);
+
+      logger.info(`🔓 Two-factor authentication disabled for ${user.username}`, {
+        userId: user.id,
+        clientIP: req.ip,
+      });
+
+      await authController.logSecurityEvent(user.id, 'two_factor_disabled', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+        method: method.type,
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication is off',
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_disable',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor update failed',
+        message: 'Unable to turn off two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * Replace all recovery codes
+   * @route POST /api/auth/2fa/recovery-codes
+   * @access Private
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = req.user;
+
+      if (!await twoFactorService.verifyCode(user.id, req.body.code)) {
+        await authController.logSecurityEvent(user.id, 'two_factor_failed', {
+          clientIP: req.ip,
+          userAgent: req.get('User-Agent'),
+          step: 'recovery_codes',
+        });
+
+        return res.status(400).json({
+          error: 'Invalid code',
+          message: 'The code is incorrect or has already been used',
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+
+      await authController.logSecurityEvent(user.id, 'recovery_codes_regenerated', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+
+      res.json({
+        success: true,
+        message: 'New recovery codes issued. The old codes no longer work.',
+        recoveryCodes,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_recovery_codes',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Recovery code generation failed',
+        message: 'Unable to issue new recovery codes',
+      });
+    }
+  }
+
+  /**
+   * Finish a sign-in with a TOTP or recovery code
+   * @route POST /api/auth/2fa/verify
+   * @access Public (requires a 'verify' pre-auth token)
+   */
+  async verifyLogin(req, res) {
+    try {
+      const { preAuthToken, code, recoveryCode } = req.body;
+      const preAuth = await this.checkPreAuthToken(preAuthToken, 'verify', req, res);
+      if (!preAuth) return;
+
+      const user = await this.loadActiveUser(preAuth.userId, res);
+      if (!user) return;
+
+      const method = await this.checkSecondFactor(user.id, code, recoveryCode, req);
+
+      if (!method) {
+        await authController.logSecurityEvent(user.id, 'two_factor_failed', {
+          clientIP: req.ip,
+          userAgent: req.get('User-Agent'),
+          step: 'login',
+        });
+
+        const lockoutStatus = await passwordService.recordFailedLogin(user.email, req.ip);
+        if (lockoutStatus.isLocked) {
+          await authService.invalidateToken(preAuthToken);
+
+          return res.status(423).json({
+            error: 'Account temporarily locked',
+            message: `Too many failed login attempts. Try again in ${process.env.LOCKOUT_TIME_MINUTES || 15} minutes.`,
+            lockoutExpiresAt: lockoutStatus.lockoutExpiresAt,
+            remainingAttempts: 0,
+            requiresLogin: true,
+          });
+        }
+
+        return res.status(401).json({
+          error: 'Invalid code',
+          message: 'The code is incorrect or has already been used',
+          remainingAttempts: lockoutStatus.remainingAttempts,
+        });
+      }
+
+      // Pre-auth tokens are single use
+      await authService.invalidateToken(preAuthToken);
+
+      await authController.logSecurityEvent(user.id, 'two_factor_verified', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+        method: method.type,
+      });
+
+      await authController.completeLogin(user, req, res, {
+        rememberMe: preAuth.rememberMe,
+        twoFactorMethod: method.type,
+        extra: method.type === 'recovery_code' ? { recoveryCodesRemaining: method.remaining } : {},
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_verify',
+      });
+
+      res.status(500).json({
+        error: 'Login failed',
+        message: 'An error occurred during login',
+      });
+    }
+  }
+
+  /**
+   * Two-factor requirement for each privileged role
+   * @route GET /api/auth/2fa/policy
+   * @access Private (admin only)
+   */
+  async getPolicy(req, res) {
+    try {
+      const roles = await twoFactorService.getRolePolicy();
+
+      res.json({
+        success: true,
+        roles,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_policy',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor policy failed',
+        message: 'Unable to load two-factor requirements',
+      });
+    }
+  }
+
+  /**
+   * Require (or stop requiring) two-factor authentication for a role
+   * Applies from each member's next sign-in.
+   * @route PUT /api/auth/2fa/policy
+   * @access Private (admin only)
+   */
+  async updatePolicy(req, res) {
+    try {
+      const { role, required } = req.body;
+      const previous = await twoFactorService.setRoleRequirement(role, required, req.user.id);
+
+      await authController.logSecurityEvent(req.user.id, 'two_factor_policy_changed', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+        role,
+        required,
+        previous,
+      });
+
+      const roles = await twoFactorService.getRolePolicy();
+
+      res.json({
+        success: true,
+        message: required
+          ? `Two-factor authentication is now required for ${role} accounts from their next sign-in`
+          : `Two-factor authentication is now optional for ${role} accounts`,
+        roles,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_policy_update',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor policy update failed',
+        message: 'Unable to update two-factor requirements',
+      });
+    }
+  }
+
+  /**
+   * Remove a user's two-factor enrolment, e.g. after a lost device
+   * If their role requires it they enrol again at their next sign-in.
+   * @route POST /api/auth/2fa/users/:userId/reset
+   * @access Private (admin only)
+   */
+  async resetUser(req, res) {
+    try {
+      const userId = parseInt(req.params.userId, 10);
+
+      if (!Number.isInteger(userId) || userId <= 0) {
+        return res.status(400).json({
+          error: 'Invalid user ID',
+          message: 'User ID must be a positive integer',
+        });
+      }
+
+      const userResult = await db.query('SELECT id, username FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'No user exists with that ID',
+        });
+      }
+
+      const removed = await twoFactorService.disable(userId);
+
+      logger.logSecurity('two_factor_reset_by_admin', {
+        adminId: req.user.id,
+        userId,
+        removed,
+      }, req);
+
+      if (removed) {
+        await authController.logSecurityEvent(userId, 'two_factor_disabled', {
+          clientIP: req.ip,
+          userAgent: req.get('User-Agent'),
+          resetBy: req.user.id,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: removed
+          ? `Two-factor authentication removed for ${userResult.rows[0].username}`
+          : `${userResult.rows[0].username} did not have two-factor authentication`,
+        userId,
+        removed,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'two_factor_admin_reset',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Two-factor reset failed',
+        message: 'Unable to reset two-factor authentication',
+      });
+    }
+  }
+
+  /**
+   * User enrolling, from the access token or a 'setup' pre-auth token
+   * Sends the error response and returns null when neither is valid.
+   * @private
+   */
+  async resolveEnrolment(req, res) {
+    if (req.user) {
+      return { user: req.user, preAuth: null };
+    }
+
+    if (!req.body.preAuthToken) {
+      res.status(401).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Authentication token is required',
+        code: 'MISSING_TOKEN',
+      });
+      return null;
+    }
+
+    const preAuth = await this.checkPreAuthToken(req.body.preAuthToken, 'setup', req, res);
+    if (!preAuth) return null;
+
+    const user = await this.loadActiveUser(preAuth.userId, res);
+    if (!user) return null;
+
+    return { user, preAuth };
+  }
+
+  /**
+   * Verifies a pre-auth token that has not been used yet
+   * Sends a 401 and returns null when it is invalid, expired or used.
+   * @private
+   */
+  async checkPreAuthToken(token, purpose, req, res) {
+    try {
+      const decoded = twoFactorService.verifyPreAuthToken(token, purpose);
+
+      if (await authService.isTokenBlacklisted(decoded.jti)) {
+        throw new Error('Invalid pre-auth token');
+      }
+
+      return decoded;
+
+    } catch (error) {
+      logger.logSecurity('invalid_pre_auth_token', {
+        purpose,
+        error: error.message,
+      }, req);
+
+      res.status(401).json({
+        error: 'Sign-in expired',
+        message: 'Your sign-in attempt has expired. Please log in again.',
+        requiresLogin: true,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Full user row for an active account
+   * Sends the error response and returns null otherwise.
+   * @private
+   */
+  async loadActiveUser(userId, res) {
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = result.rows[0];
+
+    if (!user || !user.is_active) {
+      res.status(403).json({
+        error: 'Account disabled',
+        message: 'Your account has been disabled. Please contact support.',
+      });
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Checks a TOTP code, or failing that a recovery code
+   * @private
+   * @returns {Promise<Object|null>} { type: 'totp' } or { type: 'recovery_code', remaining }
+   */
+  async checkSecondFactor(userId, code, recoveryCode, req) {
+    if (code) {
+      return await twoFactorService.verifyCode(userId, code) ? { type: 'totp' } : null;
+    }
+
+    if (recoveryCode) {
+      const used = await twoFactorService.consumeRecoveryCode(userId, recoveryCode);
+      if (!used) {
+        return null;
+      }
+
+      await authController.logSecurityEvent(userId, 'recovery_code_used', {
+        clientIP: req.ip,
+        userAgent: req.get('User-Agent'),
+        remaining: used.remaining,
+      });
+
+      return { type: 'recovery_code', remaining: used.remaining };
+    }
+
+    return null;
+  }
+}
+
+module.exports = TwoFactorController;
@@ -0,0 +1,261 @@
+/**
+ * ==================================================
+ * WATCH ZONE CONTROLLER
+ * HTTP Request Handlers for Saved Watch Zones
+ * ==================================================
+ *
+ * Manages the current user's saved watch zones. Alerts for incidents
+ * inside a zone are sent by the incident controller through
+ * WatchZoneService.notifyForIncident.
+ *
+ * ENDPOINT HANDLERS:
+ * - GET /watch-zones: List the user's zones
+ * - POST /watch-zones: Save a polygon or route corridor
+ * - GET /watch-zones/:id: Get one zone
+ * - PUT /watch-zones/:id: Update shape, buffer, filters or active flag
+ * - DELETE /watch-zones/:id: Delete a zone
+ *
+ * DEPENDENCIES:
+ * - WatchZoneService: Zone storage and matching
+ * - Logger: Request logging
+ *
+ * USAGE:
+ * const watchZoneController = new WatchZoneController();
+ * router.get('/', authenticateToken, watchZoneController.listZones);
+ */
+
+const logger = require('../services/logger');
+const WatchZoneService = require('../services/watch-zone');
+
+class WatchZoneController {
+  constructor(watchZoneService) {
+    this.watchZoneService = watchZoneService || new WatchZoneService();
+
+    // Bind methods to preserve 'this' context
+    this.listZones = this.listZones.bind(this);
+    this.getZone = this.getZone.bind(this);
+    this.createZone = this.createZone.bind(this);
+    this.updateZone = this.updateZone.bind(this);
+    this.deleteZone = this.deleteZone.bind(this);
+  }
+
+  /**
+   * List the current user's watch zones
+   * @route GET /api/watch-zones
+   * @access Private (requires authentication)
+   */
+  async listZones(req, res) {
+    try {
+      const zones = await this.watchZoneService.listZones(req.user.id);
+
+      res.json({
+        success: true,
+        zones,
+        total: zones.length,
+        limit: WatchZoneService.MAX_WATCH_ZONES_PER_USER,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_watch_zones',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve watch zones',
+        message: 'Unable to get your watch zones',
+      });
+    }
+  }
+
+  /**
+   * Get one of the current user's watch zones
+   * @route GET /api/watch-zones/:id
+   * @access Private (requires authentication)
+   */
+  async getZone(req, res) {
+    try {
+      const zoneId = parseInt(req.params.id);
+
+      if (!zoneId || isNaN(zoneId)) {
+        return res.status(400).json({
+          error: 'Invalid watch zone ID',
+          message: 'Watch zone ID must be a valid number',
+        });
+      }
+
+      const zone = await this.watchZoneService.getZone(zoneId, req.user.id);
+
+      res.json({
+        success: true,
+        zone,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_watch_zone',
+        userId: req.user?.id,
+        zoneId: req.params.id,
+      });
+
+      if (error.message.includes('Watch zone not found')) {
+        return res.status(404).json({
+          error: 'Watch zone not found',
+          message: 'The requested watch zone does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve watch zone',
+        message: 'Unable to get watch zone details',
+      });
+    }
+  }
+
+  /**
+   * Save a new watch zone
+   * @route POST /api/watch-zones
+   * @access Private (requires authentication)
+   */
+  async createZone(req, res) {
+    try {
+      const zone = await this.watchZoneService.createZone(req.user.id, req.body);
+
+      logger.info('WatchZoneController: Watch zone created', {
+        zoneId: zone.id,
+        userId: req.user.id,
+        zoneType: zone.zoneType,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Watch zone saved',
+        zone,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'create_watch_zone',
+        userId: req.user?.id,
+      });
+
+      if (error.message.includes('Watch zone limit reached')) {
+        return res.status(409).json({
+          error: 'Watch zone limit reached',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Invalid zone geometry')) {
+        return res.status(400).json({
+          error: 'Invalid geometry',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Watch zone creation failed',
+        message: 'Unable to save watch zone',
+      });
+    }
+  }
+
+  /**
+   * Update a watch zone
+   * @route PUT /api/watch-zones/:id
+   * @access Private (requires authentication)
+   */
+  async updateZone(req, res) {
+    try {
+      const zoneId = parseInt(req.params.id);
+
+      if (!zoneId || isNaN(zoneId)) {
+        return res.status(400).json({
+          error: 'Invalid watch zone ID',
+          message: 'Watch zone ID must be a valid number',
+        });
+      }
+
+      const zone = await this.watchZoneService.updateZone(zoneId, req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Watch zone updated',
+        zone,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_watch_zone',
+        userId: req.user?.id,
+        zoneId: req.params.id,
+      });
+
+      if (error.message.includes('Watch zone not found')) {
+        return res.status(404).json({
+          error: 'Watch zone not found',
+          message: 'The watch zone you are trying to update does not exist',
+        });
+      }
+
+      if (error.message.includes('Invalid zone geometry') || error.message.includes('Buffer only applies')) {
+        return res.status(400).json({
+          error: 'Invalid watch zone update',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Watch zone update failed',
+        message: 'Unable to update watch zone',
+      });
+    }
+  }
+
+  /**
+   * Delete a watch zone
+   * @route DELETE /api/watch-zones/:id
+   * @access Private (requires authentication)
+   */
+  async deleteZone(req, res) {
+    try {
+      const zoneId = parseInt(req.params.id);
+
+      if (!zoneId || isNaN(zoneId)) {
+        return res.status(400).json({
+          error: 'Invalid watch zone ID',
+          message: 'Watch zone ID must be a valid number',
+        });
+      }
+
+      await this.watchZoneService.deleteZone(zoneId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Watch zone deleted',
+        zoneId,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'delete_watch_zone',
+        userId: req.user?.id,
+        zoneId: req.params.id,
+      });
+
+      if (error.message.includes('Watch zone not found')) {
+        return res.status(404).json({
+          error: 'Watch zone not found',
+          message: 'The watch zone you are trying to delete does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Watch zone deletion failed',
+        message: 'Unable to delete watch zone',
+      });
+    }
+  }
+}
+
+module.exports = WatchZoneController;
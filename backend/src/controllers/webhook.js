@@ -0,0 +1,528 @@
+/**
+ * ==================================================
+ * WEBHOOK CONTROLLER
+ * HTTP Request Handlers for Outbound Webhooks
+ * ==================================================
+ *
+ * Admin management of partner webhook endpoints, their delivery logs
+ * and the dead-letter list. Deliveries are queued from the incident
+ * broadcasts and sent by WebhookDispatcher.
+ *
+ * ENDPOINT HANDLERS:
+ * - GET /webhooks: List endpoints
+ * - POST /webhooks: Register an endpoint (returns its signing secret once)
+ * - GET /webhooks/:id: Get one endpoint
+ * - PUT /webhooks/:id: Update URL, filters or active flag
+ * - DELETE /webhooks/:id: Delete an endpoint and its log
+ * - POST /webhooks/:id/rotate-secret: Issue a new signing secret
+ * - GET /webhooks/:id/deliveries: Endpoint delivery log
+ * - POST /webhooks/:id/dead-letters/replay: Requeue an endpoint's dead letters
+ * - GET /webhooks/dead-letters: Dead letters across endpoints
+ * - POST /webhooks/deliveries/:deliveryId/replay: Requeue one dead letter
+ *
+ * DEPENDENCIES:
+ * - WebhookService: Endpoint storage and delivery queue
+ * - WebhookDispatcher: Sends replayed deliveries straight away
+ * - Logger: Request logging
+ *
+ * USAGE:
+ * const webhookController = new WebhookController();
+ * router.get('/', authenticateToken, requireRole(['admin']), webhookController.listEndpoints);
+ */
+
+const logger = require('../services/logger');
+const WebhookService = require('../services/webhook');
+const { webhookDispatcher } = require('../services/webhook-dispatcher');
+
+class WebhookController {
+  constructor(webhookService, dispatcher) {
+    this.webhookService = webhookService || new WebhookService();
+    this.dispatcher = dispatcher || webhookDispatcher;
+
+    // Bind methods to preserve 'this' context
+    this.listEndpoints = this.listEndpoints.bind(this);
+    this.getEndpoint = this.getEndpoint.bind(this);
+    this.createEndpoint = this.createEndpoint.bind(this);
+    this.updateEndpoint = this.updateEndpoint.bind(this);
+    this.deleteEndpoint = this.deleteEndpoint.bind(this);
+    this.rotateSecret = this.rotateSecret.bind(this);
+    this.listDeliveries = this.listDeliveries.bind(this);
+    this.listDeadLetters = this.listDeadLetters.bind(this);
+    this.replayDelivery = this.replayDelivery.bind(this);
+    this.replayDeadLetters = this.replayDeadLetters.bind(this);
+  }
+
+  /**
+   * List webhook endpoints
+   * @route GET /api/webhooks
+   * @access Private (admin only)
+   */
+  async listEndpoints(req, res) {
+    try {
+      const endpoints = await this.webhookService.listEndpoints();
+
+      res.json({
+        success: true,
+        endpoints,
+        total: endpoints.length,
+        eventTypes: WebhookService.EVENT_TYPES,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_webhook_endpoints',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve webhooks',
+        message: 'Unable to get webhook endpoints',
+      });
+    }
+  }
+
+  /**
+   * Get one webhook endpoint
+   * @route GET /api/webhooks/:id
+   * @access Private (admin only)
+   */
+  async getEndpoint(req, res) {
+    try {
+      const endpointId = parseInt(req.params.id);
+
+      if (!endpointId || isNaN(endpointId)) {
+        return res.status(400).json({
+          error: 'Invalid webhook ID',
+          message: 'Webhook ID must be a valid number',
+        });
+      }
+
+      const endpoint = await this.webhookService.getEndpoint(endpointId);
+
+      res.json({
+        success: true,
+        endpoint,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_webhook_endpoint',
+        userId: req.user?.id,
+        endpointId: req.params.id,
+      });
+
+      if (error.message.includes('Webhook endpoint not found')) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The requested webhook endpoint does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve webhook',
+        message: 'Unable to get webhook endpoint details',
+      });
+    }
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @route POST /api/webhooks
+   * @access Private (admin only)
+   */
+  async createEndpoint(req, res) {
+    try {
+      const { endpoint, secret } = await this.webhookService.createEndpoint(req.user.id, req.body);
+
+      logger.logSecurity('webhook_endpoint_created', {
+        endpointId: endpoint.id,
+        url: endpoint.url,
+        userId: req.user.id,
+      }, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook registered. Store the signing secret now; it will not be shown again.',
+        endpoint,
+        secret,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'create_webhook_endpoint',
+        userId: req.user?.id,
+      });
+
+      if (error.message.includes('Webhook endpoint limit reached')) {
+        return res.status(409).json({
+          error: 'Webhook limit reached',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Invalid webhook area')) {
+        return res.status(400).json({
+          error: 'Invalid geometry',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Webhook creation failed',
+        message: 'Unable to register webhook endpoint',
+      });
+    }
+  }
+
+  /**
+   * Update a webhook endpoint
+   * @route PUT /api/webhooks/:id
+   * @access Private (admin only)
+   */
+  async updateEndpoint(req, res) {
+    try {
+      const endpointId = parseInt(req.params.id);
+
+      if (!endpointId || isNaN(endpointId)) {
+        return res.status(400).json({
+          error: 'Invalid webhook ID',
+          message: 'Webhook ID must be a valid number',
+        });
+      }
+
+      const endpoint = await this.webhookService.updateEndpoint(endpointId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Webhook updated',
+        endpoint,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_webhook_endpoint',
+        userId: req.user?.id,
+        endpointId: req.params.id,
+      });
+
+      if (error.message.includes('Webhook endpoint not found')) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The webhook endpoint you are trying to update does not exist',
+        });
+      }
+
+      if (error.message.includes('Invalid webhook area')) {
+        return res.status(400).json({
+          error: 'Invalid geometry',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Webhook update failed',
+        message: 'Unable to update webhook endpoint',
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint
+   * @route DELETE /api/webhooks/:id
+   * @access Private (admin only)
+   */
+  async deleteEndpoint(req, res) {
+    try {
+      const endpointId = parseInt(req.params.id);
+
+      if (!endpointId || isNaN(endpointId)) {
+        return res.status(400).json({
+          error: 'Invalid webhook ID',
+          message: 'Webhook ID must be a valid number',
+        });
+      }
+
+      await this.webhookService.deleteEndpoint(endpointId);
+
+      logger.logSecurity('webhook_endpoint_deleted', {
+        endpointId,
+        userId: req.user.id,
+      }, req);
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted',
+        endpointId,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'delete_webhook_endpoint',
+        userId: req.user?.id,
+        endpointId: req.params.id,
+      });
+
+      if (error.message.includes('Webhook endpoint not found')) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The webhook endpoint you are trying to delete does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Webhook deletion failed',
+        message: 'Unable to delete webhook endpoint',
+      });
+    }
+  }
+
+  /**
+   * Issue a new signing secret
+   * @route POST /api/webhooks/:id/rotate-secret
+   * @access Private (admin only)
+   */
+  async rotateSecret(req, res) {
+    try {
+      const endpointId = parseInt(req.params.id);
+
+      if (!endpointId || isNaN(endpointId)) {
+        return res.status(400).json({
+          error: 'Invalid webhook ID',
+          message: 'Webhook ID must be a valid number',
+        });
+      }
+
+      const { secret } = await this.webhookService.rotateSecret(endpointId);
+
+      logger.logSecurity('webhook_secret_rotated', {
+        endpointId,
+        userId: req.user.id,
+      }, req);
+
+      res.json({
+        success: true,
+        message: 'Signing secret rotated. Store it now; it will not be shown again.',
+        endpointId,
+        secret,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'rotate_webhook_secret',
+        userId: req.user?.id,
+        endpointId: req.params.id,
+      });
+
+      if (error.message.includes('Webhook endpoint not found')) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The requested webhook endpoint does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Secret rotation failed',
+        message: 'Unable to rotate webhook secret',
+      });
+    }
+  }
+
+  /**
+   * Delivery log for an endpoint
+   * @route GET /api/webhooks/:id/deliveries
+   * @access Private (admin only)
+   */
+  async listDeliveries(req, res) {
+    try {
+      const endpointId = parseInt(req.params.id);
+
+      if (!endpointId || isNaN(endpointId)) {
+        return res.status(400).json({
+          error: 'Invalid webhook ID',
+          message: 'Webhook ID must be a valid number',
+        });
+      }
+
+      const { status, limit, offset } = req.query;
+      const result = await this.webhookService.listDeliveries(endpointId, { status, limit, offset });
+
+      res.json({
+        success: true,
+        deliveries: result.deliveries,
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: offset + result.deliveries.length < result.total,
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_webhook_deliveries',
+        userId: req.user?.id,
+        endpointId: req.params.id,
+      });
+
+      if (error.message.includes('Webhook endpoint not found')) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The requested webhook endpoint does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve deliveries',
+        message: 'Unable to get webhook delivery log',
+      });
+    }
+  }
+
+  /**
+   * Dead letters across endpoints
+   * @route GET /api/webhooks/dead-letters
+   * @access Private (admin only)
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const { endpointId, limit, offset } = req.query;
+      const result = await this.webhookService.listDeadLetters({ endpointId, limit, offset });
+
+      res.json({
+        success: true,
+        deliveries: result.deliveries,
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          hasMore: offset + result.deliveries.length < result.total,
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_webhook_dead_letters',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Failed to retrieve dead letters',
+        message: 'Unable to get failed webhook deliveries',
+      });
+    }
+  }
+
+  /**
+   * Requeue one dead delivery
+   * @route POST /api/webhooks/deliveries/:deliveryId/replay
+   * @access Private (admin only)
+   */
+  async replayDelivery(req, res) {
+    try {
+      const deliveryId = parseInt(req.params.deliveryId);
+
+      if (!deliveryId || isNaN(deliveryId)) {
+        return res.status(400).json({
+          error: 'Invalid delivery ID',
+          message: 'Delivery ID must be a valid number',
+        });
+      }
+
+      const delivery = await this.webhookService.replayDelivery(deliveryId);
+      this.dispatcher.trigger();
+
+      logger.info('WebhookController: Dead delivery replayed', {
+        deliveryId,
+        userId: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: 'Delivery queued for another attempt',
+        delivery,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'replay_webhook_delivery',
+        userId: req.user?.id,
+        deliveryId: req.params.deliveryId,
+      });
+
+      if (error.message.includes('Webhook delivery not found')) {
+        return res.status(404).json({
+          error: 'Delivery not found',
+          message: 'The requested webhook delivery does not exist',
+        });
+      }
+
+      if (error.message.includes('Only dead deliveries can be replayed')) {
+        return res.status(409).json({
+          error: 'Delivery not dead',
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        error: 'Replay failed',
+        message: 'Unable to replay webhook delivery',
+      });
+    }
+  }
+
+  /**
+   * Requeue every dead delivery for an endpoint
+   * @route POST /api/webhooks/:id/dead-letters/replay
+   * @access Private (admin only)
+   */
+  async replayDeadLetters(req, res) {
+    try {
+      const endpointId = parseInt(req.params.id);
+
+      if (!endpointId || isNaN(endpointId)) {
+        return res.status(400).json({
+          error: 'Invalid webhook ID',
+          message: 'Webhook ID must be a valid number',
+        });
+      }
+
+      const result = await this.webhookService.replayDeadLetters(endpointId);
+      if (result.replayedCount > 0) {
+        this.dispatcher.trigger();
+      }
+
+      logger.info('WebhookController: Dead deliveries replayed', {
+        endpointId,
+        replayedCount: result.replayedCount,
+        userId: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: `${result.replayedCount} deliveries queued for another attempt`,
+        ...result,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'replay_webhook_dead_letters',
+        userId: req.user?.id,
+        endpointId: req.params.id,
+      });
+
+      if (error.message.includes('Webhook endpoint not found')) {
+        return res.status(404).json({
+          error: 'Webhook not found',
+          message: 'The requested webhook endpoint does not exist',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Replay failed',
+        message: 'Unable to replay dead deliveries',
+      });
+    }
+  }
+}
+
+module.exports = WebhookController;
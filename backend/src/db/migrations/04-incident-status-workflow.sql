@@ -0,0 +1,26 @@
+-- ==================================================
+-- INCIDENT STATUS WORKFLOW
+-- Lifecycle tracking for incident state transitions
+-- ==================================================
+--
+-- Adds acknowledgement columns to incidents and a per-incident
+-- history of every status transition (acknowledge, start work,
+-- resolve, false report, reopen).
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS acknowledged_by INTEGER REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS incident_status_history (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+    action VARCHAR(30) NOT NULL CHECK (action IN ('acknowledge', 'start_work', 'resolve', 'mark_false_report', 'reopen')),
+    from_status incident_status NOT NULL,
+    to_status incident_status NOT NULL,
+    changed_by INTEGER REFERENCES users(id) NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_status_history_incident ON incident_status_history(incident_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incident_status_history_changed_by ON incident_status_history(changed_by);
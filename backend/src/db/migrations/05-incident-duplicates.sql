@@ -0,0 +1,30 @@
+-- ==================================================
+-- INCIDENT DUPLICATE MERGING
+-- Canonical incidents for repeated reports of the same event
+-- ==================================================
+--
+-- Duplicates folded into a canonical incident keep their row (soft
+-- deleted) with a pointer to the canonical incident so old ids can be
+-- redirected. Each merge is recorded with the counts that were moved.
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES incidents(id),
+ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS merged_by INTEGER REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_incidents_merged_into ON incidents(merged_into_id) WHERE merged_into_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS incident_merges (
+    id SERIAL PRIMARY KEY,
+    canonical_incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+    merged_incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    merged_by INTEGER REFERENCES users(id) NOT NULL,
+    reports_moved INTEGER DEFAULT 0,
+    verifications_moved INTEGER DEFAULT 0,
+    views_moved INTEGER DEFAULT 0,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT incident_merges_distinct CHECK (canonical_incident_id != merged_incident_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_merges_canonical ON incident_merges(canonical_incident_id, created_at DESC);
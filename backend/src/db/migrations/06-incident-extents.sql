@@ -0,0 +1,25 @@
+-- ==================================================
+-- INCIDENT EXTENTS
+-- Optional line/area geometry for closures and work zones
+-- ==================================================
+--
+-- Road closures, detours, lane closures and construction cover a stretch
+-- of road or an area rather than a single point. The extent holds that
+-- LineString or Polygon; location stays the representative point used
+-- for markers, heatmaps and tiles. Spatial queries use
+-- COALESCE(extent, location) as the incident footprint.
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS extent GEOMETRY(GEOMETRY, 4326);
+
+ALTER TABLE incidents DROP CONSTRAINT IF EXISTS incidents_extent_check;
+ALTER TABLE incidents
+ADD CONSTRAINT incidents_extent_check CHECK (
+    extent IS NULL OR (
+        GeometryType(extent) IN ('LINESTRING', 'POLYGON')
+        AND ST_IsValid(extent)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_incidents_extent ON incidents USING GIST(extent) WHERE extent IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_incidents_footprint ON incidents USING GIST(COALESCE(extent, location));
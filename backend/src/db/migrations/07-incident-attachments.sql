@@ -0,0 +1,34 @@
+-- ==================================================
+-- INCIDENT ATTACHMENTS
+-- Photos and short videos uploaded with incident reports
+-- ==================================================
+--
+-- Files live in the configured storage backend (local disk or S3);
+-- rows record where they are and what was done to them. EXIF GPS is
+-- always stripped: only the distance between the photo's GPS position
+-- and the reported incident location is kept.
+
+CREATE TABLE IF NOT EXISTS incident_attachments (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id) NOT NULL,
+    storage_driver VARCHAR(20) NOT NULL,
+    storage_key TEXT NOT NULL,
+    thumbnail_key TEXT,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100) NOT NULL,
+    media_type VARCHAR(10) NOT NULL CHECK (media_type IN ('image', 'video')),
+    size_bytes BIGINT NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    gps_stripped BOOLEAN DEFAULT false,
+    gps_distance_meters NUMERIC(12, 2),
+    location_verified BOOLEAN,
+    is_deleted BOOLEAN DEFAULT false,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_attachments_incident ON incident_attachments(incident_id, created_at) WHERE is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_incident_attachments_uploaded_by ON incident_attachments(uploaded_by);
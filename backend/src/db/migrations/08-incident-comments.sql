@@ -0,0 +1,37 @@
+-- ==================================================
+-- INCIDENT COMMENTS
+-- Threaded discussion and internal moderator notes
+-- ==================================================
+--
+-- Comments form threads through parent_id. Internal notes are only
+-- visible to moderators and admins; replies inherit the visibility of
+-- the comment they answer. Deleted comments keep their row so replies
+-- stay attached to the thread.
+
+CREATE TABLE IF NOT EXISTS incident_comments (
+    id SERIAL PRIMARY KEY,
+    incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+    parent_id INTEGER REFERENCES incident_comments(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) NOT NULL,
+    body TEXT NOT NULL,
+    is_internal BOOLEAN DEFAULT false,
+    depth INTEGER DEFAULT 0,
+    edited_at TIMESTAMP WITH TIME ZONE,
+    is_deleted BOOLEAN DEFAULT false,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_comments_incident ON incident_comments(incident_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_incident_comments_parent ON incident_comments(parent_id) WHERE parent_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS incident_comment_mentions (
+    comment_id INTEGER REFERENCES incident_comments(id) ON DELETE CASCADE NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incident_comment_mentions_user ON incident_comment_mentions(user_id, created_at DESC);
@@ -0,0 +1,29 @@
+-- ==================================================
+-- WEIGHTED COMMUNITY VERIFICATION
+-- Reporter reputation and confirm-versus-dispute voting
+-- ==================================================
+--
+-- Every confirm, dispute or spam vote is stored in incident_reports
+-- with the voter's weight at the time of voting. Incidents keep the
+-- running weight totals; per-type thresholds decide when an incident
+-- is verified or automatically flagged as a false report. Users carry
+-- a reputation score (0-100, 50 = no track record) derived from how
+-- their settled reports and votes turned out.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS reputation_score INTEGER DEFAULT 50 CHECK (reputation_score BETWEEN 0 AND 100),
+ADD COLUMN IF NOT EXISTS reputation_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE incident_types
+ADD COLUMN IF NOT EXISTS verify_threshold NUMERIC(6, 2),
+ADD COLUMN IF NOT EXISTS dispute_threshold NUMERIC(6, 2),
+ADD COLUMN IF NOT EXISTS auto_flag_false_reports BOOLEAN DEFAULT true;
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS confirm_weight NUMERIC(8, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS dispute_weight NUMERIC(8, 2) DEFAULT 0;
+
+ALTER TABLE incident_reports
+ADD COLUMN IF NOT EXISTS weight NUMERIC(5, 2) DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_incident_reports_incident_type ON incident_reports(incident_id, report_type);
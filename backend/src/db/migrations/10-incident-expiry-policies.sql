@@ -0,0 +1,44 @@
+-- ==================================================
+-- INCIDENT EXPIRY POLICIES
+-- Per-type lifetimes, staleness and automatic expiry
+-- ==================================================
+--
+-- Each incident type carries a default lifetime (auto_expire_hours,
+-- NULL = lives until its end date or until resolved), the action taken
+-- when that lifetime ends (auto-resolve or expire) and how long an
+-- incident may go without a community confirmation before it is marked
+-- stale. Stale incidents that stay unconfirmed for another stale period
+-- are expired. The in-process expiry scheduler applies these rules.
+
+ALTER TABLE incident_types
+ADD COLUMN IF NOT EXISTS auto_expire_hours INTEGER,
+ADD COLUMN IF NOT EXISTS expiry_action VARCHAR(10) DEFAULT 'resolve' CHECK (expiry_action IN ('resolve', 'expire')),
+ADD COLUMN IF NOT EXISTS stale_after_hours INTEGER CHECK (stale_after_hours > 0);
+
+ALTER TABLE incidents
+ADD COLUMN IF NOT EXISTS last_confirmed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS stale_at TIMESTAMP WITH TIME ZONE;
+
+-- Automatic resolutions are recorded without a user
+ALTER TABLE incident_status_history ALTER COLUMN changed_by DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_incidents_expires_at ON incidents(expires_at) WHERE expires_at IS NOT NULL AND is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_incidents_open_last_confirmed ON incidents(COALESCE(last_confirmed_at, created_at)) WHERE status IN ('active', 'in_progress') AND is_deleted = false;
+
+-- Default policies for the seeded incident types. Short-lived events
+-- go stale quickly; construction, infrastructure and traffic control
+-- incidents never go stale.
+UPDATE incident_types SET auto_expire_hours = 2 WHERE name = 'Stalled Vehicle';
+UPDATE incident_types SET auto_expire_hours = NULL WHERE name IN ('Road Construction', 'Construction');
+
+UPDATE incident_types SET stale_after_hours = 2
+WHERE stale_after_hours IS NULL AND name IN (
+    'Accident', 'Vehicle Collision', 'Vehicle Breakdown', 'Pedestrian Incident', 'Stalled Vehicle',
+    'Debris', 'Debris on Road', 'Animal Crossing', 'Animal on Roadway', 'Traffic Jam',
+    'Emergency Services', 'Police Activity', 'Fire Department Activity', 'Medical Emergency'
+);
+
+UPDATE incident_types SET stale_after_hours = 6
+WHERE stale_after_hours IS NULL AND name IN (
+    'Flooding', 'Ice/Snow', 'Ice/Snow Conditions', 'Poor Visibility'
+);
@@ -0,0 +1,44 @@
+-- ==================================================
+-- WATCH ZONES AND NOTIFICATIONS
+-- Saved geofences with stored in-app alerts
+-- ==================================================
+--
+-- A watch zone is a polygon, or a corridor built by buffering a route
+-- LineString, saved by a user with optional incident type and minimum
+-- severity filters. Incidents created or updated inside an active zone
+-- notify its owner. Notifications are stored so users who were offline
+-- still see them.
+
+CREATE TABLE IF NOT EXISTS watch_zones (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    zone_type VARCHAR(10) NOT NULL CHECK (zone_type IN ('polygon', 'corridor')),
+    route GEOMETRY(LINESTRING, 4326),
+    buffer_meters INTEGER CHECK (buffer_meters BETWEEN 10 AND 5000),
+    geometry GEOMETRY(GEOMETRY, 4326) NOT NULL,
+    type_ids INTEGER[],
+    min_severity INTEGER DEFAULT 1 CHECK (min_severity BETWEEN 1 AND 5),
+    is_active BOOLEAN DEFAULT true,
+    last_triggered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT watch_zones_corridor_route CHECK ((zone_type = 'corridor') = (route IS NOT NULL AND buffer_meters IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_watch_zones_geometry ON watch_zones USING GIST(geometry) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_watch_zones_user ON watch_zones(user_id);
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    message TEXT NOT NULL,
+    incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE,
+    data JSONB DEFAULT '{}'::jsonb,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
@@ -0,0 +1,13 @@
+-- ==================================================
+-- NOTIFICATION PREFERENCES
+-- Per-user opt-outs for in-app notification types
+-- ==================================================
+--
+-- Users without a row receive every notification type. Disabled types
+-- are neither stored nor pushed over the socket.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    disabled_types TEXT[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,17 @@
+-- ==================================================
+-- SOCKET.IO CLUSTER ATTACHMENTS
+-- Large cluster messages for the Postgres socket adapter
+-- ==================================================
+--
+-- With SOCKET_ADAPTER=postgres, backend instances exchange Socket.IO
+-- broadcasts over LISTEN/NOTIFY. NOTIFY payloads are limited to 8000
+-- bytes, so larger messages are stored here and sent by ID. Rows are
+-- only needed for a few seconds and are deleted by the adapter.
+
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL PRIMARY KEY,
+    payload TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_socket_io_attachments_created ON socket_io_attachments(created_at);
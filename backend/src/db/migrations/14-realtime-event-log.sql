@@ -0,0 +1,23 @@
+-- ==================================================
+-- REAL-TIME EVENT LOG
+-- Sequenced incident broadcasts for reconnect replay
+-- ==================================================
+--
+-- Every incident broadcast is stored with a sequence number before it
+-- is emitted. A client that reconnects sends the last sequence it saw
+-- and receives the events it missed for its subscribed areas. The
+-- sequence comes from the database so it stays monotonic across
+-- clustered backend instances. Rows older than the retention window
+-- are pruned; clients further behind than that do a full resync.
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+    seq BIGSERIAL PRIMARY KEY,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    incident_id INTEGER,
+    rooms TEXT[],
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created ON realtime_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_realtime_events_rooms ON realtime_events USING GIN(rooms);
@@ -0,0 +1,52 @@
+-- ==================================================
+-- OUTBOUND WEBHOOKS
+-- Admin-managed incident event subscriptions for partner systems
+-- ==================================================
+--
+-- Each endpoint receives signed POSTs for the incident events it
+-- subscribes to, optionally limited to an area polygon, incident types
+-- and a minimum severity. Every event sent to an endpoint is a delivery
+-- row: failed attempts are retried with exponential backoff, and a
+-- delivery that runs out of attempts is parked as 'dead' until an admin
+-- replays it. The deliveries table doubles as each endpoint's log.
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    url TEXT NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    event_types TEXT[],
+    type_ids INTEGER[],
+    min_severity INTEGER DEFAULT 1 CHECK (min_severity BETWEEN 1 AND 5),
+    area GEOMETRY(POLYGON, 4326),
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_success_at TIMESTAMP WITH TIME ZONE,
+    last_failure_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_area ON webhook_endpoints USING GIST(area) WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    endpoint_id INTEGER REFERENCES webhook_endpoints(id) ON DELETE CASCADE NOT NULL,
+    event_id UUID NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    incident_id INTEGER,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    response_status INTEGER,
+    last_error TEXT,
+    duration_ms INTEGER,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_dead ON webhook_deliveries(created_at DESC) WHERE status = 'dead';
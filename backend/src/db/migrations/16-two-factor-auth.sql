@@ -0,0 +1,62 @@
+-- ==================================================
+-- TWO-FACTOR AUTHENTICATION
+-- TOTP (RFC 6238) second factor with single-use recovery codes
+-- ==================================================
+--
+-- A user's authenticator secret is stored encrypted, since it must be
+-- read back to check codes. Enrolment writes the secret with
+-- is_enabled = false; it only takes effect once the user confirms a
+-- code from their app. last_used_step stops a code from being accepted
+-- twice within its 30 second window.
+--
+-- Recovery codes are stored as SHA-256 hashes and marked used rather
+-- than deleted, so the security log can show when each was spent.
+--
+-- Admins can require two-factor authentication per privileged role;
+-- members of a required role are sent through enrolment at their next
+-- sign-in and cannot turn it off.
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    is_enabled BOOLEAN NOT NULL DEFAULT false,
+    last_used_step BIGINT,
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id) WHERE used_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS two_factor_role_requirements (
+    role user_role PRIMARY KEY CHECK (role IN ('admin', 'moderator')),
+    is_required BOOLEAN NOT NULL DEFAULT false,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO two_factor_role_requirements (role, is_required)
+VALUES ('admin', false), ('moderator', false)
+ON CONFLICT (role) DO NOTHING;
+
+-- Security log entries for each two-factor step
+ALTER TABLE security_events DROP CONSTRAINT IF EXISTS security_events_type_check;
+ALTER TABLE security_events ADD CONSTRAINT security_events_type_check CHECK (
+    event_type IN (
+        'login_success', 'login_failed', 'logout', 'password_changed',
+        'password_reset_requested', 'password_reset_completed',
+        'email_verified', 'account_locked', 'account_unlocked',
+        'suspicious_activity', 'token_refresh', 'unauthorized_access',
+        'two_factor_enrollment_started', 'two_factor_enabled', 'two_factor_disabled',
+        'two_factor_challenge', 'two_factor_verified', 'two_factor_failed',
+        'recovery_code_used', 'recovery_codes_regenerated', 'two_factor_policy_changed'
+    )
+);
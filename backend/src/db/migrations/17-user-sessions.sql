@@ -0,0 +1,31 @@
+-- ==================================================
+-- USER SESSIONS
+-- One session per sign-in, tied to its refresh token
+-- ==================================================
+--
+-- user_refresh_tokens allowed a single row per user, so signing in on
+-- a second device silently signed out the first. Each sign-in now
+-- gets a user_sessions row and its own refresh token; access tokens
+-- carry the session ID (sid claim), so revoking a session rejects
+-- its access tokens immediately rather than at expiry.
+--
+-- Revoked sessions are kept (is_active = false) with the time and
+-- reason, and their refresh tokens are deleted.
+
+ALTER TABLE user_refresh_tokens DROP CONSTRAINT IF EXISTS user_refresh_tokens_user_id_key;
+ALTER TABLE user_refresh_tokens ADD COLUMN IF NOT EXISTS session_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_session_id ON user_refresh_tokens(session_id);
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS device VARCHAR(100);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+
+-- Existing refresh tokens become sessions so they show up and can be revoked
+INSERT INTO user_sessions (user_id, session_id, device, created_at, last_activity, expires_at)
+SELECT user_id, token_id, 'Unknown device', created_at, created_at, expires_at
+FROM user_refresh_tokens
+WHERE session_id IS NULL
+ON CONFLICT (session_id) DO NOTHING;
+
+UPDATE user_refresh_tokens SET session_id = token_id WHERE session_id IS NULL;
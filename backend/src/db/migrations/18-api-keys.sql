@@ -0,0 +1,44 @@
+-- ==================================================
+-- API KEYS & SERVICE ACCOUNTS
+-- Long-lived credentials for scripts and partner systems
+-- ==================================================
+--
+-- Machine clients authenticate with "Authorization: ApiKey <key>"
+-- instead of signing in. Only a SHA-256 hash of each key is stored;
+-- the key itself is shown once when it is created. key_prefix keeps
+-- the first characters so users can tell their keys apart.
+--
+-- Scopes limit a key to part of the API (incidents:read,
+-- incidents:write, analysis:read) on top of its owner's role. A NULL
+-- rate_limit_per_minute uses the server default.
+--
+-- Service accounts are users with no password. They cannot sign in
+-- and only act through API keys an admin issues for them.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_service_account BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_password_required_check;
+ALTER TABLE users ADD CONSTRAINT users_password_required_check
+    CHECK (is_service_account OR password IS NOT NULL);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    rate_limit_per_minute INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip INET,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT api_keys_scopes_check CHECK (cardinality(scopes) > 0),
+    CONSTRAINT api_keys_rate_limit_check CHECK (rate_limit_per_minute IS NULL OR rate_limit_per_minute > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_users_service_accounts ON users(id) WHERE is_service_account = true;
@@ -0,0 +1,38 @@
+-- ==================================================
+-- ROLE PERMISSIONS
+-- Named permissions bundled per role
+-- ==================================================
+--
+-- Routes and services check named permissions instead of role names,
+-- and each role's bundle is stored here so admins can change what
+-- moderators and users may do without a deploy.
+--
+-- Permissions:
+--   verify               acknowledge, start work on, mark false and merge incidents
+--   resolve              resolve or reopen any incident
+--   delete-any           edit or delete any incident, comment or attachment
+--   view-internal-notes  read and write internal moderator notes
+--   export               download incident exports
+--   manage-users         list users and change their role or status
+--   manage-types         change incident type rules and run expiry
+--   import               bulk import incidents
+--   view-analytics       predictive models and analysis service metrics
+--
+-- The admin bundle always holds every permission and cannot be edited,
+-- so admins cannot lock themselves out. The defaults below match the
+-- role checks they replace, plus edit/delete of any incident for
+-- moderators.
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(50) PRIMARY KEY,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO role_permissions (role, permissions, description) VALUES
+    ('user', ARRAY['export'], 'Community members who report and verify incidents'),
+    ('moderator', ARRAY['export', 'verify', 'resolve', 'delete-any', 'view-internal-notes'], 'Staff who triage and moderate incidents'),
+    ('admin', ARRAY['verify', 'resolve', 'delete-any', 'view-internal-notes', 'export', 'manage-users', 'manage-types', 'import', 'view-analytics'], 'Full access')
+ON CONFLICT (role) DO NOTHING;
@@ -38,6 +38,15 @@ require('dotenv').config();
 const logger = require('../../services/logger');
 const db = require('../connection');
 
+// Hours without a community confirmation before an incident goes stale.
+// Categories not listed (construction, infrastructure, control) never go stale.
+const STALE_AFTER_HOURS_BY_CATEGORY = {
+  accident: 2,
+  hazard: 2,
+  emergency: 2,
+  weather: 6,
+};
+
 class IncidentTypeSeeder {
   constructor() {
     this.db = db;
@@ -284,7 +293,7 @@ class IncidentTypeSeeder {
         icon: 'stalled',
         color: '#ff6666',
         requires_verification: false,
-        auto_expire_hours: 1,
+        auto_expire_hours: 2,
       },
     ];
   }
@@ -348,9 +357,9 @@ class IncidentTypeSeeder {
         INSERT INTO incident_types (
           name, category, description, severity_range, 
           default_severity, icon, color, requires_verification, 
-          auto_expire_hours, created_at
+          auto_expire_hours, expiry_action, stale_after_hours, created_at
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP
         ) RETURNING id, name
       `;
 
@@ -368,6 +377,8 @@ class IncidentTypeSeeder {
             incidentType.color,
             incidentType.requires_verification,
             incidentType.auto_expire_hours,
+            incidentType.expiry_action || 'resolve',
+            STALE_AFTER_HOURS_BY_CATEGORY[incidentType.category] || null,
           ]);
 
           insertedCount++;
@@ -8,8 +8,12 @@
  * in the GIS-NET application. It includes:
  * 
  * MIDDLEWARE FUNCTIONS:
- * - authenticateToken: Verifies JWT tokens from Authorization header
+ * - authenticateToken: Verifies JWT tokens or API keys from Authorization header
+ * - authenticateStream: Accepts a stream token in the query string (for
+ *   EventSource), otherwise falls back to authenticateToken
  * - requireRole: Enforces role-based access control (RBAC)
+ * - requirePermission: Requires a named permission from the user's role bundle
+ * - requireOwnershipOrPermission: Own resources, or anyone's with a permission
  * - optionalAuth: Provides optional authentication for public endpoints
  * - requireVerifiedEmail: Ensures user has verified their email
  * - requireActiveAccount: Checks if user account is active
@@ -19,21 +23,49 @@
  * - Comprehensive error handling with security logging
  * - Rate limiting integration for failed attempts
  * - User context injection for downstream handlers
+ * - Rejects access tokens whose session was revoked and records session activity
+ * - API key authentication ("Authorization: ApiKey <key>") with scope checks
+ *   and per-key rate limits
  * - Flexible role hierarchy enforcement
  * 
  * DEPENDENCIES:
  * - Authentication service: Token verification and user validation
  * - Logger service: Security event tracking
  * - Database connection: User data retrieval
+ * - Session service: Session activity tracking
+ * - API key service: Key lookup, scopes and usage tracking
+ * - Permission service: Role permission bundles
  * 
  * USAGE:
  * app.use('/api/incidents', authenticateToken, incidentRoutes);
  * app.use('/api/admin', requireRole(['admin']), adminRoutes);
+ * router.post('/:id/merge', authenticateToken, requirePermission(PERMISSIONS.VERIFY), handler);
  */
 
 const authService = require('../services/auth');
 const db = require('../db/connection');
 const logger = require('../services/logger');
+const sessionService = require('../services/session');
+const apiKeyService = require('../services/api-key');
+const permissionService = require('../services/permission');
+const rateLimit = require('express-rate-limit');
+
+const { ApiKeyService } = apiKeyService;
+
+// Requests per minute for each API key, counted per key rather than per IP
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  message: {
+    error: 'API key rate limit exceeded, please slow down.',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return `api-key:${req.apiKey.id}`;
+  },
+});
 
 /**
  * Extracts Bearer token from Authorization header
@@ -56,7 +88,134 @@ function extractTokenFromHeader(req) {
 }
 
 /**
- * Main authentication middleware - verifies JWT tokens
+ * Extracts an API key from an "ApiKey <key>" Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key or null if not found
+ */
+function extractApiKeyFromHeader(req) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return null;
+  }
+
+  const parts = authHeader.split(' ');
+  if (parts.length !== 2 || parts[0] !== 'ApiKey') {
+    return null;
+  }
+
+  return parts[1];
+}
+
+/**
+ * Authenticates a request made with an API key
+ * The key must carry the scope for the route; routes outside the
+ * incidents, stream and analysis APIs refuse keys altogether.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} rawKey - Key from the Authorization header
+ */
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  // Routers that authenticate at mount and per route see the key twice
+  if (req.apiKey) {
+    return next();
+  }
+
+  const requiredScope = ApiKeyService.scopeForRequest(req);
+
+  if (!requiredScope) {
+    logger.logSecurity('api_key_route_denied', {
+      endpoint: req.originalUrl,
+      method: req.method,
+    }, req);
+
+    return res.status(403).json({
+      success: false,
+      error: 'API keys not accepted',
+      message: 'This endpoint requires signing in; API keys cannot be used here',
+      code: 'API_KEY_NOT_ALLOWED',
+    });
+  }
+
+  let apiKey;
+  let user;
+
+  try {
+    ({ apiKey, user } = await apiKeyService.authenticate(rawKey));
+  } catch (error) {
+    logger.logSecurity('api_key_authentication_failed', {
+      error: error.message,
+      endpoint: req.path,
+      method: req.method,
+    }, req);
+
+    if (error.message === 'API key expired') {
+      return res.status(401).json({
+        success: false,
+        error: 'API key expired',
+        message: 'This API key has expired. Create a new one.',
+        code: 'API_KEY_EXPIRED',
+      });
+    }
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key',
+      message: 'API key is invalid or has been revoked',
+      code: 'INVALID_API_KEY',
+    });
+  }
+
+  if (!user.is_active) {
+    logger.logSecurity('inactive_account_access', {
+      userId: user.id,
+      username: user.username,
+      apiKeyId: apiKey.id,
+    }, req);
+
+    return res.status(401).json({
+      success: false,
+      error: 'Access denied',
+      message: 'Account has been deactivated',
+      code: 'ACCOUNT_INACTIVE',
+    });
+  }
+
+  if (!apiKey.scopes.includes(requiredScope)) {
+    logger.logSecurity('api_key_insufficient_scope', {
+      userId: user.id,
+      apiKeyId: apiKey.id,
+      requiredScope,
+      endpoint: req.path,
+    }, req);
+
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: `This API key needs the ${requiredScope} scope`,
+      code: 'INSUFFICIENT_SCOPE',
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+
+  apiKeyService.recordUsage(apiKey.id, req.ip)
+    .catch(error => logger.error('Failed to record API key usage:', error.message));
+
+  logger.debug(`✅ API key authenticated: ${user.username} (${apiKey.name})`, {
+    userId: user.id,
+    apiKeyId: apiKey.id,
+    endpoint: req.path,
+  });
+
+  apiKeyLimiter(req, res, next);
+};
+
+/**
+ * Main authentication middleware - verifies JWT tokens or API keys
  * Attaches user object to req.user for downstream middleware
  * 
  * @param {Object} req - Express request object
@@ -64,6 +223,11 @@ function extractTokenFromHeader(req) {
  * @param {Function} next - Express next middleware function
  */
 const authenticateToken = async (req, res, next) => {
+  const apiKey = extractApiKeyFromHeader(req);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
   try {
     // Extract token from Authorization header
     const token = extractTokenFromHeader(req);
@@ -133,6 +297,11 @@ const authenticateToken = async (req, res, next) => {
     db.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [user.id])
       .catch(error => logger.error('Failed to update last_login:', error.message));
 
+    if (decoded.sid) {
+      sessionService.touch(decoded.sid, req.ip)
+        .catch(error => logger.error('Failed to update session activity:', error.message));
+    }
+
     logger.debug(`✅ User authenticated: ${user.username} (${user.role})`, {
       userId: user.id,
       role: user.role,
@@ -158,6 +327,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (error.message === 'Session has been revoked') {
+      return res.status(401).json({
+        success: false,
+        error: 'Session ended',
+        message: 'This session was signed out. Please log in again.',
+        code: 'SESSION_REVOKED',
+      });
+    }
+
     if (error.message === 'Invalid token') {
       return res.status(401).json({
         success: false,
@@ -176,6 +354,74 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream authentication middleware
+ * EventSource cannot set an Authorization header, so SSE clients pass a
+ * short-lived stream token (POST /api/stream/token) as ?token=. Requests
+ * without one are authenticated like any other API request.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticateStream = async (req, res, next) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+  if (!token) {
+    return authenticateToken(req, res, next);
+  }
+
+  let decoded;
+  try {
+    decoded = await authService.verifyStreamToken(token);
+  } catch (error) {
+    logger.logSecurity('stream_authentication_failed', {
+      error: error.message,
+      endpoint: req.path,
+    }, req);
+
+    if (error.message === 'Token expired') {
+      return res.status(401).json({
+        success: false,
+        error: 'Token expired',
+        message: 'Request a new stream token and reconnect',
+        code: 'TOKEN_EXPIRED',
+      });
+    }
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token',
+      message: 'Stream token is invalid or its session has ended',
+      code: 'INVALID_STREAM_TOKEN',
+    });
+  }
+
+  const userResult = await db.query(
+    'SELECT id, username, email, role, first_name, last_name, is_active, email_verified, last_login FROM users WHERE id = $1',
+    [decoded.userId]
+  );
+  const user = userResult.rows[0];
+
+  if (!user || !user.is_active) {
+    logger.logSecurity('inactive_account_access', { userId: decoded.userId }, req);
+
+    return res.status(401).json({
+      success: false,
+      error: 'Access denied',
+      message: 'Account has been deactivated',
+      code: 'ACCOUNT_INACTIVE',
+    });
+  }
+
+  req.user = user;
+  req.token = {
+    raw: token,
+    decoded: decoded,
+  };
+
+  next();
+};
+
 /**
  * Optional authentication middleware - doesn't fail if no token provided
  * Useful for endpoints that work for both authenticated and anonymous users
@@ -353,14 +599,64 @@ const requireActiveAccount = (req, res, next) => {
 };
 
 /**
- * Middleware to check if user owns a resource or is admin/moderator
- * Useful for endpoints where users can only modify their own data
- * 
+ * Permission-based authorization middleware factory
+ * Creates middleware that requires the user's role to hold a permission
+ *
+ * @param {string} permission - Permission name (see PermissionService.PERMISSIONS)
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      logger.logSecurity('authorization_no_user', {
+        requiredPermission: permission,
+        endpoint: req.path,
+      }, req);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'You must be logged in to access this resource',
+        code: 'AUTH_REQUIRED',
+      });
+    }
+
+    if (!await permissionService.hasPermission(req.user, permission)) {
+      logger.logSecurity('authorization_missing_permission', {
+        userId: req.user.id,
+        userRole: req.user.role,
+        requiredPermission: permission,
+        endpoint: req.path,
+      }, req);
+
+      return res.status(403).json({
+        success: false,
+        error: 'Permission denied',
+        message: `Access denied. Required permission: ${permission}`,
+        code: 'INSUFFICIENT_PERMISSION',
+      });
+    }
+
+    logger.debug(`✅ Permission check passed: ${permission}`, {
+      userId: req.user.id,
+      userRole: req.user.role,
+      endpoint: req.path,
+    });
+
+    next();
+  };
+};
+
+/**
+ * Middleware to check if user owns a resource or holds a permission
+ * Useful for endpoints where users can only access their own data
+ *
+ * @param {string} permission - Permission that grants access to anyone's resource
  * @param {string} resourceUserIdField - Field name in req.params that contains the user ID
  * @returns {Function} Express middleware function
  */
-const requireOwnershipOrRole = (resourceUserIdField = 'userId') => {
-  return (req, res, next) => {
+const requireOwnershipOrPermission = (permission, resourceUserIdField = 'userId') => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -371,12 +667,12 @@ const requireOwnershipOrRole = (resourceUserIdField = 'userId') => {
 
     const resourceUserId = parseInt(req.params[resourceUserIdField]);
     const isOwner = req.user.id === resourceUserId;
-    const isAdminOrMod = ['admin', 'moderator'].includes(req.user.role);
 
-    if (!isOwner && !isAdminOrMod) {
+    if (!isOwner && !await permissionService.hasPermission(req.user, permission)) {
       logger.logSecurity('ownership_violation', {
         userId: req.user.id,
         resourceUserId: resourceUserId,
+        requiredPermission: permission,
         endpoint: req.path,
       }, req);
       
@@ -394,9 +690,11 @@ const requireOwnershipOrRole = (resourceUserIdField = 'userId') => {
 
 module.exports = {
   authenticateToken,
+  authenticateStream,
   optionalAuth,
   requireRole,
   requireVerifiedEmail,
   requireActiveAccount,
-  requireOwnershipOrRole,
+  requirePermission,
+  requireOwnershipOrPermission,
 };
@@ -0,0 +1,118 @@
+/**
+ * ==================================================
+ * ATTACHMENT UPLOAD MIDDLEWARE
+ * Multipart Handling for Incident Photos and Videos
+ * ==================================================
+ *
+ * Parses multipart/form-data requests with multer, keeping files in
+ * memory so they can be inspected and sanitised before anything is
+ * written to storage. JSON requests pass through untouched, which lets
+ * POST /api/incidents accept both plain JSON and multipart reports.
+ *
+ * FEATURES:
+ * - Upload size and file count limits (413 / 400 responses)
+ * - File type check against detected contents, not the declared MIME type
+ * - JSON-encoded form fields (e.g. extent) decoded for Joi validation
+ *
+ * DEPENDENCIES:
+ * - multer: Multipart parsing
+ * - AttachmentService: Type and size rules
+ *
+ * USAGE:
+ * router.post('/', authenticateToken, handleAttachmentUpload(), validateIncidentCreation, handler);
+ */
+
+const multer = require('multer');
+const AttachmentService = require('../services/attachment');
+const logger = require('../services/logger');
+
+// Form fields that carry JSON values in multipart requests
+const JSON_FORM_FIELDS = ['extent'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AttachmentService.MAX_UPLOAD_SIZE,
+    files: AttachmentService.MAX_ATTACHMENTS_PER_INCIDENT,
+    fields: 50,
+  },
+});
+
+/**
+ * Create middleware that accepts attachments on a multipart field
+ * @param {string} fieldName - Form field holding the files
+ * @param {Object} options - { required: reject requests without files }
+ * @returns {Function} Express middleware
+ */
+const handleAttachmentUpload = (fieldName = 'attachments', { required = false } = {}) => {
+  const parse = upload.array(fieldName, AttachmentService.MAX_ATTACHMENTS_PER_INCIDENT);
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      if (required) {
+        return res.status(400).json({
+          error: 'No files uploaded',
+          message: `Send files as multipart/form-data in the "${fieldName}" field`,
+        });
+      }
+      return next();
+    }
+
+    parse(req, res, (error) => {
+      if (error) {
+        logger.warn('Upload: Multipart upload rejected', {
+          userId: req.user?.id,
+          code: error.code,
+          message: error.message,
+        });
+
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge ? 'File too large' : 'Invalid upload',
+          message: tooLarge
+            ? `Files cannot exceed ${Math.round(AttachmentService.MAX_UPLOAD_SIZE / 1024 / 1024)}MB`
+            : error.message,
+        });
+      }
+
+      req.files = req.files || [];
+
+      if (required && req.files.length === 0) {
+        return res.status(400).json({
+          error: 'No files uploaded',
+          message: `Attach at least one file in the "${fieldName}" field`,
+        });
+      }
+
+      try {
+        req.files.forEach(file => AttachmentService.validateFile(file));
+      } catch (validationError) {
+        const tooLarge = validationError.message.includes('File too large');
+        return res.status(tooLarge ? 413 : 415).json({
+          error: tooLarge ? 'File too large' : 'Unsupported file type',
+          message: validationError.message,
+        });
+      }
+
+      // Multipart fields arrive as strings; decode the JSON ones for Joi
+      for (const field of JSON_FORM_FIELDS) {
+        if (typeof req.body[field] === 'string' && req.body[field] !== '') {
+          try {
+            req.body[field] = JSON.parse(req.body[field]);
+          } catch (parseError) {
+            return res.status(400).json({
+              error: 'Invalid form field',
+              message: `${field} must be valid JSON`,
+            });
+          }
+        }
+      }
+
+      next();
+    });
+  };
+};
+
+module.exports = {
+  handleAttachmentUpload,
+};
@@ -16,7 +16,13 @@ const hotspotSchema = Joi.object({
   north: Joi.number().min(-90).max(90).optional(),
   south: Joi.number().min(-90).max(90).optional(),
   east: Joi.number().min(-180).max(180).optional(),
-  west: Joi.number().min(-180).max(180).optional()
+  west: Joi.number().min(-180).max(180).optional(),
+  // Getis-Ord Gi* mode and its neighbourhood definition
+  method: Joi.string().valid('grid', 'gistar').default('grid'),
+  neighborhood: Joi.string().valid('distance', 'knn').default('distance'),
+  distanceBand: Joi.number().integer().min(10).max(50000).default(1000),
+  neighbors: Joi.number().integer().min(1).max(50).default(8),
+  includeMoran: Joi.string().valid('true', 'false').default('false')
 }).custom((value, helpers) => {
   // Optional safety: prevent excessively large geographic requests that would generate massive grids
   const hasBounds = ['north','south','east','west'].every(k => value[k] !== undefined);
@@ -70,6 +76,18 @@ const geoJsonSchema = Joi.object({
   return value;
 }, 'incident types alias');
 
+// Validate file export parameters
+// Same filters as GeoJSON, but rows are streamed rather than built in memory,
+// so far larger exports are allowed
+const fileExportSchema = geoJsonSchema.keys({
+  maxIncidents: Joi.number().integer().min(1).max(1000000).default(100000)
+});
+
+// Validate file export format (path parameter)
+const exportFormatSchema = Joi.object({
+  format: Joi.string().valid('csv', 'kml', 'gpx', 'gpkg', 'shapefile').required()
+});
+
 // Validate temporal patterns parameters
 // Support either timeRange/groupBy or start_date/end_date/granularity
 const temporalSchema = Joi.object({
@@ -100,7 +118,12 @@ const predictiveSchema = Joi.object({
   predictionHours: Joi.number().integer().min(1).max(168).default(24),
   confidence: Joi.number().min(0.1).max(1.0).default(0.7),
   clusters: Joi.number().integer().min(1).max(50).optional(),
-  cluster_count: Joi.number().integer().min(1).max(50).optional()
+  cluster_count: Joi.number().integer().min(1).max(50).optional(),
+  // DBSCAN alternative to k-means: eps in meters, minPoints per core
+  method: Joi.string().valid('kmeans', 'dbscan').default('kmeans'),
+  eps: Joi.number().min(1).max(50000).default(250),
+  minPoints: Joi.number().integer().min(1).max(100).default(3),
+  hull: Joi.string().valid('convex', 'concave').default('convex')
 }).custom((value, helpers) => {
   // Alias cluster_count -> clusters
   if (!value.clusters && value.cluster_count) {
@@ -132,12 +155,37 @@ const densitySchema = Joi.object({
   return value;
 }, 'bounds alias');
 
+// Validate vector tile coordinates (path parameters)
+const tileCoordinateSchema = Joi.object({
+  layer: Joi.string().valid('incidents', 'hotspots', 'density').required(),
+  z: Joi.number().integer().min(0).max(22).required(),
+  x: Joi.number().integer().min(0).required(),
+  y: Joi.number().integer().min(0).required()
+}).custom((value, helpers) => {
+  const tileCount = 2 ** value.z;
+  if (value.x >= tileCount || value.y >= tileCount) {
+    return helpers.error('any.invalid', { message: 'validation: tile coordinates out of range for zoom level' });
+  }
+  return value;
+}, 'tile range check');
+
+// Validate vector tile filters (same filters as the analysis endpoints)
+const tileQuerySchema = Joi.object({
+  timeRange: Joi.string().pattern(/^(\d+)([dhwmy])$/).default('30d'),
+  incidentTypes: Joi.string().pattern(/^\d+(,\d+)*$/).allow('').optional(),
+  gridSize: Joi.number().integer().min(10).max(500).default(100),
+  minIncidents: Joi.number().integer().min(1).max(50).default(1),
+  resolution: Joi.string().valid('low', 'medium', 'high').default('medium')
+});
+
 /**
  * Generic validation middleware creator
+ * @param {Joi.Schema} schema - Schema to validate against
+ * @param {string} source - Request property to validate ('query' or 'params')
  */
-const validate = (schema) => {
+const validate = (schema, source = 'query') => {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.query, {
+    const { error, value } = schema.validate(req[source], {
       abortEarly: false,
       stripUnknown: true,
     });
@@ -157,8 +205,8 @@ const validate = (schema) => {
       });
     }
 
-    // Update req.query with validated values
-    req.query = value;
+    // Update request with validated values
+    req[source] = value;
     next();
   };
 };
@@ -168,7 +216,11 @@ module.exports = {
   validateHotspotParams: validate(hotspotSchema),
   validateImpactZones: validate(impactZoneSchema),
   validateGeoJsonExport: validate(geoJsonSchema),
+  validateFileExport: validate(fileExportSchema),
+  validateExportFormat: validate(exportFormatSchema, 'params'),
   validateTemporalPatterns: validate(temporalSchema),
   validatePredictive: validate(predictiveSchema),
   validateDensity: validate(densitySchema),
+  validateTileCoordinates: validate(tileCoordinateSchema, 'params'),
+  validateTileQuery: validate(tileQuerySchema),
 };
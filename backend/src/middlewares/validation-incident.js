@@ -10,7 +10,14 @@
  * 
  * VALIDATION CATEGORIES:
  * - Incident Creation: Type, coordinates, description validation
+ * - Incident Extents: GeoJSON LineString/Polygon for closures and work zones
  * - Incident Updates: Partial update validation with ownership
+ * - Status Workflow: Resolution and transition notes
+ * - Bulk Import: GeoJSON/CSV payload envelope (rows use creation schema)
+ * - Duplicates: Nearby duplicate lookup and moderator merge requests
+ * - Watch Zones: Saved polygons/route corridors with alert filters
+ * - Live Subscriptions: Socket area subscription filters and SSE stream query
+ * - Webhooks: Partner endpoint registration, filters and delivery log queries
  * - Spatial Queries: Coordinate bounds, radius, filtering
  * - Clustering: K-means parameters and bounds validation
  * - Heatmaps: Grid resolution and temporal filtering
@@ -132,6 +139,69 @@ const boundsSchema = Joi.object({
   return value;
 });
 
+/**
+ * GeoJSON position validation ([longitude, latitude])
+ */
+const positionSchema = Joi.array()
+  .ordered(
+    Joi.number().min(-180).max(180).required(),
+    Joi.number().min(-90).max(90).required()
+  )
+  .length(2)
+  .messages({
+    'array.base': 'Each position must be a [longitude, latitude] pair',
+    'array.length': 'Each position must be a [longitude, latitude] pair',
+    'number.min': 'Extent coordinates must be valid longitude/latitude values',
+    'number.max': 'Extent coordinates must be valid longitude/latitude values',
+  });
+
+/**
+ * Incident extent validation (GeoJSON LineString or Polygon geometry)
+ * Covers the stretch of road or area affected by closures and work zones;
+ * the incident's latitude/longitude remains its representative point.
+ */
+const extentSchema = Joi.object({
+  type: Joi.string()
+    .valid('LineString', 'Polygon')
+    .required()
+    .messages({
+      'any.only': 'Extent must be a GeoJSON LineString or Polygon',
+      'any.required': 'Extent geometry type is required',
+    }),
+
+  coordinates: Joi.when('type', {
+    is: 'LineString',
+    then: Joi.array().items(positionSchema).min(2).max(2000),
+    otherwise: Joi.array().items(Joi.array().items(positionSchema).min(4).max(2000)).min(1).max(20),
+  })
+    .required()
+    .messages({
+      'array.min': 'Extent does not have enough positions for its geometry type',
+      'array.max': 'Extent has too many positions',
+      'any.required': 'Extent coordinates are required',
+    }),
+}).custom((value, helpers) => {
+  // Polygon rings must be closed (first position equals last)
+  if (value.type === 'Polygon') {
+    const openRing = value.coordinates.find(ring => {
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      return first[0] !== last[0] || first[1] !== last[1];
+    });
+
+    if (openRing) {
+      return helpers.error('custom.extent', {
+        message: 'Polygon extent rings must start and end at the same position',
+      });
+    }
+  }
+
+  return value;
+}).messages({
+  'object.base': 'Extent must be a GeoJSON geometry object',
+  'custom.extent': '{{#message}}',
+});
+
 // ==============================================
 // INCIDENT CRUD VALIDATION
 // ==============================================
@@ -224,6 +294,17 @@ const incidentCreationSchema = Joi.object({
       'number.max': 'Estimated duration cannot exceed 30 days (43,200 minutes)',
     }),
 
+  // Known end date (e.g. planned construction); takes precedence over estimatedDuration
+  endsAt: Joi.date()
+    .iso()
+    .greater('now')
+    .optional()
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.format': 'End date must be an ISO 8601 date',
+      'date.greater': 'End date must be in the future',
+    }),
+
   affectedLanes: Joi.number()
     .integer()
     .min(1)
@@ -242,6 +323,8 @@ const incidentCreationSchema = Joi.object({
     .messages({
       'boolean.base': 'Verification required flag must be true or false',
     }),
+
+  extent: extentSchema.optional(),
 });
 
 /**
@@ -296,6 +379,17 @@ const incidentUpdateSchema = Joi.object({
       'number.max': 'Estimated duration cannot exceed 30 days',
     }),
 
+  // Known end date (e.g. planned construction); takes precedence over estimatedDuration
+  endsAt: Joi.date()
+    .iso()
+    .greater('now')
+    .optional()
+    .messages({
+      'date.base': 'End date must be a valid date',
+      'date.format': 'End date must be an ISO 8601 date',
+      'date.greater': 'End date must be in the future',
+    }),
+
   affectedLanes: Joi.number()
     .integer()
     .min(1)
@@ -307,10 +401,605 @@ const incidentUpdateSchema = Joi.object({
       'number.min': 'At least 1 lane must be affected',
       'number.max': 'Cannot exceed 10 affected lanes',
     }),
+
+  // null removes an existing extent
+  extent: extentSchema.allow(null).optional(),
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update',
+});
+
+// ==============================================
+// STATUS WORKFLOW VALIDATION
+// ==============================================
+
+/**
+ * Transition notes shared by the status workflow endpoints
+ */
+const transitionNotes = Joi.string()
+  .max(2000)
+  .trim()
+  .pattern(/^[^<>]*$/)
+  .messages({
+    'string.base': 'Notes must be text',
+    'string.empty': 'Notes cannot be empty',
+    'string.max': 'Notes cannot exceed 2000 characters',
+    'string.pattern.base': 'Notes cannot contain HTML tags',
+  });
+
+/**
+ * Status change validation schema
+ * Used by acknowledge, start, false-report and reopen
+ */
+const incidentStatusChangeSchema = Joi.object({
+  notes: transitionNotes.optional().allow(''),
+});
+
+/**
+ * Incident resolution validation schema
+ * Resolving an incident requires resolution notes
+ */
+const incidentResolutionSchema = Joi.object({
+  notes: transitionNotes
+    .min(5)
+    .required()
+    .messages({
+      'string.min': 'Resolution notes must be at least 5 characters',
+      'any.required': 'Resolution notes are required',
+    }),
+});
+
+// ==============================================
+// COMMUNITY VERIFICATION VALIDATION
+// ==============================================
+
+/**
+ * Verification vote validation schema
+ * Omitting the vote keeps the original behaviour of a confirmation
+ */
+const verificationVoteSchema = Joi.object({
+  vote: Joi.string()
+    .valid('confirm', 'dispute', 'spam')
+    .optional()
+    .default('confirm')
+    .messages({
+      'any.only': 'Vote must be one of: confirm, dispute, spam',
+    }),
+  notes: transitionNotes.optional().allow(''),
+});
+
+// ==============================================
+// BULK IMPORT VALIDATION
+// ==============================================
+
+/**
+ * Bulk import row schema
+ * A creation row plus an optional time the incident occurred, so
+ * historical incidents keep their original timestamp.
+ */
+const incidentImportRowSchema = incidentCreationSchema.keys({
+  occurredAt: Joi.date()
+    .iso()
+    .max('now')
+    .optional()
+    .messages({
+      'date.base': 'Occurred-at time must be a valid date',
+      'date.format': 'Occurred-at time must be an ISO 8601 date',
+      'date.max': 'Occurred-at time cannot be in the future',
+    }),
+});
+
+/**
+ * Incident import validation schema
+ * Validates the request envelope only; each row is checked against
+ * incidentImportRowSchema by the import service.
+ */
+const incidentImportSchema = Joi.object({
+  format: Joi.string()
+    .valid('geojson', 'csv')
+    .required()
+    .messages({
+      'any.only': 'Import format must be either "geojson" or "csv"',
+      'any.required': 'Import format is required',
+    }),
+
+  data: Joi.alternatives()
+    .try(Joi.object().unknown(true), Joi.string().min(1).max(10 * 1024 * 1024))
+    .required()
+    .messages({
+      'alternatives.match': 'Import data must be a GeoJSON object or file contents as text',
+      'any.required': 'Import data is required',
+    }),
+
+  confirm: Joi.boolean()
+    .optional()
+    .default(false)
+    .messages({
+      'boolean.base': 'Confirm flag must be true or false',
+    }),
+});
+
+// ==============================================
+// DUPLICATE DETECTION VALIDATION
+// ==============================================
+
+/**
+ * Duplicate lookup validation schema
+ * Checks for recent nearby incidents before a report is submitted
+ */
+const duplicateCheckSchema = Joi.object({
+  typeId: incidentCreationSchema.extract('typeId'),
+  latitude: incidentCreationSchema.extract('latitude'),
+  longitude: incidentCreationSchema.extract('longitude'),
+  radius: Joi.number()
+    .min(10)
+    .max(2000)
+    .optional()
+    .messages({
+      'number.base': 'Radius must be a number',
+      'number.min': 'Duplicate radius must be at least 10 meters',
+      'number.max': 'Duplicate radius cannot exceed 2000 meters',
+    }),
+  windowMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(1440)
+    .optional()
+    .messages({
+      'number.base': 'Time window must be a number',
+      'number.integer': 'Time window must be a whole number of minutes',
+      'number.min': 'Time window must be at least 1 minute',
+      'number.max': 'Time window cannot exceed 24 hours (1440 minutes)',
+    }),
+});
+
+/**
+ * Incident merge validation schema
+ * Duplicates listed here are folded into the incident in the URL
+ */
+const incidentMergeSchema = Joi.object({
+  duplicateIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .max(20)
+    .unique()
+    .required()
+    .messages({
+      'array.base': 'Duplicate IDs must be an array of incident IDs',
+      'array.min': 'At least one duplicate incident must be specified',
+      'array.max': 'Cannot merge more than 20 incidents at once',
+      'array.unique': 'Duplicate IDs must not repeat',
+      'any.required': 'Duplicate incident IDs are required',
+    }),
+  notes: transitionNotes.optional().allow(''),
+});
+
+// ==============================================
+// INCIDENT TYPE VALIDATION
+// ==============================================
+
+/**
+ * Verification score threshold; null falls back to the service default
+ */
+const typeThreshold = Joi.number()
+  .min(0)
+  .max(1000)
+  .allow(null)
+  .messages({
+    'number.base': 'Threshold must be a number',
+    'number.min': 'Threshold cannot be negative',
+    'number.max': 'Threshold cannot exceed 1000',
+  });
+
+/**
+ * Incident type rules update schema
+ * Only the fields sent are changed
+ */
+const incidentTypeUpdateSchema = Joi.object({
+  verifyThreshold: typeThreshold.optional(),
+  disputeThreshold: typeThreshold.optional(),
+
+  autoFlagFalseReports: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Auto-flag false reports must be true or false',
+    }),
+
+  expiryPolicy: Joi.object({
+    autoExpireHours: Joi.number()
+      .integer()
+      .min(1)
+      .max(8760)
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Auto-expire hours must be a number',
+        'number.integer': 'Auto-expire hours must be a whole number',
+        'number.min': 'Auto-expire hours must be at least 1',
+        'number.max': 'Auto-expire hours cannot exceed one year',
+      }),
+
+    action: Joi.string()
+      .valid('resolve', 'expire')
+      .optional()
+      .messages({
+        'any.only': 'Expiry action must be resolve or expire',
+      }),
+
+    staleAfterHours: Joi.number()
+      .integer()
+      .min(1)
+      .max(8760)
+      .allow(null)
+      .optional()
+      .messages({
+        'number.base': 'Stale-after hours must be a number',
+        'number.integer': 'Stale-after hours must be a whole number',
+        'number.min': 'Stale-after hours must be at least 1',
+        'number.max': 'Stale-after hours cannot exceed one year',
+      }),
+  }).optional(),
+}).min(1).messages({
+  'object.min': 'At least one incident type setting must be provided',
+});
+
+// ==============================================
+// COMMENT VALIDATION
+// ==============================================
+
+/**
+ * Comment text shared by creation and editing
+ */
+const commentBody = Joi.string()
+  .min(1)
+  .max(5000)
+  .trim()
+  .pattern(/^[^<>]*$/)
+  .required()
+  .messages({
+    'string.base': 'Comment must be text',
+    'string.empty': 'Comment cannot be empty',
+    'string.max': 'Comment cannot exceed 5000 characters',
+    'string.pattern.base': 'Comment cannot contain HTML tags',
+    'any.required': 'Comment text is required',
+  });
+
+/**
+ * Comment creation validation schema
+ * parentId makes the comment a reply; internal marks a moderator note
+ */
+const commentCreationSchema = Joi.object({
+  body: commentBody,
+
+  parentId: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .messages({
+      'number.base': 'Parent comment ID must be a number',
+      'number.integer': 'Parent comment ID must be a whole number',
+      'number.positive': 'Parent comment ID must be positive',
+    }),
+
+  internal: Joi.boolean()
+    .optional()
+    .default(false)
+    .messages({
+      'boolean.base': 'Internal flag must be true or false',
+    }),
+});
+
+/**
+ * Comment edit validation schema
+ */
+const commentUpdateSchema = Joi.object({
+  body: commentBody,
+});
+
+// ==============================================
+// WATCH ZONE VALIDATION
+// ==============================================
+
+/**
+ * Watch zone shape: a Polygon, or a route LineString saved as a corridor
+ */
+const watchZoneGeometrySchema = extentSchema.keys({
+  type: Joi.string()
+    .valid('LineString', 'Polygon')
+    .required()
+    .messages({
+      'any.only': 'Watch zone geometry must be a GeoJSON Polygon or a route LineString',
+      'any.required': 'Watch zone geometry type is required',
+    }),
+});
+
+/**
+ * Watch zone fields shared by creation and updates
+ */
+const watchZoneFields = {
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .trim()
+    .pattern(/^[^<>]*$/)
+    .messages({
+      'string.empty': 'Watch zone name cannot be empty',
+      'string.max': 'Watch zone name cannot exceed 100 characters',
+      'string.pattern.base': 'Watch zone name cannot contain HTML tags',
+    }),
+
+  // Corridor half-width around the route
+  bufferMeters: Joi.number()
+    .integer()
+    .min(10)
+    .max(5000)
+    .messages({
+      'number.base': 'Buffer must be a number of meters',
+      'number.min': 'Buffer must be at least 10 meters',
+      'number.max': 'Buffer cannot exceed 5000 meters',
+    }),
+
+  // Empty or omitted means every incident type
+  typeIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .max(50)
+    .unique()
+    .messages({
+      'array.base': 'Type filter must be a list of incident type IDs',
+      'array.max': 'Type filter cannot list more than 50 types',
+      'array.unique': 'Type filter contains duplicate type IDs',
+    }),
+
+  minSeverity: Joi.number()
+    .integer()
+    .min(1)
+    .max(5)
+    .messages({
+      'number.base': 'Minimum severity must be a number',
+      'number.min': 'Minimum severity must be between 1 and 5',
+      'number.max': 'Minimum severity must be between 1 and 5',
+    }),
+
+  active: Joi.boolean()
+    .messages({
+      'boolean.base': 'Active flag must be true or false',
+    }),
+};
+
+/**
+ * Watch zone creation validation schema
+ */
+const watchZoneCreationSchema = Joi.object({
+  ...watchZoneFields,
+  name: watchZoneFields.name.required().messages({
+    'any.required': 'Watch zone name is required',
+  }),
+  geometry: watchZoneGeometrySchema.required().messages({
+    'any.required': 'Watch zone geometry is required',
+  }),
+  minSeverity: watchZoneFields.minSeverity.default(1),
+  active: watchZoneFields.active.default(true),
+});
+
+/**
+ * Watch zone update validation schema
+ */
+const watchZoneUpdateSchema = Joi.object({
+  ...watchZoneFields,
+  geometry: watchZoneGeometrySchema,
 }).min(1).messages({
   'object.min': 'At least one field must be provided for update',
 });
 
+// ==============================================
+// WEBHOOK VALIDATION
+// ==============================================
+
+/**
+ * Webhook fields shared by creation and updates
+ */
+const webhookFields = {
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .trim()
+    .pattern(/^[^<>]*$/)
+    .messages({
+      'string.empty': 'Webhook name cannot be empty',
+      'string.max': 'Webhook name cannot exceed 100 characters',
+      'string.pattern.base': 'Webhook name cannot contain HTML tags',
+    }),
+
+  url: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .max(2000)
+    .messages({
+      'string.uri': 'Webhook URL must be a valid http(s) URL',
+      'string.uriCustomScheme': 'Webhook URL must be a valid http(s) URL',
+      'string.max': 'Webhook URL cannot exceed 2000 characters',
+    }),
+
+  // Empty or omitted means every event type
+  eventTypes: Joi.array()
+    .items(Joi.string().valid('incident.created', 'incident.updated', 'incident.deleted', 'incident.verified'))
+    .unique()
+    .messages({
+      'array.base': 'Event types must be a list',
+      'array.unique': 'Event types contain duplicates',
+      'any.only': 'Event type must be one of: incident.created, incident.updated, incident.deleted, incident.verified',
+    }),
+
+  typeIds: watchZoneFields.typeIds,
+  minSeverity: watchZoneFields.minSeverity,
+
+  // Null removes the area filter
+  area: extentSchema.keys({
+    type: Joi.string()
+      .valid('Polygon')
+      .required()
+      .messages({
+        'any.only': 'Webhook area must be a GeoJSON Polygon',
+        'any.required': 'Webhook area geometry type is required',
+      }),
+  }).allow(null),
+
+  active: Joi.boolean()
+    .messages({
+      'boolean.base': 'Active flag must be true or false',
+    }),
+};
+
+/**
+ * Webhook creation validation schema
+ */
+const webhookCreationSchema = Joi.object({
+  ...webhookFields,
+  name: webhookFields.name.required().messages({
+    'any.required': 'Webhook name is required',
+  }),
+  url: webhookFields.url.required().messages({
+    'any.required': 'Webhook URL is required',
+  }),
+  minSeverity: webhookFields.minSeverity.default(1),
+  active: webhookFields.active.default(true),
+});
+
+/**
+ * Webhook update validation schema
+ */
+const webhookUpdateSchema = Joi.object(webhookFields).min(1).messages({
+  'object.min': 'At least one field must be provided for update',
+});
+
+const deliveryPagination = {
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(50)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100',
+    }),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.min': 'Offset cannot be negative',
+    }),
+};
+
+/**
+ * Endpoint delivery log query
+ */
+const webhookDeliveryListSchema = Joi.object({
+  ...deliveryPagination,
+  status: Joi.string()
+    .valid('pending', 'succeeded', 'dead')
+    .messages({
+      'any.only': 'Status must be one of: pending, succeeded, dead',
+    }),
+});
+
+/**
+ * Dead-letter list query
+ */
+const webhookDeadLetterListSchema = Joi.object({
+  ...deliveryPagination,
+  endpointId: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.base': 'Endpoint ID must be a number',
+    }),
+});
+
+// ==============================================
+// LIVE SUBSCRIPTION VALIDATION
+// ==============================================
+
+/**
+ * Filters on a socket area subscription
+ * Sent with subscribe_area or update_area_filters; omitted fields match everything.
+ */
+const areaFilterSchema = Joi.object({
+  typeIds: watchZoneFields.typeIds,
+  minSeverity: watchZoneFields.minSeverity,
+
+  verifiedOnly: Joi.boolean()
+    .messages({
+      'boolean.base': 'Verified-only flag must be true or false',
+    }),
+
+  statuses: Joi.array()
+    .items(Joi.string().valid('active', 'in_progress', 'resolved', 'false_report'))
+    .min(1)
+    .unique()
+    .messages({
+      'array.base': 'Status filter must be a list of statuses',
+      'array.min': 'Status filter must list at least one status',
+      'array.unique': 'Status filter contains duplicate statuses',
+      'any.only': 'Status must be one of: active, in_progress, resolved, false_report',
+    }),
+});
+
+/**
+ * SSE incident stream query
+ * bbox and incidentTypes use the GeoJSON export's comma-separated formats
+ * and are converted to bounds and typeIds for the area filters.
+ */
+const incidentStreamQuerySchema = Joi.object({
+  bbox: Joi.string()
+    .pattern(/^[-\d.]+,[-\d.]+,[-\d.]+,[-\d.]+$/)
+    .messages({
+      'string.pattern.base': 'Bounding box must be west,south,east,north in decimal degrees',
+    }),
+
+  incidentTypes: Joi.string()
+    .pattern(/^\d+(,\d+){0,49}$/)
+    .messages({
+      'string.pattern.base': 'Incident types must be a comma-separated list of up to 50 type IDs',
+    }),
+
+  minSeverity: watchZoneFields.minSeverity,
+  verifiedOnly: areaFilterSchema.extract('verifiedOnly'),
+
+  // A fresh EventSource cannot send Last-Event-ID, so reopened streams pass it here
+  lastEventId: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.base': 'Last event ID must be an event id received from this stream',
+      'number.integer': 'Last event ID must be an event id received from this stream',
+      'number.min': 'Last event ID must be an event id received from this stream',
+    }),
+}).custom((value, helpers) => {
+  const { bbox, incidentTypes, lastEventId, ...filters } = value;
+  const result = { bounds: null, filters, lastEventId: lastEventId ?? null };
+
+  if (bbox) {
+    const [west, south, east, north] = bbox.split(',').map(Number);
+    const { error, value: bounds } = boundsSchema.validate({ north, south, east, west });
+
+    if (error) {
+      return helpers.error('custom.stream', {
+        message: error.details[0].context?.message || error.details[0].message,
+      });
+    }
+
+    result.bounds = bounds;
+  }
+
+  if (incidentTypes) {
+    result.filters.typeIds = [...new Set(incidentTypes.split(',').map(Number))];
+  }
+
+  return result;
+}).messages({
+  'custom.stream': '{{#message}}',
+});
+
 // ==============================================
 // SPATIAL QUERY VALIDATION
 // ==============================================
@@ -467,6 +1156,46 @@ const clusterParamsSchema = Joi.object({
     .messages({
       'boolean.base': 'Include expired flag must be true or false',
     }),
+
+  method: Joi.string()
+    .valid('kmeans', 'dbscan')
+    .optional()
+    .default('kmeans')
+    .messages({
+      'any.only': 'Clustering method must be kmeans or dbscan',
+    }),
+
+  eps: Joi.number()
+    .min(1)
+    .max(50000)
+    .optional()
+    .default(250)
+    .messages({
+      'number.base': 'DBSCAN eps must be a distance in meters',
+      'number.min': 'DBSCAN eps must be at least 1 meter',
+      'number.max': 'DBSCAN eps cannot exceed 50km',
+    }),
+
+  minPoints: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .default(3)
+    .messages({
+      'number.base': 'DBSCAN minPoints must be a number',
+      'number.integer': 'DBSCAN minPoints must be an integer',
+      'number.min': 'DBSCAN minPoints must be at least 1',
+      'number.max': 'DBSCAN minPoints cannot exceed 100',
+    }),
+
+  hull: Joi.string()
+    .valid('convex', 'concave')
+    .optional()
+    .default('convex')
+    .messages({
+      'any.only': 'Cluster hull must be convex or concave',
+    }),
 });
 
 /**
@@ -569,6 +1298,22 @@ const createValidationMiddleware = (schema, source = 'body') => {
 
 const validateIncidentCreation = createValidationMiddleware(incidentCreationSchema, 'body');
 const validateIncidentUpdate = createValidationMiddleware(incidentUpdateSchema, 'body');
+const validateStatusChange = createValidationMiddleware(incidentStatusChangeSchema, 'body');
+const validateIncidentResolution = createValidationMiddleware(incidentResolutionSchema, 'body');
+const validateVerificationVote = createValidationMiddleware(verificationVoteSchema, 'body');
+const validateIncidentImport = createValidationMiddleware(incidentImportSchema, 'body');
+const validateDuplicateCheck = createValidationMiddleware(duplicateCheckSchema, 'query');
+const validateIncidentMerge = createValidationMiddleware(incidentMergeSchema, 'body');
+const validateIncidentTypeUpdate = createValidationMiddleware(incidentTypeUpdateSchema, 'body');
+const validateCommentCreation = createValidationMiddleware(commentCreationSchema, 'body');
+const validateCommentUpdate = createValidationMiddleware(commentUpdateSchema, 'body');
+const validateWatchZoneCreation = createValidationMiddleware(watchZoneCreationSchema, 'body');
+const validateWatchZoneUpdate = createValidationMiddleware(watchZoneUpdateSchema, 'body');
+const validateWebhookCreation = createValidationMiddleware(webhookCreationSchema, 'body');
+const validateWebhookUpdate = createValidationMiddleware(webhookUpdateSchema, 'body');
+const validateWebhookDeliveryList = createValidationMiddleware(webhookDeliveryListSchema, 'query');
+const validateWebhookDeadLetterList = createValidationMiddleware(webhookDeadLetterListSchema, 'query');
+const validateIncidentStreamQuery = createValidationMiddleware(incidentStreamQuerySchema, 'query');
 const validateSpatialSearch = createValidationMiddleware(spatialSearchSchema, 'query');
 const validateClusterParams = createValidationMiddleware(clusterParamsSchema, 'query');
 const validateHeatmapParams = createValidationMiddleware(heatmapParamsSchema, 'query');
@@ -581,6 +1326,22 @@ module.exports = {
   // Middleware functions for Express routes
   validateIncidentCreation,
   validateIncidentUpdate,
+  validateStatusChange,
+  validateIncidentResolution,
+  validateVerificationVote,
+  validateIncidentImport,
+  validateDuplicateCheck,
+  validateIncidentMerge,
+  validateIncidentTypeUpdate,
+  validateCommentCreation,
+  validateCommentUpdate,
+  validateWatchZoneCreation,
+  validateWatchZoneUpdate,
+  validateWebhookCreation,
+  validateWebhookUpdate,
+  validateWebhookDeliveryList,
+  validateWebhookDeadLetterList,
+  validateIncidentStreamQuery,
   validateSpatialSearch,
   validateClusterParams,
   validateHeatmapParams,
@@ -589,8 +1350,25 @@ module.exports = {
   schemas: {
     coordinateSchema,
     boundsSchema,
+    extentSchema,
     incidentCreationSchema,
     incidentUpdateSchema,
+    incidentStatusChangeSchema,
+    incidentResolutionSchema,
+    verificationVoteSchema,
+    incidentImportSchema,
+    incidentImportRowSchema,
+    duplicateCheckSchema,
+    incidentMergeSchema,
+    incidentTypeUpdateSchema,
+    commentCreationSchema,
+    commentUpdateSchema,
+    watchZoneCreationSchema,
+    watchZoneUpdateSchema,
+    webhookCreationSchema,
+    webhookUpdateSchema,
+    areaFilterSchema,
+    incidentStreamQuerySchema,
     spatialSearchSchema,
     clusterParamsSchema,
     heatmapParamsSchema,
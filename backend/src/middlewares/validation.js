@@ -16,6 +16,14 @@
     emailVerificationSchema,
     refreshTokenSchema,
     adminUserUpdateSchema,
+    notificationListSchema,
+    notificationPreferencesSchema,
+    twoFactorSetupSchema,
+    twoFactorEnableSchema,
+    twoFactorVerifySchema,
+    twoFactorDisableSchema,
+    recoveryCodesSchema,
+    twoFactorPolicySchema,
   },
   
   // Incident validation (will be added in next update)
@@ -33,6 +41,9 @@
  * - Password Management: Reset, change, strength requirements
  * - Profile Updates: User information validation
  * - Email Verification: Token and email validation
+ * - Two-Factor Authentication: Codes, recovery codes and role requirements
+ * - API Keys: Key names, scopes, expiry and service accounts
+ * - User Administration: User lists, account changes and role permissions
  * 
  * SECURITY FEATURES:
  * - Password strength requirements (length, complexity, common passwords)
@@ -317,6 +328,239 @@ const adminUserUpdateSchema = Joi.object({
   'object.min': 'At least one field must be provided for update',
 });
 
+/**
+ * Notification List Query Schema
+ * Validates notification center paging
+ */
+const notificationListSchema = Joi.object({
+  unreadOnly: Joi.boolean()
+    .default(false),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20),
+
+  offset: Joi.number()
+    .integer()
+    .min(0)
+    .default(0),
+});
+
+/**
+ * Notification Preferences Schema
+ * Validates per-type on/off settings
+ */
+const notificationPreferencesSchema = Joi.object({
+  types: Joi.object()
+    .pattern(Joi.string().max(50), Joi.boolean())
+    .min(1)
+    .required()
+    .messages({
+      'object.min': 'At least one notification type must be provided',
+    }),
+});
+
+/**
+ * Two-Factor Code Validation
+ * Six-digit TOTP code; spaces are allowed as apps often group the digits
+ */
+const totpCodeValidation = Joi.string()
+  .replace(/\s+/g, '')
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Code must be the 6 digits shown in your authenticator app',
+    'string.empty': 'Code is required',
+  });
+
+const recoveryCodeValidation = Joi.string()
+  .trim()
+  .max(32)
+  .messages({
+    'string.empty': 'Recovery code is required',
+  });
+
+/**
+ * Two-Factor Setup Schema
+ * The pre-auth token is only sent when enrolling during login
+ */
+const twoFactorSetupSchema = Joi.object({
+  preAuthToken: Joi.string()
+    .optional(),
+});
+
+/**
+ * Two-Factor Enable Schema
+ * Confirms enrolment with a code from the new secret
+ */
+const twoFactorEnableSchema = Joi.object({
+  code: totpCodeValidation.required(),
+
+  preAuthToken: Joi.string()
+    .optional(),
+});
+
+/**
+ * Two-Factor Login Verification Schema
+ * Either an authenticator code or a recovery code
+ */
+const twoFactorVerifySchema = Joi.object({
+  preAuthToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Pre-auth token is required',
+    }),
+
+  code: totpCodeValidation,
+
+  recoveryCode: recoveryCodeValidation,
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Provide either an authenticator code or a recovery code',
+  'object.xor': 'Provide either an authenticator code or a recovery code, not both',
+});
+
+/**
+ * Two-Factor Disable Schema
+ * Requires the password plus a code or recovery code
+ */
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+    }),
+
+  code: totpCodeValidation,
+
+  recoveryCode: recoveryCodeValidation,
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': 'Provide either an authenticator code or a recovery code',
+  'object.xor': 'Provide either an authenticator code or a recovery code, not both',
+});
+
+/**
+ * Recovery Code Regeneration Schema
+ */
+const recoveryCodesSchema = Joi.object({
+  code: totpCodeValidation.required(),
+});
+
+/**
+ * Two-Factor Role Policy Schema
+ * Validates admin changes to role requirements
+ */
+const twoFactorPolicySchema = Joi.object({
+  role: Joi.string()
+    .valid('admin', 'moderator')
+    .required(),
+
+  required: Joi.boolean()
+    .required(),
+});
+
+/**
+ * API Key Creation Schema
+ * Keys never expire when expiresInDays is omitted
+ */
+const apiKeyCreationSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Key name is required',
+      'string.max': 'Key name must be less than 100 characters',
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid('incidents:read', 'incidents:write', 'analysis:read'))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Choose at least one scope',
+      'any.only': 'Scopes must be incidents:read, incidents:write or analysis:read',
+    }),
+
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .allow(null)
+    .optional(),
+
+  // Only admins may set a custom limit
+  rateLimitPerMinute: Joi.number()
+    .integer()
+    .min(1)
+    .max(6000)
+    .optional(),
+});
+
+/**
+ * Service Account Creation Schema
+ */
+const serviceAccountCreationSchema = Joi.object({
+  username: usernameValidation.required(),
+
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  role: Joi.string()
+    .valid('user', 'moderator')
+    .default('user'),
+});
+
+/**
+ * Admin User List Query Schema
+ */
+const userListSchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(25),
+
+  role: Joi.string()
+    .valid('user', 'moderator', 'admin')
+    .optional(),
+
+  isActive: Joi.boolean()
+    .optional(),
+
+  search: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+});
+
+/**
+ * Role Permission Bundle Schema
+ * Replaces a role's whole permission list
+ */
+const roleBundleUpdateSchema = Joi.object({
+  permissions: Joi.array()
+    .items(Joi.string().valid(
+      'verify', 'resolve', 'delete-any', 'view-internal-notes', 'export',
+      'manage-users', 'manage-types', 'import', 'view-analytics'
+    ))
+    .unique()
+    .required()
+    .messages({
+      'any.only': 'Unknown permission',
+      'array.unique': 'Permissions must not repeat',
+    }),
+});
+
 /**
  * Middleware factory for validating request bodies
  * @param {Joi.Schema} schema - Joi validation schema
@@ -365,6 +609,18 @@ module.exports = {
   validateEmailVerification: validate(emailVerificationSchema),
   validateRefreshToken: validate(refreshTokenSchema),
   validateAdminUserUpdate: validate(adminUserUpdateSchema),
+  validateNotificationList: validate(notificationListSchema, 'query'),
+  validateNotificationPreferences: validate(notificationPreferencesSchema),
+  validateTwoFactorSetup: validate(twoFactorSetupSchema),
+  validateTwoFactorEnable: validate(twoFactorEnableSchema),
+  validateTwoFactorVerify: validate(twoFactorVerifySchema),
+  validateTwoFactorDisable: validate(twoFactorDisableSchema),
+  validateRecoveryCodes: validate(recoveryCodesSchema),
+  validateTwoFactorPolicy: validate(twoFactorPolicySchema),
+  validateApiKeyCreation: validate(apiKeyCreationSchema),
+  validateServiceAccountCreation: validate(serviceAccountCreationSchema),
+  validateUserList: validate(userListSchema, 'query'),
+  validateRoleBundleUpdate: validate(roleBundleUpdateSchema),
   
   // Raw schemas for testing
   schemas: {
@@ -377,6 +633,18 @@ module.exports = {
     emailVerificationSchema,
     refreshTokenSchema,
     adminUserUpdateSchema,
+    notificationListSchema,
+    notificationPreferencesSchema,
+    twoFactorSetupSchema,
+    twoFactorEnableSchema,
+    twoFactorVerifySchema,
+    twoFactorDisableSchema,
+    recoveryCodesSchema,
+    twoFactorPolicySchema,
+    apiKeyCreationSchema,
+    serviceAccountCreationSchema,
+    userListSchema,
+    roleBundleUpdateSchema,
   },
   
   // Utility function
@@ -5,16 +5,17 @@
  * ==================================================
  * 
  * This module defines routes for advanced GIS analysis operations:
- * - Hotspot analysis with kernel density estimation
+ * - Hotspot analysis with kernel density estimation or Getis-Ord Gi*
  * - Impact zone calculation with buffer operations
  * - GeoJSON data export with filtering capabilities
+ * - Streamed file exports (CSV/WKT, KML, GPX, GeoPackage, Shapefile)
  * - Temporal pattern detection and trend analysis
  * - Predictive incident modeling with confidence scoring
  * - Incident density calculations with grid-based visualization
  * 
  * SECURITY FEATURES:
  * - JWT authentication required for all endpoints
- * - Role-based access control for sensitive operations
+ * - Permission checks (export, view-analytics) for sensitive operations
  * - Rate limiting to prevent API abuse
  * - Comprehensive parameter validation
  * - Request logging and audit trails
@@ -31,12 +32,15 @@
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { authenticateToken, requireRole } = require('../middlewares/auth');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { PERMISSIONS } = require('../services/permission').PermissionService;
 const AnalysisController = require('../controllers/analysis');
 const {
   validateHotspotParams,
   validateImpactZones,
   validateGeoJsonExport,
+  validateFileExport,
+  validateExportFormat,
   validateTemporalPatterns,
   validatePredictive,
   validateDensity,
@@ -151,8 +155,14 @@ const logOperationCompletion = (req, res, next) => {
  *          - minIncidents: Minimum incidents per hotspot 1-50 - default: 3
  *          - maxPoints: Maximum incidents to analyze 10-2000 - default: 500
  *          - incidentTypes: Comma-separated incident type IDs for filtering
+ *          - method: 'grid' (default) or 'gistar' for Getis-Ord Gi* hot/cold spots
+ *          - neighborhood: 'distance' (default) or 'knn' - Gi* mode only
+ *          - distanceBand: Neighbourhood radius in meters 10-50000 - default: 1000
+ *          - neighbors: Nearest cells for 'knn' neighbourhoods 1-50 - default: 8
+ *          - includeMoran: 'true' to add Local Moran's I per cell - default: 'false'
  * @returns {Object} JSON response with hotspots array and metadata
  * @example GET /api/analysis/hotspots?timeRange=7d&gridSize=150&minIncidents=5&incidentTypes=1,2,3
+ * @example GET /api/analysis/hotspots?method=gistar&neighborhood=knn&neighbors=6&includeMoran=true
  */
 router.get('/hotspots',
   authenticateToken,
@@ -185,7 +195,7 @@ router.get('/impact-zones',
 /**
  * @route   GET /api/analysis/export/geojson
  * @desc    Export incident data as GeoJSON format for external applications
- * @access  Private (requires authentication)
+ * @access  Private (requires export permission)
  * @params  Query parameters:
  *          - timeRange: Time period for incidents - default: '30d'
  *          - bbox: Geographic bounding box 'west,south,east,north' (optional)
@@ -198,6 +208,7 @@ router.get('/impact-zones',
  */
 router.get('/export/geojson',
   authenticateToken,
+  requirePermission(PERMISSIONS.EXPORT),
   analysisLimiter,
   logAnalysisOperation('export_geojson'),
   validateGeoJsonExport,
@@ -205,6 +216,30 @@ router.get('/export/geojson',
   analysisController.exportGeoJson
 );
 
+/**
+ * @route   GET /api/analysis/export/:format
+ * @desc    Stream incident data as a downloadable GIS file
+ * @access  Private (requires export permission)
+ * @params  Path parameters:
+ *          - format: 'csv' (with WKT) | 'kml' | 'gpx' | 'gpkg' | 'shapefile' (zipped)
+ * @params  Query parameters: same filters as /export/geojson
+ *          - timeRange, bbox, incidentTypes
+ *          - maxIncidents: Maximum incidents to export 1-1000000 - default: 100000
+ *          - includeBuffers, bufferDistance: buffer polygons for csv (buffer_wkt),
+ *            kml and gpkg (incident_buffers table); rejected for gpx and shapefile
+ * @returns {Stream} File download with Content-Disposition attachment
+ * @example GET /api/analysis/export/kml?timeRange=7d&incidentTypes=1,2
+ */
+router.get('/export/:format',
+  authenticateToken,
+  requirePermission(PERMISSIONS.EXPORT),
+  analysisLimiter,
+  logAnalysisOperation('export_file'),
+  validateExportFormat,
+  validateFileExport,
+  analysisController.exportIncidents
+);
+
 /**
  * @route   GET /api/analysis/temporal-patterns
  * @desc    Analyze temporal patterns and trends in incident data
@@ -228,16 +263,21 @@ router.get('/temporal-patterns',
 /**
  * @route   GET /api/analysis/predictive
  * @desc    Generate predictive incident model using machine learning techniques
- * @access  Private (requires authentication + admin role)
+ * @access  Private (requires view-analytics permission)
  * @params  Query parameters:
  *          - predictionHours: Prediction time window 1-168 hours - default: 24
  *          - confidence: Confidence threshold 0.1-1.0 - default: 0.7
- * @returns {Object} JSON response with predictive model and high-confidence predictions
+ *          - method: 'kmeans' (default) or 'dbscan'
+ *          - eps: DBSCAN neighbourhood distance in meters - default: 250
+ *          - minPoints: DBSCAN minimum points per cluster core - default: 3
+ *          - hull: 'convex' (default) or 'concave' cluster outline
+ * @returns {Object} JSON response with predictive model, high-confidence predictions and DBSCAN noise
  * @example GET /api/analysis/predictive?predictionHours=48&confidence=0.8
+ * @example GET /api/analysis/predictive?method=dbscan&eps=300&minPoints=4&hull=concave
  */
 router.get('/predictive',
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission(PERMISSIONS.VIEW_ANALYTICS),
   intensiveLimiter,
   logAnalysisOperation('predictive_modeling'),
   validatePredictive,
@@ -268,13 +308,13 @@ router.get('/density',
 
 /**
  * @route   GET /api/analysis/performance
- * @desc    Get analysis service performance metrics (admin only)
- * @access  Private (requires authentication + admin role)
+ * @desc    Get analysis service performance metrics
+ * @access  Private (requires view-analytics permission)
  * @returns {Object} Performance statistics for all analysis operations
  */
 router.get('/performance',
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission(PERMISSIONS.VIEW_ANALYTICS),
   logAnalysisOperation('performance_metrics'),
   (req, res) => {
     try {
@@ -0,0 +1,147 @@
+/**
+ * ==================================================
+ * API KEY ROUTES
+ * Personal API Keys & Service Accounts
+ * ==================================================
+ *
+ * Machine clients call the incidents, stream and analysis APIs with
+ * "Authorization: ApiKey <key>". Users create keys for their own
+ * account; admins create service accounts (users without a password)
+ * and issue keys for them. These routes themselves need a signed-in
+ * user, so a key can never create or revoke keys.
+ *
+ * ROUTE STRUCTURE:
+ * - GET /api/api-keys: List your keys
+ * - POST /api/api-keys: Create a key
+ * - DELETE /api/api-keys/:id: Revoke a key
+ * - GET /api/api-keys/service-accounts: List service accounts
+ * - POST /api/api-keys/service-accounts: Create a service account
+ * - DELETE /api/api-keys/service-accounts/:userId: Deactivate a service account
+ * - GET /api/api-keys/service-accounts/:userId/keys: List a service account's keys
+ * - POST /api/api-keys/service-accounts/:userId/keys: Issue a service account key
+ *
+ * DEPENDENCIES:
+ * - ApiKeyController: Request handlers
+ * - Auth Middleware: Authentication and admin role check
+ * - Validation Middleware: Key and service account validation
+ *
+ * USAGE:
+ * const apiKeyRoutes = require('./routes/api-keys');
+ * app.use('/api/api-keys', apiKeyRoutes);
+ */
+
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middlewares/auth');
+const ApiKeyController = require('../controllers/api-key');
+const {
+  validateApiKeyCreation,
+  validateServiceAccountCreation,
+} = require('../middlewares/validation');
+
+const router = express.Router();
+const apiKeyController = new ApiKeyController();
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    The current user's API keys (prefix and metadata only)
+ * @access  Private
+ * @returns { apiKeys, scopes }
+ */
+router.get('/',
+  authenticateToken,
+  apiKeyController.listKeys
+);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key; the key is returned only here
+ * @access  Private (rateLimitPerMinute is admin only)
+ * @body    { name, scopes, expiresInDays?, rateLimitPerMinute? }
+ * @returns { apiKey, key }
+ */
+router.post('/',
+  authenticateToken,
+  validateApiKeyCreation,
+  apiKeyController.createKey
+);
+
+/**
+ * @route   GET /api/api-keys/service-accounts
+ * @desc    Service accounts with their active key counts
+ * @access  Private (admin only)
+ * @returns { serviceAccounts, total }
+ */
+router.get('/service-accounts',
+  authenticateToken,
+  requireRole(['admin']),
+  apiKeyController.listServiceAccounts
+);
+
+/**
+ * @route   POST /api/api-keys/service-accounts
+ * @desc    Create a service account; it cannot sign in and only uses API keys
+ * @access  Private (admin only)
+ * @body    { username, name?, role?: user|moderator }
+ * @returns { serviceAccount }
+ */
+router.post('/service-accounts',
+  authenticateToken,
+  requireRole(['admin']),
+  validateServiceAccountCreation,
+  apiKeyController.createServiceAccount
+);
+
+/**
+ * @route   DELETE /api/api-keys/service-accounts/:userId
+ * @desc    Deactivate a service account and revoke all of its keys
+ * @access  Private (admin only)
+ * @param   {number} userId - Service account user ID
+ * @returns { revokedKeys }
+ */
+router.delete('/service-accounts/:userId',
+  authenticateToken,
+  requireRole(['admin']),
+  apiKeyController.deactivateServiceAccount
+);
+
+/**
+ * @route   GET /api/api-keys/service-accounts/:userId/keys
+ * @desc    A service account's API keys
+ * @access  Private (admin only)
+ * @param   {number} userId - Service account user ID
+ * @returns { serviceAccount, apiKeys }
+ */
+router.get('/service-accounts/:userId/keys',
+  authenticateToken,
+  requireRole(['admin']),
+  apiKeyController.listServiceAccountKeys
+);
+
+/**
+ * @route   POST /api/api-keys/service-accounts/:userId/keys
+ * @desc    Issue an API key for a service account; the key is returned only here
+ * @access  Private (admin only)
+ * @param   {number} userId - Service account user ID
+ * @body    { name, scopes, expiresInDays?, rateLimitPerMinute? }
+ * @returns { apiKey, key }
+ */
+router.post('/service-accounts/:userId/keys',
+  authenticateToken,
+  requireRole(['admin']),
+  validateApiKeyCreation,
+  apiKeyController.createServiceAccountKey
+);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (own keys; admins can revoke any key)
+ * @param   {number} id - API key ID
+ * @returns { apiKey }
+ */
+router.delete('/:id',
+  authenticateToken,
+  apiKeyController.revokeKey
+);
+
+module.exports = router;
@@ -16,7 +16,16 @@
  * - POST /api/auth/forgot-password: Password reset request
  * - POST /api/auth/reset-password: Password reset completion
  * - POST /api/auth/verify-email: Email verification
+ * - POST /api/auth/resend-verification: Email a new verification link
  * - GET /api/auth/me: Current user profile information
+ * - GET /api/auth/2fa: Two-factor status
+ * - POST /api/auth/2fa/setup: Start two-factor enrolment
+ * - POST /api/auth/2fa/enable: Confirm enrolment and get recovery codes
+ * - POST /api/auth/2fa/verify: Finish a sign-in with a code
+ * - POST /api/auth/2fa/disable: Turn two-factor authentication off
+ * - POST /api/auth/2fa/recovery-codes: Replace recovery codes
+ * - GET/PUT /api/auth/2fa/policy: Two-factor requirement per role (admin)
+ * - POST /api/auth/2fa/users/:userId/reset: Remove a user's two-factor (admin)
  * 
  * SECURITY FEATURES:
  * - Input validation using Joi schemas
@@ -40,7 +49,8 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/auth');
-const { authenticateToken } = require('../middlewares/auth');
+const TwoFactorController = require('../controllers/two-factor');
+const { authenticateToken, optionalAuth, requireRole } = require('../middlewares/auth');
 const {
   validateRegistration,
   validateLogin,
@@ -48,10 +58,18 @@ const {
   validatePasswordResetRequest,
   validatePasswordReset,
   validateEmailVerification,
+  validateTwoFactorSetup,
+  validateTwoFactorEnable,
+  validateTwoFactorVerify,
+  validateTwoFactorDisable,
+  validateRecoveryCodes,
+  validateTwoFactorPolicy,
 } = require('../middlewares/validation');
+const permissionService = require('../services/permission');
 const logger = require('../services/logger');
 
 const router = express.Router();
+const twoFactorController = new TwoFactorController();
 
 /**
  * Enhanced rate limiting for sensitive authentication endpoints
@@ -108,6 +126,20 @@ const tokenRefreshLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Two-factor codes are only 6 digits, so limit guesses on top of the account lockout
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 wrong codes per 15 minutes
+  message: {
+    error: 'Too many two-factor attempts',
+    message: 'Please wait 15 minutes before trying another code',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true, // Only wrong codes count
+});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user account
@@ -134,7 +166,7 @@ router.post('/register',
  * @desc    Authenticate user and return JWT tokens
  * @access  Public
  * @body    { email, password, rememberMe? }
- * @returns { user, tokens }
+ * @returns { user, tokens }, or { twoFactorRequired | twoFactorSetupRequired, preAuthToken, expiresAt }
  */
 router.post('/login',
   validateLogin,
@@ -214,6 +246,7 @@ router.get('/me',
           lastName: user.last_name,
           phone: user.phone,
           role: user.role,
+          permissions: await permissionService.permissionsFor(user.role),
           isActive: user.is_active,
           emailVerified: user.email_verified,
           lastLogin: user.last_login,
@@ -245,39 +278,12 @@ router.post('/forgot-password',
   passwordResetLimiter,
   validatePasswordResetRequest,
   async (req, res) => {
-    try {
-      const { email } = req.body;
-      
-      logger.http('Auth: Password reset request', {
-        email,
-        clientIP: req.ip,
-      });
-
-      // Always return success to prevent email enumeration
-      // Actual implementation would send email if user exists
-      res.json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent',
-      });
-
-      // TODO: Implement actual password reset email sending
-      // This would involve:
-      // 1. Check if user exists
-      // 2. Generate secure reset token
-      // 3. Send email with reset link
-      // 4. Log security event
-
-    } catch (error) {
-      logger.logError(error, req, { 
-        operation: 'forgot_password',
-        email: req.body?.email,
-      });
+    logger.http('Auth: Password reset request', {
+      email: req.body.email,
+      clientIP: req.ip,
+    });
 
-      res.status(500).json({
-        error: 'Password reset failed',
-        message: 'Unable to process password reset request',
-      });
-    }
+    await authController.forgotPassword(req, res);
   }
 );
 
@@ -291,37 +297,12 @@ router.post('/forgot-password',
 router.post('/reset-password',
   validatePasswordReset,
   async (req, res) => {
-    try {
-      const { token, password } = req.body;
-      
-      logger.http('Auth: Password reset completion', {
-        token: token.substring(0, 8) + '...',
-        clientIP: req.ip,
-      });
-
-      // TODO: Implement password reset completion
-      // This would involve:
-      // 1. Validate reset token
-      // 2. Check token expiry
-      // 3. Update user password
-      // 4. Invalidate reset token
-      // 5. Log security event
-
-      res.json({
-        success: true,
-        message: 'Password has been reset successfully',
-      });
-
-    } catch (error) {
-      logger.logError(error, req, { 
-        operation: 'reset_password',
-      });
+    logger.http('Auth: Password reset completion', {
+      token: req.body.token.substring(0, 8) + '...',
+      clientIP: req.ip,
+    });
 
-      res.status(500).json({
-        error: 'Password reset failed',
-        message: 'Unable to reset password',
-      });
-    }
+    await authController.resetPassword(req, res);
   }
 );
 
@@ -335,37 +316,12 @@ router.post('/reset-password',
 router.post('/verify-email',
   validateEmailVerification,
   async (req, res) => {
-    try {
-      const { token } = req.body;
-      
-      logger.http('Auth: Email verification attempt', {
-        token: token.substring(0, 8) + '...',
-        clientIP: req.ip,
-      });
-
-      // TODO: Implement email verification
-      // This would involve:
-      // 1. Validate verification token
-      // 2. Check token expiry
-      // 3. Mark email as verified
-      // 4. Update user record
-      // 5. Log security event
-
-      res.json({
-        success: true,
-        message: 'Email address verified successfully',
-      });
-
-    } catch (error) {
-      logger.logError(error, req, { 
-        operation: 'verify_email',
-      });
+    logger.http('Auth: Email verification attempt', {
+      token: req.body.token.substring(0, 8) + '...',
+      clientIP: req.ip,
+    });
 
-      res.status(500).json({
-        error: 'Email verification failed',
-        message: 'Unable to verify email address',
-      });
-    }
+    await authController.verifyEmail(req, res);
   }
 );
 
@@ -378,44 +334,187 @@ router.post('/verify-email',
 router.post('/resend-verification',
   authenticateToken,
   async (req, res) => {
-    try {
-      const user = req.user;
+    logger.http('Auth: Resend verification request', {
+      userId: req.user.id,
+      email: req.user.email,
+      clientIP: req.ip,
+    });
 
-      if (user.email_verified) {
-        return res.status(400).json({
-          error: 'Already verified',
-          message: 'Your email address is already verified',
-        });
-      }
+    await authController.resendVerification(req, res);
+  }
+);
 
-      logger.http('Auth: Resend verification request', {
-        userId: user.id,
-        email: user.email,
-        clientIP: req.ip,
-      });
+// ==============================================
+// TWO-FACTOR AUTHENTICATION
+// ==============================================
 
-      // TODO: Implement verification email resending
-      // This would involve:
-      // 1. Generate new verification token
-      // 2. Send verification email
-      // 3. Log security event
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status for the current user
+ * @access  Private (requires authentication)
+ * @returns { twoFactor: { enabled, enabledAt, required, recoveryCodesRemaining } }
+ */
+router.get('/2fa',
+  authenticateToken,
+  twoFactorController.getStatus
+);
 
-      res.json({
-        success: true,
-        message: 'Verification email has been resent',
-      });
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment with a new authenticator secret
+ * @access  Private, or with a 'setup' pre-auth token from login
+ * @body    { preAuthToken? }
+ * @returns { setup: { secret, otpauthUrl, qrCodeDataUrl } }
+ */
+router.post('/2fa/setup',
+  optionalAuth,
+  validateTwoFactorSetup,
+  async (req, res) => {
+    logger.http('Auth: Two-factor setup request', {
+      userId: req.user?.id,
+      duringLogin: !req.user,
+      clientIP: req.ip,
+    });
 
-    } catch (error) {
-      logger.logError(error, req, { 
-        operation: 'resend_verification',
-        userId: req.user?.id,
-      });
+    await twoFactorController.beginSetup(req, res);
+  }
+);
 
-      res.status(500).json({
-        error: 'Verification resend failed',
-        message: 'Unable to resend verification email',
-      });
-    }
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code from the authenticator app
+ * @access  Private, or with a 'setup' pre-auth token from login
+ * @body    { code, preAuthToken? }
+ * @returns { recoveryCodes } (plus user and tokens when enrolling during login)
+ */
+router.post('/2fa/enable',
+  twoFactorLimiter,
+  optionalAuth,
+  validateTwoFactorEnable,
+  async (req, res) => {
+    logger.http('Auth: Two-factor enable request', {
+      userId: req.user?.id,
+      duringLogin: !req.user,
+      clientIP: req.ip,
+    });
+
+    await twoFactorController.enable(req, res);
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Finish signing in with an authenticator or recovery code
+ * @access  Public (requires a pre-auth token from login)
+ * @body    { preAuthToken, code } or { preAuthToken, recoveryCode }
+ * @returns { user, tokens, recoveryCodesRemaining? }
+ */
+router.post('/2fa/verify',
+  twoFactorLimiter,
+  validateTwoFactorVerify,
+  async (req, res) => {
+    logger.http('Auth: Two-factor verification attempt', {
+      method: req.body.code ? 'totp' : 'recovery_code',
+      clientIP: req.ip,
+    });
+
+    await twoFactorController.verifyLogin(req, res);
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private (requires authentication)
+ * @body    { password, code } or { password, recoveryCode }
+ * @returns { success, message }
+ */
+router.post('/2fa/disable',
+  twoFactorLimiter,
+  authenticateToken,
+  validateTwoFactorDisable,
+  async (req, res) => {
+    logger.http('Auth: Two-factor disable request', {
+      userId: req.user.id,
+      clientIP: req.ip,
+    });
+
+    await twoFactorController.disable(req, res);
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes
+ * @access  Private (requires authentication)
+ * @body    { code }
+ * @returns { recoveryCodes }
+ */
+router.post('/2fa/recovery-codes',
+  twoFactorLimiter,
+  authenticateToken,
+  validateRecoveryCodes,
+  async (req, res) => {
+    logger.http('Auth: Recovery code regeneration', {
+      userId: req.user.id,
+      clientIP: req.ip,
+    });
+
+    await twoFactorController.regenerateRecoveryCodes(req, res);
+  }
+);
+
+/**
+ * @route   GET /api/auth/2fa/policy
+ * @desc    Two-factor requirement and enrolment counts per privileged role
+ * @access  Private (admin only)
+ * @returns { roles: [{ role, required, enrolledUsers, totalUsers, updatedBy, updatedAt }] }
+ */
+router.get('/2fa/policy',
+  authenticateToken,
+  requireRole(['admin']),
+  twoFactorController.getPolicy
+);
+
+/**
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Require two-factor authentication for a privileged role
+ * @access  Private (admin only)
+ * @body    { role: admin|moderator, required }
+ * @returns { roles }
+ */
+router.put('/2fa/policy',
+  authenticateToken,
+  requireRole(['admin']),
+  validateTwoFactorPolicy,
+  async (req, res) => {
+    logger.http('Auth: Two-factor policy update', {
+      adminId: req.user.id,
+      role: req.body.role,
+      required: req.body.required,
+    });
+
+    await twoFactorController.updatePolicy(req, res);
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/users/:userId/reset
+ * @desc    Remove a user's two-factor enrolment, e.g. after a lost device
+ * @access  Private (admin only)
+ * @param   {number} userId - User ID
+ * @returns { userId, removed }
+ */
+router.post('/2fa/users/:userId/reset',
+  authenticateToken,
+  requireRole(['admin']),
+  async (req, res) => {
+    logger.http('Auth: Two-factor reset by admin', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+    });
+
+    await twoFactorController.resetUser(req, res);
   }
 );
 
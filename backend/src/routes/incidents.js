@@ -11,19 +11,39 @@
  * 
  * ROUTE STRUCTURE:
  * - POST /api/incidents: Create new incident report
+ * - POST /api/incidents/import: Bulk import from GeoJSON/CSV (import permission)
  * - GET /api/incidents: Search incidents with spatial filtering
  * - GET /api/incidents/types: Get available incident types
+ * - PUT /api/incidents/types/:typeId: Update an incident type's verification and expiry rules
  * - GET /api/incidents/clusters: Generate incident clusters for maps
  * - GET /api/incidents/heatmap: Generate heatmap data points
  * - GET /api/incidents/statistics: Get incident analytics
+ * - GET /api/incidents/duplicates: Find likely duplicates before reporting
  * - GET /api/incidents/:id: Get specific incident details
  * - PUT /api/incidents/:id: Update existing incident
  * - DELETE /api/incidents/:id: Delete incident (soft delete)
- * - POST /api/incidents/:id/verify: Community verification
+ * - POST /api/incidents/:id/verify: Weighted community vote (confirm/dispute/spam)
+ * - POST /api/incidents/:id/acknowledge: Acknowledge an active incident
+ * - POST /api/incidents/:id/start: Mark incident as in progress
+ * - POST /api/incidents/:id/resolve: Resolve incident with notes
+ * - POST /api/incidents/:id/false-report: Flag incident as false report
+ * - POST /api/incidents/:id/reopen: Reopen resolved/false-reported incident
+ * - GET /api/incidents/:id/history: Status transition history
+ * - POST /api/incidents/:id/merge: Merge duplicate incidents into this one
+ * - GET /api/incidents/:id/attachments: List photo/video attachments
+ * - POST /api/incidents/:id/attachments: Upload attachments (multipart)
+ * - GET /api/incidents/:id/attachments/:attachmentId/file: Download attachment
+ * - GET /api/incidents/:id/attachments/:attachmentId/thumbnail: Download thumbnail
+ * - DELETE /api/incidents/:id/attachments/:attachmentId: Delete attachment
+ * - GET /api/incidents/:id/comments: Comment threads (internal notes for staff)
+ * - POST /api/incidents/:id/comments: Add comment, reply or internal note
+ * - PUT /api/incidents/:id/comments/:commentId: Edit own comment
+ * - DELETE /api/incidents/:id/comments/:commentId: Delete comment
  * 
  * SECURITY FEATURES:
  * - Authentication required for all endpoints
  * - Ownership validation for updates/deletions
+ * - Named permissions (verify, resolve, delete-any, ...) from role bundles
  * - Rate limiting for incident creation and verification
  * - Input validation and sanitization
  * - Comprehensive request logging
@@ -33,11 +53,13 @@
  * - Geographic area subscriptions
  * - User notifications for owned incidents
  * - Community verification broadcasts
+ * - Live comment threads in incident rooms
  * 
  * DEPENDENCIES:
  * - IncidentController: Business logic handlers
- * - Auth Middleware: User authentication
+ * - Auth Middleware: User authentication and permission checks
  * - Validation Middleware: Input validation
+ * - Upload Middleware: Multipart attachment parsing
  * - Rate Limiting: Endpoint protection
  * - Logger: Request and security logging
  * 
@@ -48,16 +70,28 @@
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { authenticateToken, requireRole } = require('../middlewares/auth');
+const { authenticateToken, requirePermission } = require('../middlewares/auth');
+const { handleAttachmentUpload } = require('../middlewares/upload');
 const {
   validateIncidentCreation,
   validateIncidentUpdate,
+  validateStatusChange,
+  validateIncidentResolution,
+  validateVerificationVote,
+  validateIncidentImport,
+  validateDuplicateCheck,
+  validateIncidentMerge,
+  validateIncidentTypeUpdate,
+  validateCommentCreation,
+  validateCommentUpdate,
   validateSpatialSearch,
   validateClusterParams,
   validateHeatmapParams,
 } = require('../middlewares/validation-incident');
 const IncidentController = require('../controllers/incident');
 const IncidentService = require('../services/incident');
+const { PERMISSIONS } = require('../services/permission').PermissionService;
+const { expiryScheduler } = require('../services/scheduler');
 const logger = require('../services/logger');
 
 const router = express.Router();
@@ -121,6 +155,34 @@ const queryLimiter = rateLimit({
   keyGenerator: (req) => `query_${req.user?.id || req.ip}`,
 });
 
+// Rate limiting for attachment uploads (bounds storage and image processing)
+const attachmentUploadLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 10, // 10 upload requests per 5 minutes per user
+  message: {
+    error: 'Too many uploads',
+    message: 'Please wait before uploading more attachments',
+    retryAfter: '5 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `attachment_upload_${req.user?.id || req.ip}`,
+});
+
+// Rate limiting for comments (prevents thread flooding)
+const commentLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 10, // 10 comments or edits per minute per user
+  message: {
+    error: 'Too many comments',
+    message: 'Please wait before posting more comments',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `comment_${req.user?.id || req.ip}`,
+});
+
 /**
  * Middleware to log all incident operations
  */
@@ -145,17 +207,45 @@ const logIncidentOperation = (operation) => {
  * @route   POST /api/incidents
  * @desc    Create a new traffic incident report
  * @access  Private (requires authentication)
- * @body    { typeId, description, latitude, longitude, severity?, address?, estimatedDuration?, affectedLanes? }
- * @returns { incident, message }
+ * @body    { typeId, description, latitude, longitude, severity?, address?, estimatedDuration?, affectedLanes?, extent? }
+ *          extent: optional GeoJSON LineString/Polygon for closures and work zones;
+ *          latitude/longitude remain the representative point
+ *          Also accepts multipart/form-data with the same fields plus photos/videos
+ *          in "attachments" (extent as a JSON string)
+ * @returns { incident, duplicateCandidates, attachmentErrors?, message }
  */
 router.post('/',
   authenticateToken,
   incidentCreationLimiter,
+  handleAttachmentUpload(),
   logIncidentOperation('create'),
   validateIncidentCreation,
   incidentController.createIncident
 );
 
+/**
+ * @route   POST /api/incidents/import
+ * @desc    Bulk import incidents from a GeoJSON FeatureCollection or CSV with lat/lon columns.
+ *          Rows are validated like POST /api/incidents (type names are mapped to IDs).
+ *          Without confirm the request is a dry run returning a per-row error report;
+ *          with confirm all rows are inserted in a single transaction or none are.
+ * @access  Private (requires import permission)
+ * @body    { format: 'geojson'|'csv', data: FeatureCollection|string, confirm?: boolean }
+ *          LineString/Polygon features become extents and need latitude/longitude properties
+ *          An occurred_at (or created_at) column backdates historical incidents; it cannot be in
+ *          the future, and incidents whose lifetime had already ended are imported as resolved
+ * @returns { report: { totalRows, validRows, invalidRows, errors: [{ row, errors }] }, incidentIds? }
+ * @example POST /api/incidents/import
+ *          { "format": "csv", "data": "lat,lon,type,description\n40.71,-74.00,Accident,Two-car collision", "confirm": false }
+ */
+router.post('/import',
+  authenticateToken,
+  requirePermission(PERMISSIONS.IMPORT),
+  logIncidentOperation('import_incidents'),
+  validateIncidentImport,
+  incidentController.importIncidents
+);
+
 /**
  * @route   GET /api/incidents
  * @desc    Search incidents with spatial and temporal filtering
@@ -183,12 +273,30 @@ router.get('/types',
   incidentController.getIncidentTypes
 );
 
+/**
+ * @route   PUT /api/incidents/types/:typeId
+ * @desc    Update an incident type's verification thresholds and expiry policy
+ * @access  Private (requires manage-types permission)
+ * @param   typeId - Incident type ID
+ * @body    { verifyThreshold?, disputeThreshold?, autoFlagFalseReports?, expiryPolicy?: { autoExpireHours?, action?, staleAfterHours? } }
+ *          null clears a threshold or expiry setting back to the default
+ * @returns { incidentType, message }
+ */
+router.put('/types/:typeId',
+  authenticateToken,
+  requirePermission(PERMISSIONS.MANAGE_TYPES),
+  logIncidentOperation('update_type'),
+  validateIncidentTypeUpdate,
+  incidentController.updateIncidentType
+);
+
 /**
  * @route   GET /api/incidents/clusters
  * @desc    Generate incident clusters for map visualization
  * @access  Private (requires authentication)
  * @query   ?bounds={north,south,east,west}&clusterCount=&minSeverity=&includeExpired=
- * @returns { clusters, parameters }
+ *          &method=kmeans|dbscan&eps=<meters>&minPoints=&hull=convex|concave
+ * @returns { clusters, noise (dbscan only), parameters }
  */
 router.get('/clusters',
   authenticateToken,
@@ -227,6 +335,23 @@ router.get('/statistics',
   incidentController.getIncidentStatistics
 );
 
+/**
+ * @route   GET /api/incidents/duplicates
+ * @desc    Find recent nearby incidents of the same or a related type, so a
+ *          client can offer confirming an existing incident instead of reporting
+ * @access  Private (requires authentication)
+ * @query   ?typeId=&latitude=&longitude=&radius=&windowMinutes=
+ * @returns { duplicateCandidates, parameters }
+ * @example GET /api/incidents/duplicates?typeId=1&latitude=40.7128&longitude=-74.0060
+ */
+router.get('/duplicates',
+  authenticateToken,
+  queryLimiter,
+  logIncidentOperation('check_duplicates'),
+  validateDuplicateCheck,
+  incidentController.checkDuplicates
+);
+
 /**
  * @route   GET /api/incidents/:id
  * @desc    Get specific incident details by ID
@@ -242,10 +367,10 @@ router.get('/:id',
 
 /**
  * @route   PUT /api/incidents/:id
- * @desc    Update existing incident (owner or admin only)
- * @access  Private (requires authentication and ownership)
+ * @desc    Update existing incident (owner, or delete-any permission)
+ * @access  Private (requires authentication and ownership or delete-any permission)
  * @param   id - Incident ID
- * @body    { description?, severity?, address?, estimatedDuration?, affectedLanes? }
+ * @body    { description?, severity?, address?, estimatedDuration?, affectedLanes?, extent? } (extent: null removes it)
  * @returns { incident, message }
  */
 router.put('/:id',
@@ -257,8 +382,8 @@ router.put('/:id',
 
 /**
  * @route   DELETE /api/incidents/:id
- * @desc    Delete incident (soft delete - owner or admin only)
- * @access  Private (requires authentication and ownership)
+ * @desc    Delete incident (soft delete - owner, or delete-any permission)
+ * @access  Private (requires authentication and ownership or delete-any permission)
  * @param   id - Incident ID
  * @returns { success, message, incidentId }
  */
@@ -270,28 +395,264 @@ router.delete('/:id',
 
 /**
  * @route   POST /api/incidents/:id/verify
- * @desc    Add community verification to an incident
+ * @desc    Cast a community vote on an incident. Votes are weighted by the voter's
+ *          reputation; enough confirm weight verifies the incident and enough
+ *          dispute weight flags it as a false report (thresholds per incident type).
  * @access  Private (requires authentication)
  * @param   id - Incident ID
- * @returns { verificationCount, isVerified, message }
+ * @body    { vote?: 'confirm'|'dispute'|'spam' (default 'confirm'), notes? }
+ * @returns { vote, weight, verificationCount, confirmWeight, disputeWeight, thresholds, isVerified, status, message }
  */
 router.post('/:id/verify',
   authenticateToken,
   verificationLimiter,
   logIncidentOperation('verify'),
+  validateVerificationVote,
   incidentController.verifyIncident
 );
 
+/**
+ * @route   POST /api/incidents/:id/acknowledge
+ * @desc    Acknowledge an active incident
+ * @access  Private (requires verify permission)
+ * @param   id - Incident ID
+ * @body    { notes? }
+ * @returns { incident, transition, message }
+ */
+router.post('/:id/acknowledge',
+  authenticateToken,
+  requirePermission(PERMISSIONS.VERIFY),
+  logIncidentOperation('acknowledge'),
+  validateStatusChange,
+  incidentController.acknowledgeIncident
+);
+
+/**
+ * @route   POST /api/incidents/:id/start
+ * @desc    Start work on an incident, moving it to in_progress
+ * @access  Private (requires verify permission)
+ * @param   id - Incident ID
+ * @body    { notes? }
+ * @returns { incident, transition, message }
+ */
+router.post('/:id/start',
+  authenticateToken,
+  requirePermission(PERMISSIONS.VERIFY),
+  logIncidentOperation('start_work'),
+  validateStatusChange,
+  incidentController.startIncidentWork
+);
+
+/**
+ * @route   POST /api/incidents/:id/resolve
+ * @desc    Resolve an incident with resolution notes
+ * @access  Private (resolve permission, or the original reporter)
+ * @param   id - Incident ID
+ * @body    { notes }
+ * @returns { incident, transition, message }
+ */
+router.post('/:id/resolve',
+  authenticateToken,
+  logIncidentOperation('resolve'),
+  validateIncidentResolution,
+  incidentController.resolveIncident
+);
+
+/**
+ * @route   POST /api/incidents/:id/false-report
+ * @desc    Mark an incident as a false report
+ * @access  Private (requires verify permission)
+ * @param   id - Incident ID
+ * @body    { notes? }
+ * @returns { incident, transition, message }
+ */
+router.post('/:id/false-report',
+  authenticateToken,
+  requirePermission(PERMISSIONS.VERIFY),
+  logIncidentOperation('mark_false_report'),
+  validateStatusChange,
+  incidentController.markIncidentFalseReport
+);
+
+/**
+ * @route   POST /api/incidents/:id/reopen
+ * @desc    Reopen a resolved or false-reported incident
+ * @access  Private (requires resolve permission)
+ * @param   id - Incident ID
+ * @body    { notes? }
+ * @returns { incident, transition, message }
+ */
+router.post('/:id/reopen',
+  authenticateToken,
+  requirePermission(PERMISSIONS.RESOLVE),
+  logIncidentOperation('reopen'),
+  validateStatusChange,
+  incidentController.reopenIncident
+);
+
+/**
+ * @route   GET /api/incidents/:id/history
+ * @desc    Get the status transition history of an incident
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @returns { incidentId, status, history }
+ */
+router.get('/:id/history',
+  authenticateToken,
+  logIncidentOperation('get_status_history'),
+  incidentController.getIncidentStatusHistory
+);
+
+/**
+ * @route   POST /api/incidents/:id/merge
+ * @desc    Fold duplicate incidents into this one. Reports, verifications and
+ *          view counts move to the canonical incident; merged ids redirect to it.
+ * @access  Private (requires verify permission)
+ * @param   id - Canonical incident ID
+ * @body    { duplicateIds: number[], notes? }
+ * @returns { incident, merged, message }
+ */
+router.post('/:id/merge',
+  authenticateToken,
+  requirePermission(PERMISSIONS.VERIFY),
+  logIncidentOperation('merge'),
+  validateIncidentMerge,
+  incidentController.mergeIncidents
+);
+
+/**
+ * @route   GET /api/incidents/:id/attachments
+ * @desc    List photo and video attachments of an incident
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @returns { incidentId, attachments }
+ */
+router.get('/:id/attachments',
+  authenticateToken,
+  queryLimiter,
+  logIncidentOperation('list_attachments'),
+  incidentController.listAttachments
+);
+
+/**
+ * @route   POST /api/incidents/:id/attachments
+ * @desc    Upload photos or short videos to an incident. Images are re-encoded
+ *          without EXIF metadata and get a thumbnail; video location atoms are removed.
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @body    multipart/form-data with one or more files in "attachments"
+ * @returns { attachments, message }
+ */
+router.post('/:id/attachments',
+  authenticateToken,
+  attachmentUploadLimiter,
+  handleAttachmentUpload('attachments', { required: true }),
+  logIncidentOperation('upload_attachments'),
+  incidentController.uploadAttachments
+);
+
+/**
+ * @route   GET /api/incidents/:id/attachments/:attachmentId/:variant
+ * @desc    Download an attachment ('file') or its thumbnail ('thumbnail')
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @param   attachmentId - Attachment ID
+ * @returns {Stream} Attachment contents with its MIME type
+ */
+router.get('/:id/attachments/:attachmentId/:variant(file|thumbnail)',
+  authenticateToken,
+  incidentController.getAttachmentFile
+);
+
+/**
+ * @route   DELETE /api/incidents/:id/attachments/:attachmentId
+ * @desc    Delete an attachment (uploader, incident reporter, or delete-any permission)
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @param   attachmentId - Attachment ID
+ * @returns { attachmentId, message }
+ */
+router.delete('/:id/attachments/:attachmentId',
+  authenticateToken,
+  logIncidentOperation('delete_attachment'),
+  incidentController.deleteAttachment
+);
+
+/**
+ * @route   GET /api/incidents/:id/comments
+ * @desc    Get an incident's comments as threads. Users with the
+ *          view-internal-notes permission also receive internal notes.
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @returns { incidentId, total, comments: [{ ..., replies }] }
+ */
+router.get('/:id/comments',
+  authenticateToken,
+  queryLimiter,
+  logIncidentOperation('list_comments'),
+  incidentController.listComments
+);
+
+/**
+ * @route   POST /api/incidents/:id/comments
+ * @desc    Add a comment or reply. @username mentions notify the mentioned users;
+ *          internal notes (view-internal-notes permission) are hidden from other users.
+ * @access  Private (requires authentication)
+ * @param   id - Incident ID
+ * @body    { body, parentId?, internal? }
+ * @returns { comment, message }
+ * @example POST /api/incidents/42/comments
+ *          { "body": "@jdoe the left lane is open again", "parentId": 7 }
+ */
+router.post('/:id/comments',
+  authenticateToken,
+  commentLimiter,
+  logIncidentOperation('create_comment'),
+  validateCommentCreation,
+  incidentController.createComment
+);
+
+/**
+ * @route   PUT /api/incidents/:id/comments/:commentId
+ * @desc    Edit a comment's text (author only)
+ * @access  Private (comment author)
+ * @param   id - Incident ID
+ * @param   commentId - Comment ID
+ * @body    { body }
+ * @returns { comment, message }
+ */
+router.put('/:id/comments/:commentId',
+  authenticateToken,
+  commentLimiter,
+  logIncidentOperation('update_comment'),
+  validateCommentUpdate,
+  incidentController.updateComment
+);
+
+/**
+ * @route   DELETE /api/incidents/:id/comments/:commentId
+ * @desc    Delete a comment (author, or delete-any permission). Replies stay in the thread.
+ * @access  Private (comment author, or delete-any permission)
+ * @param   id - Incident ID
+ * @param   commentId - Comment ID
+ * @returns { commentId, message }
+ */
+router.delete('/:id/comments/:commentId',
+  authenticateToken,
+  logIncidentOperation('delete_comment'),
+  incidentController.deleteComment
+);
+
 /**
  * @route   GET /api/incidents/:id/verifications
- * @desc    Get verification details for an incident (admin only)
- * @access  Private (requires admin role)
+ * @desc    Get verification details for an incident
+ * @access  Private (requires verify permission)
  * @param   id - Incident ID
  * @returns { verifications }
  */
 router.get('/:id/verifications',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.VERIFY),
   logIncidentOperation('get_verifications'),
   async (req, res) => {
     try {
@@ -344,13 +705,13 @@ router.get('/:id/verifications',
 
 /**
  * @route   POST /api/incidents/cleanup-expired
- * @desc    Clean up expired incidents (admin only - typically run by cron job)
- * @access  Private (requires admin role)
- * @returns { cleanedCount, message }
+ * @desc    Apply expiry policies now (the expiry scheduler runs this periodically)
+ * @access  Private (requires manage-types permission)
+ * @returns { cleanedCount, cleanedIncidents, resolvedIncidents, staleIncidents, message }
  */
 router.post('/cleanup-expired',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.MANAGE_TYPES),
   logIncidentOperation('cleanup_expired'),
   async (req, res) => {
     try {
@@ -359,11 +720,12 @@ router.post('/cleanup-expired',
         username: req.user.username,
       });
 
-      const result = await incidentService.cleanupExpiredIncidents();
+      const result = await expiryScheduler.runOnce();
 
       logger.info('Incident: Expired incident cleanup completed', {
         userId: req.user.id,
         cleanedCount: result.cleanedCount,
+        resolvedCount: result.resolved.length,
       });
 
       res.json({
@@ -371,6 +733,8 @@ router.post('/cleanup-expired',
         message: `Successfully cleaned up ${result.cleanedCount} expired incidents`,
         cleanedCount: result.cleanedCount,
         cleanedIncidents: result.cleanedIncidents,
+        resolvedIncidents: result.resolved.map(item => item.incidentId),
+        staleIncidents: result.markedStale,
       });
 
     } catch (error) {
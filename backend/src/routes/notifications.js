@@ -0,0 +1,124 @@
+/**
+ * ==================================================
+ * NOTIFICATION ROUTES
+ * Persistent In-App Notification Center
+ * ==================================================
+ *
+ * Notifications (watch zone alerts, mentions, replies, status changes)
+ * are stored per user with read/unread state. Users can page through
+ * them, mark them read, delete them and mute individual types.
+ *
+ * ROUTE STRUCTURE:
+ * - GET /api/notifications: List notifications
+ * - GET /api/notifications/unread-count: Unread count
+ * - GET /api/notifications/preferences: Per-type settings
+ * - PUT /api/notifications/preferences: Turn types on or off
+ * - PUT /api/notifications/read-all: Mark all read
+ * - PUT /api/notifications/:id/read: Mark one read
+ * - DELETE /api/notifications/:id: Delete one
+ *
+ * DEPENDENCIES:
+ * - NotificationController: Request handlers
+ * - Auth Middleware: User authentication
+ * - Validation Middleware: Paging and preference validation
+ *
+ * USAGE:
+ * const notificationRoutes = require('./routes/notifications');
+ * app.use('/api/notifications', notificationRoutes);
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middlewares/auth');
+const NotificationController = require('../controllers/notification');
+const {
+  validateNotificationList,
+  validateNotificationPreferences,
+} = require('../middlewares/validation');
+
+const router = express.Router();
+const notificationController = new NotificationController();
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the current user's notifications, newest first
+ * @access  Private (requires authentication)
+ * @query   { unreadOnly?, limit?, offset? }
+ * @returns { notifications, total, unreadCount, pagination }
+ */
+router.get('/',
+  authenticateToken,
+  validateNotificationList,
+  notificationController.listNotifications
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the current user's unread notification count
+ * @access  Private (requires authentication)
+ * @returns { unreadCount }
+ */
+router.get('/unread-count',
+  authenticateToken,
+  notificationController.getUnreadCount
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get which notification types are turned on
+ * @access  Private (requires authentication)
+ * @returns { preferences: { types: [{ type, label, enabled }] } }
+ */
+router.get('/preferences',
+  authenticateToken,
+  notificationController.getPreferences
+);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn notification types on or off
+ * @access  Private (requires authentication)
+ * @body    { types: { [type]: boolean } }
+ * @returns { preferences }
+ */
+router.put('/preferences',
+  authenticateToken,
+  validateNotificationPreferences,
+  notificationController.updatePreferences
+);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications read
+ * @access  Private (requires authentication)
+ * @returns { updatedCount, unreadCount }
+ */
+router.put('/read-all',
+  authenticateToken,
+  notificationController.markAllRead
+);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark one notification read
+ * @access  Private (owner only)
+ * @param   {number} id - Notification ID
+ * @returns { notification, unreadCount }
+ */
+router.put('/:id/read',
+  authenticateToken,
+  notificationController.markRead
+);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private (owner only)
+ * @param   {number} id - Notification ID
+ * @returns { notificationId, unreadCount }
+ */
+router.delete('/:id',
+  authenticateToken,
+  notificationController.deleteNotification
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * ==================================================
+ * STREAM ROUTES
+ * Server-Sent Events Fallback for Real-Time Updates
+ * ==================================================
+ *
+ * For kiosks and networks that block WebSockets. The stream carries
+ * the same incident events and payloads as Socket.IO; each event's id
+ * is its sequence, so EventSource reconnects resume via Last-Event-ID.
+ *
+ * ROUTE STRUCTURE:
+ * - POST /api/stream/token: Short-lived token for opening a stream
+ * - GET /api/stream/incidents: Live incident event stream
+ *
+ * DEPENDENCIES:
+ * - StreamController: Request handlers
+ * - Auth Middleware: User authentication
+ * - Validation Middleware: Stream filter validation
+ *
+ * BROWSER CLIENTS:
+ * EventSource cannot send an Authorization header. Fetch a stream token
+ * with the access token and pass it in the URL; it lasts 15 minutes at
+ * most and only opens streams. The stream ends with a stream_closed event
+ * when the token expires or the session signs out. EventSource's own
+ * reconnect reuses the old URL, so on stream_closed (or an error that
+ * leaves readyState CLOSED) close it, fetch a new token and reopen with
+ * the last event id:
+ *
+ *   const { token } = await api.post('/api/stream/token');
+ *   const source = new EventSource(
+ *     `/api/stream/incidents?token=${token}&lastEventId=${lastId}&bbox=...`);
+ *   source.addEventListener('new-incident', (e) => { lastId = e.lastEventId; ... });
+ *   source.addEventListener('stream_closed', (e) => { source.close(); reopen(); });
+ *
+ * API key clients send "Authorization: ApiKey <key>" on the stream request.
+ *
+ * USAGE:
+ * const streamRoutes = require('./routes/stream');
+ * app.use('/api/stream', streamRoutes);
+ */
+
+const express = require('express');
+const { authenticateToken, authenticateStream } = require('../middlewares/auth');
+const StreamController = require('../controllers/stream');
+const { validateIncidentStreamQuery } = require('../middlewares/validation-incident');
+
+const router = express.Router();
+const streamController = new StreamController();
+
+/**
+ * @route   POST /api/stream/token
+ * @desc    Issue a stream token tied to the caller's session
+ * @access  Private (requires authentication, not API keys)
+ * @returns { token, expiresAt }
+ */
+router.post('/token',
+  authenticateToken,
+  streamController.issueStreamToken
+);
+
+/**
+ * @route   GET /api/stream/incidents
+ * @desc    Stream incident events as text/event-stream
+ * @access  Private (stream token, access token or API key)
+ * @header  Last-Event-ID - Resume after this event id (sent by EventSource on reconnect)
+ * @query   { token?, lastEventId?, bbox?: 'west,south,east,north', incidentTypes?: '1,2',
+ *            minSeverity?, verifiedOnly? }
+ * @returns text/event-stream: connected, new-incident, incident-updated, incident-deleted,
+ *          incident-verified, incident-status-changed, resume_complete, resync_required,
+ *          stream_closed
+ */
+router.get('/incidents',
+  authenticateStream,
+  validateIncidentStreamQuery,
+  streamController.streamIncidents
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * ==================================================
+ * VECTOR TILE ROUTES
+ * Mapbox Vector Tiles for Map Layers
+ * ==================================================
+ *
+ * This module serves MVT tiles generated in PostGIS (ST_AsMVT):
+ * - incidents: active incident points
+ * - hotspots: hotspot grid cells (count x average severity)
+ * - density: incident density grid cells
+ *
+ * Tiles accept the same time and type filters as the analysis routes
+ * and carry ETag and Cache-Control headers so map clients can
+ * revalidate instead of re-downloading unchanged tiles.
+ *
+ * DEPENDENCIES:
+ * - AnalysisController: Tile generation handler
+ * - Auth Middleware: User authentication
+ * - Validation Middleware: Tile coordinate and filter validation
+ *
+ * INPUTS: GET /api/tiles/{layer}/{z}/{x}/{y}.mvt with optional query filters
+ * OUTPUTS: application/vnd.mapbox-vector-tile binary responses
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middlewares/auth');
+const AnalysisController = require('../controllers/analysis');
+const {
+  validateTileCoordinates,
+  validateTileQuery,
+} = require('../middlewares/validation-analysis');
+
+const router = express.Router();
+const analysisController = new AnalysisController();
+
+/**
+ * Rate limiting for tile requests
+ * Map clients fetch many tiles per viewport change, so the budget is
+ * considerably higher than for the JSON analysis endpoints.
+ */
+const tileLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 1500, // 1500 tiles per 5 minutes per user/IP
+  message: {
+    error: 'Too many tile requests',
+    message: 'Please slow down map tile requests.',
+    retryAfter: '5 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `tiles_${req.user?.id || req.ip}`,
+});
+
+/**
+ * @route   GET /api/tiles/:layer/:z/:x/:y.mvt
+ * @desc    Get a vector tile for the incidents, hotspots or density layer
+ * @access  Private (requires authentication)
+ * @params  Path parameters:
+ *          - layer: 'incidents' | 'hotspots' | 'density'
+ *          - z, x, y: Tile coordinates (z 0-22)
+ * @params  Query parameters:
+ *          - timeRange: Time period (e.g., '30d', '7d', '1w') - default: '30d'
+ *          - incidentTypes: Comma-separated incident type IDs for filtering
+ *          - gridSize: Hotspot grid resolution 10-500 - default: 100
+ *          - minIncidents: Minimum incidents per hotspot cell 1-50 - default: 1
+ *          - resolution: Density grid resolution 'low'|'medium'|'high' - default: 'medium'
+ * @returns {Buffer} MVT tile, 204 when empty, 304 when the ETag matches
+ * @example GET /api/tiles/hotspots/12/1205/1539.mvt?timeRange=7d&minIncidents=3
+ */
+router.get('/:layer/:z/:x/:y.mvt',
+  authenticateToken,
+  tileLimiter,
+  validateTileCoordinates,
+  validateTileQuery,
+  analysisController.getVectorTile
+);
+
+module.exports = router;
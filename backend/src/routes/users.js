@@ -14,7 +14,15 @@
  * - PUT /api/users/change-password: Change user password
  * - DELETE /api/users/account: Delete user account
  * - GET /api/users/activity: Get user activity history
+ * - GET /api/users/sessions: List active sign-in sessions
+ * - DELETE /api/users/sessions/:sessionId: Sign out one session
+ * - DELETE /api/users/sessions: Sign out every other session
  * - POST /api/users/avatar: Upload user avatar image
+ * - GET /api/users: List users (manage-users permission)
+ * - GET /api/users/:userId: Get a user (self or manage-users permission)
+ * - PUT /api/users/:userId: Change a user's role or status (manage-users permission)
+ * - GET /api/users/roles: Role permission bundles (manage-users permission)
+ * - PUT /api/users/roles/:role: Edit a role's permissions (admin only)
  * 
  * SECURITY FEATURES:
  * - Authentication required for all endpoints
@@ -22,12 +30,19 @@
  * - Input sanitization and validation
  * - Secure password change with old password verification
  * - Activity logging for security events
+ * - Remote sign-out that also closes the session's sockets
+ * - User administration gated by the manage-users permission
  * 
  * DEPENDENCIES:
  * - Express Router: Route definition
- * - Auth Middleware: JWT token verification
+ * - Auth Middleware: JWT token verification and permission checks
  * - Validation Middleware: Input validation
  * - Database Connection: User data operations
+ * - Reputation Service: Reporter reputation scores
+ * - Mailer Service: Password change alerts
+ * - Session Service: Sign-in sessions
+ * - Permission Service: Role permission bundles
+ * - Socket.IO Handler: Disconnects signed-out sessions
  * - Logger Service: Activity and security logging
  * 
  * USAGE:
@@ -36,23 +51,38 @@
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middlewares/auth');
+const {
+  authenticateToken,
+  requirePermission,
+  requireOwnershipOrPermission,
+} = require('../middlewares/auth');
 const {
   validateProfileUpdate,
   validatePasswordChange,
+  validateAdminUserUpdate,
+  validateUserList,
+  validateRoleBundleUpdate,
 } = require('../middlewares/validation');
 const DatabaseConnection = require('../db/connection');
 const passwordService = require('../services/password');
+const ReputationService = require('../services/reputation');
+const { mailer } = require('../services/mailer');
+const sessionService = require('../services/session');
+const { REVOKE_REASONS } = sessionService.SessionService;
+const permissionService = require('../services/permission');
+const { PERMISSIONS, PERMISSION_DESCRIPTIONS } = permissionService.PermissionService;
+const { socketIOHandler } = require('../services/socket');
 const logger = require('../services/logger');
 
 const router = express.Router();
 const db = require('../db/connection');
+const reputationService = new ReputationService();
 
 /**
  * @route   GET /api/users/profile
  * @desc    Get current user's detailed profile information
  * @access  Private
- * @returns { user, statistics }
+ * @returns { user, statistics, reputation }
  */
 router.get('/profile',
   authenticateToken,
@@ -112,6 +142,10 @@ router.get('/profile',
       const statsResult = await db.query(statsQuery, [userId]);
       const statistics = statsResult.rows[0];
 
+      // Reputation from settled reports and verification votes
+      const reputation = await reputationService.getReputation({ id: user.id, role: user.role });
+      const permissions = await permissionService.permissionsFor(user.role);
+
       res.json({
         success: true,
         user: {
@@ -122,6 +156,7 @@ router.get('/profile',
           lastName: user.last_name,
           phone: user.phone,
           role: user.role,
+          permissions,
           isActive: user.is_active,
           emailVerified: user.email_verified,
           lastLogin: user.last_login,
@@ -133,7 +168,8 @@ router.get('/profile',
           incidentsLast30Days: parseInt(statistics.incidents_last_30_days),
           verifiedIncidents: parseInt(statistics.verified_incidents),
           lastIncidentDate: statistics.last_incident_date,
-        }
+        },
+        reputation,
       });
 
     } catch (error) {
@@ -310,6 +346,14 @@ router.put('/change-password',
         username: req.user.username,
       }, req);
 
+      // Alert the account owner without holding up the response
+      mailer.send(req.user.email, 'password-changed', {
+        user: req.user,
+        changedAt: new Date(),
+        clientIP: req.ip,
+        resetUrl: mailer.link('/forgot-password'),
+      }).catch(error => logger.error('Failed to send password change alert:', error.message));
+
       res.json({
         success: true,
         message: 'Password changed successfully',
@@ -518,4 +562,517 @@ router.get('/activity',
   }
 );
 
+/**
+ * @route   GET /api/users/sessions
+ * @desc    List the current user's active sign-in sessions
+ * @access  Private
+ * @returns { sessions, currentSessionId }
+ */
+router.get('/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const currentSessionId = req.token.decoded.sid || null;
+      const sessions = await sessionService.listActiveSessions(req.user.id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === currentSessionId,
+        })),
+        currentSessionId,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_sessions',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Session retrieval failed',
+        message: 'Unable to retrieve active sessions',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/users/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ * @returns { success, message, current }
+ */
+router.delete('/sessions/:sessionId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { sessionId } = req.params;
+      const current = sessionId === req.token.decoded.sid;
+
+      const revoked = await sessionService.revokeSession(userId, sessionId);
+
+      if (!revoked) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'No active session with that ID',
+        });
+      }
+
+      socketIOHandler.disconnectSessions([sessionId]);
+
+      logger.logSecurity('session_revoked', {
+        userId,
+        sessionId,
+        current,
+      }, req);
+
+      res.json({
+        success: true,
+        message: current ? 'You have been signed out' : 'Session signed out',
+        current,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'revoke_session',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Session revocation failed',
+        message: 'Unable to sign out session',
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/users/sessions
+ * @desc    Sign out every session except the current one
+ * @access  Private
+ * @returns { success, message, revokedCount }
+ */
+router.delete('/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const currentSessionId = req.token.decoded.sid;
+
+      // Tokens from before sessions have no session to keep
+      const revokedIds = currentSessionId
+        ? await sessionService.revokeOtherSessions(userId, currentSessionId)
+        : await sessionService.revokeAllSessions(userId, REVOKE_REASONS.SIGNED_OUT_ELSEWHERE);
+
+      socketIOHandler.disconnectSessions(revokedIds);
+
+      logger.logSecurity('sessions_revoked', {
+        userId,
+        revokedCount: revokedIds.length,
+      }, req);
+
+      res.json({
+        success: true,
+        message: revokedIds.length === 1
+          ? 'Signed out 1 other session'
+          : `Signed out ${revokedIds.length} other sessions`,
+        revokedCount: revokedIds.length,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'revoke_other_sessions',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Session revocation failed',
+        message: 'Unable to sign out other sessions',
+      });
+    }
+  }
+);
+
+// ==============================================
+// USER ADMINISTRATION
+// ==============================================
+
+const ADMIN_USER_COLUMNS = `
+  id, username, email, first_name, last_name, phone, role,
+  is_active, email_verified, is_service_account, last_login,
+  created_at, updated_at
+`;
+
+/**
+ * API representation of a user for administration screens
+ * @param {Object} row - users row with ADMIN_USER_COLUMNS
+ * @returns {Object}
+ */
+const formatAdminUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  email: row.email,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  phone: row.phone,
+  role: row.role,
+  isActive: row.is_active,
+  emailVerified: row.email_verified,
+  isServiceAccount: row.is_service_account,
+  lastLogin: row.last_login,
+  memberSince: row.created_at,
+  lastUpdated: row.updated_at,
+});
+
+/**
+ * @route   GET /api/users
+ * @desc    List users with optional role, status and name filters
+ * @access  Private (requires manage-users permission)
+ * @query   ?page=1&limit=25&role=moderator&isActive=true&search=jdoe
+ * @returns { users, pagination }
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validateUserList,
+  async (req, res) => {
+    try {
+      const { page, limit, role, isActive, search } = req.query;
+      const conditions = [];
+      const params = [];
+
+      if (role) {
+        params.push(role);
+        conditions.push(`role = $${params.length}`);
+      }
+
+      if (isActive !== undefined) {
+        params.push(isActive);
+        conditions.push(`is_active = $${params.length}`);
+      }
+
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(`(username ILIKE $${params.length} OR email ILIKE $${params.length})`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const countResult = await db.query(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+      const total = parseInt(countResult.rows[0].total);
+
+      params.push(limit, (page - 1) * limit);
+      const result = await db.query(`
+        SELECT ${ADMIN_USER_COLUMNS}
+        FROM users
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `, params);
+
+      res.json({
+        success: true,
+        users: result.rows.map(formatAdminUser),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_users',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'User retrieval failed',
+        message: 'Unable to retrieve users',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/users/roles
+ * @desc    Every role's permission bundle, plus the available permissions
+ * @access  Private (requires manage-users permission)
+ * @returns { roles, permissions }
+ */
+router.get('/roles',
+  authenticateToken,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  async (req, res) => {
+    try {
+      const roles = await permissionService.listRoles();
+
+      res.json({
+        success: true,
+        roles,
+        permissions: Object.values(PERMISSIONS).map(name => ({
+          name,
+          description: PERMISSION_DESCRIPTIONS[name],
+        })),
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'list_role_permissions',
+        userId: req.user?.id,
+      });
+
+      res.status(500).json({
+        error: 'Role retrieval failed',
+        message: 'Unable to retrieve role permissions',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/users/roles/:role
+ * @desc    Replace a role's permission bundle. The admin role always holds
+ *          every permission and cannot be edited.
+ * @access  Private (admin only)
+ * @body    { permissions: ['verify', 'resolve', ...] }
+ * @returns { role, message }
+ */
+router.put('/roles/:role',
+  authenticateToken,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validateRoleBundleUpdate,
+  async (req, res) => {
+    // A manager could otherwise grant its own role any permission, so
+    // editing bundles stays with admins, as granting the admin role does
+    if (req.user.role !== 'admin') {
+      logger.logSecurity('role_permissions_update_denied', {
+        role: req.params.role,
+        userId: req.user.id,
+        userRole: req.user.role,
+      }, req);
+
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Only admins can edit role permissions',
+      });
+    }
+
+    try {
+      const role = await permissionService.updateRole(
+        req.params.role,
+        req.body.permissions,
+        req.user.id
+      );
+
+      logger.logSecurity('role_permissions_updated', {
+        role: role.role,
+        permissions: role.permissions,
+        userId: req.user.id,
+      }, req);
+
+      res.json({
+        success: true,
+        message: `Permissions for ${role.role} updated`,
+        role,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_role_permissions',
+        userId: req.user?.id,
+        role: req.params.role,
+      });
+
+      if (error.message.includes('cannot be edited')) {
+        return res.status(403).json({
+          error: 'Role locked',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Unknown permission')) {
+        return res.status(400).json({
+          error: 'Invalid permission',
+          message: error.message,
+        });
+      }
+
+      if (error.message.includes('Role not found')) {
+        return res.status(404).json({
+          error: 'Role not found',
+          message: 'No role with that name',
+        });
+      }
+
+      res.status(500).json({
+        error: 'Role update failed',
+        message: 'Unable to update role permissions',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/users/:userId
+ * @desc    Get a user's account details
+ * @access  Private (the user themselves, or manage-users permission)
+ * @returns { user }
+ */
+router.get('/:userId(\\d+)',
+  authenticateToken,
+  requireOwnershipOrPermission(PERMISSIONS.MANAGE_USERS),
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `SELECT ${ADMIN_USER_COLUMNS} FROM users WHERE id = $1`,
+        [parseInt(req.params.userId)]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'No user with that ID',
+        });
+      }
+
+      const user = formatAdminUser(result.rows[0]);
+      user.permissions = await permissionService.permissionsFor(user.role);
+
+      res.json({
+        success: true,
+        user,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'get_user',
+        userId: req.user?.id,
+        targetUserId: req.params.userId,
+      });
+
+      res.status(500).json({
+        error: 'User retrieval failed',
+        message: 'Unable to retrieve user',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/users/:userId
+ * @desc    Change a user's role, status or contact details. Deactivating
+ *          a user signs out all of their sessions. You cannot change
+ *          your own role or deactivate yourself.
+ * @access  Private (requires manage-users permission)
+ * @body    { role?, isActive?, emailVerified?, firstName?, lastName?, phone? }
+ * @returns { user, message }
+ */
+router.put('/:userId(\\d+)',
+  authenticateToken,
+  requirePermission(PERMISSIONS.MANAGE_USERS),
+  validateAdminUserUpdate,
+  async (req, res) => {
+    try {
+      const targetUserId = parseInt(req.params.userId);
+      const changes = req.body;
+
+      if (targetUserId === req.user.id && (changes.role !== undefined || changes.isActive === false)) {
+        return res.status(400).json({
+          error: 'Invalid change',
+          message: 'You cannot change your own role or deactivate your own account',
+        });
+      }
+
+      // Only admins can hand out the admin role, so manage-users alone
+      // cannot be used to escalate to it
+      if (changes.role === 'admin' && req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: 'Only admins can grant the admin role',
+        });
+      }
+
+      const fields = {
+        role: 'role',
+        isActive: 'is_active',
+        emailVerified: 'email_verified',
+        firstName: 'first_name',
+        lastName: 'last_name',
+        phone: 'phone',
+      };
+
+      const updates = [];
+      const params = [targetUserId];
+
+      for (const [key, column] of Object.entries(fields)) {
+        if (changes[key] !== undefined) {
+          params.push(changes[key]);
+          updates.push(`${column} = $${params.length}`);
+        }
+      }
+
+      const existing = await db.query('SELECT role, is_active FROM users WHERE id = $1', [targetUserId]);
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'No user with that ID',
+        });
+      }
+
+      if (existing.rows[0].role === 'admin' && req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: 'Only admins can change another admin',
+        });
+      }
+
+      const result = await db.query(`
+        UPDATE users
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING ${ADMIN_USER_COLUMNS}
+      `, params);
+
+      const user = formatAdminUser(result.rows[0]);
+
+      // A deactivated user is signed out everywhere right away
+      if (existing.rows[0].is_active && !user.isActive) {
+        const revokedIds = await sessionService.revokeAllSessions(targetUserId, REVOKE_REASONS.REVOKED);
+        socketIOHandler.disconnectSessions(revokedIds);
+      }
+
+      logger.logSecurity('user_updated_by_admin', {
+        targetUserId,
+        changes,
+        previousRole: existing.rows[0].role,
+        userId: req.user.id,
+      }, req);
+
+      res.json({
+        success: true,
+        message: 'User updated',
+        user,
+      });
+
+    } catch (error) {
+      logger.logError(error, req, {
+        operation: 'update_user',
+        userId: req.user?.id,
+        targetUserId: req.params.userId,
+      });
+
+      res.status(500).json({
+        error: 'User update failed',
+        message: 'Unable to update user',
+      });
+    }
+  }
+);
+
 module.exports = router;
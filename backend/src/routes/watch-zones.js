@@ -0,0 +1,122 @@
+/**
+ * ==================================================
+ * WATCH ZONE ROUTES
+ * Saved Geofences for Incident Alerts
+ * ==================================================
+ *
+ * Users save polygons or route corridors with incident type and
+ * severity filters. Incidents created or updated inside an active zone
+ * send the owner a stored in-app notification.
+ *
+ * ROUTE STRUCTURE:
+ * - GET /api/watch-zones: List the current user's zones
+ * - POST /api/watch-zones: Save a polygon or route corridor
+ * - GET /api/watch-zones/:id: Get one zone
+ * - PUT /api/watch-zones/:id: Update a zone
+ * - DELETE /api/watch-zones/:id: Delete a zone
+ *
+ * DEPENDENCIES:
+ * - WatchZoneController: Request handlers
+ * - Auth Middleware: User authentication
+ * - Validation Middleware: Zone geometry and filter validation
+ *
+ * USAGE:
+ * const watchZoneRoutes = require('./routes/watch-zones');
+ * app.use('/api/watch-zones', watchZoneRoutes);
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middlewares/auth');
+const WatchZoneController = require('../controllers/watch-zone');
+const {
+  validateWatchZoneCreation,
+  validateWatchZoneUpdate,
+} = require('../middlewares/validation-incident');
+
+const router = express.Router();
+const watchZoneController = new WatchZoneController();
+
+/**
+ * Rate limiting for zone edits
+ * Each save buffers and validates geometry in PostGIS.
+ */
+const watchZoneWriteLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 zone changes per minute per user
+  message: {
+    error: 'Too many watch zone changes',
+    message: 'Please wait a moment before changing more watch zones',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `watch_zones_${req.user?.id || req.ip}`,
+});
+
+/**
+ * @route   GET /api/watch-zones
+ * @desc    List the current user's watch zones
+ * @access  Private (requires authentication)
+ * @returns { zones, total, limit }
+ */
+router.get('/',
+  authenticateToken,
+  watchZoneController.listZones
+);
+
+/**
+ * @route   POST /api/watch-zones
+ * @desc    Save a watch zone; a LineString is buffered into a corridor
+ * @access  Private (requires authentication)
+ * @body    { name, geometry: GeoJSON Polygon|LineString, bufferMeters?, typeIds?, minSeverity?, active? }
+ * @returns { zone }
+ */
+router.post('/',
+  authenticateToken,
+  watchZoneWriteLimiter,
+  validateWatchZoneCreation,
+  watchZoneController.createZone
+);
+
+/**
+ * @route   GET /api/watch-zones/:id
+ * @desc    Get one of the current user's watch zones
+ * @access  Private (owner only)
+ * @param   {number} id - Watch zone ID
+ * @returns { zone }
+ */
+router.get('/:id',
+  authenticateToken,
+  watchZoneController.getZone
+);
+
+/**
+ * @route   PUT /api/watch-zones/:id
+ * @desc    Update a watch zone's name, shape, buffer, filters or active flag
+ * @access  Private (owner only)
+ * @param   {number} id - Watch zone ID
+ * @body    Any of { name, geometry, bufferMeters, typeIds, minSeverity, active }
+ * @returns { zone }
+ */
+router.put('/:id',
+  authenticateToken,
+  watchZoneWriteLimiter,
+  validateWatchZoneUpdate,
+  watchZoneController.updateZone
+);
+
+/**
+ * @route   DELETE /api/watch-zones/:id
+ * @desc    Delete a watch zone
+ * @access  Private (owner only)
+ * @param   {number} id - Watch zone ID
+ * @returns { zoneId }
+ */
+router.delete('/:id',
+  authenticateToken,
+  watchZoneWriteLimiter,
+  watchZoneController.deleteZone
+);
+
+module.exports = router;
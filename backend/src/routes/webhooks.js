@@ -0,0 +1,182 @@
+/**
+ * ==================================================
+ * WEBHOOK ROUTES
+ * Admin-Managed Outbound Incident Webhooks
+ * ==================================================
+ *
+ * Partner systems receive incident events as signed HTTP POSTs.
+ * Admins register endpoints with event type, area and incident type
+ * filters, inspect each endpoint's delivery log and replay deliveries
+ * that exhausted their retries.
+ *
+ * ROUTE STRUCTURE:
+ * - GET /api/webhooks: List endpoints
+ * - POST /api/webhooks: Register an endpoint
+ * - GET /api/webhooks/dead-letters: Dead letters across endpoints
+ * - POST /api/webhooks/deliveries/:deliveryId/replay: Replay one dead letter
+ * - GET /api/webhooks/:id: Get one endpoint
+ * - PUT /api/webhooks/:id: Update an endpoint
+ * - DELETE /api/webhooks/:id: Delete an endpoint
+ * - POST /api/webhooks/:id/rotate-secret: Issue a new signing secret
+ * - GET /api/webhooks/:id/deliveries: Endpoint delivery log
+ * - POST /api/webhooks/:id/dead-letters/replay: Replay an endpoint's dead letters
+ *
+ * DEPENDENCIES:
+ * - WebhookController: Request handlers
+ * - Auth Middleware: Authentication and admin role check
+ * - Validation Middleware: Endpoint and query validation
+ *
+ * USAGE:
+ * const webhookRoutes = require('./routes/webhooks');
+ * app.use('/api/webhooks', webhookRoutes);
+ */
+
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middlewares/auth');
+const WebhookController = require('../controllers/webhook');
+const {
+  validateWebhookCreation,
+  validateWebhookUpdate,
+  validateWebhookDeliveryList,
+  validateWebhookDeadLetterList,
+} = require('../middlewares/validation-incident');
+
+const router = express.Router();
+const webhookController = new WebhookController();
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook endpoints with pending and dead delivery counts
+ * @access  Private (admin only)
+ * @returns { endpoints, total, eventTypes }
+ */
+router.get('/',
+  authenticateToken,
+  requireRole(['admin']),
+  webhookController.listEndpoints
+);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook endpoint; the signing secret is returned only here
+ * @access  Private (admin only)
+ * @body    { name, url, eventTypes?, typeIds?, minSeverity?, area?: GeoJSON Polygon, active? }
+ * @returns { endpoint, secret }
+ */
+router.post('/',
+  authenticateToken,
+  requireRole(['admin']),
+  validateWebhookCreation,
+  webhookController.createEndpoint
+);
+
+/**
+ * @route   GET /api/webhooks/dead-letters
+ * @desc    Deliveries that ran out of retry attempts
+ * @access  Private (admin only)
+ * @query   { endpointId?, limit?, offset? }
+ * @returns { deliveries, pagination }
+ */
+router.get('/dead-letters',
+  authenticateToken,
+  requireRole(['admin']),
+  validateWebhookDeadLetterList,
+  webhookController.listDeadLetters
+);
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/replay
+ * @desc    Queue a dead delivery for a fresh set of attempts
+ * @access  Private (admin only)
+ * @param   {number} deliveryId - Delivery ID
+ * @returns { delivery }
+ */
+router.post('/deliveries/:deliveryId/replay',
+  authenticateToken,
+  requireRole(['admin']),
+  webhookController.replayDelivery
+);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get one webhook endpoint
+ * @access  Private (admin only)
+ * @param   {number} id - Endpoint ID
+ * @returns { endpoint }
+ */
+router.get('/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  webhookController.getEndpoint
+);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update an endpoint's URL, filters or active flag
+ * @access  Private (admin only)
+ * @param   {number} id - Endpoint ID
+ * @body    Any of { name, url, eventTypes, typeIds, minSeverity, area, active }
+ * @returns { endpoint }
+ */
+router.put('/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  validateWebhookUpdate,
+  webhookController.updateEndpoint
+);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete an endpoint and its delivery log
+ * @access  Private (admin only)
+ * @param   {number} id - Endpoint ID
+ * @returns { endpointId }
+ */
+router.delete('/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  webhookController.deleteEndpoint
+);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the endpoint's signing secret
+ * @access  Private (admin only)
+ * @param   {number} id - Endpoint ID
+ * @returns { endpointId, secret }
+ */
+router.post('/:id/rotate-secret',
+  authenticateToken,
+  requireRole(['admin']),
+  webhookController.rotateSecret
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log for an endpoint, newest first
+ * @access  Private (admin only)
+ * @param   {number} id - Endpoint ID
+ * @query   { status?: pending|succeeded|dead, limit?, offset? }
+ * @returns { deliveries, pagination }
+ */
+router.get('/:id/deliveries',
+  authenticateToken,
+  requireRole(['admin']),
+  validateWebhookDeliveryList,
+  webhookController.listDeliveries
+);
+
+/**
+ * @route   POST /api/webhooks/:id/dead-letters/replay
+ * @desc    Queue every dead delivery for the endpoint again
+ * @access  Private (admin only)
+ * @param   {number} id - Endpoint ID
+ * @returns { endpointId, replayedCount }
+ */
+router.post('/:id/dead-letters/replay',
+  authenticateToken,
+  requireRole(['admin']),
+  webhookController.replayDeadLetters
+);
+
+module.exports = router;
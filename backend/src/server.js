@@ -6,10 +6,11 @@
  * 
  * This module initializes:
  * 1. HTTP server with Express.js application
- * 2. Socket.io for real-time communications
+ * 2. Socket.io for real-time communications (optionally clustered)
  * 3. Database connections and migrations
- * 4. Graceful shutdown handling
- * 5. Environment-specific configurations
+ * 4. Incident expiry scheduler and webhook dispatcher
+ * 5. Graceful shutdown handling
+ * 6. Environment-specific configurations
  */
 
 require('dotenv').config();
@@ -24,6 +25,9 @@ class Server {
     this.expressApp = null;
     this.server = null;
     this.io = null;
+    this.socketAdapter = null;
+    this.expiryScheduler = null;
+    this.webhookDispatcher = null;
     this.port = process.env.PORT || 4000;
   }
 
@@ -45,9 +49,13 @@ class Server {
 
       // Configure Socket.io for real-time incident updates (Phase 3)
       const { configureSocketIO } = require('./services/socket');
+      const { createSocketAdapter } = require('./services/socket-adapter');
       const authService = require('./services/auth');
+
+      // Share broadcasts and presence with other instances (SOCKET_ADAPTER)
+      this.socketAdapter = await createSocketAdapter();
       
-      this.io = configureSocketIO(this.server, authService);
+      this.io = configureSocketIO(this.server, authService, { adapter: this.socketAdapter });
       
       // Inject Socket.io into the Express app
       this.expressApp.setSocketIO(this.io);
@@ -58,6 +66,16 @@ class Server {
       // Start server
       await this.listen();
 
+      // Expire and auto-resolve incidents per their type policies
+      const { expiryScheduler } = require('./services/scheduler');
+      this.expiryScheduler = expiryScheduler;
+      this.expiryScheduler.start();
+
+      // Send queued partner webhooks and retry failed ones
+      const { webhookDispatcher } = require('./services/webhook-dispatcher');
+      this.webhookDispatcher = webhookDispatcher;
+      this.webhookDispatcher.start();
+
       // Setup graceful shutdown
       this.setupGracefulShutdown();
 
@@ -94,6 +112,18 @@ class Server {
       logger.info(`📴 Received ${signal}, starting graceful shutdown...`);
       
       try {
+        if (this.expiryScheduler) {
+          this.expiryScheduler.stop();
+        }
+
+        if (this.webhookDispatcher) {
+          this.webhookDispatcher.stop();
+        }
+
+        // Open event streams would keep the server from closing
+        const { incidentStream } = require('./services/incident-stream');
+        incidentStream.close();
+
         // Stop accepting new connections
         this.server.close(async () => {
           logger.info('🔒 HTTP server closed');
@@ -103,6 +133,10 @@ class Server {
             this.io.close();
             logger.info('🔌 Socket.io server closed');
           }
+
+          if (this.socketAdapter) {
+            await this.socketAdapter.close();
+          }
           
           // Close database connections
           await db.close();
@@ -140,6 +174,7 @@ class Server {
     logger.info('🌐 Server Information:');
     logger.info(`   📍 Port: ${this.port}`);
     logger.info(`   🔧 Environment: ${env}`);
+    logger.info(`   🔌 Socket adapter: ${this.socketAdapter?.type || 'memory'}`);
     logger.info(`   🗄️  Database: ${dbUrl.replace(/:[^:@]*@/, ':***@')}`);
     logger.info(`   🔗 Health Check: http://localhost:${this.port}/api/health`);
     logger.info(`   📊 API Info: http://localhost:${this.port}/api`);
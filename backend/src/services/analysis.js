@@ -6,23 +6,39 @@
  * 
  * This service provides advanced GIS functionality using PostGIS:
  * - Hotspot analysis with kernel density estimation using ST_SnapToGrid
+ * - Getis-Ord Gi* and Local Moran's I hotspot statistics over grid cells
  * - Impact zone calculations with buffer operations using ST_Buffer
- * - Spatial clustering with statistical significance using ST_ClusterKMeans
+ * - Spatial clustering with statistical significance using ST_ClusterKMeans or ST_ClusterDBSCAN
  * - Temporal pattern detection in spatial data with trend analysis
  * - GeoJSON data exports with proper geometric formatting
+ * - Cursor-based row streaming for file exports (CSV, KML, GPX, GeoPackage, Shapefile)
  * - Predictive modeling using historical incident clustering
  * - Grid-based density calculations with normalization
+ * - Mapbox Vector Tiles (MVT) for incidents, hotspot and density grids
  * 
  * DEPENDENCIES:
  * - DatabaseConnection: PostGIS spatial database operations
+ * - pg-query-stream: Server-side cursors for streamed exports
  * - Logger: Operation logging and performance metrics tracking
  * 
  * INPUTS: Analysis parameters and configuration objects
  * OUTPUTS: Processed spatial analysis results and metadata
  */
 
+const QueryStream = require('pg-query-stream');
 const db = require('../db/connection');
 const logger = require('./logger');
+const AttachmentService = require('./attachment');
+
+// Target area ratio passed to ST_ConcaveHull for cluster outlines
+const CONCAVE_HULL_TARGET = 0.8;
+
+// Grid sizes (cells per degree) for the density resolutions
+const DENSITY_GRID_SIZES = { low: 50, medium: 100, high: 200 };
+
+// MVT tile extent and buffer in tile coordinate units
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
 
 class AnalysisService {
   constructor() {
@@ -48,6 +64,7 @@ class AnalysisService {
    * @param {number} params.minIncidents - Minimum incidents per hotspot (1-50)
    * @param {number} params.maxPoints - Maximum incidents to analyze (10-2000)
    * @param {string} params.incidentTypes - Comma-separated incident type IDs
+   * @param {string} params.method - 'grid' (default) or 'gistar' for Getis-Ord Gi* statistics
    * @returns {Promise<Object>} Hotspot analysis results with metadata
    */
   async generateHotspots(params = {}) {
@@ -109,6 +126,17 @@ class AnalysisService {
         logger.info('AnalysisService: Not all spatial bounds provided, querying all incidents');
       }
       
+      if (params.method === 'gistar') {
+        return await this.generateGiStarHotspots(params, {
+          timeFilter,
+          typeFilter,
+          boundsFilter,
+          boundsParams,
+          timeFilterParams,
+          startTime
+        });
+      }
+      
       // Complex hotspot analysis query using PostGIS functions
       const query = `
         WITH incident_points AS (
@@ -248,9 +276,246 @@ class AnalysisService {
     }
   }
 
+  /**
+   * Generate statistically significant hot and cold spots using Getis-Ord Gi*
+   * Each grid cell's severity-weighted incident total is compared against its
+   * neighbourhood (distance band in metres or k nearest cells, self included).
+   * Local Moran's I can optionally be computed over the same neighbourhood.
+   * Only cells containing at least one incident form the study area.
+   * 
+   * @param {Object} params - Validated hotspot parameters
+   * @param {string} params.neighborhood - 'distance' or 'knn'
+   * @param {number} params.distanceBand - Neighbourhood radius in meters (distance mode)
+   * @param {number} params.neighbors - Number of nearest cells (knn mode)
+   * @param {string} params.includeMoran - 'true' to add Local Moran's I per cell
+   * @param {Object} filters - SQL filter fragments prepared by generateHotspots
+   * @returns {Promise<Object>} Hotspot cells with z-scores, p-values and confidence bins
+   * @private
+   */
+  async generateGiStarHotspots(params, filters) {
+    const {
+      timeRange = '30d',
+      gridSize = 100,
+      maxPoints = 500,
+      neighborhood = 'distance',
+      distanceBand = 1000,
+      neighbors = 8,
+      includeMoran = 'false'
+    } = params;
+    const { timeFilter, typeFilter, boundsFilter, boundsParams, timeFilterParams, startTime } = filters;
+    
+    // Neighbour pairs always include the cell itself (the "star" in Gi*)
+    const neighbourJoin = neighborhood === 'knn'
+      ? `CROSS JOIN LATERAL (
+            SELECT b.cell_id, b.x
+            FROM cell_values b
+            ORDER BY a.cell <-> b.cell
+            LIMIT $3 + 1
+          ) nb`
+      : `JOIN cell_values nb ON ST_DWithin(a.cell::geography, nb.cell::geography, $3)`;
+    
+    const query = `
+      WITH incident_points AS (
+        SELECT 
+          i.id,
+          i.location,
+          i.severity,
+          it.name AS incident_type
+        FROM incidents i
+        JOIN incident_types it ON i.type_id = it.id
+        WHERE 
+          i.status = 'active'
+          ${timeFilter}
+          ${typeFilter}
+          ${boundsFilter}
+        ORDER BY i.created_at DESC
+        LIMIT $1
+      ),
+      cell_values AS (
+        -- Severity-weighted incident total per grid cell is the analysis variable
+        SELECT
+          row_number() OVER () AS cell_id,
+          ST_SnapToGrid(location, $2) AS cell,
+          COUNT(*) AS incident_count,
+          AVG(severity) AS avg_severity,
+          SUM(severity) AS total_severity,
+          SUM(severity)::float8 AS x,
+          array_agg(id) AS incident_ids,
+          array_agg(DISTINCT incident_type) AS incident_types
+        FROM incident_points
+        GROUP BY ST_SnapToGrid(location, $2)
+      ),
+      global_mean AS (
+        SELECT COUNT(*)::float8 AS n, AVG(x) AS mean FROM cell_values
+      ),
+      global_stats AS (
+        -- m2 and m4 are the second and fourth central moments
+        SELECT
+          g.n,
+          g.mean,
+          AVG((c.x - g.mean) ^ 2) AS m2,
+          AVG((c.x - g.mean) ^ 4) AS m4
+        FROM cell_values c
+        CROSS JOIN global_mean g
+        GROUP BY g.n, g.mean
+      ),
+      neighbour_sums AS (
+        SELECT
+          a.cell_id,
+          COUNT(*)::float8 AS w_star,
+          SUM(nb.x) AS lag_star
+        FROM cell_values a
+        ${neighbourJoin}
+        GROUP BY a.cell_id
+      ),
+      cell_statistics AS (
+        SELECT
+          c.*,
+          s.n,
+          s.mean,
+          s.m2,
+          s.m4,
+          ns.w_star,
+          ns.lag_star,
+          -- Gi* with binary weights: sum(w) = sum(w^2) = w_star
+          CASE
+            WHEN s.n > 1 AND s.m2 > 0 AND s.n * ns.w_star - ns.w_star ^ 2 > 0 THEN
+              (ns.lag_star - s.mean * ns.w_star) /
+              (SQRT(s.m2) * SQRT((s.n * ns.w_star - ns.w_star ^ 2) / (s.n - 1)))
+            ELSE 0
+          END AS gi_z_score,
+          -- Local Moran's I excludes the cell itself from its neighbourhood
+          ns.w_star - 1 AS w,
+          (ns.lag_star - c.x) - (ns.w_star - 1) * s.mean AS lag_deviation
+        FROM cell_values c
+        JOIN neighbour_sums ns ON ns.cell_id = c.cell_id
+        CROSS JOIN global_stats s
+      )
+      SELECT
+        ST_X(cell) AS longitude,
+        ST_Y(cell) AS latitude,
+        incident_count,
+        avg_severity::numeric(10,2) AS avg_severity,
+        total_severity,
+        incident_ids,
+        incident_types,
+        gi_z_score,
+        -- Anselin (1995) moments under randomisation
+        CASE WHEN m2 > 0 THEN ((x - mean) / m2) * lag_deviation ELSE 0 END AS moran_i,
+        CASE
+          WHEN n > 2 AND m2 > 0 AND w > 0 THEN
+            (((x - mean) / m2) * lag_deviation + w / (n - 1)) / NULLIF(SQRT(GREATEST(
+              w * (n - m4 / (m2 ^ 2)) / (n - 1)
+              + (w ^ 2 - w) * (2 * m4 / (m2 ^ 2) - n) / ((n - 1) * (n - 2))
+              - (w / (n - 1)) ^ 2,
+            0)), 0)
+          ELSE NULL
+        END AS moran_z_score,
+        x - mean AS deviation,
+        lag_deviation
+      FROM cell_statistics
+      ORDER BY gi_z_score DESC
+    `;
+    
+    const gridResolution = 1.0 / gridSize;
+    const neighbourParam = neighborhood === 'knn' ? neighbors : distanceBand;
+    const queryParams = [maxPoints, gridResolution, neighbourParam, ...boundsParams];
+    const result = await this.db.query(query, queryParams);
+    
+    const withMoran = includeMoran === 'true' || includeMoran === true;
+    
+    const hotspots = result.rows.map(row => {
+      const giZScore = parseFloat(row.gi_z_score);
+      const confidenceBin = this.getConfidenceBin(giZScore);
+      const totalSeverity = parseInt(row.total_severity);
+      
+      const hotspot = {
+        longitude: parseFloat(row.longitude),
+        latitude: parseFloat(row.latitude),
+        incidentCount: parseInt(row.incident_count),
+        avgSeverity: parseFloat(row.avg_severity),
+        totalSeverity,
+        hotspotScore: totalSeverity,
+        zScore: parseFloat(giZScore.toFixed(4)),
+        pValue: parseFloat(this.calculatePValue(giZScore).toFixed(6)),
+        confidenceBin,
+        confidenceLevel: confidenceBin === 0 ? null : [90, 95, 99][Math.abs(confidenceBin) - 1],
+        classification: confidenceBin > 0 ? 'hot' : confidenceBin < 0 ? 'cold' : 'not_significant',
+        riskLevel: confidenceBin === 3 ? 'critical' : confidenceBin === 2 ? 'high' : 'moderate',
+        significanceLevel: ['none', 'low', 'medium', 'high'][Math.abs(confidenceBin)],
+        incidentIds: row.incident_ids,
+        incidentTypes: row.incident_types
+      };
+      
+      if (withMoran) {
+        const moranZ = row.moran_z_score === null ? null : parseFloat(row.moran_z_score);
+        const moranP = moranZ === null ? null : this.calculatePValue(moranZ);
+        const deviation = parseFloat(row.deviation);
+        const lagDeviation = parseFloat(row.lag_deviation);
+        let clusterType = 'not_significant';
+        
+        if (moranP !== null && moranP <= 0.05) {
+          if (deviation >= 0) {
+            clusterType = lagDeviation >= 0 ? 'high-high' : 'high-low';
+          } else {
+            clusterType = lagDeviation >= 0 ? 'low-high' : 'low-low';
+          }
+        }
+        
+        hotspot.localMoran = {
+          index: parseFloat(parseFloat(row.moran_i).toFixed(4)),
+          zScore: moranZ === null ? null : parseFloat(moranZ.toFixed(4)),
+          pValue: moranP === null ? null : parseFloat(moranP.toFixed(6)),
+          clusterType
+        };
+      }
+      
+      return hotspot;
+    });
+    
+    const executionTime = Date.now() - startTime;
+    
+    this.performanceMetrics.hotspotGeneration.push({
+      timestamp: new Date(),
+      executionTime,
+      hotspotCount: hotspots.length,
+      gridSize,
+      timeRange
+    });
+    
+    logger.logPerformance('hotspot_generation', executionTime, {
+      method: 'gistar',
+      cellCount: hotspots.length,
+      timeRange,
+      gridSize,
+      neighborhood
+    });
+    
+    return {
+      hotspots,
+      metadata: {
+        method: 'gistar',
+        timeRange: timeFilterParams,
+        gridSize,
+        gridResolution,
+        neighborhood: neighborhood === 'knn'
+          ? { type: 'knn', neighbors }
+          : { type: 'distance', distanceBand },
+        includeMoran: withMoran,
+        totalCells: hotspots.length,
+        totalHotspots: hotspots.filter(h => h.classification === 'hot').length,
+        totalColdspots: hotspots.filter(h => h.classification === 'cold').length,
+        executionTime,
+        maxScore: hotspots.length > 0 ? hotspots[0].zScore : 0,
+        analysisDate: new Date().toISOString()
+      }
+    };
+  }
+
   /**
    * Generate impact zones using buffer analysis
-   * Creates circular buffer zones around incidents to analyze spatial impact
+   * Creates buffer zones around incidents to analyze spatial impact; line and
+   * area incidents are buffered around their extent instead of their point
    * 
    * @param {Array<number>} incidentIds - Incident IDs to analyze
    * @param {number} bufferDistance - Buffer distance in meters (10-5000)
@@ -288,9 +553,10 @@ class AnalysisService {
             i.description,
             i.location,
             i.created_at,
-            ST_Buffer(i.location::geography, $1)::geometry AS buffer_geom,
+            i.extent,
+            ST_Buffer(COALESCE(i.extent, i.location)::geography, $1)::geometry AS buffer_geom,
             -- keep area in m2 for per-incident detail
-            ST_Area(ST_Buffer(i.location::geography, $1)) AS buffer_area_m2,
+            ST_Area(ST_Buffer(COALESCE(i.extent, i.location)::geography, $1)) AS buffer_area_m2,
             it.name AS incident_type,
             it.color,
             it.priority AS priority_level
@@ -319,6 +585,7 @@ class AnalysisService {
             ib1.priority_level,
             ib1.created_at,
             ST_AsGeoJSON(ib1.location) AS location_geojson,
+            ST_AsGeoJSON(ib1.extent) AS extent_geojson,
             ST_AsGeoJSON(ib1.buffer_geom) AS buffer_geojson,
             ib1.buffer_area_m2,
             -- Count overlapping buffers
@@ -366,6 +633,7 @@ class AnalysisService {
       center_lat: location.coordinates[1],
       center_lon: location.coordinates[0],
       buffer_geometry: buffer,
+      extent: row.extent_geojson ? JSON.parse(row.extent_geojson) : null,
       severity: parseInt(row.severity),
       area_m2: parseFloat(row.buffer_area_m2),
       // Additional context retained but not required by tests
@@ -432,39 +700,18 @@ class AnalysisService {
       
       const startTime = Date.now();
       const {
-        timeRange = '30d',
-        bbox,
         incidentTypes,
         includeBuffers = false,
         bufferDistance = 500,
         maxIncidents = 1000
       } = params;
       
-      // Parse time range constraint
-      const timeFilterParams = this.parseTimeRange(timeRange);
-      const timeFilter = `AND i.created_at >= NOW() - INTERVAL '${timeFilterParams.value} ${timeFilterParams.unit}'`;
-      
-      // Build spatial bounding box filter
-      let bboxFilter = '';
-      let bboxString = bbox;
-      // Accept individual edges if provided (controller passes raw req.query)
-      if (!bboxString && ['north','south','east','west'].every(k => params[k] !== undefined)) {
-        bboxString = `${params.west},${params.south},${params.east},${params.north}`;
-      }
-      if (bboxString) {
-        const [west, south, east, north] = bboxString.split(',').map(parseFloat);
-        if ([west, south, east, north].every(Number.isFinite)) {
-          bboxFilter = `AND ST_MakeEnvelope(${west}, ${south}, ${east}, ${north}, 4326) && i.location`;
-        }
-      }
-      
-      // Build incident type filter
-      const typeFilter = incidentTypes ? 
-        `AND i.type_id IN (${incidentTypes.split(',').map(t => Number.parseInt(t, 10)).filter(n => Number.isFinite(n)).join(',')})` : '';
+      // Time, bounding box and incident type constraints
+      const { timeFilterParams, timeFilter, bboxFilter, bboxString, typeFilter } = this.buildExportFilters(params);
       
       // Optional buffer geometry selection
       const bufferSelect = includeBuffers === 'true' ?
-        `, ST_AsGeoJSON(ST_Buffer(i.location::geography, ${bufferDistance})::geometry) AS buffer_geojson` : '';
+        `, ST_AsGeoJSON(ST_Buffer(COALESCE(i.extent, i.location)::geography, ${bufferDistance})::geometry) AS buffer_geojson` : '';
       
     // Main export query with comprehensive incident data
       const query = `
@@ -477,7 +724,8 @@ class AnalysisService {
           i.status,
           i.created_at,
           i.updated_at,
-          ST_AsGeoJSON(i.location) AS location_geojson,
+          -- Line/area incidents export their extent; the point stays in properties
+          ST_AsGeoJSON(COALESCE(i.extent, i.location)) AS location_geojson,
           ST_X(i.location) AS longitude,
           ST_Y(i.location) AS latitude,
           it.name AS incident_type,
@@ -485,7 +733,18 @@ class AnalysisService {
           it.icon,
       it.priority AS priority_level,
           u.username AS reported_by,
-          u.id AS reporter_id
+          u.id AS reporter_id,
+          (
+            SELECT COALESCE(json_agg(json_build_object(
+              'id', a.id,
+              'incident_id', a.incident_id,
+              'mime_type', a.mime_type,
+              'media_type', a.media_type,
+              'thumbnail_key', a.thumbnail_key
+            ) ORDER BY a.created_at, a.id), '[]'::json)
+            FROM incident_attachments a
+            WHERE a.incident_id = i.id AND a.is_deleted = false
+          ) AS attachments
           ${bufferSelect}
         FROM incidents i
         JOIN incident_types it ON i.type_id = it.id
@@ -527,7 +786,11 @@ class AnalysisService {
     priority_level: row.priority_level,
     priorityLevel: row.priority_level,
             longitude: parseFloat(row.longitude),
-            latitude: parseFloat(row.latitude)
+            latitude: parseFloat(row.latitude),
+            attachments: (row.attachments || []).map(attachment => {
+              const { id, mimeType, mediaType, url, thumbnailUrl } = AttachmentService.formatAttachment(attachment);
+              return { id, mimeType, mediaType, url, thumbnailUrl };
+            })
           }
         };
         
@@ -584,6 +847,86 @@ class AnalysisService {
     }
   }
 
+  /**
+   * Stream incident rows for file exports
+   * Applies the same filters as exportGeoJson and yields rows one at a
+   * time from a server-side cursor, so large exports are never buffered.
+   * The pooled client is released when the stream closes.
+   * 
+   * With includeBuffers each row also carries its buffer polygon as
+   * buffer_wkt, buffer_wkb, buffer_kml and buffer bounds.
+   * 
+   * @param {Object} params - Export parameters (timeRange, bbox, incidentTypes, includeBuffers, bufferDistance, maxIncidents)
+   * @returns {Promise<Readable>} Object-mode stream of incident rows
+   */
+  async streamExportRows(params = {}) {
+    const { maxIncidents = 1000, includeBuffers = false, bufferDistance = 500 } = params;
+    const { timeFilter, bboxFilter, typeFilter } = this.buildExportFilters(params);
+    const withBuffers = includeBuffers === 'true';
+    
+    // Buffer once per row and reuse it for every encoding
+    const bufferSelect = withBuffers ? `,
+        ST_AsText(buf.geom) AS buffer_wkt,
+        ST_AsBinary(buf.geom, 'NDR') AS buffer_wkb,
+        ST_AsKML(buf.geom) AS buffer_kml,
+        ST_XMin(buf.geom) AS buffer_min_x,
+        ST_YMin(buf.geom) AS buffer_min_y,
+        ST_XMax(buf.geom) AS buffer_max_x,
+        ST_YMax(buf.geom) AS buffer_max_y` : '';
+    const bufferJoin = withBuffers
+      ? 'CROSS JOIN LATERAL (SELECT ST_Buffer(COALESCE(i.extent, i.location)::geography, $2)::geometry AS geom) buf'
+      : '';
+    
+    const query = `
+      SELECT
+        i.id,
+        i.type_id,
+        i.title,
+        i.description,
+        i.severity,
+        i.verified,
+        i.status,
+        i.created_at,
+        i.updated_at,
+        ST_X(i.location) AS longitude,
+        ST_Y(i.location) AS latitude,
+        ST_AsText(i.location) AS wkt,
+        ST_AsBinary(i.location, 'NDR') AS wkb,
+        it.name AS incident_type,
+        it.color,
+        it.icon,
+        it.priority AS priority_level,
+        u.username AS reported_by
+        ${bufferSelect}
+      FROM incidents i
+      JOIN incident_types it ON i.type_id = it.id
+      JOIN users u ON i.reported_by = u.id
+      ${bufferJoin}
+      WHERE i.status = 'active'
+      ${timeFilter}
+      ${bboxFilter}
+      ${typeFilter}
+      ORDER BY i.created_at DESC
+      LIMIT $1
+    `;
+    const queryParams = withBuffers ? [maxIncidents, bufferDistance] : [maxIncidents];
+    
+    const client = await this.db.getClient();
+    const stream = client.query(new QueryStream(query, queryParams, { batchSize: 250 }));
+    
+    let released = false;
+    const release = (error) => {
+      if (!released) {
+        released = true;
+        client.release(error);
+      }
+    };
+    stream.once('error', release);
+    stream.once('close', () => release());
+    
+    return stream;
+  }
+
   /**
    * Analyze temporal patterns in incident data
    * Identifies patterns and trends across different time periods
@@ -765,6 +1108,10 @@ class AnalysisService {
    * @param {number} params.predictionHours - Prediction time window (1-168)
    * @param {number} params.confidence - Confidence threshold (0.1-1.0)
    * @param {number} params.minDataPoints - Minimum historical data points (default: 50)
+   * @param {string} params.method - 'kmeans' (default) or 'dbscan' spatial clustering
+   * @param {number} params.eps - DBSCAN neighbourhood distance in meters
+   * @param {number} params.minPoints - DBSCAN minimum points per cluster core
+   * @param {string} params.hull - 'convex' (default) or 'concave' cluster outline
    * @returns {Promise<Object>} Predictive model with confidence scores
    */
   async generatePredictiveModel(params = {}) {
@@ -776,7 +1123,11 @@ class AnalysisService {
         predictionHours = 24,
         confidence = 0.7,
         minDataPoints = 50,
-        clusters
+        clusters,
+        method = 'kmeans',
+        eps = 250,
+        minPoints = 3,
+        hull = 'convex'
       } = params;
 
       let kClusters = 10;
@@ -816,15 +1167,33 @@ class AnalysisService {
         };
       }
       
-      // Advanced predictive model using spatial clustering and temporal patterns
-      const query = `
-        WITH historical_patterns AS (
+      // Spatial clustering per incident type. DBSCAN eps is converted from
+      // meters to Web Mercator units at the mean latitude of the sample.
+      // The CTE is shared by the model and noise queries, which bind the
+      // clustering parameters at different positions.
+      const clusterExpression = (firstParam) => (method === 'dbscan'
+        ? `ST_ClusterDBSCAN(
+              ST_Transform(i.location, 3857),
+              $${firstParam} / COS(RADIANS((
+                SELECT AVG(ST_Y(location)) FROM incidents
+                WHERE status = 'active' AND created_at >= NOW() - INTERVAL '90 days'
+              ))),
+              $${firstParam + 1}
+            ) OVER (PARTITION BY i.type_id)`
+        : `ST_ClusterKMeans(i.location, $${firstParam}) OVER (PARTITION BY i.type_id)`);
+      const clusterParams = method === 'dbscan' ? [eps, minPoints] : [kClusters];
+      const hullExpression = method === 'dbscan' && hull === 'concave'
+        ? `ST_ConcaveHull(ST_Collect(location), ${CONCAVE_HULL_TARGET})`
+        : 'ST_ConvexHull(ST_Collect(location))';
+      
+      const historicalPatterns = (firstParam) => `
+        historical_patterns AS (
           SELECT
+            i.id,
             i.type_id,
             it.name AS incident_type,
             it.color,
-            -- Spatial clustering using K-means
-            ST_ClusterKMeans(i.location, ${'${kClusters}'} ) OVER (PARTITION BY i.type_id) AS spatial_cluster,
+            ${clusterExpression(firstParam)} AS spatial_cluster,
             -- Temporal patterns
             EXTRACT(HOUR FROM i.created_at) AS hour_of_day,
             EXTRACT(DOW FROM i.created_at) AS day_of_week,
@@ -837,15 +1206,21 @@ class AnalysisService {
           JOIN incident_types it ON i.type_id = it.id
           WHERE i.status = 'active'
           AND i.created_at >= NOW() - INTERVAL '90 days'
-        ),
+        )
+      `;
+      
+      // Advanced predictive model using spatial clustering and temporal patterns
+      const query = `
+        WITH ${historicalPatterns(2)},
         cluster_analysis AS (
           SELECT
             type_id,
             incident_type,
             color,
             spatial_cluster,
-            -- Spatial center of cluster
+            -- Spatial center and outline of cluster
             ST_Centroid(ST_Collect(location)) AS cluster_center,
+            ST_AsGeoJSON(${hullExpression})::json AS cluster_hull,
             -- Statistical measures
             COUNT(*) AS incident_count,
             AVG(severity) AS avg_severity,
@@ -856,6 +1231,8 @@ class AnalysisService {
             -- Recent activity indicator
             COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) AS recent_incidents
           FROM historical_patterns
+          -- DBSCAN noise points carry a NULL cluster id
+          WHERE spatial_cluster IS NOT NULL
           GROUP BY type_id, incident_type, color, spatial_cluster
           HAVING COUNT(*) >= 3  -- Require minimum cluster size
         ),
@@ -870,6 +1247,7 @@ class AnalysisService {
             -- Location coordinates
             ST_X(ca.cluster_center) AS longitude,
             ST_Y(ca.cluster_center) AS latitude,
+            ca.cluster_hull,
             -- Base frequency score
             ca.incident_count::float / (SELECT SUM(incident_count) FROM cluster_analysis) AS base_frequency,
             -- Recent activity boost
@@ -895,8 +1273,10 @@ class AnalysisService {
           type_id,
           incident_type,
           color,
+          spatial_cluster,
           longitude,
           latitude,
+          cluster_hull,
           incident_count,
           avg_severity::numeric(10,2) AS avg_severity,
           base_frequency::numeric(10,4) AS base_frequency,
@@ -918,17 +1298,42 @@ class AnalysisService {
         LIMIT 50
       `;
       
-      const result = await this.db.query(query, [confidence / 20]);
+      const result = await this.db.query(query, [confidence / 20, ...clusterParams]);
+      
+      // Incidents DBSCAN left outside every cluster
+      let noise = [];
+      if (method === 'dbscan') {
+        const noiseResult = await this.db.query(`
+          WITH ${historicalPatterns(1)}
+          SELECT id, type_id, incident_type, ST_X(location) AS longitude, ST_Y(location) AS latitude, severity
+          FROM historical_patterns
+          WHERE spatial_cluster IS NULL
+          ORDER BY created_at DESC
+        `, clusterParams);
+        
+        noise = noiseResult.rows.map(row => ({
+          id: row.id,
+          typeId: row.type_id,
+          incidentType: row.incident_type,
+          location: {
+            longitude: parseFloat(row.longitude),
+            latitude: parseFloat(row.latitude)
+          },
+          severity: row.severity
+        }));
+      }
       
       // Transform results into structured predictions
       const predictiveModel = result.rows.map(row => ({
         typeId: row.type_id,
         incidentType: row.incident_type,
         color: row.color,
+        clusterId: row.spatial_cluster,
         location: {
           longitude: parseFloat(row.longitude),
           latitude: parseFloat(row.latitude)
         },
+        hull: row.cluster_hull,
         avgSeverity: parseFloat(row.avg_severity),
         incidentCount: parseInt(row.incident_count),
         baseFrequency: parseFloat(row.base_frequency),
@@ -949,6 +1354,7 @@ class AnalysisService {
           incidentType: model.incidentType,
           color: model.color,
           location: model.location,
+          hull: model.hull,
           predictedSeverity: model.avgSeverity,
           confidenceScore: model.predictionScore,
           dataConfidence: model.dataConfidence,
@@ -973,9 +1379,13 @@ class AnalysisService {
       return {
         model: predictiveModel,
         predictedIncidents,
+        noise,
         metadata: {
           predictionHours,
           confidence,
+          clustering: method === 'dbscan'
+            ? { method, eps, minPoints, hull }
+            : { method, clusters: kClusters },
           totalPredictions: predictedIncidents.length,
           modelSize: predictiveModel.length,
           dataPointsUsed: incidentCount,
@@ -1019,17 +1429,7 @@ class AnalysisService {
       } = params;
       
       // Convert resolution to appropriate grid size
-  let gridSize;
-      switch(resolution) {
-        case 'high':
-          gridSize = 200;   // Fine resolution for detailed analysis
-          break;
-        case 'low':
-          gridSize = 50;    // Coarse resolution for overview
-          break;
-        default: // medium
-          gridSize = 100;   // Balanced resolution
-      }
+      const gridSize = DENSITY_GRID_SIZES[resolution] || DENSITY_GRID_SIZES.medium;
       
       // Parse time constraints
       const timeFilterParams = this.parseTimeRange(timeRange);
@@ -1189,6 +1589,144 @@ class AnalysisService {
     }
   }
 
+  /**
+   * Generate a Mapbox Vector Tile for one of the map layers
+   * Layers share the time and type filters of the analysis endpoints:
+   * - incidents: active incident points
+   * - hotspots: grid cells scored by count x average severity
+   * - density: grid cells with incidents per km²
+   * 
+   * @param {string} layer - 'incidents' | 'hotspots' | 'density'
+   * @param {number} z - Zoom level
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @param {Object} params - Filter parameters (timeRange, incidentTypes, gridSize, minIncidents, resolution)
+   * @returns {Promise<Buffer>} Encoded tile (empty buffer when the tile has no features)
+   */
+  async generateVectorTile(layer, z, x, y, params = {}) {
+    try {
+      const startTime = Date.now();
+      const {
+        timeRange = '30d',
+        incidentTypes,
+        gridSize = 100,
+        minIncidents = 1,
+        resolution = 'medium'
+      } = params;
+      
+      const timeFilterParams = this.parseTimeRange(timeRange);
+      const timeFilter = `AND i.created_at >= NOW() - INTERVAL '${timeFilterParams.value} ${timeFilterParams.unit}'`;
+      const typeFilter = incidentTypes ?
+        `AND i.type_id IN (${incidentTypes.split(',').map(t => parseInt(t)).join(',')})` : '';
+      
+      let query;
+      let queryParams;
+      
+      if (layer === 'incidents') {
+        query = `
+          WITH bounds AS (
+            SELECT
+              ST_TileEnvelope($1, $2, $3) AS tile_geom,
+              ST_Transform(ST_TileEnvelope($1, $2, $3, margin => ${TILE_BUFFER / TILE_EXTENT}), 4326) AS filter_geom
+          ),
+          tile_features AS (
+            SELECT
+              i.id,
+              i.type_id,
+              it.name AS incident_type,
+              it.color,
+              i.severity,
+              i.verified,
+              EXTRACT(EPOCH FROM i.created_at)::bigint AS created_at,
+              ST_AsMVTGeom(ST_Transform(i.location, 3857), b.tile_geom, ${TILE_EXTENT}, ${TILE_BUFFER}, true) AS geom
+            FROM incidents i
+            JOIN incident_types it ON i.type_id = it.id
+            CROSS JOIN bounds b
+            WHERE i.status = 'active'
+            AND i.location && b.filter_geom
+            ${timeFilter}
+            ${typeFilter}
+          )
+          SELECT ST_AsMVT(tile_features, 'incidents', ${TILE_EXTENT}, 'geom') AS tile
+          FROM tile_features
+          WHERE geom IS NOT NULL
+        `;
+        queryParams = [z, x, y];
+      } else {
+        // Grid cells are centred on ST_SnapToGrid nodes, as in the JSON endpoints
+        const cellsPerDegree = layer === 'density'
+          ? (DENSITY_GRID_SIZES[resolution] || DENSITY_GRID_SIZES.medium)
+          : gridSize;
+        const minCount = layer === 'density' ? 1 : minIncidents;
+        
+        query = `
+          WITH bounds AS (
+            SELECT
+              ST_TileEnvelope($1, $2, $3) AS tile_geom,
+              ST_Expand(ST_Transform(ST_TileEnvelope($1, $2, $3), 4326), $4) AS filter_geom
+          ),
+          grid_cells AS (
+            SELECT
+              ST_SnapToGrid(i.location, $4) AS node,
+              COUNT(*) AS incident_count,
+              AVG(i.severity) AS avg_severity,
+              SUM(i.severity) AS total_severity
+            FROM incidents i
+            CROSS JOIN bounds b
+            WHERE i.status = 'active'
+            AND i.location && b.filter_geom
+            ${timeFilter}
+            ${typeFilter}
+            GROUP BY node
+            HAVING COUNT(*) >= $5
+          ),
+          tile_features AS (
+            SELECT
+              gc.incident_count,
+              ROUND(gc.avg_severity::numeric, 2)::float8 AS avg_severity,
+              gc.total_severity,
+              ROUND((gc.incident_count * gc.avg_severity)::numeric, 2)::float8 AS ${layer === 'density' ? 'density_score' : 'hotspot_score'},
+              ${layer === 'density' ? `ROUND((gc.incident_count / (
+                ($4 * 111.32) * ($4 * 111.32 * COS(RADIANS(ST_Y(gc.node))))
+              ))::numeric, 4)::float8 AS density_per_km2,` : ''}
+              ST_AsMVTGeom(
+                ST_Transform(ST_Expand(gc.node, $4 / 2), 3857),
+                b.tile_geom, ${TILE_EXTENT}, ${TILE_BUFFER}, true
+              ) AS geom
+            FROM grid_cells gc
+            CROSS JOIN bounds b
+          )
+          SELECT ST_AsMVT(tile_features, $6, ${TILE_EXTENT}, 'geom') AS tile
+          FROM tile_features
+          WHERE geom IS NOT NULL
+        `;
+        queryParams = [z, x, y, 1.0 / cellsPerDegree, minCount, layer];
+      }
+      
+      const result = await this.db.query(query, queryParams);
+      const tile = result.rows[0]?.tile || Buffer.alloc(0);
+      
+      logger.logPerformance('vector_tile_generation', Date.now() - startTime, {
+        layer,
+        z,
+        x,
+        y,
+        bytes: tile.length
+      });
+      
+      return tile;
+      
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'generate_vector_tile',
+        layer,
+        tile: { z, x, y },
+        params
+      });
+      throw error;
+    }
+  }
+
   // UTILITY METHODS
 
   /**
@@ -1426,6 +1964,68 @@ class AnalysisService {
     };
   }
 
+  /**
+   * Map a Gi* z-score to a signed confidence bin (±3 = 99%, ±2 = 95%, ±1 = 90%)
+   * @private
+   */
+  getConfidenceBin(zScore) {
+    const magnitude = Math.abs(zScore);
+    let bin = 0;
+    
+    if (magnitude >= 2.576) bin = 3;
+    else if (magnitude >= 1.960) bin = 2;
+    else if (magnitude >= 1.645) bin = 1;
+    
+    return zScore < 0 ? -bin : bin;
+  }
+
+  /**
+   * Two-tailed p-value for a standard normal z-score
+   * Uses the Abramowitz & Stegun 7.1.26 approximation of erf
+   * @private
+   */
+  calculatePValue(zScore) {
+    const x = Math.abs(zScore) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    
+    return Math.min(1, Math.max(0, 1 - erf));
+  }
+
+  /**
+   * Build the SQL filters shared by the GeoJSON and file exports
+   * Accepts bbox ('west,south,east,north') or individual edges.
+   * @private
+   */
+  buildExportFilters(params = {}) {
+    const { timeRange = '30d', bbox, incidentTypes } = params;
+    
+    // Parse time range constraint
+    const timeFilterParams = this.parseTimeRange(timeRange);
+    const timeFilter = `AND i.created_at >= NOW() - INTERVAL '${timeFilterParams.value} ${timeFilterParams.unit}'`;
+    
+    // Build spatial bounding box filter
+    let bboxFilter = '';
+    let bboxString = bbox;
+    // Accept individual edges if provided (controller passes raw req.query)
+    if (!bboxString && ['north','south','east','west'].every(k => params[k] !== undefined)) {
+      bboxString = `${params.west},${params.south},${params.east},${params.north}`;
+    }
+    if (bboxString) {
+      const [west, south, east, north] = bboxString.split(',').map(parseFloat);
+      if ([west, south, east, north].every(Number.isFinite)) {
+        bboxFilter = `AND ST_MakeEnvelope(${west}, ${south}, ${east}, ${north}, 4326) && COALESCE(i.extent, i.location)`;
+      }
+    }
+    
+    // Build incident type filter
+    const typeFilter = incidentTypes ? 
+      `AND i.type_id IN (${incidentTypes.split(',').map(t => Number.parseInt(t, 10)).filter(n => Number.isFinite(n)).join(',')})` : '';
+    
+    return { timeFilterParams, timeFilter, bboxFilter, bboxString, typeFilter };
+  }
+
   /**
    * Get performance metrics summary
    * @returns {Object} Performance statistics
@@ -1454,4 +2054,7 @@ class AnalysisService {
   }
 }
 
+// Shared with the incident clustering outlines
+AnalysisService.CONCAVE_HULL_TARGET = CONCAVE_HULL_TARGET;
+
 module.exports = AnalysisService;
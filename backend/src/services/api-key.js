@@ -0,0 +1,411 @@
+/**
+ * ==================================================
+ * API KEY SERVICE
+ * Personal API Keys & Service Accounts for Machine Clients
+ * ==================================================
+ *
+ * Scripts and partner systems call the API with
+ * "Authorization: ApiKey <key>" rather than signing in. A key acts as
+ * its owner, further limited to the scopes it was issued with, so a
+ * read-only integration cannot file or change incidents.
+ *
+ * FEATURES:
+ * - Keys shown once at creation and stored as SHA-256 hashes
+ * - Scopes: incidents:read, incidents:write, analysis:read
+ * - Optional expiry; revoked and expired keys stop working immediately
+ * - Last used time and IP, written at most once a minute per key
+ * - Per-key rate limit, falling back to API_KEY_RATE_LIMIT_PER_MINUTE
+ * - Service accounts: users without a password that only act through
+ *   keys issued by an admin
+ *
+ * CONFIGURATION:
+ * - API_KEY_RATE_LIMIT_PER_MINUTE: Default requests per minute per key (default 60)
+ *
+ * DEPENDENCIES:
+ * - Database connection: api_keys and users
+ * - Logger service: Operation logging
+ *
+ * USAGE:
+ * const apiKeyService = require('./services/api-key');
+ * const { apiKey, key } = await apiKeyService.createKey(userId, { name, scopes });
+ * const { apiKey, user } = await apiKeyService.authenticate(rawKey);
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const logger = require('./logger');
+
+const KEY_PREFIX = 'gnk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_KEYS_PER_USER = 10;
+
+const SCOPES = ['incidents:read', 'incidents:write', 'analysis:read'];
+
+// API areas keys can reach; everything else (account, admin and auth
+// routes) needs a signed-in user
+const SCOPED_ROUTES = {
+  '/api/incidents': 'incidents',
+  '/api/stream': 'incidents',
+  '/api/analysis': 'analysis',
+  '/api/tiles': 'analysis',
+};
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+
+// Owner columns for authenticateToken; the owner's ID is k.user_id
+const USER_COLUMNS = 'u.username, u.email, u.role, u.first_name, u.last_name, u.is_active, u.email_verified, u.last_login, u.is_service_account';
+
+class ApiKeyService {
+  /**
+   * Issues a new API key
+   * The key is only returned here; afterwards only its prefix is known.
+   * @param {number} userId - Owner of the key
+   * @param {Object} options - { name, scopes, expiresInDays?, rateLimitPerMinute?, createdBy? }
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async createKey(userId, { name, scopes, expiresInDays = null, rateLimitPerMinute = null, createdBy = userId }) {
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Unknown API key scope: ${invalidScopes.join(', ')}`);
+    }
+
+    const key = ApiKeyService.generateKey();
+
+    const apiKey = await db.transaction(async (client) => {
+      const countResult = await client.query(
+        'SELECT COUNT(*)::int AS count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+
+      if (countResult.rows[0].count >= MAX_KEYS_PER_USER) {
+        throw new Error(`API key limit reached: up to ${MAX_KEYS_PER_USER} keys per account`);
+      }
+
+      const result = await client.query(`
+        INSERT INTO api_keys (
+          user_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by
+        )
+        VALUES (
+          $1, $2, $3, $4, $5, $6,
+          CASE WHEN $7::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(days => $7::int) END,
+          $8
+        )
+        RETURNING *
+      `, [
+        userId,
+        name,
+        key.substring(0, DISPLAY_PREFIX_LENGTH),
+        ApiKeyService.hashKey(key),
+        [...new Set(scopes)],
+        rateLimitPerMinute,
+        expiresInDays,
+        createdBy,
+      ]);
+
+      return result.rows[0];
+    });
+
+    logger.info(`🔑 API key "${name}" created for user ${userId}`, {
+      userId,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes,
+      createdBy,
+    });
+
+    return { apiKey: this.formatKey(apiKey), key };
+  }
+
+  /**
+   * A user's keys that have not been revoked, newest first
+   * @param {number} userId - Owner
+   * @returns {Promise<Array>} Keys (never includes the key itself)
+   */
+  async listKeys(userId) {
+    const result = await db.query(`
+      SELECT * FROM api_keys
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => this.formatKey(row));
+  }
+
+  /**
+   * Revokes a key
+   * @param {number} keyId - Key ID
+   * @param {number|null} userId - Owner to match; null lets admins revoke any key
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(keyId, userId = null) {
+    const result = await db.query(`
+      UPDATE api_keys
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR user_id = $2)
+      RETURNING *
+    `, [keyId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('API key not found');
+    }
+
+    logger.info(`🔒 API key ${keyId} revoked`, {
+      apiKeyId: keyId,
+      userId: result.rows[0].user_id,
+    });
+
+    return this.formatKey(result.rows[0]);
+  }
+
+  /**
+   * Looks up the key and its owner
+   * @param {string} rawKey - Key from the Authorization header
+   * @returns {Promise<Object>} { apiKey, user }
+   */
+  async authenticate(rawKey) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+      throw new Error('Invalid API key');
+    }
+
+    const result = await db.query(`
+      SELECT k.*, ${USER_COLUMNS}, k.expires_at <= CURRENT_TIMESTAMP AS is_expired
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+    `, [ApiKeyService.hashKey(rawKey)]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Invalid API key');
+    }
+
+    const row = result.rows[0];
+
+    if (row.is_expired) {
+      throw new Error('API key expired');
+    }
+
+    return {
+      apiKey: this.formatKey(row),
+      user: {
+        id: row.user_id,
+        username: row.username,
+        email: row.email,
+        role: row.role,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        is_active: row.is_active,
+        email_verified: row.email_verified,
+        last_login: row.last_login,
+        is_service_account: row.is_service_account,
+      },
+    };
+  }
+
+  /**
+   * Records that a key was used
+   * Skipped when the last write was under a minute ago, since this runs
+   * on every request made with the key.
+   * @param {number} keyId - Key ID
+   * @param {string} [clientIP] - Caller IP
+   */
+  async recordUsage(keyId, clientIP = null) {
+    await db.query(`
+      UPDATE api_keys
+      SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = COALESCE($2, last_used_ip)
+      WHERE id = $1
+        AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+    `, [keyId, clientIP]);
+  }
+
+  // ==============================================
+  // SERVICE ACCOUNTS
+  // ==============================================
+
+  /**
+   * Creates a service account user
+   * It has no password, so it can never sign in.
+   * @param {Object} details - { username, role?, firstName? }
+   * @returns {Promise<Object>} Created user
+   */
+  async createServiceAccount({ username, role = 'user', firstName = null }) {
+    const email = `${username.toLowerCase()}@service-accounts.local`;
+
+    const existing = await db.query(
+      'SELECT 1 FROM users WHERE username = $1 OR email = $2',
+      [username, email]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new Error('Username already exists');
+    }
+
+    const result = await db.query(`
+      INSERT INTO users (username, email, password, role, first_name, is_service_account, email_verified)
+      VALUES ($1, $2, NULL, $3, $4, true, true)
+      RETURNING id, username, email, role, first_name, is_active, created_at
+    `, [username, email, role, firstName]);
+
+    logger.info(`🤖 Service account created: ${username}`, {
+      userId: result.rows[0].id,
+      role,
+    });
+
+    return this.formatServiceAccount({ ...result.rows[0], active_keys: 0 });
+  }
+
+  /**
+   * All service accounts with their active key counts
+   * @returns {Promise<Array>} Service accounts
+   */
+  async listServiceAccounts() {
+    const result = await db.query(`
+      SELECT u.id, u.username, u.email, u.role, u.first_name, u.is_active, u.created_at,
+        COUNT(k.id) FILTER (WHERE k.revoked_at IS NULL)::int AS active_keys,
+        MAX(k.last_used_at) AS last_used_at
+      FROM users u
+      LEFT JOIN api_keys k ON k.user_id = u.id
+      WHERE u.is_service_account = true
+      GROUP BY u.id
+      ORDER BY u.username
+    `);
+
+    return result.rows.map(row => this.formatServiceAccount(row));
+  }
+
+  /**
+   * Fetches an active service account
+   * @param {number} userId - Service account user ID
+   * @returns {Promise<Object>} Service account
+   */
+  async getServiceAccount(userId) {
+    const result = await db.query(`
+      SELECT id, username, email, role, first_name, is_active, created_at
+      FROM users
+      WHERE id = $1 AND is_service_account = true AND is_active = true
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Service account not found');
+    }
+
+    return this.formatServiceAccount(result.rows[0]);
+  }
+
+  /**
+   * Deactivates a service account and revokes its keys
+   * @param {number} userId - Service account user ID
+   * @returns {Promise<number>} Number of keys revoked
+   */
+  async deactivateServiceAccount(userId) {
+    const revokedKeys = await db.transaction(async (client) => {
+      const userResult = await client.query(`
+        UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND is_service_account = true AND is_active = true
+        RETURNING id
+      `, [userId]);
+
+      if (userResult.rows.length === 0) {
+        throw new Error('Service account not found');
+      }
+
+      const keyResult = await client.query(`
+        UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND revoked_at IS NULL
+      `, [userId]);
+
+      return keyResult.rowCount;
+    });
+
+    logger.info(`🤖 Service account ${userId} deactivated`, {
+      userId,
+      revokedKeys,
+    });
+
+    return revokedKeys;
+  }
+
+  /**
+   * API representation of an api_keys row
+   * @private
+   */
+  formatKey(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      prefix: row.key_prefix,
+      scopes: row.scopes,
+      rateLimitPerMinute: row.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      lastUsedIP: row.last_used_ip,
+      createdAt: row.created_at,
+      revokedAt: row.revoked_at,
+    };
+  }
+
+  /**
+   * API representation of a service account user
+   * @private
+   */
+  formatServiceAccount(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      name: row.first_name,
+      role: row.role,
+      isActive: row.is_active,
+      activeKeys: row.active_keys,
+      lastUsedAt: row.last_used_at || null,
+      createdAt: row.created_at,
+    };
+  }
+
+  // ==============================================
+  // STATIC HELPERS
+  // ==============================================
+
+  /**
+   * Random API key, e.g. gnk_3q2F...
+   * @returns {string} New key
+   */
+  static generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Stored form of a key
+   * @param {string} key - API key
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Scope an API key needs for a request
+   * GET requests need the area's read scope and anything else its write
+   * scope.
+   * @param {Object} req - Express request
+   * @returns {string|null} Scope, or null when keys cannot be used here
+   */
+  static scopeForRequest(req) {
+    const area = SCOPED_ROUTES[req.baseUrl];
+
+    if (!area) {
+      return null;
+    }
+
+    const scope = `${area}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`;
+
+    return SCOPES.includes(scope) ? scope : null;
+  }
+}
+
+ApiKeyService.SCOPES = SCOPES;
+ApiKeyService.DEFAULT_RATE_LIMIT_PER_MINUTE = DEFAULT_RATE_LIMIT_PER_MINUTE;
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
+module.exports.ApiKeyService = ApiKeyService;
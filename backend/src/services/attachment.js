@@ -0,0 +1,473 @@
+/**
+ * ==================================================
+ * INCIDENT ATTACHMENT SERVICE
+ * Photo and Video Uploads for Incident Reports
+ * ==================================================
+ *
+ * This service validates, sanitises and stores files attached to
+ * incidents, and records them in incident_attachments.
+ *
+ * FEATURES:
+ * - MIME detection from file contents (client-declared types are not trusted)
+ * - Per-media-type size limits and a per-incident attachment cap
+ * - EXIF removal for images (re-encoded without metadata, orientation applied)
+ * - QuickTime/MP4 location atoms (©xyz) blanked in videos
+ * - Optional check of photo GPS against the reported incident location
+ * - JPEG thumbnails for images
+ * - Storage through the pluggable storage service (local disk or S3)
+ *
+ * LOCATION CHECK (ATTACHMENT_LOCATION_CHECK):
+ * - off: GPS is stripped without being compared
+ * - record (default): distance to the incident point is stored with the attachment
+ * - enforce: photos taken further than ATTACHMENT_GPS_TOLERANCE_M away are rejected
+ * Raw GPS coordinates are never stored.
+ *
+ * DEPENDENCIES:
+ * - sharp: Image decoding, re-encoding and thumbnails
+ * - exif-reader: EXIF GPS parsing
+ * - Storage Service: Object storage backend
+ * - Permission Service: delete-any check for attachment removal
+ *
+ * USAGE:
+ * const attachmentService = new AttachmentService();
+ * await attachmentService.addAttachments(incident, req.files, req.user.id);
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const db = require('../db/connection');
+const logger = require('./logger');
+const { createStorage } = require('./storage');
+const permissionService = require('./permission');
+
+const { PERMISSIONS } = permissionService.PermissionService;
+
+/**
+ * Supported attachment types, keyed by detected MIME type
+ */
+const ATTACHMENT_TYPES = {
+  'image/jpeg': { mediaType: 'image', extension: 'jpg', format: 'jpeg' },
+  'image/png': { mediaType: 'image', extension: 'png', format: 'png' },
+  'image/gif': { mediaType: 'image', extension: 'gif', format: 'gif' },
+  'image/webp': { mediaType: 'image', extension: 'webp', format: 'webp' },
+  'video/mp4': { mediaType: 'video', extension: 'mp4' },
+  'video/quicktime': { mediaType: 'video', extension: 'mov' },
+  'video/webm': { mediaType: 'video', extension: 'webm' },
+};
+
+const ALLOWED_MIME_TYPES = (process.env.ALLOWED_FILE_TYPES
+  || 'image/jpeg,image/png,image/gif,image/webp,video/mp4,video/quicktime,video/webm')
+  .split(',')
+  .map(type => type.trim())
+  .filter(type => ATTACHMENT_TYPES[type]);
+
+const MAX_IMAGE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+const MAX_VIDEO_SIZE = parseInt(process.env.MAX_VIDEO_FILE_SIZE, 10) || 50 * 1024 * 1024; // 50MB
+const MAX_ATTACHMENTS_PER_INCIDENT = parseInt(process.env.MAX_ATTACHMENTS_PER_INCIDENT, 10) || 10;
+const THUMBNAIL_SIZE = 320; // Longest thumbnail edge in pixels
+const LOCATION_CHECK_MODE = process.env.ATTACHMENT_LOCATION_CHECK || 'record';
+const GPS_TOLERANCE_METERS = parseInt(process.env.ATTACHMENT_GPS_TOLERANCE_M, 10) || 500;
+
+// QuickTime user-data atom holding an ISO 6709 location string
+const QUICKTIME_LOCATION_ATOM = Buffer.from([0xa9, 0x78, 0x79, 0x7a]); // ©xyz
+
+/**
+ * Detect the MIME type of a file from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Detected MIME type
+ */
+const detectMimeType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return buffer.toString('ascii', 8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+
+  return null;
+};
+
+/**
+ * Great-circle distance between two points in meters
+ */
+const distanceMeters = (lat1, lon1, lat2, lon2) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+class AttachmentService {
+  constructor(storage) {
+    this.db = db;
+    this.storage = storage || createStorage();
+  }
+
+  /**
+   * Validate an uploaded file's detected type and size
+   * @param {Object} file - Multer file ({ buffer, size, originalname })
+   * @returns {Object} { mimeType, mediaType, extension, format }
+   */
+  static validateFile(file) {
+    const mimeType = detectMimeType(file.buffer);
+
+    if (!mimeType || !ALLOWED_MIME_TYPES.includes(mimeType)) {
+      throw new Error(`Unsupported file type for ${file.originalname}. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}`);
+    }
+
+    const type = ATTACHMENT_TYPES[mimeType];
+    const maxSize = type.mediaType === 'video' ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE;
+
+    if (file.size > maxSize) {
+      throw new Error(`File too large: ${file.originalname} exceeds ${Math.round(maxSize / 1024 / 1024)}MB`);
+    }
+
+    return { mimeType, ...type };
+  }
+
+  /**
+   * Process and store uploaded files for an incident
+   * @param {Object} incident - Incident ({ id, location: { latitude, longitude } })
+   * @param {Array<Object>} files - Multer files held in memory
+   * @param {number} userId - Uploading user's ID
+   * @returns {Promise<Array>} Stored attachments
+   */
+  async addAttachments(incident, files, userId) {
+    try {
+      logger.info('AttachmentService: Adding attachments', {
+        incidentId: incident.id,
+        userId,
+        fileCount: files.length,
+      });
+
+      const countResult = await this.db.query(
+        'SELECT COUNT(*)::int AS count FROM incident_attachments WHERE incident_id = $1 AND is_deleted = false',
+        [incident.id]
+      );
+
+      if (countResult.rows[0].count + files.length > MAX_ATTACHMENTS_PER_INCIDENT) {
+        throw new Error(`Attachment limit reached: incidents can have at most ${MAX_ATTACHMENTS_PER_INCIDENT} attachments`);
+      }
+
+      // Sanitise everything before writing, so one bad file stores nothing
+      const processed = [];
+      for (const file of files) {
+        const type = AttachmentService.validateFile(file);
+        const content = type.mediaType === 'image'
+          ? await this.processImage(file.buffer, type, incident)
+          : this.processVideo(file.buffer);
+        processed.push({ file, type, ...content });
+      }
+
+      const attachments = [];
+      const storedKeys = [];
+
+      try {
+        for (const item of processed) {
+          const baseKey = `incidents/${incident.id}/${crypto.randomUUID()}`;
+          const storageKey = `${baseKey}.${item.type.extension}`;
+          const thumbnailKey = item.thumbnail ? `${baseKey}-thumb.jpg` : null;
+
+          await this.storage.put(storageKey, item.buffer, item.type.mimeType);
+          storedKeys.push(storageKey);
+
+          if (thumbnailKey) {
+            await this.storage.put(thumbnailKey, item.thumbnail, 'image/jpeg');
+            storedKeys.push(thumbnailKey);
+          }
+
+          const result = await this.db.query(`
+            INSERT INTO incident_attachments (
+              incident_id, uploaded_by, storage_driver, storage_key, thumbnail_key,
+              original_name, mime_type, media_type, size_bytes, width, height,
+              gps_stripped, gps_distance_meters, location_verified, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
+            RETURNING *
+          `, [
+            incident.id,
+            userId,
+            this.storage.driver,
+            storageKey,
+            thumbnailKey,
+            item.file.originalname,
+            item.type.mimeType,
+            item.type.mediaType,
+            item.buffer.length,
+            item.width || null,
+            item.height || null,
+            item.gpsStripped,
+            item.gpsDistance ?? null,
+            item.gpsDistance === undefined ? null : item.gpsDistance <= GPS_TOLERANCE_METERS,
+          ]);
+
+          attachments.push(AttachmentService.formatAttachment(result.rows[0]));
+        }
+      } catch (error) {
+        // Don't leave orphaned objects behind when a write fails part way
+        await Promise.all(storedKeys.map(key => this.storage.delete(key).catch(() => {})));
+        throw error;
+      }
+
+      logger.info('AttachmentService: Attachments stored', {
+        incidentId: incident.id,
+        userId,
+        attachmentIds: attachments.map(attachment => attachment.id),
+      });
+
+      return attachments;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'add_attachments',
+        incidentId: incident?.id,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List active attachments for an incident
+   * @param {number} incidentId - Incident ID
+   * @returns {Promise<Array>} Attachments, oldest first
+   */
+  async listAttachments(incidentId) {
+    const result = await this.db.query(`
+      SELECT * FROM incident_attachments
+      WHERE incident_id = $1 AND is_deleted = false
+      ORDER BY created_at, id
+    `, [incidentId]);
+
+    return result.rows.map(AttachmentService.formatAttachment);
+  }
+
+  /**
+   * Open an attachment's file or thumbnail for streaming
+   * @param {number} incidentId - Incident ID
+   * @param {number} attachmentId - Attachment ID
+   * @param {string} variant - 'file' or 'thumbnail'
+   * @returns {Promise<Object>} { stream, mimeType, fileName }
+   */
+  async openAttachment(incidentId, attachmentId, variant = 'file') {
+    try {
+      const attachment = await this.getAttachmentRow(incidentId, attachmentId);
+      const key = variant === 'thumbnail' ? attachment.thumbnail_key : attachment.storage_key;
+
+      if (!key) {
+        throw new Error('Attachment has no thumbnail');
+      }
+
+      return {
+        stream: await this.storage.getStream(key),
+        mimeType: variant === 'thumbnail' ? 'image/jpeg' : attachment.mime_type,
+        fileName: attachment.original_name,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'open_attachment',
+        incidentId,
+        attachmentId,
+        variant,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an attachment and its stored objects
+   * Uploaders, the incident reporter and users with delete-any may delete.
+   * @param {number} incidentId - Incident ID
+   * @param {number} attachmentId - Attachment ID
+   * @param {Object} actor - User deleting ({ id, role })
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteAttachment(incidentId, attachmentId, actor) {
+    try {
+      const attachment = await this.getAttachmentRow(incidentId, attachmentId);
+
+      const isOwner = attachment.uploaded_by === actor.id || attachment.incident_reported_by === actor.id;
+      if (!isOwner && !(await permissionService.hasPermission(actor, PERMISSIONS.DELETE_ANY))) {
+        throw new Error('Not authorized to delete this attachment');
+      }
+
+      await this.db.query(`
+        UPDATE incident_attachments
+        SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+        WHERE id = $1
+      `, [attachmentId, actor.id]);
+
+      const keys = [attachment.storage_key, attachment.thumbnail_key].filter(Boolean);
+      await Promise.all(keys.map(key => this.storage.delete(key)));
+
+      logger.info('AttachmentService: Attachment deleted', {
+        incidentId,
+        attachmentId,
+        userId: actor.id,
+      });
+
+      return { success: true, attachmentId };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'delete_attachment',
+        incidentId,
+        attachmentId,
+        userId: actor?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Shape an incident_attachments row for API responses
+   * @param {Object} row - Database row (snake_case)
+   * @returns {Object} Attachment with download URLs
+   */
+  static formatAttachment(row) {
+    const url = `/api/incidents/${row.incident_id}/attachments/${row.id}`;
+
+    return {
+      id: row.id,
+      mimeType: row.mime_type,
+      mediaType: row.media_type,
+      originalName: row.original_name,
+      size: row.size_bytes === undefined ? undefined : Number(row.size_bytes),
+      width: row.width,
+      height: row.height,
+      url: `${url}/file`,
+      thumbnailUrl: row.thumbnail_key ? `${url}/thumbnail` : null,
+      locationCheck: row.gps_distance_meters === null || row.gps_distance_meters === undefined ? null : {
+        distanceMeters: Math.round(parseFloat(row.gps_distance_meters)),
+        withinTolerance: row.location_verified,
+      },
+      uploadedBy: row.uploaded_by,
+      createdAt: row.created_at,
+    };
+  }
+
+  // ==============================================
+  // UTILITY METHODS
+  // ==============================================
+
+  /**
+   * Load an active attachment together with its incident's reporter
+   * @private
+   */
+  async getAttachmentRow(incidentId, attachmentId) {
+    const result = await this.db.query(`
+      SELECT a.*, i.reported_by AS incident_reported_by
+      FROM incident_attachments a
+      JOIN incidents i ON i.id = a.incident_id
+      WHERE a.id = $1 AND a.incident_id = $2 AND a.is_deleted = false
+    `, [attachmentId, incidentId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Attachment not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Re-encode an image without metadata and build its thumbnail
+   * EXIF orientation is applied before the metadata is dropped.
+   * @private
+   */
+  async processImage(buffer, type, incident) {
+    const animated = type.format === 'gif' || type.format === 'webp';
+    const metadata = await sharp(buffer, { animated }).metadata();
+    const gps = metadata.exif ? this.readExifGps(metadata.exif) : null;
+
+    let gpsDistance;
+    if (gps && LOCATION_CHECK_MODE !== 'off') {
+      gpsDistance = distanceMeters(
+        gps.latitude,
+        gps.longitude,
+        incident.location.latitude,
+        incident.location.longitude
+      );
+
+      if (LOCATION_CHECK_MODE === 'enforce' && gpsDistance > GPS_TOLERANCE_METERS) {
+        throw new Error(`Attachment location mismatch: photo was taken ${Math.round(gpsDistance)}m from the reported location`);
+      }
+    }
+
+    const { data, info } = await sharp(buffer, { animated })
+      .rotate()
+      .toFormat(type.format)
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    return {
+      buffer: data,
+      thumbnail,
+      width: info.width,
+      height: info.pageHeight || info.height,
+      gpsStripped: Boolean(gps),
+      gpsDistance,
+    };
+  }
+
+  /**
+   * Blank QuickTime/MP4 location atoms in place
+   * The atom is renamed to 'free' and its payload zeroed, which keeps every
+   * box size and offset intact. No thumbnail is generated for videos.
+   * @private
+   */
+  processVideo(buffer) {
+    const scrubbed = Buffer.from(buffer);
+    let gpsStripped = false;
+    let offset = scrubbed.indexOf(QUICKTIME_LOCATION_ATOM);
+
+    while (offset >= 4) {
+      const size = scrubbed.readUInt32BE(offset - 4);
+      if (size >= 8 && offset - 4 + size <= scrubbed.length) {
+        scrubbed.write('free', offset, 'ascii');
+        scrubbed.fill(0, offset + 4, offset - 4 + size);
+        gpsStripped = true;
+      }
+      offset = scrubbed.indexOf(QUICKTIME_LOCATION_ATOM, offset + 4);
+    }
+
+    return { buffer: scrubbed, thumbnail: null, gpsStripped };
+  }
+
+  /**
+   * Read decimal GPS coordinates from an EXIF block
+   * @private
+   */
+  readExifGps(exifBuffer) {
+    try {
+      const { GPSInfo: gpsInfo } = exifReader(exifBuffer);
+      if (!gpsInfo?.GPSLatitude || !gpsInfo?.GPSLongitude) return null;
+
+      const toDecimal = ([degrees, minutes = 0, seconds = 0]) => degrees + minutes / 60 + seconds / 3600;
+      const latitude = toDecimal(gpsInfo.GPSLatitude) * (gpsInfo.GPSLatitudeRef === 'S' ? -1 : 1);
+      const longitude = toDecimal(gpsInfo.GPSLongitude) * (gpsInfo.GPSLongitudeRef === 'W' ? -1 : 1);
+
+      return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+    } catch (error) {
+      logger.debug('AttachmentService: Unreadable EXIF block ignored', { error: error.message });
+      return null;
+    }
+  }
+}
+
+AttachmentService.MAX_ATTACHMENTS_PER_INCIDENT = MAX_ATTACHMENTS_PER_INCIDENT;
+AttachmentService.MAX_UPLOAD_SIZE = Math.max(MAX_IMAGE_SIZE, MAX_VIDEO_SIZE);
+AttachmentService.detectMimeType = detectMimeType;
+
+module.exports = AttachmentService;
@@ -13,6 +13,10 @@
  * - Token verification and payload extraction
  * - Automatic token refresh mechanics
  * - Blacklist management for secure logout
+ * - Per-sign-in sessions: tokens carry a session ID (sid) and stop
+ *   verifying as soon as their session is revoked
+ * - Short-lived stream tokens for EventSource clients, which cannot
+ *   send an Authorization header
  * - Role-based authorization helpers
  * 
  * SECURITY CONSIDERATIONS:
@@ -25,10 +29,12 @@
  * DEPENDENCIES:
  * - jsonwebtoken: JWT creation and verification
  * - Database connection: User lookup and blacklist management
+ * - Session service: Session records behind each refresh token
  * - Logger service: Security event logging
  * 
  * USAGE:
  * const authService = require('./services/auth');
+ * const { accessToken, refreshTokenData } = await authService.startSession(user, { clientIP, userAgent });
  * const token = await authService.generateAccessToken(user);
  * const payload = await authService.verifyToken(token);
  */
@@ -37,6 +43,13 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const db = require('../db/connection');
 const logger = require('./logger');
+const sessionService = require('./session');
+
+// Stream tokens only open SSE streams; access token checks reject this audience
+const STREAM_AUDIENCE = 'gis-net-stream';
+
+// Longest a stream token (and the stream it opens) stays valid, in seconds
+const STREAM_TOKEN_MAX_AGE = 15 * 60;
 
 class AuthenticationService {
   constructor() {
@@ -70,7 +83,7 @@ class AuthenticationService {
   /**
    * Generates an access token for authenticated user
    * @param {Object} user - User object from database
-   * @param {Object} options - Additional token options
+   * @param {Object} options - Additional token options ({ expiresIn, sessionId })
    * @returns {Promise<string>} JWT access token
    */
   async generateAccessToken(user, options = {}) {
@@ -84,6 +97,10 @@ class AuthenticationService {
         emailVerified: user.email_verified,
       };
 
+      if (options.sessionId) {
+        payload.sid = options.sessionId;
+      }
+
       const tokenOptions = {
         issuer: this.issuer,
         audience: 'gis-net-frontend',
@@ -112,9 +129,10 @@ class AuthenticationService {
   /**
    * Generates a refresh token for extended authentication
    * @param {Object} user - User object from database
+   * @param {Object} options - { sessionId } of the session it belongs to
    * @returns {Promise<Object>} Refresh token and metadata
    */
-  async generateRefreshToken(user) {
+  async generateRefreshToken(user, options = {}) {
     try {
       const payload = {
         userId: user.id,
@@ -135,11 +153,9 @@ class AuthenticationService {
 
       // Store refresh token in database for tracking
       await db.query(`
-        INSERT INTO user_refresh_tokens (user_id, token_id, expires_at, created_at)
-        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-        ON CONFLICT (user_id) 
-        DO UPDATE SET token_id = $2, expires_at = $3, created_at = CURRENT_TIMESTAMP
-      `, [user.id, decoded.jti, new Date(decoded.exp * 1000)]);
+        INSERT INTO user_refresh_tokens (user_id, token_id, session_id, expires_at, created_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      `, [user.id, decoded.jti, options.sessionId || null, new Date(decoded.exp * 1000)]);
 
       logger.info(`🔄 Refresh token generated for user ${user.id}`, {
         userId: user.id,
@@ -158,6 +174,33 @@ class AuthenticationService {
     }
   }
 
+  /**
+   * Starts a sign-in session and issues its token pair
+   * The session lasts as long as the longer-lived of the two tokens.
+   * @param {Object} user - User object from database
+   * @param {Object} options - { expiresIn, clientIP, userAgent }
+   * @returns {Promise<Object>} { accessToken, refreshTokenData, sessionId }
+   */
+  async startSession(user, options = {}) {
+    const sessionId = crypto.randomUUID();
+
+    const accessToken = await this.generateAccessToken(user, {
+      expiresIn: options.expiresIn,
+      sessionId,
+    });
+    const refreshTokenData = await this.generateRefreshToken(user, { sessionId });
+
+    const accessExpiresAt = new Date(jwt.decode(accessToken).exp * 1000);
+
+    await sessionService.createSession(user.id, sessionId, {
+      clientIP: options.clientIP,
+      userAgent: options.userAgent,
+      expiresAt: accessExpiresAt > refreshTokenData.expiresAt ? accessExpiresAt : refreshTokenData.expiresAt,
+    });
+
+    return { accessToken, refreshTokenData, sessionId };
+  }
+
   /**
    * Verifies and decodes a JWT token
    * @param {string} token - JWT token to verify
@@ -181,6 +224,14 @@ class AuthenticationService {
         throw new Error('Token has been invalidated');
       }
 
+      // Revoked sessions end their access tokens immediately
+      if (decoded.sid && decoded.type !== 'refresh') {
+        const sessionActive = await sessionService.isActive(decoded.sid);
+        if (!sessionActive) {
+          throw new Error('Session has been revoked');
+        }
+      }
+
       // Verify user still exists and is active
       if (decoded.type !== 'refresh') {
         const userExists = await this.verifyUserExists(decoded.userId);
@@ -237,18 +288,23 @@ class AuthenticationService {
 
       const user = userResult.rows[0];
 
-      // Verify refresh token exists in database
-      const tokenResult = await db.query(
-        'SELECT * FROM user_refresh_tokens WHERE user_id = $1 AND token_id = $2',
-        [user.id, decoded.jti]
-      );
+      // Verify refresh token exists in database and its session is still active
+      const tokenResult = await db.query(`
+        SELECT rt.session_id
+        FROM user_refresh_tokens rt
+        LEFT JOIN user_sessions s ON s.session_id = rt.session_id
+        WHERE rt.user_id = $1 AND rt.token_id = $2
+          AND (rt.session_id IS NULL OR (s.is_active = true AND s.expires_at > CURRENT_TIMESTAMP))
+      `, [user.id, decoded.jti]);
 
       if (tokenResult.rows.length === 0) {
         throw new Error('Refresh token not found');
       }
 
+      const sessionId = tokenResult.rows[0].session_id;
+
       // Generate new access token
-      const newAccessToken = await this.generateAccessToken(user);
+      const newAccessToken = await this.generateAccessToken(user, { sessionId });
 
       logger.info(`🔄 Access token refreshed for user ${user.id}`, {
         userId: user.id,
@@ -257,6 +313,7 @@ class AuthenticationService {
 
       return {
         accessToken: newAccessToken,
+        sessionId,
         user: {
           id: user.id,
           username: user.username,
@@ -305,17 +362,18 @@ class AuthenticationService {
 
   /**
    * Invalidates all tokens for a user (useful for security incidents)
+   * Revokes every session, which also rejects their access tokens;
+   * access tokens issued without a session run until they expire.
    * @param {number} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * @param {string} [reason] - Revoke reason recorded on the sessions
+   * @returns {Promise<Array<string>>} Revoked session IDs
    */
-  async invalidateAllUserTokens(userId) {
+  async invalidateAllUserTokens(userId, reason) {
     try {
-      // This would require storing all active tokens or implementing a user token version
-      // For now, we'll delete refresh tokens which will prevent new access tokens
-      await db.query('DELETE FROM user_refresh_tokens WHERE user_id = $1', [userId]);
+      const sessionIds = await sessionService.revokeAllSessions(userId, reason);
       
-      logger.warn(`🚨 All tokens invalidated for user ${userId}`, { userId });
-      return true;
+      logger.warn(`🚨 All tokens invalidated for user ${userId}`, { userId, sessions: sessionIds.length });
+      return sessionIds;
 
     } catch (error) {
       logger.error('❌ Failed to invalidate all user tokens:', error.message);
@@ -344,6 +402,42 @@ class AuthenticationService {
     }
   }
 
+  /**
+   * Issues a token for opening an incident stream
+   * The token goes in the stream URL, so it is kept short-lived and never
+   * outlives the access token it was issued from.
+   * @param {Object} user - Authenticated user
+   * @param {Object} accessToken - Decoded access token ({ sid, exp })
+   * @returns {Object} { token, expiresAt }
+   */
+  generateStreamToken(user, accessToken) {
+    const exp = Math.min(Math.floor(Date.now() / 1000) + STREAM_TOKEN_MAX_AGE, accessToken.exp);
+    const payload = { userId: user.id, type: 'stream', exp };
+
+    if (accessToken.sid) {
+      payload.sid = accessToken.sid;
+    }
+
+    const token = jwt.sign(payload, this.jwtSecret, {
+      issuer: this.issuer,
+      audience: STREAM_AUDIENCE,
+      subject: user.id.toString(),
+      algorithm: 'HS256',
+      jwtid: crypto.randomUUID(),
+    });
+
+    return { token, expiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Verifies a stream token, including its session and user
+   * @param {string} token - Stream token
+   * @returns {Promise<Object>} Decoded payload
+   */
+  async verifyStreamToken(token) {
+    return this.verifyToken(token, { audience: STREAM_AUDIENCE });
+  }
+
   /**
    * Verifies that a user still exists and is active
    * @param {number} userId - User ID to verify
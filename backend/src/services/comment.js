@@ -0,0 +1,452 @@
+/**
+ * ==================================================
+ * INCIDENT COMMENT SERVICE
+ * Threaded Discussion and Moderator Notes
+ * ==================================================
+ *
+ * This service manages comments on incidents: threaded replies,
+ * editing, soft deletion, @mentions and internal notes.
+ *
+ * FEATURES:
+ * - Threads through parent comments (bounded reply depth)
+ * - Internal notes visible only with the view-internal-notes permission
+ * - @username mentions resolved to active users
+ * - Edits by the author; deletion by the author or with delete-any
+ * - Deleted comments with replies remain as placeholders in the thread
+ *
+ * VISIBILITY RULES:
+ * - Replies to an internal note are always internal
+ * - Internal notes can only mention users who can read them
+ * - Internal notes look nonexistent to other users (404, not 403)
+ *
+ * DEPENDENCIES:
+ * - Database Connection: PostgreSQL access
+ * - Logger: Operation logging
+ * - Permission Service: Internal note and delete-any checks
+ *
+ * USAGE:
+ * const commentService = new CommentService();
+ * const { comment } = await commentService.createComment(incidentId, { body }, req.user);
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+const permissionService = require('./permission');
+
+const { PERMISSIONS } = permissionService.PermissionService;
+const MAX_COMMENT_DEPTH = 5; // Deepest reply level below a top-level comment
+const MAX_MENTIONS_PER_COMMENT = 10;
+
+// @username, not preceded by a word character (skips e-mail addresses)
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_-]{3,30})/g;
+
+const COMMENT_SELECT = `
+  SELECT
+    c.*,
+    u.username AS author_username,
+    u.role AS author_role,
+    COALESCE((
+      SELECT json_agg(json_build_object('id', mu.id, 'username', mu.username) ORDER BY mu.username)
+      FROM incident_comment_mentions m
+      JOIN users mu ON mu.id = m.user_id
+      WHERE m.comment_id = c.id
+    ), '[]'::json) AS mentions
+  FROM incident_comments c
+  JOIN users u ON u.id = c.author_id
+`;
+
+/**
+ * Extract unique @mentioned usernames from comment text
+ * @param {string} body - Comment text
+ * @returns {Array<string>} Mentioned usernames (lowercased)
+ */
+const parseMentions = (body) => {
+  const usernames = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[1].toLowerCase());
+  }
+  return [...usernames].slice(0, MAX_MENTIONS_PER_COMMENT);
+};
+
+class CommentService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Whether a user may see internal notes
+   * @param {Object} user - User ({ role })
+   * @returns {Promise<boolean>}
+   */
+  static async canSeeInternal(user) {
+    return permissionService.hasPermission(user, PERMISSIONS.VIEW_INTERNAL_NOTES);
+  }
+
+  /**
+   * List an incident's comments as threads
+   * @param {number} incidentId - Incident ID
+   * @param {Object} viewer - Requesting user ({ id, role })
+   * @returns {Promise<Object>} { comments: top-level comments with nested replies, total }
+   */
+  async listComments(incidentId, viewer) {
+    try {
+      await this.getIncidentRow(incidentId);
+
+      const includeInternal = await CommentService.canSeeInternal(viewer);
+      const result = await this.db.query(`
+        ${COMMENT_SELECT}
+        WHERE c.incident_id = $1
+          AND ($2::boolean OR c.is_internal = false)
+        ORDER BY c.created_at, c.id
+      `, [incidentId, includeInternal]);
+
+      const byId = new Map();
+      const roots = [];
+
+      result.rows.forEach(row => byId.set(row.id, { ...CommentService.formatComment(row), replies: [] }));
+
+      for (const comment of byId.values()) {
+        const parent = comment.parentId ? byId.get(comment.parentId) : null;
+        if (parent) {
+          parent.replies.push(comment);
+        } else {
+          roots.push(comment);
+        }
+      }
+
+      // Deleted comments are only kept as placeholders when something replies to them
+      const prune = comments => comments.filter(comment => {
+        comment.replies = prune(comment.replies);
+        return !comment.deleted || comment.replies.length > 0;
+      });
+
+      const comments = prune(roots);
+
+      return {
+        comments,
+        total: result.rows.filter(row => !row.is_deleted).length,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'list_comments',
+        incidentId,
+        userId: viewer?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment or reply to an incident
+   * @param {number} incidentId - Incident ID
+   * @param {Object} commentData - { body, parentId?, internal? }
+   * @param {Object} author - Commenting user ({ id, username, role })
+   * @returns {Promise<Object>} { comment, mentionedUserIds, replyToUserId }
+   */
+  async createComment(incidentId, commentData, author) {
+    try {
+      const { body, parentId = null } = commentData;
+      let internal = Boolean(commentData.internal);
+
+      if (internal && !(await CommentService.canSeeInternal(author))) {
+        throw new Error('You do not have permission to post internal notes');
+      }
+
+      await this.getIncidentRow(incidentId);
+
+      let depth = 0;
+      let replyToUserId = null;
+
+      if (parentId) {
+        const parent = await this.getCommentRow(incidentId, parentId, author);
+
+        if (parent.is_deleted) {
+          throw new Error('Cannot reply to a deleted comment');
+        }
+        if (parent.depth >= MAX_COMMENT_DEPTH) {
+          throw new Error(`Reply depth limit reached: threads can be at most ${MAX_COMMENT_DEPTH + 1} levels deep`);
+        }
+
+        depth = parent.depth + 1;
+        internal = internal || parent.is_internal;
+        replyToUserId = parent.author_id !== author.id ? parent.author_id : null;
+      }
+
+      const mentionedUsers = await this.resolveMentions(body, { internal, authorId: author.id });
+
+      const commentId = await this.db.transaction(async (client) => {
+        const insertResult = await client.query(`
+          INSERT INTO incident_comments (incident_id, parent_id, author_id, body, is_internal, depth)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING id
+        `, [incidentId, parentId, author.id, body, internal, depth]);
+
+        const newId = insertResult.rows[0].id;
+        await this.insertMentions(client, newId, mentionedUsers.map(user => user.id));
+
+        return newId;
+      });
+
+      const comment = await this.getFormattedComment(commentId);
+
+      logger.info('CommentService: Comment created', {
+        incidentId,
+        commentId,
+        parentId,
+        internal,
+        userId: author.id,
+        mentions: mentionedUsers.length,
+      });
+
+      return {
+        success: true,
+        comment,
+        mentionedUserIds: mentionedUsers.map(user => user.id),
+        replyToUserId,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'create_comment',
+        incidentId,
+        userId: author?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a comment's text (author only)
+   * @param {number} incidentId - Incident ID
+   * @param {number} commentId - Comment ID
+   * @param {Object} updateData - { body }
+   * @param {Object} actor - Editing user ({ id, role })
+   * @returns {Promise<Object>} { comment, mentionedUserIds: users mentioned for the first time }
+   */
+  async updateComment(incidentId, commentId, updateData, actor) {
+    try {
+      const existing = await this.getCommentRow(incidentId, commentId, actor);
+
+      if (existing.is_deleted) {
+        throw new Error('Comment not found');
+      }
+      if (existing.author_id !== actor.id) {
+        throw new Error('Not authorized to edit this comment');
+      }
+
+      const mentionedUsers = await this.resolveMentions(updateData.body, {
+        internal: existing.is_internal,
+        authorId: actor.id,
+      });
+
+      const newMentionIds = await this.db.transaction(async (client) => {
+        await client.query(`
+          UPDATE incident_comments
+          SET body = $2, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [commentId, updateData.body]);
+
+        const previous = await client.query(
+          'DELETE FROM incident_comment_mentions WHERE comment_id = $1 RETURNING user_id',
+          [commentId]
+        );
+        const previousIds = new Set(previous.rows.map(row => row.user_id));
+
+        const mentionIds = mentionedUsers.map(user => user.id);
+        await this.insertMentions(client, commentId, mentionIds);
+
+        return mentionIds.filter(id => !previousIds.has(id));
+      });
+
+      const comment = await this.getFormattedComment(commentId);
+
+      logger.info('CommentService: Comment edited', {
+        incidentId,
+        commentId,
+        userId: actor.id,
+      });
+
+      return {
+        success: true,
+        comment,
+        mentionedUserIds: newMentionIds,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'update_comment',
+        incidentId,
+        commentId,
+        userId: actor?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete a comment (author, or delete-any permission)
+   * @param {number} incidentId - Incident ID
+   * @param {number} commentId - Comment ID
+   * @param {Object} actor - Deleting user ({ id, role })
+   * @returns {Promise<Object>} { commentId, internal }
+   */
+  async deleteComment(incidentId, commentId, actor) {
+    try {
+      const existing = await this.getCommentRow(incidentId, commentId, actor);
+
+      if (existing.is_deleted) {
+        throw new Error('Comment not found');
+      }
+      if (existing.author_id !== actor.id
+        && !(await permissionService.hasPermission(actor, PERMISSIONS.DELETE_ANY))) {
+        throw new Error('Not authorized to delete this comment');
+      }
+
+      await this.db.query(`
+        UPDATE incident_comments
+        SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [commentId, actor.id]);
+
+      logger.info('CommentService: Comment deleted', {
+        incidentId,
+        commentId,
+        userId: actor.id,
+      });
+
+      return {
+        success: true,
+        commentId,
+        parentId: existing.parent_id,
+        internal: existing.is_internal,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'delete_comment',
+        incidentId,
+        commentId,
+        userId: actor?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Shape an incident_comments row for API responses
+   * @param {Object} row - Row from COMMENT_SELECT
+   * @returns {Object} Comment (text and author hidden once deleted)
+   */
+  static formatComment(row) {
+    const deleted = Boolean(row.is_deleted);
+
+    return {
+      id: row.id,
+      incidentId: row.incident_id,
+      parentId: row.parent_id,
+      body: deleted ? null : row.body,
+      internal: row.is_internal,
+      author: deleted ? null : {
+        id: row.author_id,
+        username: row.author_username,
+        role: row.author_role,
+      },
+      mentions: deleted ? [] : row.mentions || [],
+      edited: Boolean(row.edited_at),
+      deleted,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      editedAt: row.edited_at,
+    };
+  }
+
+  // ==============================================
+  // UTILITY METHODS
+  // ==============================================
+
+  /**
+   * Load a live (not merged) incident
+   * @private
+   */
+  async getIncidentRow(incidentId) {
+    const result = await this.db.query(
+      'SELECT id, reported_by, merged_into_id FROM incidents WHERE id = $1',
+      [incidentId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].merged_into_id) {
+      throw new Error('Incident not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Load a comment the user is allowed to see
+   * @private
+   */
+  async getCommentRow(incidentId, commentId, user) {
+    const result = await this.db.query(
+      'SELECT * FROM incident_comments WHERE id = $1 AND incident_id = $2',
+      [commentId, incidentId]
+    );
+
+    const comment = result.rows[0];
+    if (!comment || (comment.is_internal && !(await CommentService.canSeeInternal(user)))) {
+      throw new Error('Comment not found');
+    }
+
+    return comment;
+  }
+
+  /**
+   * Load and format a single comment
+   * @private
+   */
+  async getFormattedComment(commentId) {
+    const result = await this.db.query(`${COMMENT_SELECT} WHERE c.id = $1`, [commentId]);
+    return CommentService.formatComment(result.rows[0]);
+  }
+
+  /**
+   * Resolve @mentions to users who can read the comment
+   * @private
+   */
+  async resolveMentions(body, { internal, authorId }) {
+    const usernames = parseMentions(body);
+    if (usernames.length === 0) return [];
+
+    const result = await this.db.query(`
+      SELECT id, username, role
+      FROM users
+      WHERE LOWER(username) = ANY($1) AND is_active = true AND id != $2
+    `, [usernames, authorId]);
+
+    if (!internal) {
+      return result.rows;
+    }
+
+    const readers = await permissionService.rolesWith(PERMISSIONS.VIEW_INTERNAL_NOTES);
+    return result.rows.filter(user => readers.includes(user.role));
+  }
+
+  /**
+   * Record mention rows for a comment
+   * @private
+   */
+  async insertMentions(client, commentId, userIds) {
+    if (userIds.length === 0) return;
+
+    await client.query(`
+      INSERT INTO incident_comment_mentions (comment_id, user_id)
+      SELECT $1, UNNEST($2::int[])
+      ON CONFLICT DO NOTHING
+    `, [commentId, userIds]);
+  }
+}
+
+CommentService.parseMentions = parseMentions;
+CommentService.MAX_COMMENT_DEPTH = MAX_COMMENT_DEPTH;
+
+module.exports = CommentService;
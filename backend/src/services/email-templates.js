@@ -0,0 +1,184 @@
+/**
+ * ==================================================
+ * EMAIL TEMPLATES
+ * HTML and Plain-Text Account Emails
+ * ==================================================
+ *
+ * Each template turns its data into { subject, text, html }. The HTML
+ * part shares one layout with inline styles (mail clients ignore
+ * stylesheets); every interpolated value is escaped.
+ *
+ * TEMPLATES:
+ * - password-reset: { user, resetUrl, expiresAt }
+ * - email-verification: { user, verifyUrl, expiresAt }
+ * - password-changed: { user, changedAt, clientIP, resetUrl }
+ * - new-login: { user, loginAt, clientIP, userAgent, resetUrl }
+ *
+ * USAGE:
+ * const { renderEmail } = require('./email-templates');
+ * const { subject, text, html } = renderEmail('password-reset', { user, resetUrl, expiresAt });
+ */
+
+const APP_NAME = 'GIS-NET';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greetingName = (user) => user.first_name || user.username;
+
+const formatTime = (value) => new Date(value).toUTCString();
+
+/**
+ * Wrap template content in the shared HTML layout
+ * @param {Object} content - { heading, paragraphs: [html], action?: { label, url }, footer? }
+ * @returns {string} HTML document
+ */
+const layout = ({ heading, paragraphs, action, footer }) => {
+  const button = action
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#1976d2;color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;display:inline-block;">${escapeHtml(action.label)}</a></p>
+        <p style="font-size:12px;color:#666666;">If the button does not work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#222222;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+      <tr><td align="center" style="padding:24px;">
+        <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:6px;">
+          <tr><td style="padding:20px 28px;background:#1976d2;color:#ffffff;font-size:18px;font-weight:bold;border-radius:6px 6px 0 0;">${APP_NAME}</td></tr>
+          <tr><td style="padding:28px;">
+            <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+            ${paragraphs.map(paragraph => `<p style="line-height:1.5;margin:0 0 12px;">${paragraph}</p>`).join('\n            ')}
+            ${button}
+          </td></tr>
+          <tr><td style="padding:16px 28px;font-size:12px;color:#666666;border-top:1px solid #e0e0e0;">${footer || `You are receiving this email because of activity on your ${APP_NAME} account.`}</td></tr>
+        </table>
+      </td></tr>
+    </table>
+  </body>
+</html>
+`;
+};
+
+const TEMPLATES = {
+  'password-reset': ({ user, resetUrl, expiresAt }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      `Hi ${greetingName(user)},`,
+      '',
+      `Someone asked to reset the password for your ${APP_NAME} account. To choose a new password, open this link:`,
+      '',
+      resetUrl,
+      '',
+      `The link expires at ${formatTime(expiresAt)} and can only be used once.`,
+      'If you did not ask for a reset, you can ignore this email; your password has not changed.',
+    ].join('\n'),
+    html: layout({
+      heading: 'Reset your password',
+      paragraphs: [
+        `Hi ${escapeHtml(greetingName(user))},`,
+        `Someone asked to reset the password for your ${APP_NAME} account.`,
+        `The link expires at ${escapeHtml(formatTime(expiresAt))} and can only be used once.`,
+      ],
+      action: { label: 'Choose a new password', url: resetUrl },
+      footer: 'If you did not ask for a reset, you can ignore this email; your password has not changed.',
+    }),
+  }),
+
+  'email-verification': ({ user, verifyUrl, expiresAt }) => ({
+    subject: `Verify your email for ${APP_NAME}`,
+    text: [
+      `Hi ${greetingName(user)},`,
+      '',
+      `Please confirm that ${user.email} is your email address by opening this link:`,
+      '',
+      verifyUrl,
+      '',
+      `The link expires at ${formatTime(expiresAt)}.`,
+      `If you did not create a ${APP_NAME} account, you can ignore this email.`,
+    ].join('\n'),
+    html: layout({
+      heading: 'Verify your email address',
+      paragraphs: [
+        `Hi ${escapeHtml(greetingName(user))},`,
+        `Please confirm that <strong>${escapeHtml(user.email)}</strong> is your email address.`,
+        `The link expires at ${escapeHtml(formatTime(expiresAt))}.`,
+      ],
+      action: { label: 'Verify email', url: verifyUrl },
+      footer: `If you did not create a ${APP_NAME} account, you can ignore this email.`,
+    }),
+  }),
+
+  'password-changed': ({ user, changedAt, clientIP, resetUrl }) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    text: [
+      `Hi ${greetingName(user)},`,
+      '',
+      `The password for your ${APP_NAME} account was changed at ${formatTime(changedAt)}${clientIP ? ` from ${clientIP}` : ''}.`,
+      '',
+      'If this was you, no action is needed.',
+      `If it was not, reset your password right away: ${resetUrl}`,
+    ].join('\n'),
+    html: layout({
+      heading: 'Your password was changed',
+      paragraphs: [
+        `Hi ${escapeHtml(greetingName(user))},`,
+        `The password for your ${APP_NAME} account was changed at ${escapeHtml(formatTime(changedAt))}${clientIP ? ` from ${escapeHtml(clientIP)}` : ''}.`,
+        'If this was you, no action is needed. If it was not, reset your password right away.',
+      ],
+      action: { label: 'Reset password', url: resetUrl },
+    }),
+  }),
+
+  'new-login': ({ user, loginAt, clientIP, userAgent, resetUrl }) => ({
+    subject: `New sign-in to your ${APP_NAME} account`,
+    text: [
+      `Hi ${greetingName(user)},`,
+      '',
+      `Your ${APP_NAME} account was signed in to from a device or network we have not seen before.`,
+      '',
+      `Time: ${formatTime(loginAt)}`,
+      `IP address: ${clientIP || 'unknown'}`,
+      `Device: ${userAgent || 'unknown'}`,
+      '',
+      'If this was you, no action is needed.',
+      `If it was not, reset your password right away: ${resetUrl}`,
+    ].join('\n'),
+    html: layout({
+      heading: 'New sign-in to your account',
+      paragraphs: [
+        `Hi ${escapeHtml(greetingName(user))},`,
+        `Your ${APP_NAME} account was signed in to from a device or network we have not seen before.`,
+        `<strong>Time:</strong> ${escapeHtml(formatTime(loginAt))}<br><strong>IP address:</strong> ${escapeHtml(clientIP || 'unknown')}<br><strong>Device:</strong> ${escapeHtml(userAgent || 'unknown')}`,
+        'If this was you, no action is needed. If it was not, reset your password right away.',
+      ],
+      action: { label: 'Reset password', url: resetUrl },
+    }),
+  }),
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+const renderEmail = (name, data) => {
+  const template = TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderEmail,
+  escapeHtml,
+};
@@ -0,0 +1,155 @@
+/**
+ * ==================================================
+ * EVENT LOG SERVICE
+ * Sequenced Real-Time Events for Reconnect Replay
+ * ==================================================
+ *
+ * Stores incident broadcasts with a monotonically increasing sequence
+ * number so clients that lose their connection can catch up on what
+ * they missed instead of silently going stale.
+ *
+ * FEATURES:
+ * - Database-assigned sequence numbers (shared by clustered instances)
+ * - Appends are serialised, so events become visible in sequence order
+ *   and a replay never skips a lower seq that commits late
+ * - Replay filtered to the tile rooms a client is subscribed to
+ * - Gap detection: too many missed events, or events already pruned,
+ *   means the client must do a full resync
+ * - Time-based retention
+ *
+ * DEPENDENCIES:
+ * - Database Connection: PostgreSQL access
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const eventLog = new EventLogService();
+ * const seq = await eventLog.append('incident-updated', payload, { incidentId, rooms });
+ * const replay = await eventLog.getReplay(lastSeq, socket.data.areaRooms);
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+
+// Most events replayed to one client before a full resync is cheaper
+const MAX_REPLAY_EVENTS = parseInt(process.env.EVENT_LOG_MAX_REPLAY, 10) || 500;
+
+// How long events are kept for replay
+const RETENTION_HOURS = parseInt(process.env.EVENT_LOG_RETENTION_HOURS, 10) || 24;
+
+// Transaction advisory lock held while an event takes its seq and commits
+const APPEND_LOCK_KEY = 730017;
+
+class EventLogService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Store an event and return its sequence number
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event payload as broadcast
+   * @param {Object} options - { incidentId, rooms } - rooms limits replay to those areas
+   * @returns {Promise<number>} Sequence number
+   */
+  async append(event, payload, options = {}) {
+    const { incidentId = null, rooms = null } = options;
+
+    // Without the lock a later seq could commit first, and a client that
+    // saw it would never be replayed the earlier one
+    const result = await this.db.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [APPEND_LOCK_KEY]);
+
+      return client.query(`
+        INSERT INTO realtime_events (event, payload, incident_id, rooms)
+        VALUES ($1, $2, $3, $4)
+        RETURNING seq
+      `, [event, JSON.stringify(payload), incidentId, rooms]);
+    });
+
+    return Number(result.rows[0].seq);
+  }
+
+  /**
+   * Latest sequence number, or 0 when the log is empty
+   * @returns {Promise<number>} Sequence number
+   */
+  async getLatestSequence() {
+    const result = await this.db.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM realtime_events');
+    return Number(result.rows[0].seq);
+  }
+
+  /**
+   * Events after a client's last-seen sequence
+   * Events without rooms (no known location) are replayed to everyone.
+   * A client with no area subscription receives every event.
+   * @param {number} lastSeq - Last sequence the client saw
+   * @param {Array<string>} rooms - Client's subscribed tile rooms
+   * @returns {Promise<Object>} { resyncRequired, reason?, latestSeq, events: [{ seq, event, payload }] }
+   */
+  async getReplay(lastSeq, rooms = []) {
+    const boundsResult = await this.db.query(`
+      SELECT COALESCE(MIN(seq), 0) AS oldest, COALESCE(MAX(seq), 0) AS latest
+      FROM realtime_events
+    `);
+    const oldestSeq = Number(boundsResult.rows[0].oldest);
+    const latestSeq = Number(boundsResult.rows[0].latest);
+
+    if (lastSeq >= latestSeq) {
+      return { resyncRequired: false, latestSeq, events: [] };
+    }
+
+    // Events the client missed have already been pruned
+    if (lastSeq < oldestSeq - 1) {
+      return { resyncRequired: true, reason: 'events_expired', latestSeq, events: [] };
+    }
+
+    if (latestSeq - lastSeq > MAX_REPLAY_EVENTS) {
+      return { resyncRequired: true, reason: 'gap_too_large', latestSeq, events: [] };
+    }
+
+    const areaFilter = rooms.length > 0 ? 'AND (rooms IS NULL OR rooms && $3::text[])' : '';
+    const params = rooms.length > 0 ? [lastSeq, latestSeq, rooms] : [lastSeq, latestSeq];
+
+    const result = await this.db.query(`
+      SELECT seq, event, payload
+      FROM realtime_events
+      WHERE seq > $1 AND seq <= $2 ${areaFilter}
+      ORDER BY seq
+    `, params);
+
+    return {
+      resyncRequired: false,
+      latestSeq,
+      events: result.rows.map(row => ({
+        seq: Number(row.seq),
+        event: row.event,
+        payload: row.payload,
+      })),
+    };
+  }
+
+  /**
+   * Delete events older than the retention window
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async prune() {
+    const result = await this.db.query(`
+      DELETE FROM realtime_events
+      WHERE created_at < NOW() - ($1 || ' hours')::interval
+    `, [RETENTION_HOURS]);
+
+    if (result.rowCount > 0) {
+      logger.debug('EventLogService: Pruned old events', {
+        deletedCount: result.rowCount,
+        retentionHours: RETENTION_HOURS,
+      });
+    }
+
+    return result.rowCount;
+  }
+}
+
+EventLogService.MAX_REPLAY_EVENTS = MAX_REPLAY_EVENTS;
+EventLogService.APPEND_LOCK_KEY = APPEND_LOCK_KEY;
+
+module.exports = EventLogService;
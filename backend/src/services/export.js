@@ -0,0 +1,667 @@
+/**
+ * ==================================================
+ * INCIDENT EXPORT SERVICE
+ * Streaming File Exports for GIS Applications
+ * ==================================================
+ *
+ * This service writes filtered incident data in common GIS interchange
+ * formats, streaming rows from the database to the response:
+ * - CSV with WKT geometry column
+ * - KML with per-type styles from incident_types color/icon
+ * - GPX waypoints
+ * - GeoPackage (OGC GPKG 1.3 point feature table)
+ * - Zipped ESRI Shapefile (.shp/.shx/.dbf/.prj/.cpg)
+ *
+ * Buffer polygons (includeBuffers) are written as a buffer_wkt CSV column,
+ * a polygon in each KML placemark and an incident_buffers GeoPackage
+ * table. GPX and point Shapefiles have no place for them.
+ *
+ * Text formats are encoded row by row as they arrive. GeoPackage and
+ * Shapefile parts are built in temporary files (both need record counts
+ * or random access) before being streamed out.
+ *
+ * DEPENDENCIES:
+ * - AnalysisService: Shared export filters and row streaming
+ * - better-sqlite3: GeoPackage container
+ * - archiver: Streaming ZIP for Shapefile bundles
+ *
+ * USAGE:
+ * const exportService = new ExportService();
+ * await exportService.exportIncidents('kml', req.query, res);
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const Database = require('better-sqlite3');
+const db = require('../db/connection');
+const logger = require('./logger');
+const AnalysisService = require('./analysis');
+
+/**
+ * Supported export formats with their HTTP content types and file extensions
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', buffers: true },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml', buffers: true },
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx', buffers: false },
+  gpkg: { contentType: 'application/geopackage+sqlite3', extension: 'gpkg', buffers: true },
+  shapefile: { contentType: 'application/zip', extension: 'zip', buffers: false },
+};
+
+const CSV_COLUMNS = [
+  'id', 'title', 'incident_type', 'type_id', 'severity', 'status', 'verified',
+  'description', 'reported_by', 'created_at', 'updated_at', 'longitude', 'latitude', 'wkt',
+];
+
+const WGS84_WKT = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],'
+  + 'PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]';
+const WGS84_ESRI_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+  + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Generic KML marker tinted with the incident type color when no icon base URL is configured
+const DEFAULT_KML_ICON = 'http://maps.google.com/mapfiles/kml/paddle/wht-blank.png';
+
+/**
+ * dBase field layout for the Shapefile attribute table
+ * Names are limited to 10 characters by the format.
+ */
+const DBF_FIELDS = [
+  { name: 'INC_ID', type: 'N', length: 10, value: row => row.id },
+  { name: 'TITLE', type: 'C', length: 254, value: row => row.title },
+  { name: 'TYPE', type: 'C', length: 100, value: row => row.incident_type },
+  { name: 'TYPE_ID', type: 'N', length: 10, value: row => row.type_id },
+  { name: 'SEVERITY', type: 'N', length: 2, value: row => row.severity },
+  { name: 'STATUS', type: 'C', length: 20, value: row => row.status },
+  { name: 'VERIFIED', type: 'L', length: 1, value: row => row.verified },
+  { name: 'REPORTER', type: 'C', length: 100, value: row => row.reported_by },
+  { name: 'CREATED', type: 'C', length: 24, value: row => toIsoString(row.created_at) },
+  { name: 'DESCR', type: 'C', length: 254, value: row => row.description },
+];
+
+// Fixed .shp/.shx/.dbf sizes; every point record has the same length
+const SHP_HEADER_BYTES = 100;
+const SHP_RECORD_BYTES = 28; // 8 byte record header + 20 byte point
+const SHX_RECORD_BYTES = 8;
+const DBF_HEADER_BYTES = 32 + DBF_FIELDS.length * 32 + 1;
+const DBF_RECORD_BYTES = 1 + DBF_FIELDS.reduce((sum, field) => sum + field.length, 0);
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : '');
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Quote a CSV field, neutralising spreadsheet formula prefixes in free text
+ */
+const escapeCsv = (value, isText = false) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (isText && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert #RRGGBB to KML's aabbggrr color notation
+ */
+const toKmlColor = (hex, alpha = 'ff') => {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return `${alpha}ffffff`;
+  const [, r, g, b] = match;
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+class ExportService {
+  constructor() {
+    this.db = db;
+    this.analysisService = new AnalysisService();
+  }
+
+  /**
+   * Check whether a format is supported
+   * @param {string} format - Requested format key
+   * @returns {Object|undefined} Format descriptor
+   */
+  static getFormat(format) {
+    return EXPORT_FORMATS[format];
+  }
+
+  /**
+   * Stream incidents to a writable in the requested format
+   * @param {string} format - csv | kml | gpx | gpkg | shapefile
+   * @param {Object} params - Export filters (same as the GeoJSON export)
+   * @param {Writable} output - Destination stream (usually the HTTP response)
+   * @returns {Promise<void>} Resolves when the output has been fully written
+   */
+  async exportIncidents(format, params, output) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (params.includeBuffers === 'true' && !EXPORT_FORMATS[format].buffers) {
+      throw new Error(`Buffer geometries are not supported in ${format} exports`);
+    }
+
+    const startTime = Date.now();
+    logger.info('ExportService: Exporting incidents', { format, params });
+
+    switch (format) {
+      case 'csv':
+        await this.writeCsv(params, output);
+        break;
+      case 'kml':
+        await this.writeKml(params, output);
+        break;
+      case 'gpx':
+        await this.writeGpx(params, output);
+        break;
+      case 'gpkg':
+        await this.writeGeoPackage(params, output);
+        break;
+      default:
+        await this.writeShapefile(params, output);
+    }
+
+    logger.logPerformance('incident_export', Date.now() - startTime, { format });
+  }
+
+  /**
+   * Pipe database rows through a text encoder into the output
+   * @private
+   */
+  async streamText(params, output, { header = '', formatRow, footer = '' }) {
+    const rows = await this.analysisService.streamExportRows(params);
+    let headerWritten = false;
+
+    const encoder = new Transform({
+      writableObjectMode: true,
+      transform(row, encoding, callback) {
+        if (!headerWritten) {
+          headerWritten = true;
+          this.push(header);
+        }
+        callback(null, formatRow(row));
+      },
+      flush(callback) {
+        if (!headerWritten) this.push(header);
+        callback(null, footer);
+      },
+    });
+
+    await pipeline(rows, encoder, output);
+  }
+
+  /**
+   * CSV with one row per incident and a WKT geometry column
+   * @private
+   */
+  async writeCsv(params, output) {
+    const textColumns = new Set(['title', 'incident_type', 'description', 'reported_by']);
+    const columns = params.includeBuffers === 'true' ? [...CSV_COLUMNS, 'buffer_wkt'] : CSV_COLUMNS;
+
+    await this.streamText(params, output, {
+      header: `${columns.join(',')}\r\n`,
+      formatRow: row => `${columns.map(column => {
+        const value = column.endsWith('_at') ? toIsoString(row[column]) : row[column];
+        return escapeCsv(value, textColumns.has(column));
+      }).join(',')}\r\n`,
+    });
+  }
+
+  /**
+   * KML document with a shared style per incident type
+   * @private
+   */
+  async writeKml(params, output) {
+    const types = await this.db.query('SELECT id, name, color, icon FROM incident_types ORDER BY id');
+    const iconBaseUrl = process.env.EXPORT_ICON_BASE_URL;
+    const withBuffers = params.includeBuffers === 'true';
+
+    const pointKml = row => `<Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point>`;
+    const geometryKml = withBuffers
+      ? row => `<MultiGeometry>${pointKml(row)}${row.buffer_kml}</MultiGeometry>`
+      : pointKml;
+
+    const styles = types.rows.map(type => {
+      const href = iconBaseUrl && type.icon
+        ? `${iconBaseUrl.replace(/\/$/, '')}/${encodeURIComponent(type.icon)}.png`
+        : DEFAULT_KML_ICON;
+      return `    <Style id="type-${type.id}">
+      <IconStyle>
+        <color>${toKmlColor(type.color)}</color>
+        <Icon><href>${escapeXml(href)}</href></Icon>
+      </IconStyle>
+      <LabelStyle><scale>0.8</scale></LabelStyle>${withBuffers ? `
+      <PolyStyle><color>${toKmlColor(type.color, '66')}</color></PolyStyle>` : ''}
+    </Style>
+`;
+    }).join('');
+
+    const header = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>GIS-NET Incidents</name>
+    <description>Exported ${new Date().toISOString()}</description>
+${styles}`;
+
+    await this.streamText(params, output, {
+      header,
+      formatRow: row => `    <Placemark id="incident-${row.id}">
+      <name>${escapeXml(row.title)}</name>
+      <description>${escapeXml(row.description)}</description>
+      <TimeStamp><when>${toIsoString(row.created_at)}</when></TimeStamp>
+      <styleUrl>#type-${row.type_id}</styleUrl>
+      <ExtendedData>
+        <Data name="incidentType"><value>${escapeXml(row.incident_type)}</value></Data>
+        <Data name="severity"><value>${row.severity}</value></Data>
+        <Data name="status"><value>${escapeXml(row.status)}</value></Data>
+        <Data name="verified"><value>${row.verified}</value></Data>
+        <Data name="reportedBy"><value>${escapeXml(row.reported_by)}</value></Data>
+      </ExtendedData>
+      ${geometryKml(row)}
+    </Placemark>
+`,
+      footer: `  </Document>
+</kml>
+`,
+    });
+  }
+
+  /**
+   * GPX 1.1 with one waypoint per incident
+   * @private
+   */
+  async writeGpx(params, output) {
+    const header = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GIS-NET" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>GIS-NET Incidents</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+`;
+
+    await this.streamText(params, output, {
+      header,
+      formatRow: row => `  <wpt lat="${row.latitude}" lon="${row.longitude}">
+    <time>${toIsoString(row.created_at)}</time>
+    <name>${escapeXml(row.title)}</name>
+    <desc>${escapeXml(row.description)}</desc>
+    <type>${escapeXml(row.incident_type)}</type>
+  </wpt>
+`,
+      footer: `</gpx>
+`,
+    });
+  }
+
+  /**
+   * GeoPackage with an "incidents" point feature table
+   * Buffers go in a separate "incident_buffers" polygon table, since a
+   * GeoPackage table holds one geometry type. SQLite needs a seekable
+   * file, so the package is written to a temporary file that is streamed
+   * out and removed afterwards.
+   * @private
+   */
+  async writeGeoPackage(params, output) {
+    const filePath = path.join(os.tmpdir(), `incidents-${crypto.randomUUID()}.gpkg`);
+    const { bufferDistance = 500 } = params;
+    const withBuffers = params.includeBuffers === 'true';
+    let gpkg;
+
+    try {
+      gpkg = new Database(filePath);
+      gpkg.pragma('application_id = 1196444487'); // 'GPKG'
+      gpkg.pragma('user_version = 10300');
+      gpkg.exec(`
+        CREATE TABLE gpkg_spatial_ref_sys (
+          srs_name TEXT NOT NULL,
+          srs_id INTEGER PRIMARY KEY,
+          organization TEXT NOT NULL,
+          organization_coordsys_id INTEGER NOT NULL,
+          definition TEXT NOT NULL,
+          description TEXT
+        );
+        CREATE TABLE gpkg_contents (
+          table_name TEXT NOT NULL PRIMARY KEY,
+          data_type TEXT NOT NULL,
+          identifier TEXT UNIQUE,
+          description TEXT DEFAULT '',
+          last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+          min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+          srs_id INTEGER REFERENCES gpkg_spatial_ref_sys(srs_id)
+        );
+        CREATE TABLE gpkg_geometry_columns (
+          table_name TEXT NOT NULL REFERENCES gpkg_contents(table_name),
+          column_name TEXT NOT NULL,
+          geometry_type_name TEXT NOT NULL,
+          srs_id INTEGER NOT NULL REFERENCES gpkg_spatial_ref_sys(srs_id),
+          z TINYINT NOT NULL,
+          m TINYINT NOT NULL,
+          PRIMARY KEY (table_name, column_name)
+        );
+        CREATE TABLE incidents (
+          fid INTEGER PRIMARY KEY AUTOINCREMENT,
+          geom POINT,
+          incident_id INTEGER,
+          title TEXT,
+          description TEXT,
+          incident_type TEXT,
+          type_id INTEGER,
+          severity INTEGER,
+          status TEXT,
+          verified BOOLEAN,
+          reported_by TEXT,
+          created_at DATETIME,
+          updated_at DATETIME
+        );
+      `);
+      if (withBuffers) {
+        gpkg.exec(`
+          CREATE TABLE incident_buffers (
+            fid INTEGER PRIMARY KEY AUTOINCREMENT,
+            geom POLYGON,
+            incident_id INTEGER,
+            buffer_distance INTEGER
+          );
+        `);
+      }
+
+      const insertSrs = gpkg.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+      insertSrs.run('Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', null);
+      insertSrs.run('Undefined geographic SRS', 0, 'NONE', 0, 'undefined', null);
+      insertSrs.run('WGS 84 geodetic', 4326, 'EPSG', 4326, WGS84_WKT, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid');
+
+      const insertFeature = gpkg.prepare(`
+        INSERT INTO incidents (geom, incident_id, title, description, incident_type, type_id,
+          severity, status, verified, reported_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertBuffer = withBuffers
+        ? gpkg.prepare('INSERT INTO incident_buffers (geom, incident_id, buffer_distance) VALUES (?, ?, ?)')
+        : null;
+
+      // GeoPackage binary header: magic, version 0, little-endian flag, no envelope, srs_id
+      const gpkgHeader = Buffer.alloc(8);
+      gpkgHeader.write('GP', 0, 'ascii');
+      gpkgHeader.writeUInt8(0, 2);
+      gpkgHeader.writeUInt8(0x01, 3);
+      gpkgHeader.writeInt32LE(4326, 4);
+
+      const extent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+      const bufferExtent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+      const rows = await this.analysisService.streamExportRows(params);
+
+      gpkg.exec('BEGIN');
+      for await (const row of rows) {
+        const longitude = parseFloat(row.longitude);
+        const latitude = parseFloat(row.latitude);
+        extent.minX = Math.min(extent.minX, longitude);
+        extent.minY = Math.min(extent.minY, latitude);
+        extent.maxX = Math.max(extent.maxX, longitude);
+        extent.maxY = Math.max(extent.maxY, latitude);
+
+        insertFeature.run(
+          Buffer.concat([gpkgHeader, row.wkb]),
+          row.id,
+          row.title,
+          row.description,
+          row.incident_type,
+          row.type_id,
+          row.severity,
+          row.status,
+          row.verified ? 1 : 0,
+          row.reported_by,
+          toIsoString(row.created_at),
+          toIsoString(row.updated_at),
+        );
+
+        if (insertBuffer) {
+          bufferExtent.minX = Math.min(bufferExtent.minX, row.buffer_min_x);
+          bufferExtent.minY = Math.min(bufferExtent.minY, row.buffer_min_y);
+          bufferExtent.maxX = Math.max(bufferExtent.maxX, row.buffer_max_x);
+          bufferExtent.maxY = Math.max(bufferExtent.maxY, row.buffer_max_y);
+
+          insertBuffer.run(Buffer.concat([gpkgHeader, row.buffer_wkb]), row.id, bufferDistance);
+        }
+      }
+      gpkg.exec('COMMIT');
+
+      const insertContents = gpkg.prepare(`
+        INSERT INTO gpkg_contents (table_name, data_type, identifier, description, min_x, min_y, max_x, max_y, srs_id)
+        VALUES (?, 'features', ?, ?, ?, ?, ?, ?, 4326)
+      `);
+      const insertGeometryColumn = gpkg.prepare(`
+        INSERT INTO gpkg_geometry_columns VALUES (?, 'geom', ?, 4326, 0, 0)
+      `);
+      const registerTable = (tableName, description, geometryType, bounds) => {
+        const hasExtent = Number.isFinite(bounds.minX);
+        insertContents.run(
+          tableName,
+          tableName,
+          description,
+          hasExtent ? bounds.minX : null,
+          hasExtent ? bounds.minY : null,
+          hasExtent ? bounds.maxX : null,
+          hasExtent ? bounds.maxY : null,
+        );
+        insertGeometryColumn.run(tableName, geometryType);
+      };
+
+      registerTable('incidents', 'GIS-NET traffic incidents', 'POINT', extent);
+      if (withBuffers) {
+        registerTable('incident_buffers', `Incident buffers (${bufferDistance} m)`, 'POLYGON', bufferExtent);
+      }
+      gpkg.close();
+
+      await pipeline(fs.createReadStream(filePath), output);
+    } finally {
+      if (gpkg && gpkg.open) gpkg.close();
+      fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Zipped point Shapefile with a UTF-8 attribute table
+   * Records are appended to temporary .shp/.shx/.dbf files as rows arrive,
+   * with the bounding box and record count tracked along the way. The
+   * headers, which depend on both, are written last before the parts are
+   * zipped as a stream and removed.
+   * @private
+   */
+  async writeShapefile(params, output) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'incidents-shp-'));
+    const parts = ['shp', 'shx', 'dbf'].map(extension => path.join(dir, `incidents.${extension}`));
+    const [shpPath, shxPath, dbfPath] = parts;
+    const writers = parts.map(filePath => fs.createWriteStream(filePath));
+    const [shp, shx, dbf] = writers;
+
+    try {
+      const bbox = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+      let count = 0;
+
+      const write = async (stream, buffer) => {
+        if (!stream.write(buffer)) {
+          await once(stream, 'drain');
+        }
+      };
+
+      // Headers are filled in once the totals are known
+      await write(shp, Buffer.alloc(SHP_HEADER_BYTES));
+      await write(shx, Buffer.alloc(SHP_HEADER_BYTES));
+      await write(dbf, Buffer.alloc(DBF_HEADER_BYTES));
+
+      const rows = await this.analysisService.streamExportRows(params);
+      for await (const row of rows) {
+        const x = parseFloat(row.longitude);
+        const y = parseFloat(row.latitude);
+        bbox.minX = Math.min(bbox.minX, x);
+        bbox.minY = Math.min(bbox.minY, y);
+        bbox.maxX = Math.max(bbox.maxX, x);
+        bbox.maxY = Math.max(bbox.maxY, y);
+
+        const { shpRecord, shxRecord } = this.encodeShapefilePoint(count, x, y);
+        count++;
+
+        await write(shp, shpRecord);
+        await write(shx, shxRecord);
+        await write(dbf, this.encodeDbfRecord(row));
+      }
+
+      // dBase end-of-file marker
+      await write(dbf, Buffer.from([0x1a]));
+      await Promise.all(writers.map(stream => {
+        stream.end();
+        return once(stream, 'close');
+      }));
+
+      const bounds = count > 0 ? [bbox.minX, bbox.minY, bbox.maxX, bbox.maxY] : [0, 0, 0, 0];
+      await this.writeFileHeader(shpPath, this.encodeShapefileHeader(SHP_HEADER_BYTES + count * SHP_RECORD_BYTES, bounds));
+      await this.writeFileHeader(shxPath, this.encodeShapefileHeader(SHP_HEADER_BYTES + count * SHX_RECORD_BYTES, bounds));
+      await this.writeFileHeader(dbfPath, this.encodeDbfHeader(count));
+
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      const done = pipeline(archive, output);
+
+      archive.file(shpPath, { name: 'incidents.shp' });
+      archive.file(shxPath, { name: 'incidents.shx' });
+      archive.file(dbfPath, { name: 'incidents.dbf' });
+      archive.append(WGS84_ESRI_PRJ, { name: 'incidents.prj' });
+      archive.append('UTF-8', { name: 'incidents.cpg' });
+      await archive.finalize();
+      await done;
+    } finally {
+      writers.forEach(stream => stream.destroy());
+      fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Overwrite the placeholder header at the start of a file
+   * @private
+   */
+  async writeFileHeader(filePath, header) {
+    const handle = await fs.promises.open(filePath, 'r+');
+    try {
+      await handle.write(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Encode the 100 byte .shp/.shx header for a point file
+   * @param {number} fileBytes - Total file length including the header
+   * @param {Array<number>} bbox - [minX, minY, maxX, maxY]
+   * @private
+   */
+  encodeShapefileHeader(fileBytes, bbox) {
+    const header = Buffer.alloc(SHP_HEADER_BYTES);
+    header.writeInt32BE(9994, 0);
+    header.writeInt32BE(fileBytes / 2, 24); // length in 16-bit words
+    header.writeInt32LE(1000, 28);
+    header.writeInt32LE(1, 32); // shape type: Point
+    bbox.forEach((value, index) => header.writeDoubleLE(value, 36 + index * 8));
+    return header;
+  }
+
+  /**
+   * Encode one point's .shp record and its .shx index entry
+   * @param {number} index - Zero-based record index
+   * @private
+   */
+  encodeShapefilePoint(index, x, y) {
+    const offset = SHP_HEADER_BYTES + index * SHP_RECORD_BYTES;
+
+    const shpRecord = Buffer.alloc(SHP_RECORD_BYTES);
+    shpRecord.writeInt32BE(index + 1, 0);
+    shpRecord.writeInt32BE(10, 4); // content length in 16-bit words
+    shpRecord.writeInt32LE(1, 8);
+    shpRecord.writeDoubleLE(x, 12);
+    shpRecord.writeDoubleLE(y, 20);
+
+    const shxRecord = Buffer.alloc(SHX_RECORD_BYTES);
+    shxRecord.writeInt32BE(offset / 2, 0);
+    shxRecord.writeInt32BE(10, 4);
+
+    return { shpRecord, shxRecord };
+  }
+
+  /**
+   * Encode the dBase III header and field descriptors
+   * @private
+   */
+  encodeDbfHeader(recordCount) {
+    const header = Buffer.alloc(DBF_HEADER_BYTES);
+    const now = new Date();
+
+    header.writeUInt8(0x03, 0);
+    header.writeUInt8(now.getUTCFullYear() - 1900, 1);
+    header.writeUInt8(now.getUTCMonth() + 1, 2);
+    header.writeUInt8(now.getUTCDate(), 3);
+    header.writeUInt32LE(recordCount, 4);
+    header.writeUInt16LE(DBF_HEADER_BYTES, 8);
+    header.writeUInt16LE(DBF_RECORD_BYTES, 10);
+
+    DBF_FIELDS.forEach((field, index) => {
+      const offset = 32 + index * 32;
+      header.write(field.name, offset, 10, 'ascii');
+      header.write(field.type, offset + 11, 1, 'ascii');
+      header.writeUInt8(field.length, offset + 16);
+    });
+    header.writeUInt8(0x0d, DBF_HEADER_BYTES - 1);
+
+    return header;
+  }
+
+  /**
+   * Encode one incident as a dBase record
+   * @private
+   */
+  encodeDbfRecord(record) {
+    const buffer = Buffer.alloc(DBF_RECORD_BYTES, 0x20);
+    let offset = 1; // leading deletion flag stays blank
+
+    DBF_FIELDS.forEach(field => {
+      const raw = field.value(record);
+      let encoded;
+
+      if (field.type === 'L') {
+        encoded = Buffer.from(raw ? 'T' : 'F');
+      } else if (field.type === 'N') {
+        encoded = Buffer.from(raw === null || raw === undefined ? '' : String(raw).padStart(field.length));
+      } else {
+        encoded = this.truncateUtf8(String(raw ?? ''), field.length);
+      }
+
+      encoded.copy(buffer, offset, 0, Math.min(encoded.length, field.length));
+      offset += field.length;
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Truncate text to a byte budget without splitting a UTF-8 sequence
+   * @private
+   */
+  truncateUtf8(text, maxBytes) {
+    const buffer = Buffer.from(text, 'utf8');
+    if (buffer.length <= maxBytes) return buffer;
+
+    let end = maxBytes;
+    // Step back over continuation bytes (10xxxxxx)
+    while (end > 0 && (buffer[end] & 0xc0) === 0x80) end--;
+    return buffer.subarray(0, end);
+  }
+}
+
+module.exports = ExportService;
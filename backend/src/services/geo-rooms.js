@@ -0,0 +1,259 @@
+/**
+ * ==================================================
+ * GEOGRAPHIC SOCKET ROOMS
+ * Quadkey Tile Rooms for Area Subscriptions
+ * ==================================================
+ *
+ * Maps viewports and incident locations onto the same Web Mercator
+ * tile grid used by the vector tile routes, so area subscriptions and
+ * area broadcasts always agree on room names.
+ *
+ * A viewport subscribes to every tile that intersects its bounds, at
+ * the deepest zoom level that keeps the tile count under
+ * MAX_ROOMS_PER_SUBSCRIPTION. An incident is broadcast to the tile
+ * containing it at every zoom level in ROOM_ZOOM_LEVELS (every tile its
+ * extent touches, for line and polygon incidents), so a subscriber at
+ * any level receives it.
+ *
+ * ROOM NAMES:
+ * - tile_<quadkey>: quadkey length is the zoom level
+ *   e.g. tile_03201011 is zoom 8
+ *
+ * Subscribers can also filter by incident attributes; matchesAreaFilters
+ * is shared by Socket.IO area subscriptions and the SSE incident stream.
+ *
+ * USAGE:
+ * const geoRooms = require('./geo-rooms');
+ * const { rooms, zoom } = geoRooms.roomsForBounds({ north, south, east, west });
+ * io.to(geoRooms.roomsForIncident(incident)).emit('area-incident', data);
+ * if (geoRooms.matchesAreaFilters(filters, data.incident)) { ... }
+ */
+
+// Zoom levels rooms exist at; each broadcast fans out to one room per level
+const ROOM_ZOOM_LEVELS = [4, 6, 8, 10, 12, 14];
+
+// Upper bound on rooms a single viewport subscription joins
+const MAX_ROOMS_PER_SUBSCRIPTION = 16;
+
+// Upper bound on rooms per level for incidents with long extents
+const MAX_ROOMS_PER_LEVEL = 256;
+
+// Web Mercator latitude limit
+const MAX_LATITUDE = 85.05112878;
+
+const ROOM_PREFIX = 'tile_';
+
+/**
+ * Tile column and row containing a coordinate
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y }
+ */
+const tileForPoint = (latitude, longitude, zoom) => {
+  const tiles = 2 ** zoom;
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const latRad = lat * Math.PI / 180;
+
+  const x = Math.floor((longitude + 180) / 360 * tiles);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * tiles);
+
+  // East edge and south pole fall on the next tile; keep them in range
+  return {
+    x: Math.min(Math.max(x, 0), tiles - 1),
+    y: Math.min(Math.max(y, 0), tiles - 1),
+  };
+};
+
+/**
+ * Quadkey for a tile (Bing Maps tile system)
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {number} zoom - Zoom level
+ * @returns {string} Quadkey with one digit per zoom level
+ */
+const toQuadkey = (x, y, zoom) => {
+  let quadkey = '';
+
+  for (let level = zoom; level > 0; level--) {
+    const mask = 1 << (level - 1);
+    let digit = 0;
+    if (x & mask) digit += 1;
+    if (y & mask) digit += 2;
+    quadkey += digit;
+  }
+
+  return quadkey;
+};
+
+/**
+ * Tile range covering a bounding box
+ * @private
+ */
+const tileRange = (bounds, zoom) => {
+  const northWest = tileForPoint(bounds.north, bounds.west, zoom);
+  const southEast = tileForPoint(bounds.south, bounds.east, zoom);
+
+  return {
+    minX: northWest.x,
+    maxX: southEast.x,
+    minY: northWest.y,
+    maxY: southEast.y,
+    count: (southEast.x - northWest.x + 1) * (southEast.y - northWest.y + 1),
+  };
+};
+
+/**
+ * Room names for every tile in a range
+ * @private
+ */
+const roomsInRange = (range, zoom) => {
+  const rooms = [];
+
+  for (let x = range.minX; x <= range.maxX; x++) {
+    for (let y = range.minY; y <= range.maxY; y++) {
+      rooms.push(`${ROOM_PREFIX}${toQuadkey(x, y, zoom)}`);
+    }
+  }
+
+  return rooms;
+};
+
+/**
+ * Deepest room zoom level whose tiles cover the bounds within the room limit
+ * Viewports too large for any level use the shallowest one.
+ * @param {Object} bounds - { north, south, east, west }
+ * @returns {number} Zoom level from ROOM_ZOOM_LEVELS
+ */
+const zoomForBounds = (bounds) => {
+  for (let i = ROOM_ZOOM_LEVELS.length - 1; i > 0; i--) {
+    if (tileRange(bounds, ROOM_ZOOM_LEVELS[i]).count <= MAX_ROOMS_PER_SUBSCRIPTION) {
+      return ROOM_ZOOM_LEVELS[i];
+    }
+  }
+
+  return ROOM_ZOOM_LEVELS[0];
+};
+
+/**
+ * Rooms a viewport subscription joins
+ * @param {Object} bounds - { north, south, east, west }
+ * @returns {Object} { rooms, zoom }
+ */
+const roomsForBounds = (bounds) => {
+  const zoom = zoomForBounds(bounds);
+
+  return {
+    rooms: roomsInRange(tileRange(bounds, zoom), zoom),
+    zoom,
+  };
+};
+
+/**
+ * Bounding box of GeoJSON coordinates (any nesting depth)
+ * @private
+ */
+const coordinateBounds = (coordinates) => {
+  const bounds = { north: -90, south: 90, east: -180, west: 180 };
+
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      const [longitude, latitude] = coords;
+      bounds.north = Math.max(bounds.north, latitude);
+      bounds.south = Math.min(bounds.south, latitude);
+      bounds.east = Math.max(bounds.east, longitude);
+      bounds.west = Math.min(bounds.west, longitude);
+      return;
+    }
+    coords.forEach(visit);
+  };
+
+  visit(coordinates);
+  return bounds;
+};
+
+/**
+ * Rooms an incident is broadcast to
+ * Covers the incident's point, or its extent's bounding box, at every
+ * room zoom level. Socket.IO delivers once per socket across rooms.
+ * @param {Object} incident - { location: { latitude, longitude }, extent? }
+ * @returns {Array<string>} Room names
+ */
+const roomsForIncident = (incident) => {
+  const { latitude, longitude } = incident.location;
+  const bounds = incident.extent?.coordinates
+    ? coordinateBounds(incident.extent.coordinates)
+    : { north: latitude, south: latitude, east: longitude, west: longitude };
+
+  const rooms = [];
+
+  for (const zoom of ROOM_ZOOM_LEVELS) {
+    const range = tileRange(bounds, zoom);
+
+    // Very long extents fall back to the point's tile at deep levels
+    if (range.count > MAX_ROOMS_PER_LEVEL) {
+      const { x, y } = tileForPoint(latitude, longitude, zoom);
+      rooms.push(`${ROOM_PREFIX}${toQuadkey(x, y, zoom)}`);
+    } else {
+      rooms.push(...roomsInRange(range, zoom));
+    }
+  }
+
+  return rooms;
+};
+
+/**
+ * Check whether a room name is a geographic tile room
+ * @param {string} roomName - Room name
+ * @returns {boolean} True for tile_<quadkey> rooms at a room zoom level
+ */
+const isAreaRoom = (roomName) => {
+  if (typeof roomName !== 'string' || !roomName.startsWith(ROOM_PREFIX)) {
+    return false;
+  }
+
+  const quadkey = roomName.slice(ROOM_PREFIX.length);
+  return /^[0-3]+$/.test(quadkey) && ROOM_ZOOM_LEVELS.includes(quadkey.length);
+};
+
+/**
+ * Check an incident against a subscriber's area filters
+ * @param {Object|null} filters - { typeIds, minSeverity, verifiedOnly, statuses }
+ * @param {Object} incident - Broadcast incident ({ incidentType, severity, verified, status })
+ * @returns {boolean} True when the subscriber should receive the incident
+ */
+const matchesAreaFilters = (filters, incident) => {
+  if (!filters) {
+    return true;
+  }
+
+  if (filters.typeIds && !filters.typeIds.includes(incident.incidentType?.id)) {
+    return false;
+  }
+
+  if (filters.minSeverity && !(incident.severity >= filters.minSeverity)) {
+    return false;
+  }
+
+  if (filters.verifiedOnly && incident.verified !== true) {
+    return false;
+  }
+
+  if (filters.statuses && !filters.statuses.includes(incident.status)) {
+    return false;
+  }
+
+  return true;
+};
+
+module.exports = {
+  ROOM_ZOOM_LEVELS,
+  MAX_ROOMS_PER_SUBSCRIPTION,
+  tileForPoint,
+  toQuadkey,
+  zoomForBounds,
+  roomsForBounds,
+  roomsForIncident,
+  isAreaRoom,
+  matchesAreaFilters,
+};
@@ -0,0 +1,434 @@
+/**
+ * ==================================================
+ * INCIDENT STREAM SERVICE
+ * Server-Sent Events Fallback for Real-Time Updates
+ * ==================================================
+ *
+ * Streams the same incident events and payloads as the Socket.IO
+ * broadcasts over a plain HTTP response, for kiosks and networks that
+ * block WebSockets. Each event carries its event log sequence as the
+ * SSE id, so a reconnecting EventSource sends Last-Event-ID and gets
+ * the events it missed replayed from the log.
+ *
+ * FEATURES:
+ * - Optional bounding box, matched through the same tile rooms as
+ *   Socket.IO area subscriptions
+ * - Incident type, severity and verification filters
+ * - Last-Event-ID resume, or a resync_required event when the gap
+ *   cannot be replayed
+ * - Live events arriving during a replay are held back and sent after
+ *   it, so the stream stays in sequence order
+ * - Heartbeat comments keep idle connections open through proxies
+ * - Streams end when the token that opened them expires or their
+ *   session is signed out, as Socket.IO connections do
+ *
+ * STREAM EVENTS:
+ * - connected: { clientId, seq, bounds, filters, timestamp }
+ * - new-incident, incident-updated, incident-deleted, incident-verified,
+ *   incident-status-changed: Socket.IO payloads, id is their seq
+ * - resume_complete: { seq, replayed, timestamp }
+ * - resync_required: { seq, reason, timestamp }
+ * - stream_closed: { reason: 'token_expired' | 'session_revoked', timestamp },
+ *   sent just before the server ends the response
+ *
+ * DEPENDENCIES:
+ * - Event Log Service: Sequenced events for replay
+ * - Geo Rooms: Tile rooms and area filters
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const { incidentStream } = require('./services/incident-stream');
+ * await incidentStream.open(req, res, { bounds, filters, lastEventId, sessionId, expiresAt });
+ * incidentStream.publish('new-incident', broadcastData);
+ * incidentStream.closeSessions([sessionId]);
+ */
+
+const EventLogService = require('./event-log');
+const geoRooms = require('./geo-rooms');
+const logger = require('./logger');
+
+// Events forwarded to stream clients; all of them are sequenced in the event log
+const STREAM_EVENTS = [
+  'new-incident',
+  'incident-updated',
+  'incident-deleted',
+  'incident-verified',
+  'incident-status-changed',
+];
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+class IncidentStreamService {
+  constructor() {
+    this.eventLog = new EventLogService();
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Start streaming incident events on an HTTP response
+   * Resolves once the client is caught up; the response stays open
+   * until the client disconnects or close() is called.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - { user, bounds?, filters?, lastEventId?, sessionId?, expiresAt? }
+   * @returns {Promise<number>} Client ID
+   */
+  async open(req, res, options = {}) {
+    const {
+      user = null,
+      bounds = null,
+      filters = null,
+      lastEventId = null,
+      sessionId = null,
+      expiresAt = null,
+    } = options;
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      // no-transform also keeps the compression middleware from buffering events
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = {
+      id: this.nextClientId++,
+      res,
+      userId: user?.id || null,
+      bounds,
+      rooms: bounds ? geoRooms.roomsForBounds(bounds).rooms : null,
+      filters,
+      // Live events queue here until the initial replay is written
+      pending: [],
+      cursor: null,
+      sessionId,
+      expiryTimer: null,
+    };
+
+    this.clients.set(client.id, client);
+    this.startHeartbeat();
+
+    if (expiresAt) {
+      client.expiryTimer = setTimeout(() => {
+        this.end(client, 'token_expired');
+      }, Math.max(expiresAt.getTime() - Date.now(), 0));
+      client.expiryTimer.unref();
+    }
+
+    req.on('close', () => {
+      this.removeClient(client.id);
+    });
+
+    if (lastEventId === null) {
+      client.cursor = await this.getLatestSequence();
+      this.send(client, 'connected', this.connectedPayload(client), client.cursor);
+    } else {
+      this.send(client, 'connected', this.connectedPayload(client));
+      await this.replay(client, lastEventId);
+    }
+
+    this.flushPending(client);
+
+    logger.debug('IncidentStream: Client connected', {
+      clientId: client.id,
+      userId: client.userId,
+      lastEventId,
+      roomCount: client.rooms ? client.rooms.length : 0,
+      activeClients: this.clients.size,
+    });
+
+    return client.id;
+  }
+
+  /**
+   * Send an incident event to every stream client whose filters match
+   * @param {string} event - One of STREAM_EVENTS
+   * @param {Object} broadcastData - Payload as broadcast over Socket.IO
+   */
+  publish(event, broadcastData) {
+    if (!STREAM_EVENTS.includes(event) || this.clients.size === 0) {
+      return;
+    }
+
+    const incidentRooms = IncidentStreamService.roomsForPayload(broadcastData);
+
+    this.clients.forEach((client) => {
+      if (!this.matches(client, broadcastData, incidentRooms)) {
+        return;
+      }
+
+      if (client.pending) {
+        client.pending.push({ event, broadcastData });
+        return;
+      }
+
+      this.send(client, event, broadcastData, broadcastData.seq);
+    });
+  }
+
+  /**
+   * End every stream, e.g. on shutdown
+   * EventSource clients reconnect elsewhere and resume from their last id.
+   */
+  close() {
+    this.clients.forEach((client) => {
+      clearTimeout(client.expiryTimer);
+      client.res.end();
+    });
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+
+  /**
+   * End the streams opened under signed-out sessions
+   * @param {Array<string>} sessionIds - Revoked session IDs
+   * @returns {number} Streams ended
+   */
+  closeSessions(sessionIds) {
+    const revoked = new Set(sessionIds);
+    let closed = 0;
+
+    this.clients.forEach((client) => {
+      if (client.sessionId && revoked.has(client.sessionId)) {
+        this.end(client, 'session_revoked');
+        closed++;
+      }
+    });
+
+    return closed;
+  }
+
+  /**
+   * Current stream statistics
+   * @returns {Object} { activeClients }
+   */
+  getStats() {
+    return { activeClients: this.clients.size };
+  }
+
+  /**
+   * Write the events a client missed since its Last-Event-ID
+   * @private
+   */
+  async replay(client, lastEventId) {
+    try {
+      const replay = await this.eventLog.getReplay(lastEventId, client.rooms || []);
+
+      if (replay.resyncRequired) {
+        client.cursor = replay.latestSeq;
+        this.send(client, 'resync_required', {
+          seq: replay.latestSeq,
+          reason: replay.reason,
+          timestamp: new Date().toISOString(),
+        }, replay.latestSeq);
+        return;
+      }
+
+      let replayed = 0;
+      replay.events.forEach(({ seq, event, payload }) => {
+        if (this.matches(client, payload, IncidentStreamService.roomsForPayload(payload), true)) {
+          this.send(client, event, { ...payload, seq, replayed: true }, seq);
+          replayed++;
+        }
+      });
+
+      client.cursor = replay.latestSeq;
+      this.send(client, 'resume_complete', {
+        seq: replay.latestSeq,
+        replayed,
+        timestamp: new Date().toISOString(),
+      }, replay.latestSeq);
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'incident_stream_replay',
+        clientId: client.id,
+        lastEventId,
+      });
+
+      // Without the log the client can't know what it missed
+      this.send(client, 'resync_required', {
+        seq: null,
+        reason: 'replay_unavailable',
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Send events held back during the replay, skipping ones it already covered
+   * @private
+   */
+  flushPending(client) {
+    const { pending } = client;
+    client.pending = null;
+
+    if (!this.clients.has(client.id)) {
+      return;
+    }
+
+    pending.forEach(({ event, broadcastData }) => {
+      if (client.cursor !== null && broadcastData.seq !== undefined && broadcastData.seq <= client.cursor) {
+        return;
+      }
+      this.send(client, event, broadcastData, broadcastData.seq);
+    });
+  }
+
+  /**
+   * Check an event against a client's area and filters
+   * Events without a location (verifications) reach every client, as in
+   * event log replay; deletions carry no incident attributes to filter on.
+   * The event log already limited replayed events to the client's rooms.
+   * @private
+   */
+  matches(client, broadcastData, incidentRooms, roomsChecked = false) {
+    if (!roomsChecked && client.rooms && incidentRooms) {
+      const inArea = incidentRooms.some(room => client.rooms.includes(room));
+      if (!inArea) {
+        return false;
+      }
+    }
+
+    if (broadcastData.incident) {
+      return geoRooms.matchesAreaFilters(client.filters, broadcastData.incident);
+    }
+
+    return true;
+  }
+
+  /**
+   * Write one SSE message
+   * @private
+   */
+  send(client, event, data, id) {
+    if (client.res.writableEnded || client.res.destroyed) {
+      return;
+    }
+
+    const idLine = id !== undefined && id !== null ? `id: ${id}\n` : '';
+    client.res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * @private
+   */
+  connectedPayload(client) {
+    return {
+      clientId: client.id,
+      seq: client.cursor,
+      bounds: client.bounds,
+      filters: client.filters,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Tell a client why its stream is ending, then end it
+   * @private
+   */
+  end(client, reason) {
+    this.send(client, 'stream_closed', {
+      reason,
+      timestamp: new Date().toISOString(),
+    });
+    client.res.end();
+    this.removeClient(client.id);
+
+    logger.info('IncidentStream: Stream closed', {
+      clientId: client.id,
+      userId: client.userId,
+      reason,
+    });
+  }
+
+  /**
+   * Latest event sequence, or null when the log is unavailable
+   * @private
+   */
+  async getLatestSequence() {
+    try {
+      return await this.eventLog.getLatestSequence();
+    } catch (error) {
+      logger.logError(error, null, { operation: 'incident_stream_sequence' });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  removeClient(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      return;
+    }
+
+    clearTimeout(client.expiryTimer);
+    this.clients.delete(clientId);
+
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+
+    logger.debug('IncidentStream: Client disconnected', {
+      clientId,
+      activeClients: this.clients.size,
+    });
+  }
+
+  /**
+   * @private
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Tile rooms for an event payload, or null when it has no location
+   * @param {Object} broadcastData - Event payload
+   * @returns {Array<string>|null} Room names
+   */
+  static roomsForPayload(broadcastData) {
+    const located = broadcastData.incident || broadcastData;
+
+    if (located.location?.latitude === undefined) {
+      return null;
+    }
+
+    return geoRooms.roomsForIncident(located);
+  }
+}
+
+IncidentStreamService.STREAM_EVENTS = STREAM_EVENTS;
+
+// Create singleton instance
+const incidentStream = new IncidentStreamService();
+
+module.exports = {
+  IncidentStreamService,
+  incidentStream,
+};
@@ -15,11 +15,15 @@
  * - PostGIS integration for advanced GIS operations
  * - Geocoding and reverse geocoding support
  * - Incident expiration and cleanup management
- * - Community verification system
+ * - Weighted community verification (confirm vs dispute) with reputation
+ * - Status workflow with permission-checked transitions and history
+ * - Bulk import from GeoJSON or CSV with dry-run validation
+ * - Duplicate detection at creation and moderator merges
+ * - Optional LineString/Polygon extents for closures and work zones
  * 
  * SPATIAL OPERATIONS:
  * - ST_DWithin: Find incidents within radius
- * - ST_ClusterKMeans: Group incidents for clustering
+ * - ST_ClusterKMeans / ST_ClusterDBSCAN: Group incidents for clustering
  * - ST_Distance: Calculate distances between points
  * - ST_Buffer: Create impact zones around incidents
  * - ST_Intersects: Check spatial relationships
@@ -27,6 +31,7 @@
  * DEPENDENCIES:
  * - DatabaseConnection: PostGIS-enabled database access
  * - Logger Service: Comprehensive operation logging
+ * - Permission Service: Role bundle checks for moderation actions
  * - Geocoding Service: Address to coordinate conversion
  * - Date utilities: Timezone-aware date handling
  * 
@@ -37,6 +42,154 @@
 
 const db = require('../db/connection');
 const logger = require('./logger');
+const AttachmentService = require('./attachment');
+const ReputationService = require('./reputation');
+const permissionService = require('./permission');
+const { CONCAVE_HULL_TARGET } = require('./analysis');
+const { schemas: validationSchemas } = require('../middlewares/validation-incident');
+
+const { PERMISSIONS } = permissionService.PermissionService;
+
+/**
+ * Incident lifecycle state machine
+ * Each action lists the statuses it may be applied from, the resulting
+ * status, and the permission needed to perform it. Reporters may
+ * additionally resolve their own incidents.
+ */
+const STATUS_TRANSITIONS = {
+  acknowledge: {
+    from: ['active'],
+    to: 'active',
+    permission: PERMISSIONS.VERIFY,
+  },
+  start_work: {
+    from: ['active'],
+    to: 'in_progress',
+    permission: PERMISSIONS.VERIFY,
+  },
+  resolve: {
+    from: ['active', 'in_progress'],
+    to: 'resolved',
+    permission: PERMISSIONS.RESOLVE,
+    allowReporter: true,
+  },
+  mark_false_report: {
+    from: ['active', 'in_progress'],
+    to: 'false_report',
+    permission: PERMISSIONS.VERIFY,
+  },
+  reopen: {
+    from: ['resolved', 'false_report'],
+    to: 'active',
+    permission: PERMISSIONS.RESOLVE,
+  },
+};
+
+// Shared by single incident creation and bulk imports; imports may
+// backdate created_at and insert historical incidents already resolved
+const INSERT_INCIDENT_QUERY = `
+  INSERT INTO incidents (
+    type_id, description, location, reported_by, severity, 
+    address, estimated_duration_minutes, affected_lanes,
+    requires_verification, expires_at, extent, created_at,
+    status, resolved_at, resolution_notes
+  ) VALUES (
+    $1, $2, ST_SetSRID(ST_MakePoint($3, $4), 4326), $5, $6,
+    $7, $8, $9, $10, $11, ST_SetSRID(ST_GeomFromGeoJSON($12), 4326), COALESCE($13, CURRENT_TIMESTAMP),
+    $14, $15, $16
+  )
+  RETURNING id, created_at
+`;
+
+// Upper bound on rows accepted by a single bulk import
+const MAX_IMPORT_ROWS = 5000;
+
+// Import column/property names (lower-cased, punctuation removed) mapped to incident fields
+const IMPORT_FIELD_ALIASES = {
+  lat: 'latitude',
+  latitude: 'latitude',
+  lon: 'longitude',
+  lng: 'longitude',
+  long: 'longitude',
+  longitude: 'longitude',
+  type: 'typeName',
+  typename: 'typeName',
+  incidenttype: 'typeName',
+  typeid: 'typeId',
+  description: 'description',
+  severity: 'severity',
+  address: 'address',
+  estimatedduration: 'estimatedDuration',
+  affectedlanes: 'affectedLanes',
+  verificationrequired: 'verificationRequired',
+  occurredat: 'occurredAt',
+  createdat: 'occurredAt',
+  reportedat: 'occurredAt',
+};
+
+/**
+ * Parse RFC 4180 CSV text into an array of string arrays
+ * Handles quoted fields, escaped quotes and CRLF/LF line endings.
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid import file: unterminated quoted CSV field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  return records.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Map raw import attributes onto incident field names
+ */
+const normalizeImportFields = (attributes) => {
+  const fields = {};
+  Object.entries(attributes || {}).forEach(([key, value]) => {
+    const field = IMPORT_FIELD_ALIASES[key.toLowerCase().replace(/[^a-z]/g, '')];
+    if (field && value !== null && value !== '') {
+      fields[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  });
+  return fields;
+};
 
 class IncidentService {
   constructor() {
@@ -44,6 +197,12 @@ class IncidentService {
     this.defaultRadius = 5000; // 5km in meters
     this.maxRadius = 50000; // 50km maximum search radius
     this.maxPageSize = 100; // Maximum incidents per page
+    this.duplicateDetection = process.env.ENABLE_DUPLICATE_DETECTION !== 'false';
+    this.duplicateRadius = parseInt(process.env.DUPLICATE_DISTANCE_THRESHOLD_M, 10) || 100; // Duplicate match distance in meters
+    this.duplicateWindowMinutes = parseInt(process.env.DUPLICATE_TIME_WINDOW_MINUTES, 10) || 60; // Duplicate match window
+    this.verifyThreshold = parseFloat(process.env.AUTO_VERIFY_THRESHOLD) || 3; // Confirm weight needed when the type sets none
+    this.disputeThreshold = parseFloat(process.env.AUTO_FALSE_REPORT_THRESHOLD) || 3; // Dispute weight that flags a false report
+    this.reputationService = new ReputationService();
   }
 
   /**
@@ -64,6 +223,8 @@ class IncidentService {
         estimatedDuration,
         affectedLanes,
         verificationRequired = false,
+        extent,
+        endsAt,
       } = incidentData;
 
       logger.info('IncidentService: Creating new incident', {
@@ -79,6 +240,10 @@ class IncidentService {
         throw new Error('Invalid coordinates provided');
       }
 
+      if (extent) {
+        await this.assertValidExtent(extent);
+      }
+
       // Get incident type information for validation
       const typeQuery = `
         SELECT id, name, severity_range, default_severity, requires_verification, auto_expire_hours
@@ -92,35 +257,20 @@ class IncidentService {
       }
 
       const incidentType = typeResult.rows[0];
-      const [minSeverity, maxSeverity] = JSON.parse(incidentType.severity_range);
-
-      // Validate severity within allowed range
-      const finalSeverity = severity || incidentType.default_severity;
-      if (finalSeverity < minSeverity || finalSeverity > maxSeverity) {
-        throw new Error(`Severity must be between ${minSeverity} and ${maxSeverity} for this incident type`);
-      }
+      const { finalSeverity, expiresAt, requiresVerification } = this.applyIncidentTypeRules(incidentType, {
+        severity,
+        verificationRequired,
+        estimatedDuration,
+        endsAt,
+      });
 
-      // Calculate expiration time if auto-expire is set
-      let expiresAt = null;
-      if (incidentType.auto_expire_hours) {
-        expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + incidentType.auto_expire_hours);
-      }
+      // Look for recent nearby reports of the same event before inserting
+      const duplicateCandidates = this.duplicateDetection
+        ? await this.findDuplicateCandidates({ typeId, latitude, longitude })
+        : [];
 
       // Create PostGIS point geometry
-      const createQuery = `
-        INSERT INTO incidents (
-          type_id, description, location, reported_by, severity, 
-          address, estimated_duration_minutes, affected_lanes,
-          requires_verification, expires_at, created_at
-        ) VALUES (
-          $1, $2, ST_SetSRID(ST_MakePoint($3, $4), 4326), $5, $6,
-          $7, $8, $9, $10, $11, CURRENT_TIMESTAMP
-        )
-        RETURNING id, created_at
-      `;
-
-      const result = await this.db.query(createQuery, [
+      const result = await this.db.query(INSERT_INCIDENT_QUERY, [
         typeId,
         description,
         longitude, // X coordinate (longitude)
@@ -130,8 +280,13 @@ class IncidentService {
         address,
         estimatedDuration,
         affectedLanes,
-        verificationRequired || incidentType.requires_verification,
+        requiresVerification,
         expiresAt,
+        extent ? JSON.stringify(extent) : null,
+        null, // created_at defaults to now
+        'active',
+        null, // resolved_at
+        null, // resolution_notes
       ]);
 
       const newIncidentId = result.rows[0].id;
@@ -144,11 +299,13 @@ class IncidentService {
         userId,
         typeId,
         severity: finalSeverity,
+        duplicateCandidates: duplicateCandidates.length,
       });
 
       return {
         success: true,
         incident: fullIncident,
+        duplicateCandidates,
       };
 
     } catch (error) {
@@ -161,6 +318,306 @@ class IncidentService {
     }
   }
 
+  /**
+   * Apply incident type rules to new incident data
+   * Validates severity against the type's allowed range and derives the
+   * expiry time and verification requirement.
+   * @param {Object} incidentType - incident_types row
+   * @param {Object} incidentData - { severity, verificationRequired, estimatedDuration, endsAt, occurredAt }
+   * @returns {Object} { finalSeverity, expiresAt, requiresVerification }
+   * @private
+   */
+  applyIncidentTypeRules(incidentType, { severity, verificationRequired = false, estimatedDuration, endsAt, occurredAt }) {
+    const [minSeverity, maxSeverity] = JSON.parse(incidentType.severity_range);
+
+    // Validate severity within allowed range
+    const finalSeverity = severity || incidentType.default_severity;
+    if (finalSeverity < minSeverity || finalSeverity > maxSeverity) {
+      throw new Error(`Severity must be between ${minSeverity} and ${maxSeverity} for this incident type`);
+    }
+
+    return {
+      finalSeverity,
+      // Imported historical incidents age from when they occurred
+      expiresAt: this.calculateExpiresAt(incidentType, { estimatedDuration, endsAt, from: occurredAt }),
+      requiresVerification: verificationRequired || incidentType.requires_verification,
+    };
+  }
+
+  /**
+   * Work out when an incident's lifetime ends
+   * An explicit end date wins, then the reporter's estimated duration,
+   * then the type's default lifetime. Types without a default (e.g. road
+   * construction) live until their end date or until resolved.
+   * @param {Object} incidentType - incident_types row ({ auto_expire_hours })
+   * @param {Object} timing - { estimatedDuration (minutes), endsAt, from }
+   * @returns {Date|null} Expiry time
+   * @private
+   */
+  calculateExpiresAt(incidentType, { estimatedDuration, endsAt, from = new Date() } = {}) {
+    if (endsAt) {
+      return new Date(endsAt);
+    }
+
+    if (estimatedDuration) {
+      return new Date(from.getTime() + estimatedDuration * 60 * 1000);
+    }
+
+    if (incidentType.auto_expire_hours) {
+      return new Date(from.getTime() + incidentType.auto_expire_hours * 60 * 60 * 1000);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an incident extent with PostGIS before it is stored
+   * Joi validates the GeoJSON shape; this catches invalid topology such as
+   * self-intersecting polygons, which incidents_extent_check would reject.
+   * @param {Object} extent - GeoJSON LineString or Polygon
+   * @private
+   */
+  async assertValidExtent(extent) {
+    const result = await this.db.query(`
+      SELECT ST_IsValid(geom) AS valid, ST_IsValidReason(geom) AS reason
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom) e
+    `, [JSON.stringify(extent)]);
+
+    if (!result.rows[0].valid) {
+      throw new Error(`Invalid extent geometry: ${result.rows[0].reason}`);
+    }
+  }
+
+  /**
+   * Validate and optionally import incidents from GeoJSON or CSV
+   * Rows are checked with the incident creation schema after mapping type
+   * names to ids. Without confirm the call is a dry run that only reports
+   * per-row errors; with confirm every row is inserted in one transaction
+   * and nothing is written if any row is invalid. Rows with an occurred-at
+   * time keep it as created_at, and come in resolved when their lifetime
+   * had already ended.
+   * @param {Object} importData - { format: 'geojson'|'csv', data, confirm }
+   * @param {number} userId - Importing admin's user ID (recorded as reporter)
+   * @returns {Promise<Object>} Validation report and, when confirmed, created IDs
+   */
+  async importIncidents(importData, userId) {
+    try {
+      const { format, data, confirm = false } = importData;
+      const records = this.parseImportRecords(format, data);
+
+      if (records.length === 0) {
+        throw new Error('Invalid import file: no incidents found');
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Invalid import file: a single import is limited to ${MAX_IMPORT_ROWS} rows`);
+      }
+
+      logger.info('IncidentService: Validating incident import', {
+        userId,
+        format,
+        rowCount: records.length,
+        confirm,
+      });
+
+      const typeResult = await this.db.query(`
+        SELECT id, name, severity_range, default_severity, requires_verification, auto_expire_hours
+        FROM incident_types
+      `);
+      const typesById = new Map(typeResult.rows.map(type => [type.id, type]));
+      const typesByName = new Map(typeResult.rows.map(type => [type.name.toLowerCase(), type]));
+
+      const validRows = [];
+      const errors = [];
+
+      records.forEach(({ row, fields, geometryError }) => {
+        const rowErrors = geometryError ? [geometryError] : [];
+        const { typeName, ...candidate } = fields;
+
+        if (candidate.typeId === undefined && typeName !== undefined) {
+          const type = typesByName.get(String(typeName).toLowerCase());
+          if (type) {
+            candidate.typeId = type.id;
+          } else {
+            rowErrors.push(`Unknown incident type "${typeName}"`);
+          }
+        }
+
+        const { error, value } = validationSchemas.incidentImportRowSchema.validate(candidate, {
+          abortEarly: false,
+          stripUnknown: true,
+        });
+
+        if (error) {
+          // An unknown type name has already been reported for this row
+          rowErrors.push(...error.details
+            .filter(detail => candidate.typeId !== undefined || typeName === undefined || detail.path[0] !== 'typeId')
+            .map(detail => detail.message));
+        } else {
+          const incidentType = typesById.get(value.typeId);
+          if (!incidentType) {
+            rowErrors.push(`Incident type ${value.typeId} does not exist`);
+          } else {
+            try {
+              validRows.push({
+                row,
+                data: value,
+                rules: this.applyIncidentTypeRules(incidentType, value),
+              });
+            } catch (ruleError) {
+              rowErrors.push(ruleError.message);
+            }
+          }
+        }
+
+        if (rowErrors.length > 0) {
+          errors.push({ row, errors: [...new Set(rowErrors)] });
+        }
+      });
+
+      // Extents also need a topology check (e.g. self-intersecting polygons)
+      for (const validRow of validRows.filter(({ data }) => data.extent)) {
+        try {
+          await this.assertValidExtent(validRow.data.extent);
+        } catch (extentError) {
+          validRows.splice(validRows.indexOf(validRow), 1);
+          errors.push({ row: validRow.row, errors: [extentError.message] });
+        }
+      }
+      errors.sort((a, b) => a.row - b.row);
+
+      const report = {
+        format,
+        dryRun: !confirm,
+        totalRows: records.length,
+        validRows: validRows.length,
+        invalidRows: errors.length,
+        errors,
+      };
+
+      if (!confirm) {
+        return { success: true, report };
+      }
+
+      if (errors.length > 0) {
+        const error = new Error('Import contains invalid rows');
+        error.report = report;
+        throw error;
+      }
+
+      const importedAt = new Date();
+
+      const incidentIds = await this.db.transaction(async (client) => {
+        const ids = [];
+        for (const { data, rules } of validRows) {
+          const resolvedAt = data.occurredAt && rules.expiresAt && rules.expiresAt <= importedAt
+            ? rules.expiresAt
+            : null;
+
+          const result = await client.query(INSERT_INCIDENT_QUERY, [
+            data.typeId,
+            data.description,
+            data.longitude,
+            data.latitude,
+            userId,
+            rules.finalSeverity,
+            data.address,
+            data.estimatedDuration,
+            data.affectedLanes,
+            rules.requiresVerification,
+            rules.expiresAt,
+            data.extent ? JSON.stringify(data.extent) : null,
+            data.occurredAt || null,
+            resolvedAt ? 'resolved' : 'active',
+            resolvedAt,
+            resolvedAt ? 'Imported as historical: expected duration had ended' : null,
+          ]);
+          ids.push(result.rows[0].id);
+        }
+        return ids;
+      });
+
+      logger.info('IncidentService: Incident import committed', {
+        userId,
+        format,
+        importedCount: incidentIds.length,
+      });
+
+      return {
+        success: true,
+        report: { ...report, importedCount: incidentIds.length },
+        incidentIds,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'import_incidents',
+        userId,
+        format: importData?.format,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a GeoJSON document or CSV text into numbered attribute records
+   * @param {string} format - 'geojson' or 'csv'
+   * @param {Object|string} data - FeatureCollection/Feature object (or JSON text) or CSV text
+   * @returns {Array<Object>} [{ row, fields, geometryError? }]
+   * @private
+   */
+  parseImportRecords(format, data) {
+    if (format === 'csv') {
+      if (typeof data !== 'string') {
+        throw new Error('Invalid import file: CSV data must be text');
+      }
+
+      const [header, ...rows] = parseCsv(data.replace(/^\uFEFF/, ''));
+      if (!header) return [];
+
+      return rows.map((values, index) => ({
+        row: index + 1,
+        fields: normalizeImportFields(
+          Object.fromEntries(header.map((column, i) => [column, values[i]]))
+        ),
+      }));
+    }
+
+    let document = data;
+    if (typeof data === 'string') {
+      try {
+        document = JSON.parse(data);
+      } catch (parseError) {
+        throw new Error('Invalid import file: GeoJSON could not be parsed');
+      }
+    }
+
+    let features;
+    if (document?.type === 'FeatureCollection' && Array.isArray(document.features)) {
+      features = document.features;
+    } else if (document?.type === 'Feature') {
+      features = [document];
+    } else {
+      throw new Error('Invalid import file: expected a GeoJSON Feature or FeatureCollection');
+    }
+
+    return features.map((feature, index) => {
+      const fields = normalizeImportFields(feature?.properties);
+      const geometry = feature?.geometry;
+      let geometryError;
+
+      if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+        [fields.longitude, fields.latitude] = geometry.coordinates;
+      } else if (geometry?.type === 'LineString' || geometry?.type === 'Polygon') {
+        // Line/area features carry the representative point as lat/lon properties
+        fields.extent = { type: geometry.type, coordinates: geometry.coordinates };
+      } else {
+        geometryError = 'Feature geometry must be a Point, LineString or Polygon';
+      }
+
+      return { row: index + 1, fields, geometryError };
+    });
+  }
+
   /**
    * Get incident by ID with full details and spatial data
    * @param {number} incidentId - Incident ID
@@ -178,12 +635,26 @@ class IncidentService {
           i.affected_lanes,
           i.verified,
           i.verification_count,
+          i.confirm_weight,
+          i.dispute_weight,
           i.requires_verification,
+          i.status,
+          i.acknowledged_at,
+          i.resolved_at,
+          i.resolved_by,
+          i.resolution_notes,
           i.expires_at,
+          i.last_confirmed_at,
+          i.stale_at,
+          i.reports_count,
+          i.views_count,
+          i.merged_into_id,
           i.created_at,
           i.updated_at,
           ST_X(i.location) as longitude,
           ST_Y(i.location) as latitude,
+          ST_AsGeoJSON(i.extent)::json as extent,
+          it.id as incident_type_id,
           it.name as incident_type,
           it.category as incident_category,
           it.icon as incident_icon,
@@ -194,7 +665,12 @@ class IncidentService {
             WHEN i.expires_at IS NOT NULL AND i.expires_at < CURRENT_TIMESTAMP 
             THEN true 
             ELSE false 
-          END as is_expired
+          END as is_expired,
+          (
+            SELECT COALESCE(json_agg(row_to_json(a) ORDER BY a.created_at, a.id), '[]'::json)
+            FROM incident_attachments a
+            WHERE a.incident_id = i.id AND a.is_deleted = false
+          ) as attachments
         FROM incidents i
         JOIN incident_types it ON it.id = i.type_id
         JOIN users u ON u.id = i.reported_by
@@ -218,13 +694,30 @@ class IncidentService {
         affectedLanes: incident.affected_lanes,
         verified: incident.verified,
         verificationCount: incident.verification_count,
+        verificationWeights: {
+          confirm: parseFloat(incident.confirm_weight || 0),
+          dispute: parseFloat(incident.dispute_weight || 0),
+        },
         requiresVerification: incident.requires_verification,
+        status: incident.status,
+        resolution: incident.resolved_at ? {
+          resolvedAt: incident.resolved_at,
+          resolvedBy: incident.resolved_by,
+          notes: incident.resolution_notes,
+        } : null,
         isExpired: incident.is_expired,
+        isStale: Boolean(incident.stale_at),
+        reportsCount: incident.reports_count,
+        viewsCount: incident.views_count,
+        mergedIntoId: incident.merged_into_id,
         location: {
           latitude: parseFloat(incident.latitude),
           longitude: parseFloat(incident.longitude),
         },
+        extent: incident.extent,
+        attachments: (incident.attachments || []).map(AttachmentService.formatAttachment),
         incidentType: {
+          id: incident.incident_type_id,
           name: incident.incident_type,
           category: incident.incident_category,
           icon: incident.incident_icon,
@@ -238,6 +731,9 @@ class IncidentService {
           createdAt: incident.created_at,
           updatedAt: incident.updated_at,
           expiresAt: incident.expires_at,
+          acknowledgedAt: incident.acknowledged_at,
+          lastConfirmedAt: incident.last_confirmed_at,
+          staleSince: incident.stale_at,
         },
       };
 
@@ -295,7 +791,8 @@ class IncidentService {
           throw new Error('Invalid search coordinates');
         }
         
-        conditions.push(`ST_DWithin(i.location, ST_SetSRID(ST_MakePoint($${paramCounter}, $${paramCounter + 1}), 4326), $${paramCounter + 2})`);
+        // Line and area incidents match anywhere along their extent
+        conditions.push(`ST_DWithin(COALESCE(i.extent, i.location), ST_SetSRID(ST_MakePoint($${paramCounter}, $${paramCounter + 1}), 4326), $${paramCounter + 2})`);
         params.push(longitude, latitude, validatedRadius);
         paramCounter += 3;
       }
@@ -337,7 +834,7 @@ class IncidentService {
       // Build ORDER BY clause
       let orderClause = '';
       if (latitude && longitude && sortBy === 'distance') {
-        orderClause = `ORDER BY ST_Distance(i.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)) ${sortOrder.toUpperCase()}`;
+        orderClause = `ORDER BY ST_Distance(COALESCE(i.extent, i.location), ST_SetSRID(ST_MakePoint($1, $2), 4326)) ${sortOrder.toUpperCase()}`;
       } else if (sortBy === 'created_at') {
         orderClause = `ORDER BY i.created_at ${sortOrder.toUpperCase()}`;
       } else if (sortBy === 'severity') {
@@ -357,13 +854,15 @@ class IncidentService {
           i.created_at,
           ST_X(i.location) as longitude,
           ST_Y(i.location) as latitude,
+          ST_AsGeoJSON(i.extent)::json as extent,
+          it.id as incident_type_id,
           it.name as incident_type,
           it.category as incident_category,
           it.icon as incident_icon,
           it.color as incident_color,
           u.username as reported_by_username,
           ${latitude && longitude ? 
-            `ST_Distance(i.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)) as distance_meters` : 
+            `ST_Distance(COALESCE(i.extent, i.location), ST_SetSRID(ST_MakePoint($1, $2), 4326)) as distance_meters` : 
             '0 as distance_meters'
           }
         FROM incidents i
@@ -398,8 +897,10 @@ class IncidentService {
           latitude: parseFloat(row.latitude),
           longitude: parseFloat(row.longitude),
         },
+        extent: row.extent,
         distance: latitude && longitude ? parseFloat(row.distance_meters) : null,
         incidentType: {
+          id: row.incident_type_id,
           name: row.incident_type,
           category: row.incident_category,
           icon: row.incident_icon,
@@ -452,16 +953,17 @@ class IncidentService {
    * Update an existing incident with ownership validation
    * @param {number} incidentId - Incident ID to update
    * @param {Object} updateData - Fields to update
-   * @param {number} userId - ID of user making the update
-   * @param {boolean} isAdmin - Whether user has admin privileges
+   * @param {Object} actor - User making the update ({ id, role })
    * @returns {Promise<Object>} Updated incident
    */
-  async updateIncident(incidentId, updateData, userId, isAdmin = false) {
+  async updateIncident(incidentId, updateData, actor) {
+    const userId = actor.id;
+
     try {
       logger.info('IncidentService: Updating incident', {
         incidentId,
         userId,
-        isAdmin,
+        role: actor.role,
         updateData,
       });
 
@@ -472,8 +974,9 @@ class IncidentService {
         throw new Error('Incident not found');
       }
 
-      // Check ownership (users can only edit their own incidents, admins can edit any)
-      if (!isAdmin && currentIncident.reportedBy.id !== userId) {
+      // Users can only edit their own incidents unless they hold delete-any
+      if (currentIncident.reportedBy.id !== userId
+        && !(await permissionService.hasPermission(actor, PERMISSIONS.DELETE_ANY))) {
         throw new Error('Not authorized to update this incident');
       }
 
@@ -503,6 +1006,26 @@ class IncidentService {
         }
       }
 
+      // Extent is GeoJSON; null clears it back to a point-only incident
+      if (updateData.extent !== undefined) {
+        if (updateData.extent) {
+          await this.assertValidExtent(updateData.extent);
+        }
+        updates.push(`extent = ST_SetSRID(ST_GeomFromGeoJSON($${paramCounter}), 4326)`);
+        params.push(updateData.extent ? JSON.stringify(updateData.extent) : null);
+        paramCounter++;
+      }
+
+      // A new end date or duration moves the expiry; durations count from now
+      if (updateData.endsAt || updateData.estimatedDuration) {
+        updates.push(`expires_at = $${paramCounter}`);
+        params.push(this.calculateExpiresAt({}, {
+          endsAt: updateData.endsAt,
+          estimatedDuration: updateData.estimatedDuration,
+        }));
+        paramCounter++;
+      }
+
       if (updates.length === 0) {
         throw new Error('No valid fields to update');
       }
@@ -550,16 +1073,17 @@ class IncidentService {
   /**
    * Delete an incident with ownership validation
    * @param {number} incidentId - Incident ID to delete
-   * @param {number} userId - ID of user requesting deletion
-   * @param {boolean} isAdmin - Whether user has admin privileges
+   * @param {Object} actor - User requesting deletion ({ id, role })
    * @returns {Promise<Object>} Deletion confirmation
    */
-  async deleteIncident(incidentId, userId, isAdmin = false) {
+  async deleteIncident(incidentId, actor) {
+    const userId = actor.id;
+
     try {
       logger.info('IncidentService: Deleting incident', {
         incidentId,
         userId,
-        isAdmin,
+        role: actor.role,
       });
 
       // Get incident for validation
@@ -570,7 +1094,8 @@ class IncidentService {
       }
 
       // Check ownership
-      if (!isAdmin && incident.reportedBy.id !== userId) {
+      if (incident.reportedBy.id !== userId
+        && !(await permissionService.hasPermission(actor, PERMISSIONS.DELETE_ANY))) {
         throw new Error('Not authorized to delete this incident');
       }
 
@@ -612,7 +1137,14 @@ class IncidentService {
 
   /**
    * Generate clustered incidents for map visualization
+   * K-means partitions every incident into clusterCount groups; DBSCAN groups
+   * incidents within eps meters of each other and reports the rest as noise.
+   * Line and area incidents are clustered by their extent.
    * @param {Object} clusterParams - Clustering parameters
+   * @param {string} clusterParams.method - 'kmeans' (default) or 'dbscan'
+   * @param {number} clusterParams.eps - DBSCAN neighbourhood distance in meters
+   * @param {number} clusterParams.minPoints - DBSCAN minimum points per cluster core
+   * @param {string} clusterParams.hull - 'convex' (default) or 'concave' DBSCAN cluster outline
    * @returns {Promise<Object>} Incident clusters
    */
   async getIncidentClusters(clusterParams) {
@@ -622,6 +1154,7 @@ class IncidentService {
         clusterCount = 10,
         minSeverity = 1,
         includeExpired = false,
+        method = 'kmeans',
       } = clusterParams;
 
       logger.debug('IncidentService: Generating incident clusters', clusterParams);
@@ -633,8 +1166,8 @@ class IncidentService {
 
       if (bounds) {
         boundsFilter = `
-          AND ST_Within(
-            i.location, 
+          AND ST_Intersects(
+            COALESCE(i.extent, i.location), 
             ST_MakeEnvelope($${paramCounter}, $${paramCounter + 1}, $${paramCounter + 2}, $${paramCounter + 3}, 4326)
           )
         `;
@@ -650,6 +1183,14 @@ class IncidentService {
       // Add expiration filter
       const expirationFilter = includeExpired ? '' : 'AND (i.expires_at IS NULL OR i.expires_at > CURRENT_TIMESTAMP)';
 
+      if (method === 'dbscan') {
+        return await this.getDbscanClusters(clusterParams, {
+          filters: `${boundsFilter} ${severityFilter} ${expirationFilter}`,
+          params,
+          paramCounter,
+        });
+      }
+
       const clusterQuery = `
         WITH clustered_incidents AS (
           SELECT 
@@ -660,7 +1201,7 @@ class IncidentService {
             ST_Y(i.location) as latitude,
             it.category,
             it.color,
-            ST_ClusterKMeans(i.location, $${paramCounter}) OVER() as cluster_id
+            ST_ClusterKMeans(COALESCE(i.extent, i.location), $${paramCounter}) OVER() as cluster_id
           FROM incidents i
           JOIN incident_types it ON it.id = i.type_id
           WHERE i.is_deleted = false
@@ -722,6 +1263,116 @@ class IncidentService {
     }
   }
 
+  /**
+   * Density-based clustering with ST_ClusterDBSCAN
+   * Footprints (extent, or point when there is none) are projected to Web
+   * Mercator and eps is scaled by the cosine of the mean latitude so that it
+   * stays in ground meters.
+   * @param {Object} clusterParams - Validated clustering parameters
+   * @param {Object} query - Filter SQL, bound values and next parameter index
+   * @returns {Promise<Object>} Clusters with hulls plus unclustered noise points
+   * @private
+   */
+  async getDbscanClusters(clusterParams, { filters, params, paramCounter }) {
+    const {
+      eps = 250,
+      minPoints = 3,
+      hull = 'convex',
+    } = clusterParams;
+
+    const hullExpression = hull === 'concave'
+      ? `ST_ConcaveHull(ST_Collect(footprint), ${CONCAVE_HULL_TARGET})`
+      : 'ST_ConvexHull(ST_Collect(footprint))';
+
+    const dbscanQuery = `
+      WITH filtered_incidents AS (
+        SELECT 
+          i.id,
+          i.severity,
+          i.created_at,
+          i.location,
+          COALESCE(i.extent, i.location) AS footprint,
+          it.category
+        FROM incidents i
+        JOIN incident_types it ON it.id = i.type_id
+        WHERE i.is_deleted = false
+        ${filters}
+      ),
+      clustered_incidents AS (
+        SELECT 
+          f.*,
+          ST_ClusterDBSCAN(
+            ST_Transform(f.footprint, 3857),
+            $${paramCounter} / COS(RADIANS((SELECT AVG(ST_Y(location)) FROM filtered_incidents))),
+            $${paramCounter + 1}
+          ) OVER () AS cluster_id
+        FROM filtered_incidents f
+      )
+      SELECT 
+        cluster_id,
+        COUNT(*) AS incident_count,
+        AVG(severity) AS avg_severity,
+        MAX(severity) AS max_severity,
+        ST_X(ST_Centroid(ST_Collect(location))) AS center_longitude,
+        ST_Y(ST_Centroid(ST_Collect(location))) AS center_latitude,
+        array_agg(DISTINCT category) AS categories,
+        array_agg(id ORDER BY id) AS incident_ids,
+        MIN(created_at) AS oldest_incident,
+        MAX(created_at) AS newest_incident,
+        CASE WHEN cluster_id IS NOT NULL THEN ST_AsGeoJSON(${hullExpression})::json END AS hull,
+        CASE WHEN cluster_id IS NULL THEN
+          json_agg(json_build_object(
+            'id', id,
+            'latitude', ST_Y(location),
+            'longitude', ST_X(location),
+            'severity', severity
+          ) ORDER BY id)
+        END AS noise_points
+      FROM clustered_incidents
+      GROUP BY cluster_id
+      ORDER BY incident_count DESC
+    `;
+
+    const result = await this.db.query(dbscanQuery, [...params, eps, minPoints]);
+
+    const noiseRow = result.rows.find(row => row.cluster_id === null);
+    const noise = noiseRow ? noiseRow.noise_points : [];
+
+    const clusters = result.rows
+      .filter(row => row.cluster_id !== null)
+      .map(row => ({
+        clusterId: row.cluster_id,
+        incidentCount: parseInt(row.incident_count),
+        avgSeverity: parseFloat(row.avg_severity),
+        maxSeverity: parseInt(row.max_severity),
+        center: {
+          latitude: parseFloat(row.center_latitude),
+          longitude: parseFloat(row.center_longitude),
+        },
+        categories: row.categories,
+        incidentIds: row.incident_ids,
+        hull: row.hull,
+        timespan: {
+          oldest: row.oldest_incident,
+          newest: row.newest_incident,
+        },
+      }));
+
+    logger.debug('IncidentService: DBSCAN clusters generated', {
+      clusterCount: clusters.length,
+      noiseCount: noise.length,
+      eps,
+      minPoints,
+    });
+
+    return {
+      success: true,
+      clusters,
+      noise,
+      parameters: clusterParams,
+    };
+  }
+
   /**
    * Generate heatmap data for visualization
    * @param {Object} heatmapParams - Heatmap parameters
@@ -817,71 +1468,703 @@ class IncidentService {
   }
 
   /**
-   * Verify an incident (community verification)
-   * @param {number} incidentId - Incident to verify
-   * @param {number} userId - User providing verification
-   * @returns {Promise<Object>} Verification result
+   * Cast a weighted community vote on an incident
+   * Confirm votes count towards verification; dispute and spam votes
+   * count against it and can flag the incident as a false report.
+   * Vote weight comes from the voter's reputation, and the reporter's
+   * own confirmation carries no weight.
+   * @param {number} incidentId - Incident ID
+   * @param {Object} voter - Voting user ({ id, role })
+   * @param {Object} options - { vote: 'confirm'|'dispute'|'spam', notes? }
+   * @returns {Promise<Object>} Vote result with weight totals and outcome
    */
-  async verifyIncident(incidentId, userId) {
+  async verifyIncident(incidentId, voter, options = {}) {
+    const { vote = 'confirm', notes = null } = options;
+
     try {
-      logger.info('IncidentService: Verifying incident', {
+      logger.info('IncidentService: Recording verification vote', {
         incidentId,
-        userId,
+        userId: voter.id,
+        vote,
       });
 
-      // Check if user already verified this incident
-      const existingVerification = await this.db.query(
-        'SELECT id FROM incident_verifications WHERE incident_id = $1 AND user_id = $2',
-        [incidentId, userId]
-      );
+      const outcome = await this.db.transaction(async (client) => {
+        // Lock the incident so concurrent votes are tallied one at a time
+        const incidentResult = await client.query(`
+          SELECT
+            i.id, i.status, i.verified, i.reported_by,
+            it.verify_threshold, it.dispute_threshold, it.auto_flag_false_reports
+          FROM incidents i
+          JOIN incident_types it ON it.id = i.type_id
+          WHERE i.id = $1 AND i.is_deleted = false
+          FOR UPDATE OF i
+        `, [incidentId]);
 
-      if (existingVerification.rows.length > 0) {
-        throw new Error('You have already verified this incident');
-      }
+        if (incidentResult.rows.length === 0) {
+          throw new Error('Incident not found');
+        }
 
-      // Add verification
-      const verificationQuery = `
-        INSERT INTO incident_verifications (incident_id, user_id, created_at)
-        VALUES ($1, $2, CURRENT_TIMESTAMP)
-        RETURNING id
-      `;
+        const incident = incidentResult.rows[0];
 
-      await this.db.query(verificationQuery, [incidentId, userId]);
+        if (!['active', 'in_progress'].includes(incident.status)) {
+          throw new Error(`Voting is closed: incident is ${incident.status}`);
+        }
 
-      // Update incident verification count and status
-      const updateQuery = `
-        UPDATE incidents 
-        SET 
-          verification_count = verification_count + 1,
-          verified = CASE 
-            WHEN verification_count + 1 >= 3 THEN true 
-            ELSE verified 
-          END,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $1
-        RETURNING verification_count, verified
-      `;
+        // Check if user already voted on this incident
+        const existingVote = await client.query(`
+          SELECT 'confirm' AS report_type FROM incident_verifications WHERE incident_id = $1 AND user_id = $2
+          UNION
+          SELECT report_type FROM incident_reports
+          WHERE incident_id = $1 AND reported_by = $2 AND report_type IN ('confirm', 'dispute', 'spam')
+        `, [incidentId, voter.id]);
+
+        if (existingVote.rows.length > 0) {
+          throw new Error(vote === 'confirm' && existingVote.rows.some(row => row.report_type === 'confirm')
+            ? 'You have already verified this incident'
+            : 'You have already voted on this incident');
+        }
+
+        const voterResult = await client.query(
+          'SELECT role, reputation_score FROM users WHERE id = $1',
+          [voter.id]
+        );
+        const isReporter = incident.reported_by === voter.id;
+        const weight = isReporter ? 0 : await this.reputationService.getVoteWeight(voterResult.rows[0] || voter);
+
+        await client.query(`
+          INSERT INTO incident_reports (incident_id, reported_by, report_type, notes, weight, created_at)
+          VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+        `, [incidentId, voter.id, vote, notes, weight]);
+
+        if (vote === 'confirm') {
+          await client.query(`
+            INSERT INTO incident_verifications (incident_id, user_id, created_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP)
+          `, [incidentId, voter.id]);
+        }
 
-      const result = await this.db.query(updateQuery, [incidentId]);
-      const updatedIncident = result.rows[0];
+        const totalsResult = await client.query(`
+          SELECT
+            COALESCE(SUM(weight) FILTER (WHERE report_type = 'confirm'), 0) AS confirm_weight,
+            COALESCE(SUM(weight) FILTER (WHERE report_type IN ('dispute', 'spam')), 0) AS dispute_weight
+          FROM incident_reports
+          WHERE incident_id = $1
+        `, [incidentId]);
+
+        const confirmWeight = parseFloat(totalsResult.rows[0].confirm_weight);
+        const disputeWeight = parseFloat(totalsResult.rows[0].dispute_weight);
+        const verifyThreshold = parseFloat(incident.verify_threshold ?? this.verifyThreshold);
+        const disputeThreshold = parseFloat(incident.dispute_threshold ?? this.disputeThreshold);
+
+        const isVerified = confirmWeight >= verifyThreshold && confirmWeight > disputeWeight;
+        const autoFlagged = incident.auto_flag_false_reports !== false
+          && disputeWeight >= disputeThreshold
+          && disputeWeight > confirmWeight;
+
+        const updateResult = await client.query(`
+          UPDATE incidents
+          SET
+            verification_count = verification_count + $2,
+            confirm_weight = $3,
+            dispute_weight = $4,
+            verified = $5,
+            status = CASE WHEN $6 THEN 'false_report' ELSE status END,
+            last_confirmed_at = CASE WHEN $7 THEN CURRENT_TIMESTAMP ELSE last_confirmed_at END,
+            stale_at = CASE WHEN $7 THEN NULL ELSE stale_at END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING verification_count, verified, status
+        `, [incidentId, vote === 'confirm' ? 1 : 0, confirmWeight, disputeWeight, isVerified, autoFlagged, vote === 'confirm']);
+
+        let transition = null;
+        if (autoFlagged) {
+          const transitionNotes = `Automatically flagged by community disputes (dispute weight ${disputeWeight}, confirm weight ${confirmWeight})`;
+          const historyResult = await client.query(`
+            INSERT INTO incident_status_history (
+              incident_id, action, from_status, to_status, changed_by, notes, created_at
+            ) VALUES ($1, 'mark_false_report', $2, 'false_report', $3, $4, CURRENT_TIMESTAMP)
+            RETURNING id, created_at
+          `, [incidentId, incident.status, voter.id, transitionNotes]);
+
+          transition = {
+            id: historyResult.rows[0].id,
+            action: 'mark_false_report',
+            fromStatus: incident.status,
+            toStatus: 'false_report',
+            changedBy: voter.id,
+            notes: transitionNotes,
+            createdAt: historyResult.rows[0].created_at,
+          };
+        }
+
+        // Outcome changed: everyone involved gets their track record updated
+        if (autoFlagged || isVerified !== incident.verified) {
+          await this.reputationService.refreshForIncident(incidentId, client);
+        }
+
+        return {
+          weight,
+          confirmWeight,
+          disputeWeight,
+          thresholds: { verify: verifyThreshold, dispute: disputeThreshold },
+          verificationCount: updateResult.rows[0].verification_count,
+          isVerified: updateResult.rows[0].verified,
+          verificationChanged: isVerified !== incident.verified,
+          status: updateResult.rows[0].status,
+          autoFlagged,
+          transition,
+        };
+      });
 
-      logger.info('IncidentService: Incident verification added', {
+      logger.info('IncidentService: Verification vote recorded', {
         incidentId,
-        userId,
-        newCount: updatedIncident.verification_count,
-        isVerified: updatedIncident.verified,
+        userId: voter.id,
+        vote,
+        weight: outcome.weight,
+        confirmWeight: outcome.confirmWeight,
+        disputeWeight: outcome.disputeWeight,
+        isVerified: outcome.isVerified,
+        autoFlagged: outcome.autoFlagged,
       });
 
       return {
         success: true,
-        verificationCount: updatedIncident.verification_count,
-        isVerified: updatedIncident.verified,
+        vote,
+        ...outcome,
       };
 
     } catch (error) {
       logger.logError(error, null, {
         operation: 'verify_incident',
         incidentId,
+        userId: voter?.id,
+        vote,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find recent nearby incidents that likely describe the same event
+   * Candidates share the incident type or its category, lie within the
+   * duplicate radius and were reported inside the duplicate time window.
+   * @param {Object} criteria - { typeId, latitude, longitude, excludeId? }
+   * @param {Object} options - { radius?, windowMinutes?, limit? }
+   * @returns {Promise<Array>} Candidates ordered by distance
+   */
+  async findDuplicateCandidates(criteria, options = {}) {
+    const { typeId, latitude, longitude, excludeId = null } = criteria;
+    const {
+      radius = this.duplicateRadius,
+      windowMinutes = this.duplicateWindowMinutes,
+      limit = 5,
+    } = options;
+
+    try {
+      const query = `
+        SELECT
+          i.id,
+          i.description,
+          i.severity,
+          i.status,
+          i.verified,
+          i.verification_count,
+          i.reports_count,
+          i.created_at,
+          ST_X(i.location) as longitude,
+          ST_Y(i.location) as latitude,
+          it.name as incident_type,
+          i.type_id = $1 as same_type,
+          ST_Distance(
+            i.location::geography,
+            ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography
+          ) as distance_meters
+        FROM incidents i
+        JOIN incident_types it ON it.id = i.type_id
+        WHERE i.is_deleted = false
+          AND i.status IN ('active', 'in_progress')
+          AND i.created_at >= CURRENT_TIMESTAMP - ($5 * INTERVAL '1 minute')
+          AND (
+            i.type_id = $1
+            OR it.category = (SELECT category FROM incident_types WHERE id = $1)
+          )
+          AND ST_DWithin(
+            i.location::geography,
+            ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography,
+            $4
+          )
+          AND ($6::integer IS NULL OR i.id != $6)
+        ORDER BY same_type DESC, distance_meters ASC
+        LIMIT $7
+      `;
+
+      const result = await this.db.query(query, [
+        typeId,
+        longitude,
+        latitude,
+        radius,
+        windowMinutes,
+        excludeId,
+        limit,
+      ]);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        description: row.description,
+        severity: row.severity,
+        status: row.status,
+        verified: row.verified,
+        verificationCount: row.verification_count,
+        reportsCount: row.reports_count,
+        incidentType: row.incident_type,
+        sameType: row.same_type,
+        distanceMeters: Math.round(parseFloat(row.distance_meters)),
+        location: {
+          latitude: parseFloat(row.latitude),
+          longitude: parseFloat(row.longitude),
+        },
+        createdAt: row.created_at,
+      }));
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'find_duplicate_candidates',
+        criteria,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Merge duplicate incidents into a canonical incident
+   * Community reports, verifications and view counts are folded into the
+   * canonical incident; each duplicate's reporter is recorded as a confirming
+   * report. Duplicates are soft deleted and keep merged_into_id so their
+   * ids can be redirected to the canonical incident.
+   * @param {number} canonicalId - Incident that survives the merge
+   * @param {Array<number>} duplicateIds - Incidents folded into it
+   * @param {Object} actor - Moderator performing the merge ({ id, role })
+   * @param {Object} options - { notes }
+   * @returns {Promise<Object>} Updated canonical incident and merge summary
+   */
+  async mergeIncidents(canonicalId, duplicateIds, actor, options = {}) {
+    const { notes = null } = options;
+    const mergeIds = [...new Set(duplicateIds)];
+
+    try {
+      logger.info('IncidentService: Merging duplicate incidents', {
+        canonicalId,
+        duplicateIds: mergeIds,
+        userId: actor.id,
+      });
+
+      if (mergeIds.includes(canonicalId)) {
+        throw new Error('Cannot merge an incident into itself');
+      }
+
+      const merged = await this.db.transaction(async (client) => {
+        // Lock every incident involved so concurrent merges/verifications wait
+        const lockResult = await client.query(`
+          SELECT id, reported_by, views_count, verified,
+                 ST_X(location) as longitude, ST_Y(location) as latitude
+          FROM incidents
+          WHERE id = ANY($1::integer[]) AND is_deleted = false
+          ORDER BY id
+          FOR UPDATE
+        `, [[canonicalId, ...mergeIds]]);
+
+        const incidents = new Map(lockResult.rows.map(row => [row.id, row]));
+
+        if (!incidents.has(canonicalId)) {
+          throw new Error('Incident not found');
+        }
+
+        const missing = mergeIds.filter(id => !incidents.has(id));
+        if (missing.length > 0) {
+          throw new Error(`Duplicate incidents not found: ${missing.join(', ')}`);
+        }
+
+        const summaries = [];
+
+        for (const duplicateId of mergeIds) {
+          const duplicate = incidents.get(duplicateId);
+
+          // The duplicate itself was a report of the same event
+          await client.query(`
+            INSERT INTO incident_reports (incident_id, reported_by, report_type, notes, created_at)
+            VALUES ($1, $2, 'confirm', $3, CURRENT_TIMESTAMP)
+            ON CONFLICT (incident_id, reported_by, report_type) DO NOTHING
+          `, [canonicalId, duplicate.reported_by, `Merged from incident #${duplicateId}`]);
+
+          // Move reports and verifications the canonical incident does not already have
+          const reportsResult = await client.query(`
+            UPDATE incident_reports r
+            SET incident_id = $1
+            WHERE r.incident_id = $2
+              AND NOT EXISTS (
+                SELECT 1 FROM incident_reports c
+                WHERE c.incident_id = $1
+                  AND c.reported_by = r.reported_by
+                  AND c.report_type = r.report_type
+              )
+          `, [canonicalId, duplicateId]);
+          await client.query('DELETE FROM incident_reports WHERE incident_id = $1', [duplicateId]);
+
+          const verificationsResult = await client.query(`
+            UPDATE incident_verifications v
+            SET incident_id = $1
+            WHERE v.incident_id = $2
+              AND NOT EXISTS (
+                SELECT 1 FROM incident_verifications c
+                WHERE c.incident_id = $1 AND c.user_id = v.user_id
+              )
+          `, [canonicalId, duplicateId]);
+          await client.query('DELETE FROM incident_verifications WHERE incident_id = $1', [duplicateId]);
+
+          await client.query(`
+            UPDATE incidents
+            SET
+              is_deleted = true,
+              deleted_at = CURRENT_TIMESTAMP,
+              deleted_by = $3,
+              merged_into_id = $2,
+              merged_at = CURRENT_TIMESTAMP,
+              merged_by = $3,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [duplicateId, canonicalId, actor.id]);
+
+          // Keep redirects one hop long for incidents merged into this duplicate earlier
+          await client.query(`
+            UPDATE incidents SET merged_into_id = $2 WHERE merged_into_id = $1
+          `, [duplicateId, canonicalId]);
+          await client.query(`
+            UPDATE incident_merges SET canonical_incident_id = $2 WHERE canonical_incident_id = $1
+          `, [duplicateId, canonicalId]);
+
+          await client.query(`
+            INSERT INTO incident_merges (
+              canonical_incident_id, merged_incident_id, merged_by,
+              reports_moved, verifications_moved, views_moved, notes, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+          `, [
+            canonicalId,
+            duplicateId,
+            actor.id,
+            reportsResult.rowCount,
+            verificationsResult.rowCount,
+            duplicate.views_count || 0,
+            notes,
+          ]);
+
+          summaries.push({
+            incidentId: duplicateId,
+            location: {
+              latitude: parseFloat(duplicate.latitude),
+              longitude: parseFloat(duplicate.longitude),
+            },
+            reportsMoved: reportsResult.rowCount,
+            verificationsMoved: verificationsResult.rowCount,
+            viewsMoved: duplicate.views_count || 0,
+          });
+        }
+
+        const duplicates = mergeIds.map(id => incidents.get(id));
+        const addedViews = duplicates.reduce((sum, d) => sum + (d.views_count || 0), 0);
+        const anyVerified = duplicates.some(d => d.verified);
+
+        // Recount rather than add: the reports trigger already counted the
+        // inserted confirmations, but not reports moved over by UPDATE.
+        // The leading 1 is the canonical incident's own report.
+        await client.query(`
+          UPDATE incidents
+          SET
+            reports_count = 1 + (SELECT COUNT(*) FROM incident_reports WHERE incident_id = $1),
+            views_count = COALESCE(views_count, 0) + $2,
+            verification_count = (
+              SELECT COUNT(*) FROM incident_verifications WHERE incident_id = $1
+            ),
+            confirm_weight = (
+              SELECT COALESCE(SUM(weight), 0) FROM incident_reports WHERE incident_id = $1 AND report_type = 'confirm'
+            ),
+            dispute_weight = (
+              SELECT COALESCE(SUM(weight), 0) FROM incident_reports WHERE incident_id = $1 AND report_type IN ('dispute', 'spam')
+            ),
+            verified = verified OR $3 OR (
+              SELECT COALESCE(SUM(weight), 0) FROM incident_reports WHERE incident_id = $1 AND report_type = 'confirm'
+            ) >= COALESCE((SELECT verify_threshold FROM incident_types WHERE id = incidents.type_id), $4),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [canonicalId, addedViews, anyVerified, this.verifyThreshold]);
+
+        return summaries;
+      });
+
+      const canonicalIncident = await this.getIncidentById(canonicalId);
+
+      logger.info('IncidentService: Duplicate incidents merged', {
+        canonicalId,
+        mergedIds: mergeIds,
+        userId: actor.id,
+      });
+
+      return {
+        success: true,
+        incident: canonicalIncident,
+        merged,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'merge_incidents',
+        canonicalId,
+        duplicateIds,
+        userId: actor?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move an incident through its lifecycle (acknowledge, start work,
+   * resolve, mark false report, reopen)
+   * @param {number} incidentId - Incident to transition
+   * @param {string} action - Transition name from STATUS_TRANSITIONS
+   * @param {Object} actor - User performing the transition ({ id, role })
+   * @param {Object} options - Transition options
+   * @param {string} options.notes - Resolution or transition notes
+   * @returns {Promise<Object>} Updated incident and transition record
+   */
+  async transitionIncidentStatus(incidentId, action, actor, options = {}) {
+    const { notes = null } = options;
+
+    try {
+      logger.info('IncidentService: Transitioning incident status', {
+        incidentId,
+        action,
+        userId: actor.id,
+        role: actor.role,
+      });
+
+      const transition = STATUS_TRANSITIONS[action];
+      if (!transition) {
+        throw new Error(`Unknown status transition: ${action}`);
+      }
+
+      const permitted = await permissionService.hasPermission(actor, transition.permission);
+
+      const record = await this.db.transaction(async (client) => {
+        // Lock the row so concurrent transitions are applied one at a time
+        const currentResult = await client.query(`
+          SELECT id, status, reported_by, acknowledged_at
+          FROM incidents
+          WHERE id = $1 AND is_deleted = false
+          FOR UPDATE
+        `, [incidentId]);
+
+        if (currentResult.rows.length === 0) {
+          throw new Error('Incident not found');
+        }
+
+        const current = currentResult.rows[0];
+        const isReporter = current.reported_by === actor.id;
+
+        if (!permitted && !(transition.allowReporter && isReporter)) {
+          throw new Error(`Not authorized to ${action.replace(/_/g, ' ')} this incident`);
+        }
+
+        if (!transition.from.includes(current.status)) {
+          throw new Error(`Invalid status transition: cannot ${action.replace(/_/g, ' ')} an incident that is ${current.status}`);
+        }
+
+        if (action === 'acknowledge' && current.acknowledged_at) {
+          throw new Error('Invalid status transition: incident has already been acknowledged');
+        }
+
+        // Columns touched by each transition; resolved_at must be cleared
+        // whenever the status leaves 'resolved' (incidents_resolved_logic)
+        const updates = ['status = $2'];
+        const params = [incidentId, transition.to];
+
+        if (action === 'acknowledge' || action === 'start_work') {
+          updates.push('acknowledged_at = COALESCE(acknowledged_at, CURRENT_TIMESTAMP)');
+          params.push(actor.id);
+          updates.push(`acknowledged_by = COALESCE(acknowledged_by, $${params.length})`);
+        } else if (action === 'resolve') {
+          params.push(actor.id, notes);
+          updates.push('resolved_at = CURRENT_TIMESTAMP');
+          updates.push(`resolved_by = $${params.length - 1}`);
+          updates.push(`resolution_notes = $${params.length}`);
+        } else if (action === 'reopen') {
+          updates.push('resolved_at = NULL', 'resolved_by = NULL', 'resolution_notes = NULL');
+        }
+
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+
+        await client.query(`
+          UPDATE incidents
+          SET ${updates.join(', ')}
+          WHERE id = $1
+        `, params);
+
+        const historyResult = await client.query(`
+          INSERT INTO incident_status_history (
+            incident_id, action, from_status, to_status, changed_by, notes, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+          RETURNING id, created_at
+        `, [incidentId, action, current.status, transition.to, actor.id, notes]);
+
+        // Settling or reopening an incident changes its participants' track records
+        if (['resolve', 'mark_false_report', 'reopen'].includes(action)) {
+          await this.reputationService.refreshForIncident(incidentId, client);
+        }
+
+        return {
+          id: historyResult.rows[0].id,
+          action,
+          fromStatus: current.status,
+          toStatus: transition.to,
+          changedBy: actor.id,
+          notes,
+          createdAt: historyResult.rows[0].created_at,
+        };
+      });
+
+      const updatedIncident = await this.getIncidentById(incidentId);
+
+      logger.info('IncidentService: Incident status transitioned', {
+        incidentId,
+        action,
+        fromStatus: record.fromStatus,
+        toStatus: record.toStatus,
+        userId: actor.id,
+      });
+
+      return {
+        success: true,
+        incident: updatedIncident,
+        transition: record,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'transition_incident_status',
+        incidentId,
+        action,
+        userId: actor?.id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status transition history for an incident
+   * @param {number} incidentId - Incident ID
+   * @returns {Promise<Array>} Transitions, most recent first
+   */
+  async getIncidentStatusHistory(incidentId) {
+    try {
+      const query = `
+        SELECT
+          h.id,
+          h.action,
+          h.from_status,
+          h.to_status,
+          h.notes,
+          h.created_at,
+          u.id as changed_by_id,
+          u.username as changed_by_username,
+          u.role as changed_by_role
+        FROM incident_status_history h
+        LEFT JOIN users u ON u.id = h.changed_by
+        WHERE h.incident_id = $1
+        ORDER BY h.created_at DESC, h.id DESC
+      `;
+
+      const result = await this.db.query(query, [incidentId]);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        notes: row.notes,
+        // NULL for automatic transitions made by the expiry scheduler
+        changedBy: row.changed_by_id ? {
+          id: row.changed_by_id,
+          username: row.changed_by_username,
+          role: row.changed_by_role,
+        } : null,
+        createdAt: row.created_at,
+      }));
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'get_incident_status_history',
+        incidentId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an incident type's verification thresholds and expiry policy
+   * Only the settings present in changes are written; null clears a
+   * threshold or expiry setting back to the service default.
+   * @param {number} typeId - Incident type to update
+   * @param {Object} changes - { verifyThreshold?, disputeThreshold?, autoFlagFalseReports?, expiryPolicy? }
+   * @param {number} userId - User making the change
+   * @returns {Promise<Object>} Updated incident_types row
+   */
+  async updateIncidentType(typeId, changes, userId) {
+    const { expiryPolicy = {} } = changes;
+    const columns = {
+      verify_threshold: changes.verifyThreshold,
+      dispute_threshold: changes.disputeThreshold,
+      auto_flag_false_reports: changes.autoFlagFalseReports,
+      auto_expire_hours: expiryPolicy.autoExpireHours,
+      expiry_action: expiryPolicy.action,
+      stale_after_hours: expiryPolicy.staleAfterHours,
+    };
+
+    const updates = [];
+    const params = [typeId];
+
+    for (const [column, value] of Object.entries(columns)) {
+      if (value !== undefined) {
+        params.push(value);
+        updates.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    try {
+      const result = await this.db.query(`
+        UPDATE incident_types
+        SET ${updates.join(', ')}
+        WHERE id = $1
+        RETURNING *
+      `, params);
+
+      if (result.rows.length === 0) {
+        throw new Error('Incident type not found');
+      }
+
+      logger.info('IncidentService: Incident type rules updated', {
+        typeId,
+        userId,
+        updatedFields: Object.keys(columns).filter(column => columns[column] !== undefined),
+      });
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'update_incident_type',
+        typeId,
         userId,
       });
       throw error;
@@ -889,36 +2172,135 @@ class IncidentService {
   }
 
   /**
-   * Clean up expired incidents
-   * @returns {Promise<Object>} Cleanup results
+   * Apply incident type expiry policies
+   * Run by the expiry scheduler (and the manual admin cleanup). An
+   * incident is due when its lifetime has ended or when it stayed stale
+   * for another full stale period. Due incidents are auto-resolved or
+   * expired according to their type's expiry_action; open incidents
+   * without a recent confirmation are marked stale.
+   * @returns {Promise<Object>} { cleanedCount, cleanedIncidents, expired, resolved, markedStale }
    */
   async cleanupExpiredIncidents() {
     try {
-      logger.info('IncidentService: Starting expired incident cleanup');
+      logger.info('IncidentService: Applying incident expiry policies');
+
+      const outcome = await this.db.transaction(async (client) => {
+        // Lifetime ended, or stale for a second stale period with no confirmation
+        const dueResult = await client.query(`
+          SELECT
+            i.id, i.status, i.expires_at,
+            COALESCE(it.expiry_action, 'resolve') AS expiry_action,
+            ST_X(i.location) AS longitude,
+            ST_Y(i.location) AS latitude,
+            (i.expires_at IS NULL OR i.expires_at >= CURRENT_TIMESTAMP) AS went_stale
+          FROM incidents i
+          JOIN incident_types it ON it.id = i.type_id
+          WHERE i.is_deleted = false
+            -- Settled incidents under a resolve policy stay as history
+            AND (COALESCE(it.expiry_action, 'resolve') = 'expire' OR i.status IN ('active', 'in_progress'))
+            AND (
+              (i.expires_at IS NOT NULL AND i.expires_at < CURRENT_TIMESTAMP)
+              OR (
+                i.stale_at IS NOT NULL
+                AND i.status IN ('active', 'in_progress')
+                AND i.stale_at < CURRENT_TIMESTAMP - make_interval(hours => it.stale_after_hours)
+              )
+            )
+          FOR UPDATE OF i SKIP LOCKED
+        `);
+
+        const toExpire = dueResult.rows.filter(row => row.expiry_action === 'expire');
+        const toResolve = dueResult.rows.filter(row => row.expiry_action === 'resolve');
+
+        if (toExpire.length > 0) {
+          await client.query(`
+            UPDATE incidents
+            SET
+              is_deleted = true,
+              deleted_at = CURRENT_TIMESTAMP,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($1::integer[])
+          `, [toExpire.map(row => row.id)]);
+        }
 
-      const cleanupQuery = `
-        UPDATE incidents 
-        SET 
-          is_deleted = true,
-          deleted_at = CURRENT_TIMESTAMP,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE expires_at IS NOT NULL 
-        AND expires_at < CURRENT_TIMESTAMP 
-        AND is_deleted = false
-        RETURNING id, type_id
-      `;
+        const resolved = [];
+        for (const row of toResolve) {
+          const notes = row.went_stale
+            ? 'Automatically resolved: no recent community confirmations'
+            : 'Automatically resolved: expected duration has ended';
+
+          await client.query(`
+            UPDATE incidents
+            SET
+              status = 'resolved',
+              resolved_at = CURRENT_TIMESTAMP,
+              resolution_notes = $2,
+              stale_at = NULL,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [row.id, notes]);
+
+          const historyResult = await client.query(`
+            INSERT INTO incident_status_history (
+              incident_id, action, from_status, to_status, changed_by, notes, created_at
+            ) VALUES ($1, 'resolve', $2, 'resolved', NULL, $3, CURRENT_TIMESTAMP)
+            RETURNING id, created_at
+          `, [row.id, row.status, notes]);
+
+          await this.reputationService.refreshForIncident(row.id, client);
+
+          resolved.push({
+            incidentId: row.id,
+            transition: {
+              id: historyResult.rows[0].id,
+              action: 'resolve',
+              fromStatus: row.status,
+              toStatus: 'resolved',
+              changedBy: null,
+              notes,
+              createdAt: historyResult.rows[0].created_at,
+            },
+          });
+        }
 
-      const result = await this.db.query(cleanupQuery);
-      const cleanedCount = result.rows.length;
+        // Open incidents that have gone a full stale period without a confirmation
+        const staleResult = await client.query(`
+          UPDATE incidents i
+          SET stale_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          FROM incident_types it
+          WHERE it.id = i.type_id
+            AND i.is_deleted = false
+            AND i.stale_at IS NULL
+            AND i.status IN ('active', 'in_progress')
+            AND it.stale_after_hours IS NOT NULL
+            AND COALESCE(i.last_confirmed_at, i.created_at) < CURRENT_TIMESTAMP - make_interval(hours => it.stale_after_hours)
+          RETURNING i.id
+        `);
+
+        return {
+          expired: toExpire.map(row => ({
+            incidentId: row.id,
+            location: {
+              latitude: parseFloat(row.latitude),
+              longitude: parseFloat(row.longitude),
+            },
+          })),
+          resolved,
+          markedStale: staleResult.rows.map(row => row.id),
+        };
+      });
 
-      logger.info('IncidentService: Expired incident cleanup completed', {
-        cleanedCount,
+      logger.info('IncidentService: Incident expiry policies applied', {
+        expiredCount: outcome.expired.length,
+        resolvedCount: outcome.resolved.length,
+        staleCount: outcome.markedStale.length,
       });
 
       return {
         success: true,
-        cleanedCount,
-        cleanedIncidents: result.rows.map(row => row.id),
+        cleanedCount: outcome.expired.length,
+        cleanedIncidents: outcome.expired.map(item => item.incidentId),
+        ...outcome,
       };
 
     } catch (error) {
@@ -1017,4 +2399,6 @@ class IncidentService {
   }
 }
 
+IncidentService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = IncidentService;
@@ -109,11 +109,14 @@ if (process.env.NODE_ENV !== 'test') {
   }
 }
 
+// Stream tokens travel in the query string; keep them out of the logs
+logger.redactUrl = (url) => url.replace(/([?&]token=)[^&]*/g, '$1[REDACTED]');
+
 // Helper methods for structured logging
 logger.logRequest = (req, res, responseTime) => {
   logger.http('HTTP Request', {
     method: req.method,
-    url: req.url,
+    url: logger.redactUrl(req.url),
     status: res.statusCode,
     responseTime: `${responseTime}ms`,
     ip: req.ip,
@@ -132,7 +135,7 @@ logger.logError = (error, req = null, additionalData = {}) => {
   if (req) {
     errorLog.request = {
       method: req.method,
-      url: req.url,
+      url: logger.redactUrl(req.url),
       ip: req.ip,
       userId: req.user?.id,
     };
@@ -0,0 +1,283 @@
+/**
+ * ==================================================
+ * MAILER SERVICE
+ * Templated Account Emails over a Pluggable Transport
+ * ==================================================
+ *
+ * Renders account emails (password reset, verification, security
+ * alerts) and hands them to a transport. Development and tests never
+ * need a mail server: the file transport drops .eml files that open in
+ * any mail client, and the memory transport keeps messages for
+ * assertions.
+ *
+ * TRANSPORT INTERFACE:
+ * - send(message): Deliver { from, to, subject, text, html, messageId }
+ *
+ * TRANSPORTS:
+ * - smtp: nodemailer over SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ * - file: writes one .eml file per message into MAIL_DROP_DIR
+ * - memory: keeps messages in transport.messages
+ *
+ * CONFIGURATION:
+ * - MAIL_TRANSPORT: 'smtp' | 'file' | 'memory' (defaults to memory in tests, file otherwise)
+ * - EMAIL_FROM: Sender address
+ * - FRONTEND_URL: Base URL for links in emails
+ *
+ * DEPENDENCIES:
+ * - nodemailer: SMTP transport (loaded only when MAIL_TRANSPORT=smtp)
+ * - Email Templates: Subjects and bodies
+ * - Logger: Delivery logging
+ *
+ * USAGE:
+ * const { mailer } = require('./services/mailer');
+ * await mailer.send(user.email, 'password-reset', { user, resetUrl, expiresAt });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { renderEmail } = require('./email-templates');
+const logger = require('./logger');
+
+const DEFAULT_FROM = 'noreply@gis-net.local';
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not ASCII
+ * @private
+ */
+const encodeHeader = (value) => (
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+);
+
+/**
+ * Base64 body wrapped at 76 characters per line
+ * @private
+ */
+const encodeBody = (value) => Buffer.from(value, 'utf8')
+  .toString('base64')
+  .replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Build a raw multipart/alternative RFC 5322 message
+ * @param {Object} message - { from, to, subject, text, html, messageId, date? }
+ * @returns {string} Message source with CRLF line endings
+ */
+const buildRawMessage = (message) => {
+  const boundary = `gisnet-${crypto.randomBytes(12).toString('hex')}`;
+
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${(message.date || new Date()).toUTCString()}`,
+    `Message-ID: ${message.messageId}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(message.text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(message.html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+};
+
+/**
+ * SMTP delivery through nodemailer
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    let nodemailer;
+    try {
+      nodemailer = require('nodemailer');
+    } catch (error) {
+      throw new Error('MAIL_TRANSPORT=smtp requires the nodemailer package');
+    }
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+      secure: String(options.secure ?? process.env.SMTP_SECURE) === 'true',
+      auth: (options.user || process.env.SMTP_USER) ? {
+        user: options.user || process.env.SMTP_USER,
+        pass: options.pass || process.env.SMTP_PASS,
+      } : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      messageId: message.messageId,
+    });
+
+    return { messageId: info.messageId || message.messageId };
+  }
+}
+
+/**
+ * Writes each message as an .eml file for local development
+ */
+class FileDropTransport {
+  constructor(dropDir = process.env.MAIL_DROP_DIR || 'mail-drop/') {
+    this.name = 'file';
+    this.dropDir = path.resolve(dropDir);
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dropDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(this.dropDir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.promises.writeFile(filePath, buildRawMessage(message));
+
+    return { messageId: message.messageId, path: filePath };
+  }
+}
+
+/**
+ * Keeps messages in memory for tests
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push({ ...message, raw: buildRawMessage(message) });
+    return { messageId: message.messageId };
+  }
+
+  /**
+   * Messages sent to an address, oldest first
+   * @param {string} to - Recipient address
+   * @returns {Array<Object>} Messages
+   */
+  messagesTo(to) {
+    return this.messages.filter(message => message.to === to);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Create the transport selected by configuration
+ * @param {Object} options - { type, ...transport options }
+ * @returns {SmtpTransport|FileDropTransport|MemoryTransport} Transport
+ */
+const createMailTransport = (options = {}) => {
+  const type = options.type
+    || process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+  switch (type) {
+    case 'smtp':
+      return new SmtpTransport(options);
+    case 'file':
+      return new FileDropTransport(options.dropDir);
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+class Mailer {
+  constructor(transport = null) {
+    this.transport = transport;
+    this.from = process.env.EMAIL_FROM || DEFAULT_FROM;
+    this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  }
+
+  /**
+   * Transport in use, created from configuration on first use
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Link into the frontend for email buttons
+   * @param {string} pathname - Frontend path, e.g. '/reset-password'
+   * @param {Object} params - Query parameters
+   * @returns {string} Absolute URL
+   */
+  link(pathname, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return `${this.frontendUrl}${pathname}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Render and send a templated email
+   * Never throws: a mail problem must not fail the account operation
+   * that triggered it.
+   * @param {string} to - Recipient address
+   * @param {string} template - Template name from email-templates
+   * @param {Object} data - Template data
+   * @returns {Promise<boolean>} Whether the message was handed to the transport
+   */
+  async send(to, template, data) {
+    try {
+      const { subject, text, html } = renderEmail(template, data);
+      const domain = this.from.split('@')[1] || 'gis-net.local';
+
+      const result = await this.getTransport().send({
+        from: this.from,
+        to,
+        subject,
+        text,
+        html,
+        messageId: `<${crypto.randomUUID()}@${domain}>`,
+      });
+
+      logger.info('Mailer: Email sent', {
+        template,
+        transport: this.getTransport().name,
+        messageId: result.messageId,
+      });
+
+      return true;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'mailer_send',
+        template,
+      });
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const mailer = new Mailer();
+
+module.exports = {
+  Mailer,
+  mailer,
+  createMailTransport,
+  buildRawMessage,
+  SmtpTransport,
+  FileDropTransport,
+  MemoryTransport,
+};
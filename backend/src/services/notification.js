@@ -0,0 +1,316 @@
+/**
+ * ==================================================
+ * NOTIFICATION SERVICE
+ * Stored In-App Notifications
+ * ==================================================
+ *
+ * Stores user notifications and pushes them to connected clients, so
+ * users who were offline when something happened still see it.
+ *
+ * FEATURES:
+ * - Persists notifications in the notifications table
+ * - Live delivery through the user's Socket.IO room
+ * - Read/unread state, mark all read and deletion
+ * - Per-user opt-outs by notification type
+ * - Unread count kept in sync across a user's open clients
+ *
+ * DEPENDENCIES:
+ * - Database Connection: PostgreSQL access
+ * - SocketIOHandler: Live delivery (sendUserNotification)
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const notificationService = new NotificationService();
+ * await notificationService.notify(userId, { type, incidentId, message });
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+const { socketIOHandler } = require('./socket');
+
+/**
+ * Notification types users can turn off, with their settings labels
+ */
+const NOTIFICATION_TYPES = {
+  watch_zone_alert: 'Incidents in my watch zones',
+  comment_mention: 'Mentions in comments',
+  comment_reply: 'Replies to my comments',
+  incident_status_change: 'Status changes on my reports',
+  incident_updated_by_other: 'Edits to my reports by others',
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+class NotificationService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Store a notification and push it to the user if connected
+   * Fields other than type, message and incidentId are kept in data.
+   * Nothing is sent when the user has turned the type off.
+   * @param {number} userId - Recipient
+   * @param {Object} notification - { type, message, incidentId, ...data }
+   * @returns {Promise<Object|null>} Stored notification, or null if muted
+   */
+  async notify(userId, notification) {
+    const { type, message, incidentId = null, ...data } = notification;
+
+    try {
+      const result = await this.db.query(`
+        INSERT INTO notifications (user_id, type, message, incident_id, data, created_at)
+        SELECT $1::integer, $2::text, $3::text, $4::integer, $5::jsonb, CURRENT_TIMESTAMP
+        WHERE NOT EXISTS (
+          SELECT 1 FROM notification_preferences
+          WHERE user_id = $1 AND $2 = ANY(disabled_types)
+        )
+        RETURNING id, type, message, incident_id, data, read_at, created_at
+      `, [userId, type, message, incidentId, JSON.stringify(data)]);
+
+      if (result.rows.length === 0) {
+        logger.debug('NotificationService: Notification muted by user preference', {
+          userId,
+          type,
+        });
+        return null;
+      }
+
+      const stored = NotificationService.formatNotification(result.rows[0]);
+      const unreadCount = await this.getUnreadCount(userId);
+
+      socketIOHandler.sendUserNotification(userId, {
+        ...notification,
+        notificationId: stored.id,
+        unreadCount,
+      });
+
+      logger.debug('NotificationService: Notification sent', {
+        userId,
+        notificationId: stored.id,
+        type,
+      });
+
+      return stored;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'send_notification',
+        userId,
+        type,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {number} userId - Owner
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Object>} { notifications, total, unreadCount }
+   */
+  async listNotifications(userId, options = {}) {
+    const { unreadOnly = false, limit = DEFAULT_PAGE_SIZE, offset = 0 } = options;
+
+    const unreadFilter = unreadOnly ? 'AND read_at IS NULL' : '';
+
+    const [listResult, countResult] = await Promise.all([
+      this.db.query(`
+        SELECT id, type, message, incident_id, data, read_at, created_at
+        FROM notifications
+        WHERE user_id = $1 ${unreadFilter}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2 OFFSET $3
+      `, [userId, limit, offset]),
+      this.db.query(`
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE read_at IS NULL)::int AS unread
+        FROM notifications
+        WHERE user_id = $1
+      `, [userId]),
+    ]);
+
+    return {
+      notifications: listResult.rows.map(NotificationService.formatNotification),
+      total: unreadOnly ? countResult.rows[0].unread : countResult.rows[0].total,
+      unreadCount: countResult.rows[0].unread,
+    };
+  }
+
+  /**
+   * Number of unread notifications
+   * @param {number} userId - Owner
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(userId) {
+    const result = await this.db.query(
+      'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    return result.rows[0].count;
+  }
+
+  /**
+   * Mark one notification read
+   * @param {number} notificationId - Notification ID
+   * @param {number} userId - Owner
+   * @returns {Promise<Object>} { notification, unreadCount }
+   */
+  async markRead(notificationId, userId) {
+    const result = await this.db.query(`
+      UPDATE notifications
+      SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, type, message, incident_id, data, read_at, created_at
+    `, [notificationId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Notification not found');
+    }
+
+    const unreadCount = await this.getUnreadCount(userId);
+    socketIOHandler.sendNotificationState(userId, { readIds: [notificationId], unreadCount });
+
+    return {
+      notification: NotificationService.formatNotification(result.rows[0]),
+      unreadCount,
+    };
+  }
+
+  /**
+   * Mark every unread notification read
+   * @param {number} userId - Owner
+   * @returns {Promise<Object>} { updatedCount, unreadCount }
+   */
+  async markAllRead(userId) {
+    const result = await this.db.query(`
+      UPDATE notifications
+      SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL
+    `, [userId]);
+
+    socketIOHandler.sendNotificationState(userId, { allRead: true, unreadCount: 0 });
+
+    logger.debug('NotificationService: All notifications marked read', {
+      userId,
+      updatedCount: result.rowCount,
+    });
+
+    return { updatedCount: result.rowCount, unreadCount: 0 };
+  }
+
+  /**
+   * Delete a notification
+   * @param {number} notificationId - Notification ID
+   * @param {number} userId - Owner
+   * @returns {Promise<Object>} { notificationId, unreadCount }
+   */
+  async deleteNotification(notificationId, userId) {
+    const result = await this.db.query(
+      'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id',
+      [notificationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Notification not found');
+    }
+
+    const unreadCount = await this.getUnreadCount(userId);
+    socketIOHandler.sendNotificationState(userId, { deletedId: notificationId, unreadCount });
+
+    return { notificationId, unreadCount };
+  }
+
+  /**
+   * Get a user's notification preferences
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { types: [{ type, label, enabled }] }
+   */
+  async getPreferences(userId) {
+    const result = await this.db.query(
+      'SELECT disabled_types FROM notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+
+    return NotificationService.formatPreferences(result.rows[0]?.disabled_types || []);
+  }
+
+  /**
+   * Turn notification types on or off
+   * Types not mentioned keep their current setting.
+   * @param {number} userId - User ID
+   * @param {Object} types - { [type]: enabled }
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(userId, types) {
+    const unknownTypes = Object.keys(types).filter(type => !NOTIFICATION_TYPES[type]);
+    if (unknownTypes.length > 0) {
+      throw new Error(`Unknown notification type: ${unknownTypes.join(', ')}`);
+    }
+
+    const current = await this.db.query(
+      'SELECT disabled_types FROM notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+    const disabled = new Set(current.rows[0]?.disabled_types || []);
+
+    for (const [type, enabled] of Object.entries(types)) {
+      if (enabled) {
+        disabled.delete(type);
+      } else {
+        disabled.add(type);
+      }
+    }
+
+    await this.db.query(`
+      INSERT INTO notification_preferences (user_id, disabled_types, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) DO UPDATE
+      SET disabled_types = EXCLUDED.disabled_types, updated_at = CURRENT_TIMESTAMP
+    `, [userId, [...disabled]]);
+
+    logger.info('NotificationService: Preferences updated', {
+      userId,
+      disabledTypes: [...disabled],
+    });
+
+    return NotificationService.formatPreferences([...disabled]);
+  }
+
+  /**
+   * Shape a notifications row for API responses
+   * @private
+   */
+  static formatNotification(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      message: row.message,
+      incidentId: row.incident_id,
+      data: row.data || {},
+      read: Boolean(row.read_at),
+      readAt: row.read_at,
+      createdAt: row.created_at,
+    };
+  }
+
+  /**
+   * Every known type with its label and on/off state
+   * @private
+   */
+  static formatPreferences(disabledTypes) {
+    return {
+      types: Object.entries(NOTIFICATION_TYPES).map(([type, label]) => ({
+        type,
+        label,
+        enabled: !disabledTypes.includes(type),
+      })),
+    };
+  }
+}
+
+NotificationService.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = NotificationService;
@@ -0,0 +1,215 @@
+/**
+ * ==================================================
+ * PERMISSION SERVICE
+ * Named Permissions & Role Bundles
+ * ==================================================
+ *
+ * Access checks ask whether a user's role holds a named permission
+ * (verify, resolve, delete-any, ...) rather than comparing role names.
+ * Each role's bundle lives in role_permissions, so admins can change
+ * what moderators and users may do at runtime.
+ *
+ * FEATURES:
+ * - Fixed set of named permissions with descriptions for the admin UI
+ * - Role bundles cached in memory and re-read every 30 seconds, so
+ *   edits made on another instance apply shortly after
+ * - Admin always holds every permission; its bundle cannot be edited
+ *
+ * DEPENDENCIES:
+ * - Database connection: role_permissions
+ * - Logger service: Operation logging
+ *
+ * USAGE:
+ * const permissionService = require('./services/permission');
+ * const { PERMISSIONS } = permissionService.PermissionService;
+ * if (await permissionService.hasPermission(req.user, PERMISSIONS.DELETE_ANY)) { ... }
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+
+const PERMISSIONS = {
+  VERIFY: 'verify',
+  RESOLVE: 'resolve',
+  DELETE_ANY: 'delete-any',
+  VIEW_INTERNAL_NOTES: 'view-internal-notes',
+  EXPORT: 'export',
+  MANAGE_USERS: 'manage-users',
+  MANAGE_TYPES: 'manage-types',
+  IMPORT: 'import',
+  VIEW_ANALYTICS: 'view-analytics',
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.VERIFY]: 'Acknowledge, start work on, mark false and merge incidents',
+  [PERMISSIONS.RESOLVE]: 'Resolve or reopen any incident',
+  [PERMISSIONS.DELETE_ANY]: 'Edit or delete any incident, comment or attachment',
+  [PERMISSIONS.VIEW_INTERNAL_NOTES]: 'Read and write internal moderator notes',
+  [PERMISSIONS.EXPORT]: 'Download incident exports',
+  [PERMISSIONS.MANAGE_USERS]: 'List users and change their role or status',
+  [PERMISSIONS.MANAGE_TYPES]: 'Change incident type rules and run expiry',
+  [PERMISSIONS.IMPORT]: 'Bulk import incidents',
+  [PERMISSIONS.VIEW_ANALYTICS]: 'Predictive models and analysis service metrics',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Holds every permission regardless of what is stored
+const LOCKED_ROLE = 'admin';
+
+const CACHE_TTL_MS = 30 * 1000;
+
+class PermissionService {
+  constructor() {
+    this.bundles = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Whether a user or role holds a permission
+   * @param {Object|string} userOrRole - User ({ role }) or role name
+   * @param {string} permission - One of PERMISSIONS
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(userOrRole, permission) {
+    const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+    const permissions = await this.permissionsFor(role);
+
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Permissions held by a role
+   * @param {string} role - Role name
+   * @returns {Promise<Array<string>>} Permission names (empty for unknown roles)
+   */
+  async permissionsFor(role) {
+    if (role === LOCKED_ROLE) {
+      return [...ALL_PERMISSIONS];
+    }
+
+    const bundles = await this.getBundles();
+    return bundles.get(role)?.permissions || [];
+  }
+
+  /**
+   * Roles whose bundle includes a permission
+   * @param {string} permission - One of PERMISSIONS
+   * @returns {Promise<Array<string>>} Role names
+   */
+  async rolesWith(permission) {
+    const bundles = await this.getBundles();
+
+    return [...bundles.keys()].filter(role => (
+      role === LOCKED_ROLE || bundles.get(role).permissions.includes(permission)
+    ));
+  }
+
+  /**
+   * Every role bundle for the admin API
+   * @returns {Promise<Array>} Roles with permissions and a locked flag
+   */
+  async listRoles() {
+    const bundles = await this.getBundles(true);
+
+    return [...bundles.values()].map(bundle => this.formatRole(bundle));
+  }
+
+  /**
+   * Replaces a role's permissions
+   * @param {string} role - Role to edit (not admin)
+   * @param {Array<string>} permissions - New bundle
+   * @param {number} updatedBy - Admin making the change
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(role, permissions, updatedBy) {
+    if (role === LOCKED_ROLE) {
+      throw new Error('The admin role always has every permission and cannot be edited');
+    }
+
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+    }
+
+    const result = await db.query(`
+      UPDATE role_permissions
+      SET permissions = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE role = $1
+      RETURNING *
+    `, [role, [...new Set(permissions)], updatedBy]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Role not found');
+    }
+
+    this.invalidate();
+
+    logger.info(`🛂 Permissions for role ${role} updated`, {
+      role,
+      permissions: result.rows[0].permissions,
+      updatedBy,
+    });
+
+    return this.formatRole(result.rows[0]);
+  }
+
+  /**
+   * Drops the cached bundles so the next check re-reads them
+   */
+  invalidate() {
+    this.bundles = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Role bundles keyed by role, read from the database when stale
+   * @private
+   */
+  async getBundles(forceRefresh = false) {
+    if (!forceRefresh && this.bundles && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.bundles;
+    }
+
+    // Concurrent checks share one query
+    if (!this.loading) {
+      this.loading = db.query('SELECT * FROM role_permissions ORDER BY role')
+        .then((result) => {
+          this.bundles = new Map(result.rows.map(row => [row.role, row]));
+          this.loadedAt = Date.now();
+          return this.bundles;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * API representation of a role_permissions row
+   * @private
+   */
+  formatRole(row) {
+    const locked = row.role === LOCKED_ROLE;
+
+    return {
+      role: row.role,
+      description: row.description,
+      permissions: locked ? [...ALL_PERMISSIONS] : row.permissions,
+      locked,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+PermissionService.PERMISSIONS = PERMISSIONS;
+PermissionService.PERMISSION_DESCRIPTIONS = PERMISSION_DESCRIPTIONS;
+
+// Create singleton instance
+const permissionService = new PermissionService();
+
+module.exports = permissionService;
+module.exports.PermissionService = PermissionService;
@@ -0,0 +1,202 @@
+/**
+ * ==================================================
+ * REPUTATION SERVICE
+ * Reporter Track Records and Vote Weights
+ * ==================================================
+ *
+ * Reputation is a 0-100 score built from how a user's settled
+ * reports and verification votes turned out. It sets the weight of
+ * the user's confirm/dispute votes on other incidents.
+ *
+ * OUTCOMES (settled incidents only: resolved, false_report or verified):
+ * - Report upheld (+1) / report flagged as false (-2)
+ * - Confirm on an upheld incident, dispute on a false report (+1)
+ * - Confirm on a false report, dispute on an upheld incident (-1)
+ *
+ * SCORING:
+ * score = 100 * (positive + prior) / (positive + negative + 2 * prior)
+ * New users start at 50; the prior keeps a few outcomes from swinging
+ * the score to the extremes.
+ *
+ * VOTE WEIGHTS:
+ * - Roles holding the verify permission: STAFF_VOTE_WEIGHT
+ * - Other users: score / 50, clamped to [0.25, 2]
+ *
+ * DEPENDENCIES:
+ * - Database Connection: PostgreSQL access
+ * - Logger: Operation logging
+ * - Permission Service: Which roles vote with staff weight
+ *
+ * USAGE:
+ * const reputationService = new ReputationService();
+ * const weight = await reputationService.getVoteWeight(user);
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+const permissionService = require('./permission');
+
+const { PERMISSIONS } = permissionService.PermissionService;
+
+const NEUTRAL_SCORE = 50;
+const REPUTATION_PRIOR = parseInt(process.env.REPUTATION_PRIOR, 10) || 5;
+const STAFF_VOTE_WEIGHT = parseFloat(process.env.STAFF_VOTE_WEIGHT) || 3;
+const MIN_VOTE_WEIGHT = 0.25;
+const MAX_VOTE_WEIGHT = 2;
+const FALSE_REPORT_PENALTY = 2;
+
+// Per-user outcome counts over settled, non-merged incidents
+const OUTCOME_QUERY = `
+  WITH settled AS (
+    SELECT id, reported_by, status = 'false_report' AS is_false
+    FROM incidents
+    WHERE is_deleted = false
+      AND (status IN ('resolved', 'false_report') OR verified = true)
+  )
+  SELECT
+    u.id AS user_id,
+    (SELECT COUNT(*) FROM settled s WHERE s.reported_by = u.id AND NOT s.is_false)::int AS reports_upheld,
+    (SELECT COUNT(*) FROM settled s WHERE s.reported_by = u.id AND s.is_false)::int AS reports_false,
+    (
+      SELECT COUNT(*) FROM incident_reports r JOIN settled s ON s.id = r.incident_id
+      WHERE r.reported_by = u.id AND s.reported_by != u.id
+        AND ((r.report_type = 'confirm' AND NOT s.is_false)
+          OR (r.report_type IN ('dispute', 'spam') AND s.is_false))
+    )::int AS votes_correct,
+    (
+      SELECT COUNT(*) FROM incident_reports r JOIN settled s ON s.id = r.incident_id
+      WHERE r.reported_by = u.id AND s.reported_by != u.id
+        AND ((r.report_type = 'confirm' AND s.is_false)
+          OR (r.report_type IN ('dispute', 'spam') AND NOT s.is_false))
+    )::int AS votes_wrong
+  FROM users u
+  WHERE u.id = ANY($1::integer[])
+`;
+
+class ReputationService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Reputation score from outcome counts
+   * @param {Object} outcomes - { reportsUpheld, reportsFalse, votesCorrect, votesWrong }
+   * @returns {number} Score 0-100
+   */
+  static calculateScore(outcomes) {
+    const positive = outcomes.reportsUpheld + outcomes.votesCorrect;
+    const negative = outcomes.reportsFalse * FALSE_REPORT_PENALTY + outcomes.votesWrong;
+
+    return Math.round(100 * (positive + REPUTATION_PRIOR) / (positive + negative + 2 * REPUTATION_PRIOR));
+  }
+
+  /**
+   * Weight of a user's verification vote
+   * @param {Object} user - Voter ({ role, reputation_score })
+   * @returns {Promise<number>} Vote weight
+   */
+  async getVoteWeight(user) {
+    if (await permissionService.hasPermission(user, PERMISSIONS.VERIFY)) {
+      return STAFF_VOTE_WEIGHT;
+    }
+
+    const score = user.reputation_score ?? NEUTRAL_SCORE;
+    const weight = Math.min(MAX_VOTE_WEIGHT, Math.max(MIN_VOTE_WEIGHT, score / NEUTRAL_SCORE));
+
+    return Math.round(weight * 100) / 100;
+  }
+
+  /**
+   * Recalculate and store reputation for users
+   * @param {Array<number>} userIds - Users to refresh
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Map<number, Object>>} userId -> reputation
+   */
+  async refreshReputation(userIds, client = this.db) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const reputations = new Map();
+    if (ids.length === 0) return reputations;
+
+    try {
+      const result = await client.query(OUTCOME_QUERY, [ids]);
+
+      for (const row of result.rows) {
+        const reputation = ReputationService.formatReputation(row);
+        reputations.set(row.user_id, reputation);
+
+        await client.query(`
+          UPDATE users
+          SET reputation_score = $2, reputation_updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [row.user_id, reputation.score]);
+      }
+
+      logger.debug('ReputationService: Reputation refreshed', {
+        userCount: reputations.size,
+      });
+
+      return reputations;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'refresh_reputation',
+        userIds: ids,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the reporter and every voter of an incident
+   * Called whenever an incident's outcome changes.
+   * @param {number} incidentId - Incident ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Map<number, Object>>} userId -> reputation
+   */
+  async refreshForIncident(incidentId, client = this.db) {
+    const result = await client.query(`
+      SELECT reported_by AS user_id FROM incidents WHERE id = $1
+      UNION
+      SELECT reported_by AS user_id FROM incident_reports WHERE incident_id = $1
+    `, [incidentId]);
+
+    return this.refreshReputation(result.rows.map(row => row.user_id), client);
+  }
+
+  /**
+   * Get a user's reputation with its breakdown
+   * @param {Object} user - User ({ id, role })
+   * @returns {Promise<Object>} { score, voteWeight, reportsUpheld, reportsFalse, votesCorrect, votesWrong }
+   */
+  async getReputation(user) {
+    const result = await this.db.query(OUTCOME_QUERY, [[user.id]]);
+    const reputation = ReputationService.formatReputation(result.rows[0]);
+
+    return {
+      ...reputation,
+      voteWeight: this.getVoteWeight({ role: user.role, reputation_score: reputation.score }),
+    };
+  }
+
+  /**
+   * Shape outcome counts into a reputation summary
+   * @private
+   */
+  static formatReputation(row) {
+    const outcomes = {
+      reportsUpheld: row?.reports_upheld || 0,
+      reportsFalse: row?.reports_false || 0,
+      votesCorrect: row?.votes_correct || 0,
+      votesWrong: row?.votes_wrong || 0,
+    };
+
+    return {
+      score: ReputationService.calculateScore(outcomes),
+      ...outcomes,
+    };
+  }
+}
+
+ReputationService.NEUTRAL_SCORE = NEUTRAL_SCORE;
+
+module.exports = ReputationService;
@@ -0,0 +1,156 @@
+/**
+ * ==================================================
+ * EXPIRY SCHEDULER
+ * In-Process Incident Expiry and Auto-Resolution
+ * ==================================================
+ *
+ * Periodically applies the per-type incident expiry policies so
+ * incidents no longer linger until an admin runs the cleanup by hand.
+ *
+ * FEATURES:
+ * - Auto-resolves or expires incidents whose lifetime has ended
+ * - Marks incidents stale when they go unconfirmed for too long
+ * - Broadcasts every change to connected Socket.IO clients
+ * - Skips a tick while the previous run is still in progress
+ *
+ * CONFIGURATION:
+ * - ENABLE_EXPIRY_SCHEDULER: set to 'false' to disable
+ * - EXPIRY_SCHEDULER_INTERVAL_MINUTES: run interval (default 5)
+ *
+ * DEPENDENCIES:
+ * - IncidentService: Expiry policy queries
+ * - SocketIOHandler: Real-time broadcasts
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const { expiryScheduler } = require('./services/scheduler');
+ * expiryScheduler.start();
+ */
+
+const IncidentService = require('./incident');
+const { socketIOHandler } = require('./socket');
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Broadcast identity for changes made by the scheduler
+const SYSTEM_ACTOR = { id: null, username: 'system' };
+
+class ExpiryScheduler {
+  constructor(incidentService = new IncidentService()) {
+    this.incidentService = incidentService;
+    this.intervalMs = (parseInt(process.env.EXPIRY_SCHEDULER_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the periodic run
+   * @returns {boolean} Whether the scheduler was started
+   */
+  start() {
+    if (this.timer) return true;
+
+    if (process.env.ENABLE_EXPIRY_SCHEDULER === 'false') {
+      logger.info('ExpiryScheduler: Disabled by configuration');
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {
+        // Already logged; the next tick retries
+      });
+    }, this.intervalMs);
+
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+
+    logger.info('ExpiryScheduler: Started', {
+      intervalMinutes: this.intervalMs / 60000,
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop the periodic run
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('ExpiryScheduler: Stopped');
+    }
+  }
+
+  /**
+   * Apply expiry policies once and broadcast the results
+   * Concurrent callers share the run already in progress.
+   * @returns {Promise<Object>} Expiry results from IncidentService
+   */
+  async runOnce() {
+    if (!this.running) {
+      this.running = this.execute().finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * @private
+   */
+  async execute() {
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.incidentService.cleanupExpiredIncidents();
+
+      for (const { incidentId, location } of result.expired) {
+        socketIOHandler.broadcastIncidentDeleted(incidentId, location, SYSTEM_ACTOR);
+      }
+
+      for (const { incidentId, transition } of result.resolved) {
+        const incident = await this.incidentService.getIncidentById(incidentId);
+        if (incident) {
+          socketIOHandler.broadcastIncidentStatusChanged(incident, transition, SYSTEM_ACTOR);
+        }
+      }
+
+      for (const incidentId of result.markedStale) {
+        const incident = await this.incidentService.getIncidentById(incidentId);
+        if (incident) {
+          socketIOHandler.broadcastIncidentUpdated(incident, SYSTEM_ACTOR);
+        }
+      }
+
+      this.lastRun = {
+        finishedAt: new Date(),
+        durationMs: Date.now() - startedAt,
+        expiredCount: result.expired.length,
+        resolvedCount: result.resolved.length,
+        staleCount: result.markedStale.length,
+      };
+
+      logger.debug('ExpiryScheduler: Run completed', this.lastRun);
+
+      return result;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'expiry_scheduler_run',
+      });
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const expiryScheduler = new ExpiryScheduler();
+
+module.exports = {
+  ExpiryScheduler,
+  expiryScheduler,
+};
@@ -0,0 +1,281 @@
+/**
+ * ==================================================
+ * USER SESSION SERVICE
+ * Sign-In Sessions, Device Tracking & Remote Sign-Out
+ * ==================================================
+ *
+ * Every sign-in creates a user_sessions row holding its device, IP
+ * and user agent. The session's refresh token and access tokens all
+ * reference it, so a user can see where they are signed in and end
+ * any of those sessions from elsewhere.
+ *
+ * FEATURES:
+ * - Session records created alongside each refresh token
+ * - Readable device labels ("Firefox on Windows") from the user agent
+ * - Last activity tracking, written at most once a minute per session
+ * - Revoke one session, every other session, or all of them; revoked
+ *   sessions lose their refresh tokens and their access tokens stop
+ *   verifying straight away
+ *
+ * DEPENDENCIES:
+ * - Database connection: user_sessions and user_refresh_tokens
+ * - Logger service: Operation logging
+ *
+ * Open sockets on a revoked session are closed by the caller through
+ * the Socket.IO handler (disconnectSessions), which keeps this service
+ * free of the real-time layer.
+ *
+ * USAGE:
+ * const sessionService = require('./services/session');
+ * const sessions = await sessionService.listActiveSessions(userId);
+ * const revoked = await sessionService.revokeOtherSessions(userId, currentSessionId);
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+
+// Checked in order; the first match names the browser or OS
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+];
+
+const OS_PATTERNS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+// Reasons recorded on revoked sessions
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  SIGNED_OUT_ELSEWHERE: 'signed_out_elsewhere',
+  PASSWORD_RESET: 'password_reset',
+  TWO_FACTOR_REQUIRED: 'two_factor_required',
+  SECURITY: 'security',
+};
+
+class SessionService {
+  /**
+   * Records a new sign-in session
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session ID carried by the session's tokens
+   * @param {Object} details - { clientIP, userAgent, expiresAt }
+   * @returns {Promise<Object>} Created session
+   */
+  async createSession(userId, sessionId, { clientIP, userAgent, expiresAt }) {
+    const result = await db.query(`
+      INSERT INTO user_sessions (user_id, session_id, client_ip, user_agent, device, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      userId,
+      sessionId,
+      clientIP || null,
+      userAgent || null,
+      SessionService.describeDevice(userAgent),
+      expiresAt,
+    ]);
+
+    logger.debug(`🖥️ Session started for user ${userId}`, {
+      userId,
+      sessionId,
+      device: result.rows[0].device,
+    });
+
+    return this.formatSession(result.rows[0]);
+  }
+
+  /**
+   * Whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if active and unexpired
+   */
+  async isActive(sessionId) {
+    const result = await db.query(`
+      SELECT 1 FROM user_sessions
+      WHERE session_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
+    `, [sessionId]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Records activity on a session
+   * Skipped when the last write was under a minute ago, since this runs
+   * on every authenticated request.
+   * @param {string} sessionId - Session ID
+   * @param {string} [clientIP] - Latest client IP
+   */
+  async touch(sessionId, clientIP = null) {
+    await db.query(`
+      UPDATE user_sessions
+      SET last_activity = CURRENT_TIMESTAMP, client_ip = COALESCE($2, client_ip)
+      WHERE session_id = $1
+        AND is_active = true
+        AND last_activity < CURRENT_TIMESTAMP - INTERVAL '1 minute'
+    `, [sessionId, clientIP]);
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async listActiveSessions(userId) {
+    const result = await db.query(`
+      SELECT * FROM user_sessions
+      WHERE user_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_activity DESC
+    `, [userId]);
+
+    return result.rows.map(row => this.formatSession(row));
+  }
+
+  /**
+   * Ends one of a user's sessions
+   * @param {number} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @param {string} [reason] - One of REVOKE_REASONS
+   * @returns {Promise<boolean>} False if no such active session
+   */
+  async revokeSession(userId, sessionId, reason = REVOKE_REASONS.REVOKED) {
+    const revoked = await this.revokeWhere(
+      'user_id = $1 AND session_id = $2',
+      [userId, sessionId],
+      reason
+    );
+
+    return revoked.length > 0;
+  }
+
+  /**
+   * Ends every session of a user except one
+   * @param {number} userId - User ID
+   * @param {string} keepSessionId - Session to leave signed in
+   * @param {string} [reason] - One of REVOKE_REASONS
+   * @returns {Promise<Array<string>>} Revoked session IDs
+   */
+  async revokeOtherSessions(userId, keepSessionId, reason = REVOKE_REASONS.SIGNED_OUT_ELSEWHERE) {
+    return this.revokeWhere(
+      'user_id = $1 AND session_id <> $2',
+      [userId, keepSessionId],
+      reason
+    );
+  }
+
+  /**
+   * Ends every session of a user
+   * @param {number} userId - User ID
+   * @param {string} [reason] - One of REVOKE_REASONS
+   * @returns {Promise<Array<string>>} Revoked session IDs
+   */
+  async revokeAllSessions(userId, reason = REVOKE_REASONS.SECURITY) {
+    return db.transaction(async (client) => {
+      const revoked = await this.revokeWhere('user_id = $1', [userId], reason, client);
+
+      // Includes any refresh token issued without a session
+      await client.query('DELETE FROM user_refresh_tokens WHERE user_id = $1', [userId]);
+
+      return revoked;
+    });
+  }
+
+  /**
+   * Marks matching active sessions revoked and deletes their refresh tokens
+   * @private
+   */
+  async revokeWhere(condition, params, reason, client = null) {
+    const run = async (conn) => {
+      const result = await conn.query(`
+        UPDATE user_sessions
+        SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $${params.length + 1}
+        WHERE ${condition} AND is_active = true
+        RETURNING session_id
+      `, [...params, reason]);
+
+      const sessionIds = result.rows.map(row => row.session_id);
+
+      if (sessionIds.length > 0) {
+        await conn.query(
+          'DELETE FROM user_refresh_tokens WHERE session_id = ANY($1::varchar[])',
+          [sessionIds]
+        );
+      }
+
+      return sessionIds;
+    };
+
+    const sessionIds = client ? await run(client) : await db.transaction(run);
+
+    if (sessionIds.length > 0) {
+      logger.info(`🚪 ${sessionIds.length} session(s) revoked for user ${params[0]}`, {
+        userId: params[0],
+        reason,
+        sessionIds,
+      });
+    }
+
+    return sessionIds;
+  }
+
+  /**
+   * API representation of a session row
+   * @private
+   */
+  formatSession(row) {
+    return {
+      id: row.session_id,
+      device: row.device || SessionService.describeDevice(row.user_agent),
+      clientIP: row.client_ip,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      lastActivity: row.last_activity,
+      expiresAt: row.expires_at,
+    };
+  }
+
+  // ==============================================
+  // STATIC HELPERS
+  // ==============================================
+
+  /**
+   * Short device label from a user agent
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} e.g. "Chrome on macOS"
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) {
+      return userAgent.substring(0, 100);
+    }
+
+    if (!browser) {
+      return os[0];
+    }
+
+    return os ? `${browser[0]} on ${os[0]}` : browser[0];
+  }
+}
+
+SessionService.REVOKE_REASONS = REVOKE_REASONS;
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
+module.exports.SessionService = SessionService;
@@ -0,0 +1,399 @@
+/**
+ * ==================================================
+ * SOCKET.IO CLUSTER ADAPTERS
+ * Cross-Instance Broadcasting for Horizontal Scaling
+ * ==================================================
+ *
+ * Socket.IO's default adapter only reaches sockets connected to the
+ * current process. When more than one backend instance runs behind a
+ * load balancer, room broadcasts, per-user notifications and presence
+ * queries must travel between instances through a shared bus.
+ *
+ * ADAPTERS (SOCKET_ADAPTER):
+ * - memory: Single instance (default)
+ * - postgres: LISTEN/NOTIFY on the existing database, no extra services
+ * - redis: @socket.io/redis-adapter (install @socket.io/redis-adapter and redis)
+ *
+ * POSTGRES ADAPTER:
+ * - One LISTEN connection per process, shared by all namespaces
+ * - A lost LISTEN connection is reopened with exponential backoff;
+ *   messages sent while it was down are missed, and heartbeats bring
+ *   the instance list back up to date
+ * - Payloads above the NOTIFY size limit are stored in
+ *   socket_io_attachments and sent by reference
+ * - Heartbeats track the other instances for serverCount() and
+ *   cluster-wide fetchSockets()
+ *
+ * DEPENDENCIES:
+ * - pg: LISTEN client and NOTIFY publishing
+ * - socket.io-adapter: ClusterAdapterWithHeartbeat base class
+ * - Logger: Adapter logging
+ *
+ * USAGE:
+ * const socketAdapter = await createSocketAdapter();
+ * configureSocketIO(server, authService, { adapter: socketAdapter });
+ * // on shutdown
+ * await socketAdapter.close();
+ */
+
+const { Client } = require('pg');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const logger = require('./logger');
+
+// NOTIFY payloads must stay under 8000 bytes
+const MAX_NOTIFY_PAYLOAD_BYTES = 7500;
+
+// Large payloads only need to live until every instance has read them
+const ATTACHMENT_TTL_MS = 30 * 1000;
+
+const DEFAULT_CHANNEL = 'socket_io';
+
+// LISTEN reconnect delay: base, 2x base, 4x base... capped
+const RECONNECT_BASE_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+/**
+ * Shared LISTEN/NOTIFY connection for all Postgres adapters in a process
+ */
+class PostgresNotifyBus {
+  /**
+   * @param {Object} db - Object with query(text, params), used for publishing
+   * @param {Object} options - { connectionString, channel }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.connectionString = options.connectionString || process.env.DATABASE_URL;
+    this.channel = options.channel || process.env.SOCKET_ADAPTER_CHANNEL || DEFAULT_CHANNEL;
+    this.client = null;
+    this.adapters = new Set();
+    this.cleanupTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.closing = false;
+  }
+
+  /**
+   * Open the LISTEN connection
+   */
+  async connect() {
+    await this.listen();
+
+    this.cleanupTimer = setInterval(() => {
+      this.deleteExpiredAttachments();
+    }, ATTACHMENT_TTL_MS);
+    this.cleanupTimer.unref();
+
+    logger.info('SocketAdapter: Listening for cluster messages', { channel: this.channel });
+  }
+
+  /**
+   * Connect a LISTEN client; it becomes current once LISTEN succeeds
+   * @private
+   */
+  async listen() {
+    const client = new Client({
+      connectionString: this.connectionString,
+      application_name: 'gis-net-socket-adapter',
+    });
+
+    client.on('notification', (notification) => {
+      this.handleNotification(notification.payload);
+    });
+
+    client.on('error', (error) => {
+      logger.logError(error, null, { operation: 'socket_adapter_listen' });
+      this.handleConnectionLost(client);
+    });
+
+    client.on('end', () => {
+      this.handleConnectionLost(client);
+    });
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN "${this.channel}"`);
+    } catch (error) {
+      client.end().catch(() => {});
+      throw error;
+    }
+
+    this.client = client;
+  }
+
+  /**
+   * Drop a broken LISTEN client and schedule a reconnect
+   * @private
+   */
+  handleConnectionLost(client) {
+    if (this.closing || client !== this.client) {
+      return;
+    }
+
+    this.client = null;
+    client.end().catch(() => {});
+
+    logger.warn('SocketAdapter: Lost the LISTEN connection', { channel: this.channel });
+    this.scheduleReconnect();
+  }
+
+  /**
+   * @private
+   */
+  scheduleReconnect() {
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnect();
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+  async reconnect() {
+    this.reconnectTimer = null;
+
+    try {
+      await this.listen();
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'socket_adapter_reconnect',
+        attempt: this.reconnectAttempts,
+      });
+
+      if (!this.closing) {
+        this.scheduleReconnect();
+      }
+      return;
+    }
+
+    // close() ran while the new client was connecting
+    if (this.closing) {
+      await this.client.end();
+      this.client = null;
+      return;
+    }
+
+    logger.info('SocketAdapter: Reconnected LISTEN connection', {
+      channel: this.channel,
+      attempts: this.reconnectAttempts,
+    });
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Register an adapter to receive messages
+   */
+  subscribe(adapter) {
+    this.adapters.add(adapter);
+  }
+
+  /**
+   * Stop delivering messages to an adapter
+   */
+  unsubscribe(adapter) {
+    this.adapters.delete(adapter);
+  }
+
+  /**
+   * Send a message to every instance
+   * @param {Object} envelope - Cluster message or response envelope
+   */
+  async publish(envelope) {
+    const payload = JSON.stringify(envelope);
+
+    if (Buffer.byteLength(payload) <= MAX_NOTIFY_PAYLOAD_BYTES) {
+      await this.db.query('SELECT pg_notify($1, $2)', [this.channel, payload]);
+      return;
+    }
+
+    const result = await this.db.query(
+      'INSERT INTO socket_io_attachments (payload) VALUES ($1) RETURNING id',
+      [payload]
+    );
+
+    await this.db.query('SELECT pg_notify($1, $2)', [
+      this.channel,
+      JSON.stringify({ attachmentId: result.rows[0].id }),
+    ]);
+  }
+
+  /**
+   * Decode a notification and hand it to every adapter
+   * @private
+   */
+  async handleNotification(payload) {
+    try {
+      let envelope = JSON.parse(payload);
+
+      if (envelope.attachmentId) {
+        const result = await this.db.query(
+          'SELECT payload FROM socket_io_attachments WHERE id = $1',
+          [envelope.attachmentId]
+        );
+        if (result.rows.length === 0) {
+          logger.warn('SocketAdapter: Attachment expired before it was read', {
+            attachmentId: envelope.attachmentId,
+          });
+          return;
+        }
+        envelope = JSON.parse(result.rows[0].payload);
+      }
+
+      this.adapters.forEach(adapter => adapter.onEnvelope(envelope));
+
+    } catch (error) {
+      logger.logError(error, null, { operation: 'socket_adapter_message' });
+    }
+  }
+
+  /**
+   * Remove attachments every instance has had time to read
+   * @private
+   */
+  async deleteExpiredAttachments() {
+    try {
+      await this.db.query(
+        `DELETE FROM socket_io_attachments WHERE created_at < NOW() - ($1 || ' milliseconds')::interval`,
+        [ATTACHMENT_TTL_MS]
+      );
+    } catch (error) {
+      logger.logError(error, null, { operation: 'socket_adapter_attachment_cleanup' });
+    }
+  }
+
+  /**
+   * Close the LISTEN connection
+   */
+  async close() {
+    this.closing = true;
+    clearInterval(this.cleanupTimer);
+    clearTimeout(this.reconnectTimer);
+    this.adapters.clear();
+
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Socket.IO adapter that relays cluster messages over a PostgresNotifyBus
+ */
+class PostgresNotifyAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, options = {}) {
+    super(nsp, options);
+    this.bus = bus;
+    this.bus.subscribe(this);
+
+    // Socket.IO does not call init(); announce this instance to start heartbeats
+    this.init();
+  }
+
+  /**
+   * Send a message to the other instances
+   * LISTEN/NOTIFY keeps no history, so there is no offset to return.
+   */
+  async doPublish(message) {
+    await this.bus.publish(message);
+  }
+
+  /**
+   * Send a response to the instance that made a request
+   */
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish({ requesterUid, response });
+  }
+
+  /**
+   * Route a bus envelope to onMessage or onResponse
+   * @param {Object} envelope - Cluster message, or { requesterUid, response }
+   */
+  onEnvelope(envelope) {
+    if (envelope.requesterUid) {
+      if (envelope.requesterUid === this.uid && envelope.response.nsp === this.nsp.name) {
+        this.onResponse(envelope.response);
+      }
+      return;
+    }
+
+    if (envelope.nsp === this.nsp.name) {
+      this.onMessage(envelope);
+    }
+  }
+
+  close() {
+    super.close();
+    this.bus.unsubscribe(this);
+  }
+}
+
+/**
+ * Build the configured cluster adapter
+ * @param {Object} options - { type, db, connectionString, channel, heartbeatInterval, heartbeatTimeout }
+ * @returns {Promise<Object>} { type, factory, close } - factory is null for memory
+ */
+const createSocketAdapter = async (options = {}) => {
+  const type = options.type || process.env.SOCKET_ADAPTER || 'memory';
+  const heartbeatOptions = {
+    heartbeatInterval: options.heartbeatInterval || 5000,
+    heartbeatTimeout: options.heartbeatTimeout || 10000,
+  };
+
+  switch (type) {
+    case 'memory':
+      return { type, factory: null, close: async () => {} };
+
+    case 'postgres': {
+      const db = options.db || require('../db/connection');
+      const bus = new PostgresNotifyBus(db, options);
+      await bus.connect();
+
+      // Socket.IO instantiates the factory with `new`, so it can't be an arrow function
+      return {
+        type,
+        factory: function postgresAdapter(nsp) {
+          return new PostgresNotifyAdapter(nsp, bus, heartbeatOptions);
+        },
+        close: () => bus.close(),
+      };
+    }
+
+    case 'redis': {
+      let redisAdapter;
+      let redis;
+      try {
+        redisAdapter = require('@socket.io/redis-adapter');
+        redis = require('redis');
+      } catch (error) {
+        throw new Error('SOCKET_ADAPTER=redis requires the @socket.io/redis-adapter and redis packages');
+      }
+
+      const pubClient = redis.createClient({ url: options.url || process.env.REDIS_URL });
+      const subClient = pubClient.duplicate();
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+
+      logger.info('SocketAdapter: Connected to Redis');
+
+      return {
+        type,
+        factory: redisAdapter.createAdapter(pubClient, subClient),
+        close: async () => {
+          await Promise.all([pubClient.quit(), subClient.quit()]);
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown socket adapter: ${type}`);
+  }
+};
+
+module.exports = {
+  createSocketAdapter,
+  PostgresNotifyBus,
+  PostgresNotifyAdapter,
+};
@@ -10,48 +10,100 @@
  * 
  * REAL-TIME FEATURES:
  * - Live incident creation, updates, and deletions
- * - Geographic area subscriptions (lat/lng grid-based rooms)
+ * - Geographic area subscriptions (quadkey tile rooms covering the viewport)
+ *   with per-socket filters (types, minimum severity, verified-only, statuses),
+ *   which also apply to global incident broadcasts and replay
  * - User-specific notifications and updates
  * - Community verification broadcasts
  * - Connection management and heartbeat monitoring
  * - Authentication integration with JWT tokens
+ * - Cluster mode: pluggable adapter (Postgres LISTEN/NOTIFY or Redis)
+ *   so broadcasts and presence span every backend instance
+ * - Missed-event replay: incident broadcasts carry a sequence number;
+ *   reconnecting clients resume from the last one they saw
  * 
  * EVENT TYPES:
  * - incident_created: New incident reported
  * - incident_updated: Existing incident modified
  * - incident_deleted: Incident removed
  * - incident_verified: Community verification added
+ * - incident_status_changed: Lifecycle transition (resolve, reopen, ...)
+ * - comment_created/updated/deleted: Incident discussion (focused incident rooms)
  * - area_subscription: Subscribe to geographic area updates
+ * - update_area_filters: Change area filters without resubscribing
  * - user_notification: User-specific messages
+ * - resume: Replay incident events missed while disconnected
+ *   (resume_complete, or resync_required when the gap is too large)
  * 
  * SECURITY FEATURES:
- * - JWT token authentication for WebSocket connections
+ * - JWT access token authentication for WebSocket connections; stream,
+ *   refresh and two-factor pre-auth tokens are refused
  * - Rate limiting for event emissions
  * - Geographic area validation
  * - User authorization for sensitive operations
  * - Connection logging and monitoring
+ * - Sockets join a per-session room, so signing a session out
+ *   elsewhere closes its sockets on every instance
+ * 
+ * PRESENCE:
+ * Per-socket state lives in socket.data (user, area rooms), so online
+ * users and connection counts are read cluster-wide with fetchSockets()
+ * rather than from process memory. connectionStats counts this instance.
  * 
  * DEPENDENCIES:
  * - socket.io: WebSocket server implementation
- * - jsonwebtoken: JWT token verification
- * - Auth Service: User authentication validation
+ * - Socket Adapter: Cluster adapter factory (services/socket-adapter)
+ * - Event Log Service: Sequenced incident events for replay
+ * - Webhook Dispatcher: Outbound webhooks for the same incident events
+ * - Incident Stream: SSE fallback clients for the same incident events
+ * - Auth Service: Token verification, including revoked sessions
+ * - Permission Service: Internal note room access
  * - Logger: Connection and event logging
  * 
  * USAGE:
  * const { configureSocketIO } = require('./services/socket');
- * const io = configureSocketIO(server, authService);
+ * const io = configureSocketIO(server, authService, { adapter: socketAdapter });
  */
 
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
 const logger = require('./logger');
 const AuthenticationService = require('./auth');
+const permissionService = require('./permission');
+const geoRooms = require('./geo-rooms');
+const EventLogService = require('./event-log');
+const { webhookDispatcher } = require('./webhook-dispatcher');
+const { incidentStream } = require('./incident-stream');
+const { schemas: validationSchemas } = require('../middlewares/validation-incident');
+
+// Instance-to-instance event asking each server to deliver an area event locally
+const AREA_DELIVERY_EVENT = 'area-delivery';
+
+// Instance-to-instance event asking each server to forward an event to its SSE clients
+const STREAM_DELIVERY_EVENT = 'stream-delivery';
+
+// Instance-to-instance event asking each server to end its SSE streams for revoked sessions
+const STREAM_SESSION_END_EVENT = 'stream-session-end';
+
+// Sockets with area filters; global incident broadcasts reach them only on a match
+const AREA_FILTERED_ROOM = 'area-filtered';
+
+// Only access tokens open sockets; stream and two-factor pre-auth tokens use other audiences
+const ACCESS_TOKEN_AUDIENCE = 'gis-net-frontend';
+
+// Handshake errors for the token checks AuthenticationService.verifyToken makes
+const HANDSHAKE_ERRORS = {
+  'Token has been invalidated': 'Token is no longer valid',
+  'Session has been revoked': 'Session has been signed out',
+  'User no longer exists': 'User account not found or inactive',
+  'Token expired': 'Token expired',
+};
 
 class SocketIOHandler {
   constructor() {
     this.io = null;
-    this.connectedUsers = new Map(); // userId -> socket mapping
-    this.userRooms = new Map(); // userId -> Set of room names
+    this.adapterType = 'memory';
+    this.timers = [];
+    this.eventLog = new EventLogService();
     this.connectionStats = {
       totalConnections: 0,
       activeConnections: 0,
@@ -64,9 +116,10 @@ class SocketIOHandler {
    * Initialize Socket.io server with authentication and event handlers
    * @param {http.Server} server - HTTP server instance
    * @param {AuthenticationService} authService - Authentication service
+   * @param {Object} options - { adapter } from createSocketAdapter; in-memory if omitted
    * @returns {SocketIO.Server} Configured Socket.io instance
    */
-  configure(server, authService) {
+  configure(server, authService, options = {}) {
     // Configure Socket.io with CORS and connection settings
     this.io = socketIo(server, {
       cors: {
@@ -85,6 +138,27 @@ class SocketIOHandler {
       transports: ['websocket', 'polling'],
     });
 
+    // Relay broadcasts through the other instances in cluster mode
+    if (options.adapter?.factory) {
+      this.io.adapter(options.adapter.factory);
+      this.adapterType = options.adapter.type;
+    }
+
+    // Area events filtered by another instance's broadcast
+    this.io.on(AREA_DELIVERY_EVENT, ({ rooms, event, broadcastData }) => {
+      this.deliverToLocalAreaSubscribers(rooms, event, broadcastData);
+    });
+
+    // Incident events broadcast by another instance, for local SSE clients
+    this.io.on(STREAM_DELIVERY_EVENT, ({ event, broadcastData }) => {
+      incidentStream.publish(event, broadcastData);
+    });
+
+    // Sessions signed out through another instance
+    this.io.on(STREAM_SESSION_END_EVENT, ({ sessionIds }) => {
+      incidentStream.closeSessions(sessionIds);
+    });
+
     this.authService = authService;
 
     // Set up authentication middleware
@@ -102,6 +176,7 @@ class SocketIOHandler {
     logger.info('SocketIO: Server configured successfully', {
       cors: process.env.FRONTEND_URL || "http://localhost:3000",
       transports: ['websocket', 'polling'],
+      adapter: this.adapterType,
     });
 
     return this.io;
@@ -129,20 +204,30 @@ class SocketIOHandler {
           return next(new Error('Authentication token required'));
         }
 
-        // Verify JWT token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Check if token is blacklisted
-        const isBlacklisted = await this.authService.isTokenBlacklisted(token);
-        if (isBlacklisted) {
-          logger.logSecurity('socket_connection_blacklisted_token', {
+        let decoded;
+        try {
+          decoded = await this.authService.verifyToken(token, { audience: ACCESS_TOKEN_AUDIENCE });
+        } catch (error) {
+          logger.logSecurity('socket_connection_rejected_token', {
+            socketId: socket.id,
+            error: error.message,
+            ip: socket.handshake.address,
+          });
+
+          this.connectionStats.authenticationFailures++;
+          return next(new Error(HANDSHAKE_ERRORS[error.message] || 'Authentication failed'));
+        }
+
+        // Refresh tokens share the access audience but only mint new access tokens
+        if (decoded.type === 'refresh') {
+          logger.logSecurity('socket_connection_refresh_token', {
             socketId: socket.id,
             userId: decoded.userId,
             ip: socket.handshake.address,
           });
-          
+
           this.connectionStats.authenticationFailures++;
-          return next(new Error('Token is no longer valid'));
+          return next(new Error('Authentication failed'));
         }
 
         // Get user information
@@ -166,6 +251,11 @@ class SocketIOHandler {
           role: user.role,
         };
 
+        // socket.data is visible to other instances through fetchSockets()
+        socket.data.user = socket.user;
+        socket.data.sessionId = decoded.sid || null;
+        socket.data.connectedAt = new Date().toISOString();
+
         socket.token = token;
 
         logger.debug('SocketIO: User authenticated', {
@@ -202,13 +292,14 @@ class SocketIOHandler {
       this.connectionStats.totalConnections++;
       this.connectionStats.activeConnections++;
 
-      // Store user connection
-      this.connectedUsers.set(user.id, socket);
-      this.userRooms.set(user.id, new Set());
-
       // Join user-specific room for notifications
       socket.join(`user-${user.id}`);
 
+      // Session room, used to disconnect the session when it is revoked
+      if (socket.data.sessionId) {
+        socket.join(`session-${socket.data.sessionId}`);
+      }
+
       logger.info('SocketIO: User connected', {
         socketId: socket.id,
         userId: user.id,
@@ -217,14 +308,17 @@ class SocketIOHandler {
         ip: socket.handshake.address,
       });
 
-      // Send connection acknowledgment
-      socket.emit('connected', {
-        message: 'Connected to GIS-NET real-time service',
-        user: {
-          id: user.id,
-          username: user.username,
-        },
-        timestamp: new Date().toISOString(),
+      // Send connection acknowledgment with the current event sequence
+      this.getLatestSequence().then((seq) => {
+        socket.emit('connected', {
+          message: 'Connected to GIS-NET real-time service',
+          user: {
+            id: user.id,
+            username: user.username,
+          },
+          seq,
+          timestamp: new Date().toISOString(),
+        });
       });
 
       // Handle disconnection
@@ -254,11 +348,21 @@ class SocketIOHandler {
         this.handleAreaSubscription(socket, data);
       });
 
+      // Handle area filter changes
+      socket.on('update_area_filters', (data) => {
+        this.handleAreaFilterUpdate(socket, data);
+      });
+
       // Handle area unsubscription
       socket.on('unsubscribe_area', (data) => {
         this.handleAreaUnsubscription(socket, data);
       });
 
+      // Handle replay of events missed while disconnected
+      socket.on('resume', (data) => {
+        this.handleResume(socket, data);
+      });
+
       // Handle incident focus (user viewing specific incident)
       socket.on('focus_incident', (data) => {
         this.handleIncidentFocus(socket, data);
@@ -294,21 +398,9 @@ class SocketIOHandler {
   handleUserDisconnection(socket, reason) {
     const user = socket.user;
     
-    // Update connection statistics
+    // Update connection statistics; Socket.io leaves rooms itself
     this.connectionStats.activeConnections--;
 
-    // Clean up user data
-    this.connectedUsers.delete(user.id);
-    
-    // Clean up user rooms
-    const userRoomSet = this.userRooms.get(user.id);
-    if (userRoomSet) {
-      userRoomSet.forEach(roomName => {
-        socket.leave(roomName);
-      });
-      this.userRooms.delete(user.id);
-    }
-
     logger.info('SocketIO: User disconnected', {
       socketId: socket.id,
       userId: user.id,
@@ -318,8 +410,35 @@ class SocketIOHandler {
     });
   }
 
+  /**
+   * Validate area filters from a client
+   * Empty or null filters clear filtering.
+   * @returns {Object} { filters } or { error }
+   * @private
+   */
+  parseAreaFilters(filters) {
+    if (filters === null || (typeof filters === 'object' && Object.keys(filters).length === 0)) {
+      return { filters: null };
+    }
+
+    const { error, value } = validationSchemas.areaFilterSchema.validate(filters, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      return { error: error.details[0].message };
+    }
+
+    return { filters: value };
+  }
+
   /**
    * Handle geographic area subscription
+   * Joins every tile room intersecting the bounds. A socket has one
+   * viewport: rooms from its previous subscription that the new bounds
+   * no longer cover are left. Filters are replaced when given and kept
+   * from the previous subscription when omitted.
    * @private
    */
   handleAreaSubscription(socket, data) {
@@ -344,28 +463,46 @@ class SocketIOHandler {
         });
       }
 
-      // Generate room name based on bounds (simplified grid)
-      const roomName = this.generateAreaRoom(bounds);
-      
-      // Join the geographic area room
-      socket.join(roomName);
-      
-      // Track user's room membership
-      const userRoomSet = this.userRooms.get(socket.user.id) || new Set();
-      userRoomSet.add(roomName);
-      this.userRooms.set(socket.user.id, userRoomSet);
+      if (data.filters !== undefined) {
+        const { filters, error } = this.parseAreaFilters(data.filters);
+        if (error) {
+          return socket.emit('error', {
+            message: `Invalid area filters: ${error}`,
+          });
+        }
+        this.setAreaFilters(socket, filters);
+      }
+
+      const { rooms, zoom } = geoRooms.roomsForBounds(bounds);
+      const previousRooms = socket.data.areaRooms || [];
+
+      // Leave tiles the new viewport no longer covers
+      previousRooms.forEach(roomName => {
+        if (!rooms.includes(roomName)) {
+          socket.leave(roomName);
+        }
+      });
+
+      socket.join(rooms);
+
+      // Kept as an array so it survives fetchSockets() serialization
+      socket.data.areaRooms = rooms;
 
       logger.debug('SocketIO: User subscribed to area', {
         socketId: socket.id,
         userId: socket.user.id,
-        roomName,
+        zoom,
+        roomCount: rooms.length,
         bounds,
+        filters: socket.data.areaFilters,
       });
 
       socket.emit('area_subscribed', {
         success: true,
-        roomName,
+        rooms,
+        zoom,
         bounds,
+        filters: socket.data.areaFilters || null,
         message: 'Subscribed to area updates',
       });
 
@@ -383,38 +520,65 @@ class SocketIOHandler {
     }
   }
 
+  /**
+   * Handle area filter changes
+   * Applies to the current viewport without rejoining its rooms.
+   * @private
+   */
+  handleAreaFilterUpdate(socket, data = {}) {
+    const { filters, error } = this.parseAreaFilters(data.filters ?? null);
+
+    if (error) {
+      return socket.emit('error', {
+        message: `Invalid area filters: ${error}`,
+      });
+    }
+
+    this.setAreaFilters(socket, filters);
+
+    logger.debug('SocketIO: User updated area filters', {
+      socketId: socket.id,
+      userId: socket.user.id,
+      filters,
+    });
+
+    socket.emit('area_filters_updated', {
+      success: true,
+      filters,
+      message: filters ? 'Area filters updated' : 'Area filters cleared',
+    });
+  }
+
   /**
    * Handle area unsubscription
+   * Leaves one tile room when roomName is given, otherwise the whole viewport.
    * @private
    */
-  handleAreaUnsubscription(socket, data) {
+  handleAreaUnsubscription(socket, data = {}) {
     try {
       const { roomName } = data;
       
-      if (!roomName || typeof roomName !== 'string') {
+      if (roomName !== undefined && !geoRooms.isAreaRoom(roomName)) {
         return socket.emit('error', {
           message: 'Invalid room name provided',
         });
       }
 
-      // Leave the room
-      socket.leave(roomName);
-      
-      // Remove from user's room tracking
-      const userRoomSet = this.userRooms.get(socket.user.id);
-      if (userRoomSet) {
-        userRoomSet.delete(roomName);
-      }
+      const areaRooms = socket.data.areaRooms || [];
+      const rooms = roomName ? [roomName] : areaRooms;
+
+      rooms.forEach(room => socket.leave(room));
+      socket.data.areaRooms = areaRooms.filter(room => !rooms.includes(room));
 
       logger.debug('SocketIO: User unsubscribed from area', {
         socketId: socket.id,
         userId: socket.user.id,
-        roomName,
+        roomCount: rooms.length,
       });
 
       socket.emit('area_unsubscribed', {
         success: true,
-        roomName,
+        rooms,
         message: 'Unsubscribed from area updates',
       });
 
@@ -432,7 +596,7 @@ class SocketIOHandler {
    * Handle incident focus tracking
    * @private
    */
-  handleIncidentFocus(socket, data) {
+  async handleIncidentFocus(socket, data) {
     try {
       const { incidentId, action } = data; // action: 'focus' or 'blur'
       
@@ -443,9 +607,18 @@ class SocketIOHandler {
       }
 
       const roomName = `incident-${incidentId}`;
+      // Internal moderator notes go to a separate room staff join alongside
+      const internalRoomName = `${roomName}-internal`;
+      const canSeeInternal = await permissionService.hasPermission(
+        socket.user,
+        permissionService.PermissionService.PERMISSIONS.VIEW_INTERNAL_NOTES
+      );
       
       if (action === 'focus') {
         socket.join(roomName);
+        if (canSeeInternal) {
+          socket.join(internalRoomName);
+        }
         logger.debug('SocketIO: User focusing on incident', {
           socketId: socket.id,
           userId: socket.user.id,
@@ -453,6 +626,7 @@ class SocketIOHandler {
         });
       } else if (action === 'blur') {
         socket.leave(roomName);
+        socket.leave(internalRoomName);
         logger.debug('SocketIO: User stopped focusing on incident', {
           socketId: socket.id,
           userId: socket.user.id,
@@ -508,51 +682,241 @@ class SocketIOHandler {
   }
 
   /**
-   * Generate area room name from bounds
+   * Replay incident events a reconnecting client missed
+   * Clients should re-subscribe to their area first so replay is
+   * limited to the rooms they watch.
    * @private
    */
-  generateAreaRoom(bounds) {
-    // Simple grid-based room generation (can be enhanced with geohash)
-    const latGrid = Math.floor((bounds.north + bounds.south) / 2 * 10);
-    const lonGrid = Math.floor((bounds.east + bounds.west) / 2 * 10);
-    return `area_${latGrid}_${lonGrid}`;
+  async handleResume(socket, data = {}) {
+    const lastSeq = Number(data.lastSeq);
+
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      socket.emit('error', {
+        message: 'Invalid resume request. Required: lastSeq (non-negative integer)',
+      });
+      return;
+    }
+
+    try {
+      const replay = await this.eventLog.getReplay(lastSeq, socket.data.areaRooms || []);
+
+      if (replay.resyncRequired) {
+        socket.emit('resync_required', {
+          seq: replay.latestSeq,
+          reason: replay.reason,
+          timestamp: new Date().toISOString(),
+        });
+
+        logger.info('SocketIO: Client must resync', {
+          socketId: socket.id,
+          userId: socket.user.id,
+          lastSeq,
+          latestSeq: replay.latestSeq,
+          reason: replay.reason,
+        });
+        return;
+      }
+
+      // The log limited events to the socket's rooms; its filters still apply.
+      // Events without incident attributes (deletions, verifications) always pass.
+      let replayed = 0;
+      replay.events.forEach(({ seq, event, payload }) => {
+        if (payload.incident && !geoRooms.matchesAreaFilters(socket.data.areaFilters, payload.incident)) {
+          return;
+        }
+        socket.emit(event, { ...payload, seq, replayed: true });
+        replayed++;
+      });
+
+      socket.emit('resume_complete', {
+        seq: replay.latestSeq,
+        replayed,
+        timestamp: new Date().toISOString(),
+      });
+
+      logger.debug('SocketIO: Missed events replayed', {
+        socketId: socket.id,
+        userId: socket.user.id,
+        lastSeq,
+        replayed,
+      });
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'socket_resume',
+        socketId: socket.id,
+        userId: socket.user.id,
+      });
+
+      // Without the log the client can't know what it missed
+      socket.emit('resync_required', {
+        seq: null,
+        reason: 'replay_unavailable',
+        timestamp: new Date().toISOString(),
+      });
+    }
   }
 
   /**
-   * Setup cleanup handlers and monitoring
+   * Setup periodic monitoring
    * @private
    */
   setupCleanupHandlers() {
-    // Periodic cleanup of stale connections
-    setInterval(() => {
-      this.cleanupStaleConnections();
-    }, 5 * 60 * 1000); // Every 5 minutes
-
     // Log connection statistics
-    setInterval(() => {
-      logger.info('SocketIO: Connection statistics', this.connectionStats);
+    const statsTimer = setInterval(() => {
+      logger.info('SocketIO: Connection statistics', this.getConnectionStats());
     }, 10 * 60 * 1000); // Every 10 minutes
+    statsTimer.unref();
+
+    // Drop events older than the replay window
+    const pruneTimer = setInterval(() => {
+      this.eventLog.prune().catch((error) => {
+        logger.logError(error, null, { operation: 'socket_event_log_prune' });
+      });
+    }, 60 * 60 * 1000); // Every hour
+    pruneTimer.unref();
+
+    this.timers.push(statsTimer, pruneTimer);
   }
 
   /**
-   * Cleanup stale connections
+   * Close the Socket.io server and stop monitoring
+   * Closing the server also closes the cluster adapter for each namespace.
+   */
+  async close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+    }
+  }
+
+  // ==============================================
+  // EVENT SEQUENCING
+  // ==============================================
+
+  /**
+   * Latest event sequence, or null when the log is unavailable
    * @private
    */
-  cleanupStaleConnections() {
-    const staleTimeout = 10 * 60 * 1000; // 10 minutes
-    const now = Date.now();
+  async getLatestSequence() {
+    try {
+      return await this.eventLog.getLatestSequence();
+    } catch (error) {
+      logger.logError(error, null, { operation: 'socket_event_sequence' });
+      return null;
+    }
+  }
 
-    this.connectedUsers.forEach((socket, userId) => {
-      if (socket.disconnected) {
-        this.connectedUsers.delete(userId);
-        this.userRooms.delete(userId);
-        this.connectionStats.activeConnections--;
-      }
-    });
+  /**
+   * Store a broadcast in the event log and stamp it with its sequence
+   * The broadcast still goes out unsequenced if the log is unavailable;
+   * clients then fall back to a resync on their next resume.
+   * @param {string} event - Socket event name clients receive
+   * @param {Object} broadcastData - Event payload
+   * @param {Object} incident - { id, location?, extent? } - used to scope replay to tile rooms
+   * @returns {Promise<Object>} Payload with seq added
+   * @private
+   */
+  async sequenceEvent(event, broadcastData, incident) {
+    const rooms = incident.location?.latitude !== undefined ? geoRooms.roomsForIncident(incident) : null;
 
-    logger.debug('SocketIO: Stale connection cleanup completed', {
-      activeConnections: this.connectionStats.activeConnections,
-    });
+    try {
+      const seq = await this.eventLog.append(event, broadcastData, {
+        incidentId: incident.id,
+        rooms,
+      });
+      return { ...broadcastData, seq };
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'socket_event_log_append',
+        event,
+        incidentId: incident.id,
+      });
+      return broadcastData;
+    }
+  }
+
+  // ==============================================
+  // FILTERED AREA DELIVERY
+  // ==============================================
+
+  /**
+   * Send an incident event to area subscribers whose filters match
+   * Filters live in each socket's data, so every instance evaluates its
+   * own sockets rather than shipping them all to the broadcaster.
+   * @param {Array<string>} rooms - Tile rooms containing the incident
+   * @param {string} event - Socket event name
+   * @param {Object} broadcastData - Payload with an incident property
+   * @private
+   */
+  deliverAreaEvent(rooms, event, broadcastData) {
+    if (this.adapterType !== 'memory') {
+      this.io.serverSideEmit(AREA_DELIVERY_EVENT, { rooms, event, broadcastData });
+    }
+
+    this.deliverToLocalAreaSubscribers(rooms, event, broadcastData);
+  }
+
+  /**
+   * Send an incident event to every client whose area filters allow it
+   * Unfiltered sockets get a plain broadcast; filtered ones go through
+   * the same per-socket check as area events.
+   * @param {string} event - Socket event name
+   * @param {Object} broadcastData - Payload with an incident property
+   * @private
+   */
+  emitIncidentEvent(event, broadcastData) {
+    this.io.except(AREA_FILTERED_ROOM).emit(event, broadcastData);
+    this.deliverAreaEvent([AREA_FILTERED_ROOM], event, broadcastData);
+  }
+
+  /**
+   * Store a socket's area filters and keep its filtered room membership in step
+   * @private
+   */
+  setAreaFilters(socket, filters) {
+    socket.data.areaFilters = filters;
+
+    if (filters) {
+      socket.join(AREA_FILTERED_ROOM);
+    } else {
+      socket.leave(AREA_FILTERED_ROOM);
+    }
+  }
+
+  /**
+   * Evaluate area filters for this instance's sockets in the rooms
+   * @private
+   */
+  async deliverToLocalAreaSubscribers(rooms, event, broadcastData) {
+    try {
+      const sockets = await this.io.local.in(rooms).fetchSockets();
+
+      sockets.forEach(socket => {
+        if (geoRooms.matchesAreaFilters(socket.data.areaFilters, broadcastData.incident)) {
+          socket.emit(event, broadcastData);
+        }
+      });
+    } catch (error) {
+      logger.logError(error, null, { operation: 'socket_area_delivery', event });
+    }
+  }
+
+  /**
+   * Forward an incident event to SSE stream clients on every instance
+   * @param {string} event - Socket event name, reused as the SSE event name
+   * @param {Object} broadcastData - Event payload
+   * @private
+   */
+  deliverStreamEvent(event, broadcastData) {
+    if (this.adapterType !== 'memory') {
+      this.io.serverSideEmit(STREAM_DELIVERY_EVENT, { event, broadcastData });
+    }
+
+    incidentStream.publish(event, broadcastData);
   }
 
   // ==============================================
@@ -561,31 +925,33 @@ class SocketIOHandler {
 
   /**
    * Broadcast new incident to all connected clients
+   * Each incident broadcast also queues the matching outbound webhooks,
+   * whether or not Socket.io is running.
    */
-  broadcastIncidentCreated(incidentData) {
+  async broadcastIncidentCreated(incidentData) {
+    await webhookDispatcher.dispatch('incident.created', incidentData.id, { incident: incidentData });
+
     if (!this.io) return;
 
-    const broadcastData = {
+    const broadcastData = await this.sequenceEvent('new-incident', {
       type: 'incident_created',
       incident: incidentData,
       timestamp: new Date().toISOString(),
-    };
+    }, incidentData);
 
-    // Broadcast to all clients
-    this.io.emit('new-incident', broadcastData);
+    // Broadcast to all clients, minus those whose area filters reject it
+    this.emitIncidentEvent('new-incident', broadcastData);
+    this.deliverStreamEvent('new-incident', broadcastData);
 
-    // Broadcast to geographic area
-    const areaRoom = this.generateLocationRoom(
-      incidentData.location.latitude,
-      incidentData.location.longitude
-    );
-    this.io.to(areaRoom).emit('area-incident', broadcastData);
+    // Deliver to every tile room containing the incident, per subscriber filters
+    const areaRooms = geoRooms.roomsForIncident(incidentData);
+    this.deliverAreaEvent(areaRooms, 'area-incident', broadcastData);
 
     this.connectionStats.eventsEmitted++;
     
     logger.debug('SocketIO: Incident creation broadcasted', {
       incidentId: incidentData.id,
-      areaRoom,
+      areaRoomCount: areaRooms.length,
       connectedClients: this.connectionStats.activeConnections,
     });
   }
@@ -593,17 +959,20 @@ class SocketIOHandler {
   /**
    * Broadcast incident update to connected clients
    */
-  broadcastIncidentUpdated(incidentData, updatedBy) {
+  async broadcastIncidentUpdated(incidentData, updatedBy) {
+    await webhookDispatcher.dispatch('incident.updated', incidentData.id, { incident: incidentData, updatedBy });
+
     if (!this.io) return;
 
-    const broadcastData = {
+    const broadcastData = await this.sequenceEvent('incident-updated', {
       type: 'incident_updated',
       incident: incidentData,
       updatedBy,
       timestamp: new Date().toISOString(),
-    };
+    }, incidentData);
 
-    this.io.emit('incident-updated', broadcastData);
+    this.emitIncidentEvent('incident-updated', broadcastData);
+    this.deliverStreamEvent('incident-updated', broadcastData);
     this.io.to(`incident-${incidentData.id}`).emit('incident-detail-updated', broadcastData);
 
     this.connectionStats.eventsEmitted++;
@@ -612,18 +981,21 @@ class SocketIOHandler {
   /**
    * Broadcast incident deletion to connected clients
    */
-  broadcastIncidentDeleted(incidentId, location, deletedBy) {
+  async broadcastIncidentDeleted(incidentId, location, deletedBy) {
+    await webhookDispatcher.dispatch('incident.deleted', incidentId, { incidentId, location, deletedBy });
+
     if (!this.io) return;
 
-    const broadcastData = {
+    const broadcastData = await this.sequenceEvent('incident-deleted', {
       type: 'incident_deleted',
       incidentId,
       location,
       deletedBy,
       timestamp: new Date().toISOString(),
-    };
+    }, { id: incidentId, location });
 
     this.io.emit('incident-deleted', broadcastData);
+    this.deliverStreamEvent('incident-deleted', broadcastData);
     this.io.to(`incident-${incidentId}`).emit('incident-detail-deleted', broadcastData);
 
     this.connectionStats.eventsEmitted++;
@@ -632,22 +1004,75 @@ class SocketIOHandler {
   /**
    * Broadcast incident verification to connected clients
    */
-  broadcastIncidentVerified(incidentId, verificationData) {
+  async broadcastIncidentVerified(incidentId, verificationData) {
+    await webhookDispatcher.dispatch('incident.verified', incidentId, { incidentId, verificationData });
+
     if (!this.io) return;
 
-    const broadcastData = {
+    const broadcastData = await this.sequenceEvent('incident-verified', {
       type: 'incident_verified',
       incidentId,
       verificationData,
       timestamp: new Date().toISOString(),
-    };
+    }, { id: incidentId });
 
     this.io.emit('incident-verified', broadcastData);
+    this.deliverStreamEvent('incident-verified', broadcastData);
     this.io.to(`incident-${incidentId}`).emit('incident-verification-added', broadcastData);
 
     this.connectionStats.eventsEmitted++;
   }
 
+  /**
+   * Broadcast incident lifecycle transition to connected clients
+   */
+  async broadcastIncidentStatusChanged(incidentData, transition, changedBy) {
+    if (!this.io) return;
+
+    const broadcastData = await this.sequenceEvent('incident-status-changed', {
+      type: 'incident_status_changed',
+      incidentId: incidentData.id,
+      incident: incidentData,
+      action: transition.action,
+      fromStatus: transition.fromStatus,
+      toStatus: transition.toStatus,
+      notes: transition.notes,
+      changedBy,
+      timestamp: new Date().toISOString(),
+    }, incidentData);
+
+    this.emitIncidentEvent('incident-status-changed', broadcastData);
+    this.deliverStreamEvent('incident-status-changed', broadcastData);
+    this.io.to(`incident-${incidentData.id}`).emit('incident-detail-status-changed', broadcastData);
+
+    this.connectionStats.eventsEmitted++;
+  }
+
+  /**
+   * Broadcast a comment change to clients focused on the incident
+   * Internal notes only reach moderators and admins.
+   * @param {number} incidentId - Incident ID
+   * @param {string} action - 'created' | 'updated' | 'deleted'
+   * @param {Object} comment - Formatted comment ({ id, internal, ... })
+   * @param {Object} actor - User who made the change ({ id, username })
+   */
+  broadcastIncidentComment(incidentId, action, comment, actor) {
+    if (!this.io) return;
+
+    const broadcastData = {
+      type: `comment_${action}`,
+      incidentId,
+      comment,
+      actor,
+      timestamp: new Date().toISOString(),
+    };
+
+    const room = comment.internal ? `incident-${incidentId}-internal` : `incident-${incidentId}`;
+    this.io.to(room).emit(`incident-comment-${action}`, broadcastData);
+
+    this.connectionStats.eventsEmitted++;
+  }
+
   /**
    * Send notification to specific user
    */
@@ -663,23 +1088,107 @@ class SocketIOHandler {
   }
 
   /**
-   * Generate location-based room name
-   * @private
+   * Sync a user's notification state across their open clients
+   * Sent after notifications are read or deleted.
+   * @param {number} userId - User ID
+   * @param {Object} state - { unreadCount, readIds, deletedId, allRead }
    */
-  generateLocationRoom(latitude, longitude) {
-    const latGrid = Math.floor(latitude * 10);
-    const lonGrid = Math.floor(longitude * 10);
-    return `geo_${latGrid}_${lonGrid}`;
+  sendNotificationState(userId, state) {
+    if (!this.io) return;
+
+    this.io.to(`user-${userId}`).emit('notifications-updated', {
+      ...state,
+      timestamp: new Date().toISOString(),
+    });
+
+    this.connectionStats.eventsEmitted++;
   }
 
   /**
-   * Get connection statistics
+   * Close every socket and SSE stream opened with a session's tokens, on any instance
+   * @param {Array<string>} sessionIds - Revoked session IDs
+   */
+  disconnectSessions(sessionIds) {
+    if (sessionIds.length === 0) return;
+
+    incidentStream.closeSessions(sessionIds);
+
+    if (!this.io) return;
+
+    if (this.adapterType !== 'memory') {
+      this.io.serverSideEmit(STREAM_SESSION_END_EVENT, { sessionIds });
+    }
+
+    for (const sessionId of sessionIds) {
+      this.io.to(`session-${sessionId}`).emit('session-revoked', {
+        message: 'This session was signed out',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    this.io.in(sessionIds.map(sessionId => `session-${sessionId}`)).disconnectSockets(true);
+  }
+
+  /**
+   * Get connection statistics for this instance
    */
   getConnectionStats() {
+    const sockets = this.io ? [...this.io.of('/').sockets.values()] : [];
+
     return {
       ...this.connectionStats,
-      activeUsers: this.connectedUsers.size,
-      activeRooms: this.userRooms.size,
+      activeUsers: new Set(sockets.map(socket => socket.data.user?.id)).size,
+      activeRooms: this.io ? this.io.of('/').adapter.rooms.size : 0,
+      adapter: this.adapterType,
+    };
+  }
+
+  // ==============================================
+  // CLUSTER-WIDE PRESENCE
+  // ==============================================
+
+  /**
+   * IDs of users with at least one open connection on any instance
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  async getOnlineUserIds() {
+    if (!this.io) return [];
+
+    const sockets = await this.io.fetchSockets();
+    return [...new Set(sockets.map(socket => socket.data.user?.id).filter(Boolean))];
+  }
+
+  /**
+   * Check whether a user is connected to any instance
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if connected
+   */
+  async isUserOnline(userId) {
+    if (!this.io) return false;
+
+    const sockets = await this.io.in(`user-${userId}`).fetchSockets();
+    return sockets.length > 0;
+  }
+
+  /**
+   * Connection counts across every instance
+   * @returns {Promise<Object>} { servers, activeConnections, activeUsers, instance }
+   */
+  async getClusterStats() {
+    if (!this.io) {
+      return { servers: 0, activeConnections: 0, activeUsers: 0, instance: this.getConnectionStats() };
+    }
+
+    const [sockets, servers] = await Promise.all([
+      this.io.fetchSockets(),
+      this.io.of('/').adapter.serverCount(),
+    ]);
+
+    return {
+      servers,
+      activeConnections: sockets.length,
+      activeUsers: new Set(sockets.map(socket => socket.data.user?.id)).size,
+      instance: this.getConnectionStats(),
     };
   }
 }
@@ -691,13 +1200,15 @@ const socketIOHandler = new SocketIOHandler();
  * Configure Socket.io server
  * @param {http.Server} server - HTTP server instance
  * @param {AuthenticationService} authService - Authentication service
+ * @param {Object} options - { adapter } from createSocketAdapter
  * @returns {SocketIO.Server} Configured Socket.io instance
  */
-const configureSocketIO = (server, authService) => {
-  return socketIOHandler.configure(server, authService);
+const configureSocketIO = (server, authService, options) => {
+  return socketIOHandler.configure(server, authService, options);
 };
 
 module.exports = {
   configureSocketIO,
   socketIOHandler,
+  SocketIOHandler,
 };
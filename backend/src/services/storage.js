@@ -0,0 +1,146 @@
+/**
+ * ==================================================
+ * FILE STORAGE SERVICE
+ * Pluggable Object Storage for Uploaded Files
+ * ==================================================
+ *
+ * Attachments are written through a small storage interface so the
+ * backend can keep files on local disk in development and in an
+ * S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...) in production.
+ *
+ * STORAGE INTERFACE:
+ * - put(key, buffer, contentType): Store an object
+ * - getStream(key): Readable stream of an object's contents
+ * - delete(key): Remove an object (missing objects are ignored)
+ *
+ * CONFIGURATION:
+ * - STORAGE_DRIVER: 'local' | 's3' (defaults to 's3' when ENABLE_S3_UPLOAD=true)
+ * - UPLOAD_PATH: Local storage root directory
+ * - AWS_S3_BUCKET, AWS_REGION: S3 bucket and region
+ * - S3_ENDPOINT, S3_FORCE_PATH_STYLE: S3-compatible providers
+ *
+ * DEPENDENCIES:
+ * - @aws-sdk/client-s3: S3 storage driver
+ *
+ * USAGE:
+ * const storage = createStorage();
+ * await storage.put('incidents/1/photo.jpg', buffer, 'image/jpeg');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const logger = require('./logger');
+
+/**
+ * Local filesystem storage rooted at UPLOAD_PATH
+ */
+class LocalDiskStorage {
+  constructor(rootDir = process.env.UPLOAD_PATH || 'uploads/') {
+    this.driver = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve an object key inside the storage root
+   * @private
+   */
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async getStream(key) {
+    const filePath = this.resolveKey(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolveKey(key), { force: true });
+  }
+}
+
+/**
+ * S3 / S3-compatible object storage
+ */
+class S3Storage {
+  constructor(options = {}) {
+    const {
+      bucket = process.env.AWS_S3_BUCKET,
+      region = process.env.AWS_REGION || 'us-east-1',
+      endpoint = process.env.S3_ENDPOINT || undefined,
+      forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+    } = options;
+
+    if (!bucket) {
+      throw new Error('AWS_S3_BUCKET is required for S3 storage');
+    }
+
+    this.driver = 's3';
+    this.bucket = bucket;
+    // Credentials come from the default AWS provider chain (env, profile, role)
+    this.client = new S3Client({ region, endpoint, forcePathStyle });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    }));
+  }
+
+  async getStream(key) {
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+    return result.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+  }
+}
+
+/**
+ * Create the storage backend selected by the environment
+ * @param {string} driver - 'local' or 's3'
+ * @returns {LocalDiskStorage|S3Storage} Storage implementation
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER
+  || (process.env.ENABLE_S3_UPLOAD === 'true' ? 's3' : 'local')) => {
+  const storage = driver === 's3' ? new S3Storage() : new LocalDiskStorage();
+
+  logger.debug('Storage: Using storage driver', {
+    driver: storage.driver,
+    location: storage.bucket || storage.rootDir,
+  });
+
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  LocalDiskStorage,
+  S3Storage,
+};
@@ -0,0 +1,681 @@
+/**
+ * ==================================================
+ * TWO-FACTOR AUTHENTICATION SERVICE
+ * TOTP Codes, Recovery Codes & Pre-Auth Tokens
+ * ==================================================
+ *
+ * Implements time-based one-time passwords (RFC 6238, HMAC-SHA1,
+ * 6 digits, 30 second steps) compatible with Google Authenticator,
+ * Authy, 1Password and similar apps, plus the supporting pieces of the
+ * two-step sign-in.
+ *
+ * FEATURES:
+ * - Enrolment with an otpauth:// URI and, when the qrcode package is
+ *   installed, a QR code data URL
+ * - Codes accepted one step either side of now for clock drift, and
+ *   never twice
+ * - Authenticator secrets encrypted at rest with AES-256-GCM
+ * - Ten single-use recovery codes, stored as SHA-256 hashes
+ * - Short-lived pre-auth tokens between the password and code steps;
+ *   they carry a separate audience, so authenticateToken and the
+ *   Socket.IO handshake reject them
+ * - Per-role requirement set by admins
+ *
+ * CONFIGURATION:
+ * - TWO_FACTOR_ENCRYPTION_KEY: Secret encryption key (derived from JWT_SECRET when unset)
+ * - TWO_FACTOR_ISSUER: Issuer shown in authenticator apps (default GIS-NET)
+ * - TWO_FACTOR_PRE_AUTH_EXPIRES_IN: Pre-auth token lifetime (default 5m)
+ *
+ * DEPENDENCIES:
+ * - jsonwebtoken: Pre-auth tokens
+ * - qrcode: QR code images (optional)
+ * - Database connection: Enrolment, recovery codes and role requirements
+ * - Logger service: Operation logging
+ *
+ * USAGE:
+ * const twoFactorService = require('./services/two-factor');
+ * const { otpauthUrl } = await twoFactorService.beginEnrolment(user);
+ * const recoveryCodes = await twoFactorService.confirmEnrolment(user.id, code);
+ * const valid = await twoFactorService.verifyCode(user.id, code);
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db/connection');
+const logger = require('./logger');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+// Steps either side of the current one that still verify
+const TOTP_WINDOW = 1;
+
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles an admin can require two-factor authentication for
+const PRIVILEGED_ROLES = ['admin', 'moderator'];
+
+const PRE_AUTH_AUDIENCE = 'gis-net-2fa';
+
+/**
+ * Pre-auth token purposes
+ * - verify: the account has 2FA and must enter a code
+ * - setup: the account's role requires 2FA and it has not enrolled yet
+ */
+const PRE_AUTH_PURPOSES = ['verify', 'setup'];
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'GIS-NET';
+    this.preAuthExpiresIn = process.env.TWO_FACTOR_PRE_AUTH_EXPIRES_IN || '5m';
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.encryptionKey = crypto.createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `two-factor:${process.env.JWT_SECRET}`)
+      .digest();
+  }
+
+  // ==============================================
+  // TOTP
+  // ==============================================
+
+  /**
+   * Generates a new random authenticator secret
+   * @returns {string} Base32 secret
+   */
+  generateSecret() {
+    return TwoFactorService.base32Encode(crypto.randomBytes(SECRET_BYTES));
+  }
+
+  /**
+   * Computes the TOTP code for a time step (RFC 4226 HOTP over the step counter)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step (unix seconds / 30)
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', TwoFactorService.base32Decode(secret))
+      .update(counter)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Finds the time step a code belongs to
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number|null} lastUsedStep - Steps up to this one are rejected
+   * @returns {number|null} Matching step, or null when the code is invalid
+   */
+  matchStep(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      return null;
+    }
+
+    const current = this.currentStep();
+    const expected = Buffer.from(normalized);
+
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+
+      if (crypto.timingSafeEqual(Buffer.from(this.generateCode(secret, step)), expected)) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {number} Current TOTP time step
+   */
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Builds the otpauth:// URI authenticator apps scan
+   * @param {string} accountName - Usually the user's email
+   * @param {string} secret - Base32 secret
+   * @returns {string} otpauth URI
+   */
+  buildOtpauthUrl(accountName, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Renders the otpauth URI as a PNG data URL
+   * Returns null when the optional qrcode package is not installed;
+   * clients then show the secret for manual entry.
+   * @param {string} otpauthUrl - otpauth URI
+   * @returns {Promise<string|null>} data:image/png;base64 URL
+   */
+  async buildQrCode(otpauthUrl) {
+    let qrcode;
+    try {
+      qrcode = require('qrcode');
+    } catch (error) {
+      logger.debug('TwoFactor: qrcode package not installed, skipping QR image');
+      return null;
+    }
+
+    return qrcode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+  }
+
+  // ==============================================
+  // ENROLMENT AND VERIFICATION
+  // ==============================================
+
+  /**
+   * Two-factor state for a user
+   * @param {Object} user - { id, role }
+   * @returns {Promise<Object>} { enabled, enabledAt, required, recoveryCodesRemaining }
+   */
+  async getStatus(user) {
+    const result = await db.query(`
+      SELECT
+        tf.is_enabled,
+        tf.enabled_at,
+        (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = $1 AND rc.used_at IS NULL) AS recovery_codes_remaining
+      FROM (SELECT $1::integer AS user_id) u
+      LEFT JOIN user_two_factor tf ON tf.user_id = u.user_id
+    `, [user.id]);
+
+    const row = result.rows[0];
+    const enabled = row.is_enabled === true;
+
+    return {
+      enabled,
+      enabledAt: enabled ? row.enabled_at : null,
+      required: await this.isRequiredForRole(user.role),
+      recoveryCodesRemaining: enabled ? parseInt(row.recovery_codes_remaining, 10) : 0,
+    };
+  }
+
+  /**
+   * Whether a user has confirmed two-factor enrolment
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} Enabled status
+   */
+  async isEnabled(userId) {
+    const result = await db.query(
+      'SELECT is_enabled FROM user_two_factor WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0]?.is_enabled === true;
+  }
+
+  /**
+   * Step a password-authenticated user must complete before tokens are issued
+   * @param {Object} user - Full user row
+   * @returns {Promise<string|null>} 'verify', 'setup' or null
+   */
+  async getLoginStep(user) {
+    if (await this.isEnabled(user.id)) {
+      return 'verify';
+    }
+
+    if (await this.isRequiredForRole(user.role)) {
+      return 'setup';
+    }
+
+    return null;
+  }
+
+  /**
+   * Starts (or restarts) enrolment with a fresh secret
+   * The secret does nothing until confirmEnrolment() accepts a code from it.
+   * @param {Object} user - { id, email }
+   * @returns {Promise<Object|null>} { secret, otpauthUrl, qrCodeDataUrl }, or null when already enabled
+   */
+  async beginEnrolment(user) {
+    const secret = this.generateSecret();
+
+    const result = await db.query(`
+      INSERT INTO user_two_factor (user_id, secret_encrypted, is_enabled, last_used_step)
+      VALUES ($1, $2, false, NULL)
+      ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted,
+          last_used_step = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_two_factor.is_enabled = false
+      RETURNING user_id
+    `, [user.id, this.encryptSecret(secret)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const otpauthUrl = this.buildOtpauthUrl(user.email, secret);
+
+    let qrCodeDataUrl = null;
+    try {
+      qrCodeDataUrl = await this.buildQrCode(otpauthUrl);
+    } catch (error) {
+      logger.warn('TwoFactor: Failed to render QR code', { error: error.message });
+    }
+
+    return { secret, otpauthUrl, qrCodeDataUrl };
+  }
+
+  /**
+   * Confirms enrolment with a code from the new secret and issues recovery codes
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array<string>|null>} Recovery codes, or null when the code is wrong
+   */
+  async confirmEnrolment(userId, code) {
+    const result = await db.query(
+      'SELECT secret_encrypted, is_enabled FROM user_two_factor WHERE user_id = $1',
+      [userId]
+    );
+
+    const row = result.rows[0];
+    if (!row || row.is_enabled) {
+      return null;
+    }
+
+    const step = this.matchStep(this.decryptSecret(row.secret_encrypted), code);
+    if (step === null) {
+      return null;
+    }
+
+    return db.transaction(async (client) => {
+      const enabled = await client.query(`
+        UPDATE user_two_factor
+        SET is_enabled = true, last_used_step = $2, enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND is_enabled = false
+        RETURNING user_id
+      `, [userId, step]);
+
+      if (enabled.rows.length === 0) {
+        return null;
+      }
+
+      return this.replaceRecoveryCodes(client, userId);
+    });
+  }
+
+  /**
+   * Checks a TOTP code for an enrolled user, consuming its time step
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<boolean>} Whether the code was accepted
+   */
+  async verifyCode(userId, code) {
+    const result = await db.query(`
+      SELECT secret_encrypted, last_used_step
+      FROM user_two_factor
+      WHERE user_id = $1 AND is_enabled = true
+    `, [userId]);
+
+    const row = result.rows[0];
+    if (!row) {
+      return false;
+    }
+
+    const lastUsedStep = row.last_used_step === null ? null : Number(row.last_used_step);
+    const step = this.matchStep(this.decryptSecret(row.secret_encrypted), code, lastUsedStep);
+    if (step === null) {
+      return false;
+    }
+
+    // Only one request can claim a step, even when two race
+    const claimed = await db.query(`
+      UPDATE user_two_factor
+      SET last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING user_id
+    `, [userId, step]);
+
+    return claimed.rows.length > 0;
+  }
+
+  /**
+   * Spends a recovery code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code, with or without the dash
+   * @returns {Promise<Object|null>} { remaining }, or null when the code is unknown or used
+   */
+  async consumeRecoveryCode(userId, code) {
+    const result = await db.query(`
+      UPDATE user_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM user_recovery_codes
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        LIMIT 1
+      ) AND used_at IS NULL
+      RETURNING id
+    `, [userId, TwoFactorService.hashRecoveryCode(code)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const remaining = await db.query(
+      'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return { remaining: parseInt(remaining.rows[0].count, 10) };
+  }
+
+  /**
+   * Replaces all of a user's recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    return db.transaction(client => this.replaceRecoveryCodes(client, userId));
+  }
+
+  /**
+   * Turns two-factor authentication off and deletes the secret and recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} Whether anything was removed
+   */
+  async disable(userId) {
+    return db.transaction(async (client) => {
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+      return result.rowCount > 0;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async replaceRecoveryCodes(client, userId) {
+    const codes = TwoFactorService.generateRecoveryCodes();
+
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(`
+      INSERT INTO user_recovery_codes (user_id, code_hash)
+      SELECT $1::integer, UNNEST($2::varchar[])
+    `, [userId, codes.map(TwoFactorService.hashRecoveryCode)]);
+
+    return codes;
+  }
+
+  // ==============================================
+  // ROLE REQUIREMENTS
+  // ==============================================
+
+  /**
+   * Whether admins require two-factor authentication for a role
+   * @param {string} role - User role
+   * @returns {Promise<boolean>} Required status
+   */
+  async isRequiredForRole(role) {
+    if (!PRIVILEGED_ROLES.includes(role)) {
+      return false;
+    }
+
+    const result = await db.query(
+      'SELECT is_required FROM two_factor_role_requirements WHERE role = $1',
+      [role]
+    );
+
+    return result.rows[0]?.is_required === true;
+  }
+
+  /**
+   * Requirement for every privileged role
+   * @returns {Promise<Array<Object>>} [{ role, required, enrolledUsers, totalUsers, updatedBy, updatedAt }]
+   */
+  async getRolePolicy() {
+    const result = await db.query(`
+      SELECT
+        r.role,
+        COALESCE(req.is_required, false) AS is_required,
+        req.updated_by,
+        req.updated_at,
+        COUNT(u.id) AS total_users,
+        COUNT(tf.user_id) AS enrolled_users
+      FROM UNNEST($1::user_role[]) AS r(role)
+      LEFT JOIN two_factor_role_requirements req ON req.role = r.role
+      LEFT JOIN users u ON u.role = r.role AND u.is_active = true
+      LEFT JOIN user_two_factor tf ON tf.user_id = u.id AND tf.is_enabled = true
+      GROUP BY r.role, req.is_required, req.updated_by, req.updated_at
+      ORDER BY r.role
+    `, [PRIVILEGED_ROLES]);
+
+    return result.rows.map(row => ({
+      role: row.role,
+      required: row.is_required,
+      enrolledUsers: parseInt(row.enrolled_users, 10),
+      totalUsers: parseInt(row.total_users, 10),
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at,
+    }));
+  }
+
+  /**
+   * Requires (or stops requiring) two-factor authentication for a role
+   * @param {string} role - One of PRIVILEGED_ROLES
+   * @param {boolean} required - New requirement
+   * @param {number} adminId - Admin making the change
+   * @returns {Promise<boolean>} Previous requirement
+   */
+  async setRoleRequirement(role, required, adminId) {
+    if (!PRIVILEGED_ROLES.includes(role)) {
+      throw new Error(`Two-factor requirements apply only to: ${PRIVILEGED_ROLES.join(', ')}`);
+    }
+
+    const previous = await this.isRequiredForRole(role);
+
+    await db.query(`
+      INSERT INTO two_factor_role_requirements (role, is_required, updated_by, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (role) DO UPDATE
+      SET is_required = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+    `, [role, required, adminId]);
+
+    logger.info(`🔐 Two-factor requirement for ${role} set to ${required}`, {
+      role,
+      required,
+      adminId,
+    });
+
+    return previous;
+  }
+
+  // ==============================================
+  // PRE-AUTH TOKENS
+  // ==============================================
+
+  /**
+   * Issues a short-lived token proving the password step passed
+   * @param {Object} user - User row
+   * @param {string} purpose - 'verify' or 'setup'
+   * @param {Object} options - { rememberMe }
+   * @returns {Object} { token, expiresAt }
+   */
+  generatePreAuthToken(user, purpose, options = {}) {
+    const token = jwt.sign({
+      userId: user.id,
+      purpose,
+      rememberMe: Boolean(options.rememberMe),
+    }, this.jwtSecret, {
+      issuer: 'gis-net-backend',
+      audience: PRE_AUTH_AUDIENCE,
+      subject: user.id.toString(),
+      expiresIn: this.preAuthExpiresIn,
+      algorithm: 'HS256',
+      jwtid: crypto.randomUUID(),
+    });
+
+    return {
+      token,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+    };
+  }
+
+  /**
+   * Verifies a pre-auth token
+   * @param {string} token - Pre-auth token
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} Decoded payload
+   * @throws {Error} 'Invalid pre-auth token' or 'Pre-auth token expired'
+   */
+  verifyPreAuthToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.jwtSecret, {
+        issuer: 'gis-net-backend',
+        audience: PRE_AUTH_AUDIENCE,
+        algorithms: ['HS256'],
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TokenExpiredError' ? 'Pre-auth token expired' : 'Invalid pre-auth token');
+    }
+
+    if (!PRE_AUTH_PURPOSES.includes(decoded.purpose) || decoded.purpose !== purpose) {
+      throw new Error('Invalid pre-auth token');
+    }
+
+    return decoded;
+  }
+
+  // ==============================================
+  // SECRET STORAGE
+  // ==============================================
+
+  /**
+   * Encrypts a secret as iv.tag.ciphertext (base64url parts)
+   * @param {string} secret - Base32 secret
+   * @returns {string} Encrypted secret
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+  }
+
+  /**
+   * @param {string} value - Output of encryptSecret()
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(value) {
+    const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  // ==============================================
+  // HELPERS
+  // ==============================================
+
+  /**
+   * RFC 4648 base32 without padding
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * @param {string} input - Base32 string (case and padding insensitive)
+   * @returns {Buffer} Decoded bytes
+   */
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Random recovery codes formatted as xxxxx-xxxxx
+   * @param {number} count - Number of codes
+   * @returns {Array<string>} Recovery codes
+   */
+  static generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+      const code = TwoFactorService.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * SHA-256 of a recovery code, ignoring case, spaces and dashes
+   * @param {string} code - Recovery code
+   * @returns {string} Hex digest
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+TwoFactorService.PRIVILEGED_ROLES = PRIVILEGED_ROLES;
+TwoFactorService.PRE_AUTH_AUDIENCE = PRE_AUTH_AUDIENCE;
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
+module.exports.TwoFactorService = TwoFactorService;
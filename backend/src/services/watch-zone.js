@@ -0,0 +1,387 @@
+/**
+ * ==================================================
+ * WATCH ZONE SERVICE
+ * Saved Geofences and Incident Alerts
+ * ==================================================
+ *
+ * Users (typically fleet dispatchers) save polygons or route corridors
+ * they want to keep an eye on. Incidents created or updated inside an
+ * active zone that pass its filters notify the zone's owner, whether or
+ * not they are connected at the time.
+ *
+ * FEATURES:
+ * - Polygon zones and corridors (route LineString buffered in meters)
+ * - Incident type and minimum severity filters per zone
+ * - Matching with ST_Intersects against the incident point or extent
+ * - One notification per user and incident, naming every matched zone
+ *
+ * DEPENDENCIES:
+ * - Database Connection: PostgreSQL/PostGIS access
+ * - NotificationService: Stored and live notifications
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const watchZoneService = new WatchZoneService();
+ * await watchZoneService.notifyForIncident(incident, 'created', actor);
+ */
+
+const db = require('../db/connection');
+const logger = require('./logger');
+const NotificationService = require('./notification');
+
+const MAX_WATCH_ZONES_PER_USER = parseInt(process.env.MAX_WATCH_ZONES_PER_USER, 10) || 20;
+const DEFAULT_CORRIDOR_BUFFER_M = 250;
+
+const ZONE_COLUMNS = `
+  z.id, z.name, z.zone_type, z.buffer_meters, z.type_ids, z.min_severity,
+  z.is_active, z.last_triggered_at, z.created_at, z.updated_at,
+  ST_AsGeoJSON(z.geometry)::json AS geometry,
+  ST_AsGeoJSON(z.route)::json AS route
+`;
+
+class WatchZoneService {
+  constructor() {
+    this.db = db;
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * List a user's watch zones
+   * @param {number} userId - Owner
+   * @returns {Promise<Array>} Zones, newest first
+   */
+  async listZones(userId) {
+    const result = await this.db.query(`
+      SELECT ${ZONE_COLUMNS}
+      FROM watch_zones z
+      WHERE z.user_id = $1
+      ORDER BY z.created_at DESC, z.id DESC
+    `, [userId]);
+
+    return result.rows.map(WatchZoneService.formatZone);
+  }
+
+  /**
+   * Get one of a user's watch zones
+   * @param {number} zoneId - Zone ID
+   * @param {number} userId - Owner
+   * @returns {Promise<Object>} Zone
+   */
+  async getZone(zoneId, userId) {
+    const result = await this.db.query(`
+      SELECT ${ZONE_COLUMNS}
+      FROM watch_zones z
+      WHERE z.id = $1 AND z.user_id = $2
+    `, [zoneId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Watch zone not found');
+    }
+
+    return WatchZoneService.formatZone(result.rows[0]);
+  }
+
+  /**
+   * Save a new watch zone
+   * A LineString geometry is saved as a corridor buffered by bufferMeters.
+   * @param {number} userId - Owner
+   * @param {Object} zoneData - { name, geometry, bufferMeters, typeIds, minSeverity, active }
+   * @returns {Promise<Object>} Created zone
+   */
+  async createZone(userId, zoneData) {
+    const {
+      name,
+      geometry,
+      bufferMeters = DEFAULT_CORRIDOR_BUFFER_M,
+      typeIds = null,
+      minSeverity = 1,
+      active = true,
+    } = zoneData;
+
+    try {
+      const countResult = await this.db.query(
+        'SELECT COUNT(*)::int AS count FROM watch_zones WHERE user_id = $1',
+        [userId]
+      );
+
+      if (countResult.rows[0].count >= MAX_WATCH_ZONES_PER_USER) {
+        throw new Error(`Watch zone limit reached: a user can save up to ${MAX_WATCH_ZONES_PER_USER} zones`);
+      }
+
+      await this.assertValidGeometry(geometry);
+
+      const isCorridor = geometry.type === 'LineString';
+
+      const result = await this.db.query(`
+        INSERT INTO watch_zones (
+          user_id, name, zone_type, route, buffer_meters, geometry,
+          type_ids, min_severity, is_active, created_at, updated_at
+        )
+        SELECT
+          $1::integer, $2, $3,
+          CASE WHEN $4::boolean THEN src.geom END,
+          $5::integer,
+          CASE WHEN $4::boolean THEN ST_Buffer(src.geom::geography, $5::integer)::geometry ELSE src.geom END,
+          $6::integer[], $7::integer, $8::boolean, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+        FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($9), 4326) AS geom) src
+        RETURNING id
+      `, [
+        userId,
+        name,
+        isCorridor ? 'corridor' : 'polygon',
+        isCorridor,
+        isCorridor ? bufferMeters : null,
+        typeIds?.length ? typeIds : null,
+        minSeverity,
+        active,
+        JSON.stringify(geometry),
+      ]);
+
+      logger.info('WatchZoneService: Watch zone created', {
+        zoneId: result.rows[0].id,
+        userId,
+        zoneType: isCorridor ? 'corridor' : 'polygon',
+      });
+
+      return this.getZone(result.rows[0].id, userId);
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'create_watch_zone',
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a watch zone's name, shape, buffer, filters or active flag
+   * @param {number} zoneId - Zone ID
+   * @param {number} userId - Owner
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated zone
+   */
+  async updateZone(zoneId, userId, updateData) {
+    try {
+      const current = await this.getZone(zoneId, userId);
+
+      const updates = [];
+      const params = [zoneId];
+
+      if (updateData.name !== undefined) {
+        params.push(updateData.name);
+        updates.push(`name = $${params.length}`);
+      }
+
+      if (updateData.typeIds !== undefined) {
+        params.push(updateData.typeIds?.length ? updateData.typeIds : null);
+        updates.push(`type_ids = $${params.length}`);
+      }
+
+      if (updateData.minSeverity !== undefined) {
+        params.push(updateData.minSeverity);
+        updates.push(`min_severity = $${params.length}`);
+      }
+
+      if (updateData.active !== undefined) {
+        params.push(updateData.active);
+        updates.push(`is_active = $${params.length}`);
+      }
+
+      if (updateData.geometry) {
+        await this.assertValidGeometry(updateData.geometry);
+
+        const isCorridor = updateData.geometry.type === 'LineString';
+        const bufferMeters = isCorridor
+          ? (updateData.bufferMeters ?? current.bufferMeters ?? DEFAULT_CORRIDOR_BUFFER_M)
+          : null;
+
+        params.push(JSON.stringify(updateData.geometry));
+        const geomParam = `ST_SetSRID(ST_GeomFromGeoJSON($${params.length}), 4326)`;
+        params.push(bufferMeters);
+        const bufferParam = `$${params.length}`;
+
+        updates.push(`zone_type = '${isCorridor ? 'corridor' : 'polygon'}'`);
+        updates.push(`buffer_meters = ${bufferParam}::integer`);
+        if (isCorridor) {
+          updates.push(`route = ${geomParam}`);
+          updates.push(`geometry = ST_Buffer(${geomParam}::geography, ${bufferParam}::integer)::geometry`);
+        } else {
+          updates.push('route = NULL');
+          updates.push(`geometry = ${geomParam}`);
+        }
+      } else if (updateData.bufferMeters !== undefined) {
+        if (current.zoneType !== 'corridor') {
+          throw new Error('Buffer only applies to corridor watch zones');
+        }
+
+        params.push(updateData.bufferMeters);
+        updates.push(`buffer_meters = $${params.length}`);
+        updates.push(`geometry = ST_Buffer(route::geography, $${params.length})::geometry`);
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      await this.db.query(`
+        UPDATE watch_zones
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, params);
+
+      logger.info('WatchZoneService: Watch zone updated', {
+        zoneId,
+        userId,
+        updatedFields: Object.keys(updateData),
+      });
+
+      return this.getZone(zoneId, userId);
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'update_watch_zone',
+        zoneId,
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a watch zone
+   * @param {number} zoneId - Zone ID
+   * @param {number} userId - Owner
+   * @returns {Promise<Object>} { zoneId }
+   */
+  async deleteZone(zoneId, userId) {
+    const result = await this.db.query(
+      'DELETE FROM watch_zones WHERE id = $1 AND user_id = $2 RETURNING id',
+      [zoneId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Watch zone not found');
+    }
+
+    logger.info('WatchZoneService: Watch zone deleted', { zoneId, userId });
+
+    return { zoneId };
+  }
+
+  /**
+   * Active zones an incident falls in, after type and severity filters
+   * The user who made the change is not alerted about it.
+   * @param {number} incidentId - Incident ID
+   * @param {number} excludeUserId - Acting user
+   * @returns {Promise<Array>} [{ id, name, userId }]
+   */
+  async findMatchingZones(incidentId, excludeUserId = null) {
+    const result = await this.db.query(`
+      SELECT z.id, z.name, z.user_id
+      FROM incidents i
+      JOIN watch_zones z
+        ON z.is_active = true
+        AND ST_Intersects(z.geometry, COALESCE(i.extent, i.location))
+      WHERE i.id = $1
+        AND i.is_deleted = false
+        AND (z.type_ids IS NULL OR i.type_id = ANY(z.type_ids))
+        AND COALESCE(i.severity, 1) >= z.min_severity
+        AND ($2::integer IS NULL OR z.user_id != $2)
+      ORDER BY z.user_id, z.id
+    `, [incidentId, excludeUserId]);
+
+    return result.rows.map(row => ({ id: row.id, name: row.name, userId: row.user_id }));
+  }
+
+  /**
+   * Notify owners of watch zones an incident falls in
+   * @param {Object} incident - Formatted incident ({ id, severity, incidentType })
+   * @param {string} event - 'created' | 'updated'
+   * @param {Object} actor - User who made the change ({ id, username })
+   * @returns {Promise<Array<number>>} Notified user IDs
+   */
+  async notifyForIncident(incident, event, actor) {
+    const zones = await this.findMatchingZones(incident.id, actor?.id);
+    if (zones.length === 0) return [];
+
+    const zonesByUser = new Map();
+    for (const zone of zones) {
+      if (!zonesByUser.has(zone.userId)) zonesByUser.set(zone.userId, []);
+      zonesByUser.get(zone.userId).push(zone);
+    }
+
+    const typeName = incident.incidentType?.name || 'Incident';
+    const verb = event === 'created' ? 'reported' : 'updated';
+
+    for (const [userId, userZones] of zonesByUser) {
+      const zoneNames = userZones.map(zone => `"${zone.name}"`).join(', ');
+
+      await this.notificationService.notify(userId, {
+        type: 'watch_zone_alert',
+        incidentId: incident.id,
+        event,
+        zones: userZones.map(zone => ({ id: zone.id, name: zone.name })),
+        severity: incident.severity,
+        location: incident.location,
+        message: `${typeName} (severity ${incident.severity}) ${verb} in your watch zone ${zoneNames}`,
+      });
+    }
+
+    await this.db.query(
+      'UPDATE watch_zones SET last_triggered_at = CURRENT_TIMESTAMP WHERE id = ANY($1::integer[])',
+      [zones.map(zone => zone.id)]
+    );
+
+    logger.info('WatchZoneService: Watch zone alerts sent', {
+      incidentId: incident.id,
+      event,
+      zoneCount: zones.length,
+      userCount: zonesByUser.size,
+    });
+
+    return [...zonesByUser.keys()];
+  }
+
+  /**
+   * Reject self-intersecting or otherwise invalid zone shapes
+   * @private
+   */
+  async assertValidGeometry(geometry) {
+    const result = await this.db.query(`
+      SELECT ST_IsValid(geom) AS valid, ST_IsValidReason(geom) AS reason
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom) g
+    `, [JSON.stringify(geometry)]);
+
+    if (!result.rows[0].valid) {
+      throw new Error(`Invalid zone geometry: ${result.rows[0].reason}`);
+    }
+  }
+
+  /**
+   * Shape a watch_zones row for API responses
+   * @private
+   */
+  static formatZone(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      zoneType: row.zone_type,
+      geometry: row.geometry,
+      route: row.route,
+      bufferMeters: row.buffer_meters,
+      filters: {
+        typeIds: row.type_ids || [],
+        minSeverity: row.min_severity,
+      },
+      active: row.is_active,
+      lastTriggeredAt: row.last_triggered_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+WatchZoneService.MAX_WATCH_ZONES_PER_USER = MAX_WATCH_ZONES_PER_USER;
+
+module.exports = WatchZoneService;
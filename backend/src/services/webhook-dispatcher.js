@@ -0,0 +1,362 @@
+/**
+ * ==================================================
+ * WEBHOOK DISPATCHER
+ * Signed Delivery with Retries and Dead Letters
+ * ==================================================
+ *
+ * Sends queued webhook deliveries to partner endpoints. Each delivery
+ * is POSTed as JSON and signed with the endpoint's secret. Failures are
+ * retried with exponential backoff; a delivery that runs out of
+ * attempts becomes a dead letter until an admin replays it.
+ *
+ * SIGNATURE:
+ * X-GISNET-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * The HMAC covers "<t>.<raw request body>". Receivers should recompute
+ * it with their secret, compare in constant time and reject stale t.
+ *
+ * FEATURES:
+ * - Immediate send when an event is queued, plus a periodic sweep for retries
+ * - Deliveries are claimed with SKIP LOCKED, so several instances can run it
+ * - Runs never overlap; one requested mid-run makes it take another pass
+ *
+ * CONFIGURATION:
+ * - ENABLE_WEBHOOKS: set to 'false' to disable sending
+ * - WEBHOOK_MAX_ATTEMPTS: attempts before a delivery is dead (default 8)
+ * - WEBHOOK_RETRY_BASE_SECONDS: first retry delay, doubled each attempt (default 30)
+ * - WEBHOOK_TIMEOUT_MS: per-request timeout (default 10000)
+ *
+ * DEPENDENCIES:
+ * - axios: HTTP client
+ * - WebhookService: Delivery queue
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const { webhookDispatcher } = require('./services/webhook-dispatcher');
+ * webhookDispatcher.start();
+ * webhookDispatcher.dispatch('incident.created', incident.id, { incident });
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookService = require('./webhook');
+const logger = require('./logger');
+
+const SWEEP_INTERVAL_MS = 15 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+// Deliveries claimed per query
+const BATCH_SIZE = 20;
+
+// Response bodies kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+class WebhookDispatcher {
+  constructor(webhookService = new WebhookService()) {
+    this.webhookService = webhookService;
+    this.db = webhookService.db;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || DEFAULT_RETRY_BASE_SECONDS;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.timer = null;
+    this.running = null;
+    this.rerunRequested = false;
+  }
+
+  /**
+   * Start the periodic retry sweep
+   * @returns {boolean} Whether the dispatcher was started
+   */
+  start() {
+    if (this.timer) return true;
+
+    if (process.env.ENABLE_WEBHOOKS === 'false') {
+      logger.info('WebhookDispatcher: Disabled by configuration');
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {
+        // Already logged; the next tick retries
+      });
+    }, SWEEP_INTERVAL_MS);
+
+    // Never keep the process alive just for the dispatcher
+    this.timer.unref();
+
+    logger.info('WebhookDispatcher: Started', {
+      maxAttempts: this.maxAttempts,
+      retryBaseSeconds: this.retryBaseSeconds,
+    });
+
+    return true;
+  }
+
+  /**
+   * Stop the periodic retry sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('WebhookDispatcher: Stopped');
+    }
+  }
+
+  /**
+   * Queue an incident event for matching endpoints and start sending
+   * Never throws: webhook problems must not fail the incident change.
+   * @param {string} event - One of WebhookService.EVENT_TYPES
+   * @param {number} incidentId - Incident the event is about
+   * @param {Object} data - Event data
+   * @returns {Promise<Array<number>>} Queued delivery IDs
+   */
+  async dispatch(event, incidentId, data) {
+    try {
+      const deliveryIds = await this.webhookService.enqueue(event, incidentId, data);
+
+      if (deliveryIds.length > 0) {
+        this.trigger();
+      }
+
+      return deliveryIds;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'webhook_dispatch',
+        event,
+        incidentId,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Send due deliveries now instead of waiting for the next sweep
+   * Does nothing while the dispatcher is stopped.
+   */
+  trigger() {
+    if (!this.timer) return;
+
+    this.runOnce().catch(() => {
+      // Already logged; the sweep retries
+    });
+  }
+
+  /**
+   * Send every due delivery
+   * Concurrent callers share the run already in progress, which makes
+   * one more pass so deliveries queued meanwhile are not left to the sweep.
+   * @returns {Promise<Object>} { attempted, succeeded, failed, dead }
+   */
+  async runOnce() {
+    if (this.running) {
+      this.rerunRequested = true;
+    } else {
+      this.running = this.execute().finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * @private
+   */
+  async execute() {
+    const totals = { attempted: 0, succeeded: 0, failed: 0, dead: 0 };
+
+    try {
+      let batch;
+      do {
+        batch = await this.claimDueDeliveries();
+
+        for (const delivery of batch) {
+          const outcome = await this.deliver(delivery);
+          totals.attempted++;
+          totals[outcome]++;
+        }
+      } while (batch.length === BATCH_SIZE || this.takeRerunRequest());
+
+      if (totals.attempted > 0) {
+        logger.debug('WebhookDispatcher: Run completed', totals);
+      }
+
+      return totals;
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'webhook_dispatcher_run',
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  takeRerunRequest() {
+    const requested = this.rerunRequested;
+    this.rerunRequested = false;
+    return requested;
+  }
+
+  /**
+   * Lease due deliveries so no other instance sends them at the same time
+   * A lease that is never released (crashed instance) simply expires.
+   * @private
+   */
+  async claimDueDeliveries() {
+    const leaseSeconds = Math.ceil(this.timeoutMs / 1000) * 2 + 30;
+
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = CURRENT_TIMESTAMP + ($2 || ' seconds')::interval
+      FROM webhook_endpoints w
+      WHERE w.id = d.endpoint_id
+        AND d.id IN (
+          SELECT due.id
+          FROM webhook_deliveries due
+          JOIN webhook_endpoints e ON e.id = due.endpoint_id AND e.is_active = true
+          WHERE due.status = 'pending' AND due.next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY due.next_attempt_at, due.id
+          LIMIT $1
+          FOR UPDATE OF due SKIP LOCKED
+        )
+      RETURNING d.id, d.endpoint_id, d.event, d.event_id, d.payload, d.attempts, w.url, w.secret
+    `, [BATCH_SIZE, leaseSeconds]);
+
+    return result.rows;
+  }
+
+  /**
+   * POST one delivery and record the outcome
+   * @returns {Promise<string>} 'succeeded' | 'failed' | 'dead'
+   * @private
+   */
+  async deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = delivery.attempts + 1;
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GIS-NET-Webhooks/1.0',
+          'X-GISNET-Event': delivery.event,
+          'X-GISNET-Delivery': delivery.event_id,
+          'X-GISNET-Attempt': String(attempt),
+          'X-GISNET-Signature': WebhookDispatcher.sign(delivery.secret, timestamp, body),
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        // Send the exact bytes that were signed
+        transformRequest: [(data) => data],
+        validateStatus: () => true,
+      });
+
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        const responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        errorMessage = `HTTP ${response.status}: ${(responseBody || '').slice(0, MAX_ERROR_LENGTH)}`;
+      }
+    } catch (error) {
+      errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+
+    if (!errorMessage) {
+      await this.db.query(`
+        UPDATE webhook_deliveries
+        SET status = 'succeeded', attempts = $2, last_attempt_at = CURRENT_TIMESTAMP,
+            response_status = $3, last_error = NULL, duration_ms = $4, delivered_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [delivery.id, attempt, responseStatus, durationMs]);
+
+      await this.db.query(
+        'UPDATE webhook_endpoints SET last_success_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [delivery.endpoint_id]
+      );
+
+      return 'succeeded';
+    }
+
+    const isDead = attempt >= this.maxAttempts;
+
+    await this.db.query(`
+      UPDATE webhook_deliveries
+      SET status = $2, attempts = $3, last_attempt_at = CURRENT_TIMESTAMP,
+          next_attempt_at = CURRENT_TIMESTAMP + ($4 || ' seconds')::interval,
+          response_status = $5, last_error = $6, duration_ms = $7
+      WHERE id = $1
+    `, [
+      delivery.id,
+      isDead ? 'dead' : 'pending',
+      attempt,
+      this.retryDelaySeconds(attempt),
+      responseStatus,
+      errorMessage,
+      durationMs,
+    ]);
+
+    await this.db.query(
+      'UPDATE webhook_endpoints SET last_failure_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [delivery.endpoint_id]
+    );
+
+    logger.warn('WebhookDispatcher: Delivery failed', {
+      deliveryId: delivery.id,
+      endpointId: delivery.endpoint_id,
+      event: delivery.event,
+      attempt,
+      dead: isDead,
+      error: errorMessage,
+    });
+
+    return isDead ? 'dead' : 'failed';
+  }
+
+  /**
+   * Delay before the next attempt: base, 2x base, 4x base... capped
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Seconds
+   */
+  retryDelaySeconds(attempt) {
+    return Math.min(this.retryBaseSeconds * 2 ** (attempt - 1), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  /**
+   * Signature header value for a request body
+   * @param {string} secret - Endpoint signing secret
+   * @param {number} timestamp - Unix seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} t=<timestamp>,v1=<hex HMAC-SHA256>
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+  }
+}
+
+// Create singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = {
+  WebhookDispatcher,
+  webhookDispatcher,
+};
@@ -0,0 +1,533 @@
+/**
+ * ==================================================
+ * WEBHOOK SERVICE
+ * Outbound Incident Event Subscriptions
+ * ==================================================
+ *
+ * Partner systems (CAD dispatch, signage controllers) register HTTPS
+ * endpoints that receive incident events as signed JSON POSTs. This
+ * service stores the endpoints, turns incident events into queued
+ * deliveries for every matching endpoint, and exposes each endpoint's
+ * delivery log and the dead-letter list. WebhookDispatcher sends the
+ * queued deliveries.
+ *
+ * FEATURES:
+ * - Event type, area polygon, incident type and minimum severity filters
+ * - Per-endpoint signing secret, shown once and rotatable
+ * - Delivery log per endpoint with attempt count and last response
+ * - Dead-letter list with manual replay (single or per endpoint)
+ *
+ * EVENT TYPES:
+ * - incident.created, incident.updated, incident.deleted, incident.verified
+ *
+ * DEPENDENCIES:
+ * - Database Connection: PostgreSQL/PostGIS access
+ * - Logger: Operation logging
+ *
+ * USAGE:
+ * const webhookService = new WebhookService();
+ * const deliveries = await webhookService.enqueue('incident.created', incidentId, data);
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const logger = require('./logger');
+
+const EVENT_TYPES = [
+  'incident.created',
+  'incident.updated',
+  'incident.deleted',
+  'incident.verified',
+];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'dead'];
+
+const MAX_WEBHOOK_ENDPOINTS = parseInt(process.env.MAX_WEBHOOK_ENDPOINTS, 10) || 50;
+
+const ENDPOINT_COLUMNS = `
+  w.id, w.name, w.url, w.event_types, w.type_ids, w.min_severity,
+  ST_AsGeoJSON(w.area)::json AS area, w.is_active, w.created_by,
+  w.last_success_at, w.last_failure_at, w.created_at, w.updated_at
+`;
+
+const DELIVERY_COLUMNS = `
+  d.id, d.endpoint_id, d.event_id, d.event, d.incident_id, d.status,
+  d.attempts, d.next_attempt_at, d.last_attempt_at, d.response_status,
+  d.last_error, d.duration_ms, d.delivered_at, d.created_at
+`;
+
+class WebhookService {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * List every webhook endpoint
+   * @returns {Promise<Array>} Endpoints with pending and dead delivery counts, newest first
+   */
+  async listEndpoints() {
+    const result = await this.db.query(`
+      SELECT ${ENDPOINT_COLUMNS},
+        COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_count,
+        COUNT(d.id) FILTER (WHERE d.status = 'dead')::int AS dead_count
+      FROM webhook_endpoints w
+      LEFT JOIN webhook_deliveries d ON d.endpoint_id = w.id
+      GROUP BY w.id
+      ORDER BY w.created_at DESC, w.id DESC
+    `);
+
+    return result.rows.map(WebhookService.formatEndpoint);
+  }
+
+  /**
+   * Get one webhook endpoint
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<Object>} Endpoint
+   */
+  async getEndpoint(endpointId) {
+    const result = await this.db.query(`
+      SELECT ${ENDPOINT_COLUMNS},
+        (SELECT COUNT(*)::int FROM webhook_deliveries WHERE endpoint_id = w.id AND status = 'pending') AS pending_count,
+        (SELECT COUNT(*)::int FROM webhook_deliveries WHERE endpoint_id = w.id AND status = 'dead') AS dead_count
+      FROM webhook_endpoints w
+      WHERE w.id = $1
+    `, [endpointId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    return WebhookService.formatEndpoint(result.rows[0]);
+  }
+
+  /**
+   * Register a webhook endpoint
+   * The signing secret is only returned here and by rotateSecret.
+   * @param {number} userId - Admin creating the endpoint
+   * @param {Object} endpointData - { name, url, eventTypes, typeIds, minSeverity, area, active }
+   * @returns {Promise<Object>} { endpoint, secret }
+   */
+  async createEndpoint(userId, endpointData) {
+    const {
+      name,
+      url,
+      eventTypes = null,
+      typeIds = null,
+      minSeverity = 1,
+      area = null,
+      active = true,
+    } = endpointData;
+
+    try {
+      const countResult = await this.db.query('SELECT COUNT(*)::int AS count FROM webhook_endpoints');
+
+      if (countResult.rows[0].count >= MAX_WEBHOOK_ENDPOINTS) {
+        throw new Error(`Webhook endpoint limit reached: up to ${MAX_WEBHOOK_ENDPOINTS} endpoints can be registered`);
+      }
+
+      if (area) {
+        await this.assertValidArea(area);
+      }
+
+      const secret = WebhookService.generateSecret();
+
+      const result = await this.db.query(`
+        INSERT INTO webhook_endpoints (
+          name, url, secret, event_types, type_ids, min_severity,
+          area, is_active, created_by, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6,
+          ST_SetSRID(ST_GeomFromGeoJSON($7), 4326), $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+        )
+        RETURNING id
+      `, [
+        name,
+        url,
+        secret,
+        eventTypes?.length ? eventTypes : null,
+        typeIds?.length ? typeIds : null,
+        minSeverity,
+        area ? JSON.stringify(area) : null,
+        active,
+        userId,
+      ]);
+
+      logger.info('WebhookService: Webhook endpoint created', {
+        endpointId: result.rows[0].id,
+        userId,
+        eventTypes,
+      });
+
+      return {
+        endpoint: await this.getEndpoint(result.rows[0].id),
+        secret,
+      };
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'create_webhook_endpoint',
+        userId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an endpoint's URL, filters or active flag
+   * @param {number} endpointId - Endpoint ID
+   * @param {Object} updateData - Fields to change; area null removes the area filter
+   * @returns {Promise<Object>} Updated endpoint
+   */
+  async updateEndpoint(endpointId, updateData) {
+    try {
+      await this.getEndpoint(endpointId);
+
+      const updates = [];
+      const params = [endpointId];
+
+      const columns = {
+        name: 'name',
+        url: 'url',
+        minSeverity: 'min_severity',
+        active: 'is_active',
+      };
+
+      Object.entries(columns).forEach(([field, column]) => {
+        if (updateData[field] !== undefined) {
+          params.push(updateData[field]);
+          updates.push(`${column} = $${params.length}`);
+        }
+      });
+
+      if (updateData.eventTypes !== undefined) {
+        params.push(updateData.eventTypes?.length ? updateData.eventTypes : null);
+        updates.push(`event_types = $${params.length}`);
+      }
+
+      if (updateData.typeIds !== undefined) {
+        params.push(updateData.typeIds?.length ? updateData.typeIds : null);
+        updates.push(`type_ids = $${params.length}`);
+      }
+
+      if (updateData.area !== undefined) {
+        if (updateData.area) {
+          await this.assertValidArea(updateData.area);
+        }
+        params.push(updateData.area ? JSON.stringify(updateData.area) : null);
+        updates.push(`area = ST_SetSRID(ST_GeomFromGeoJSON($${params.length}), 4326)`);
+      }
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      await this.db.query(`
+        UPDATE webhook_endpoints
+        SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, params);
+
+      logger.info('WebhookService: Webhook endpoint updated', {
+        endpointId,
+        updatedFields: Object.keys(updateData),
+      });
+
+      return this.getEndpoint(endpointId);
+
+    } catch (error) {
+      logger.logError(error, null, {
+        operation: 'update_webhook_endpoint',
+        endpointId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an endpoint and its delivery log
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<Object>} { endpointId }
+   */
+  async deleteEndpoint(endpointId) {
+    const result = await this.db.query(
+      'DELETE FROM webhook_endpoints WHERE id = $1 RETURNING id',
+      [endpointId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    logger.info('WebhookService: Webhook endpoint deleted', { endpointId });
+
+    return { endpointId };
+  }
+
+  /**
+   * Replace an endpoint's signing secret
+   * Deliveries already queued are signed with the new secret when sent.
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<Object>} { endpointId, secret }
+   */
+  async rotateSecret(endpointId) {
+    const secret = WebhookService.generateSecret();
+
+    const result = await this.db.query(`
+      UPDATE webhook_endpoints
+      SET secret = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id
+    `, [endpointId, secret]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    logger.info('WebhookService: Webhook secret rotated', { endpointId });
+
+    return { endpointId, secret };
+  }
+
+  /**
+   * Queue an incident event for every active endpoint whose filters match
+   * Area, type and severity filters are checked against the stored
+   * incident, which is still present (soft-deleted) for deletions.
+   * @param {string} event - One of EVENT_TYPES
+   * @param {number} incidentId - Incident the event is about
+   * @param {Object} data - Event data sent to the endpoint
+   * @returns {Promise<Array<number>>} Queued delivery IDs
+   */
+  async enqueue(event, incidentId, data) {
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    const result = await this.db.query(`
+      INSERT INTO webhook_deliveries (endpoint_id, event_id, event, incident_id, payload)
+      SELECT w.id, $1, $2, $3, $4
+      FROM webhook_endpoints w
+      LEFT JOIN incidents i ON i.id = $3
+      WHERE w.is_active = true
+        AND (w.event_types IS NULL OR $2 = ANY(w.event_types))
+        AND (w.type_ids IS NULL OR i.type_id = ANY(w.type_ids))
+        AND COALESCE(i.severity, 1) >= w.min_severity
+        AND (w.area IS NULL OR ST_Intersects(w.area, COALESCE(i.extent, i.location)))
+      RETURNING id
+    `, [eventId, event, incidentId, JSON.stringify(payload)]);
+
+    if (result.rows.length > 0) {
+      logger.debug('WebhookService: Deliveries queued', {
+        event,
+        incidentId,
+        deliveryCount: result.rows.length,
+      });
+    }
+
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Delivery log for an endpoint
+   * @param {number} endpointId - Endpoint ID
+   * @param {Object} options - { status, limit, offset }
+   * @returns {Promise<Object>} { deliveries, total }
+   */
+  async listDeliveries(endpointId, options = {}) {
+    const { status, limit = 50, offset = 0 } = options;
+
+    await this.getEndpoint(endpointId);
+
+    const params = [endpointId];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = `AND d.status = $${params.length}`;
+    }
+
+    const countResult = await this.db.query(`
+      SELECT COUNT(*)::int AS total
+      FROM webhook_deliveries d
+      WHERE d.endpoint_id = $1 ${statusFilter}
+    `, params);
+
+    const result = await this.db.query(`
+      SELECT ${DELIVERY_COLUMNS}
+      FROM webhook_deliveries d
+      WHERE d.endpoint_id = $1 ${statusFilter}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      deliveries: result.rows.map(WebhookService.formatDelivery),
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Dead-letter list across endpoints
+   * @param {Object} options - { endpointId, limit, offset }
+   * @returns {Promise<Object>} { deliveries, total }
+   */
+  async listDeadLetters(options = {}) {
+    const { endpointId, limit = 50, offset = 0 } = options;
+
+    const params = [];
+    let endpointFilter = '';
+    if (endpointId) {
+      params.push(endpointId);
+      endpointFilter = `AND d.endpoint_id = $${params.length}`;
+    }
+
+    const countResult = await this.db.query(`
+      SELECT COUNT(*)::int AS total
+      FROM webhook_deliveries d
+      WHERE d.status = 'dead' ${endpointFilter}
+    `, params);
+
+    const result = await this.db.query(`
+      SELECT ${DELIVERY_COLUMNS}, w.name AS endpoint_name, w.url AS endpoint_url
+      FROM webhook_deliveries d
+      JOIN webhook_endpoints w ON w.id = d.endpoint_id
+      WHERE d.status = 'dead' ${endpointFilter}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      deliveries: result.rows.map(WebhookService.formatDelivery),
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Put a dead delivery back in the queue with a fresh set of attempts
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Requeued delivery
+   */
+  async replayDelivery(deliveryId) {
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries d
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+      WHERE d.id = $1 AND d.status = 'dead'
+      RETURNING ${DELIVERY_COLUMNS}
+    `, [deliveryId]);
+
+    if (result.rows.length === 0) {
+      const exists = await this.db.query('SELECT status FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+      if (exists.rows.length === 0) {
+        throw new Error('Webhook delivery not found');
+      }
+      throw new Error('Only dead deliveries can be replayed');
+    }
+
+    logger.info('WebhookService: Dead delivery replayed', { deliveryId });
+
+    return WebhookService.formatDelivery(result.rows[0]);
+  }
+
+  /**
+   * Requeue every dead delivery for an endpoint
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<Object>} { endpointId, replayedCount }
+   */
+  async replayDeadLetters(endpointId) {
+    await this.getEndpoint(endpointId);
+
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+      WHERE endpoint_id = $1 AND status = 'dead'
+    `, [endpointId]);
+
+    logger.info('WebhookService: Dead deliveries replayed', {
+      endpointId,
+      replayedCount: result.rowCount,
+    });
+
+    return { endpointId, replayedCount: result.rowCount };
+  }
+
+  /**
+   * Reject self-intersecting or otherwise invalid area polygons
+   * @private
+   */
+  async assertValidArea(area) {
+    const result = await this.db.query(`
+      SELECT ST_IsValid(geom) AS valid, ST_IsValidReason(geom) AS reason
+      FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) AS geom) g
+    `, [JSON.stringify(area)]);
+
+    if (!result.rows[0].valid) {
+      throw new Error(`Invalid webhook area: ${result.rows[0].reason}`);
+    }
+  }
+
+  /**
+   * Random signing secret
+   * @private
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Shape a webhook_endpoints row for API responses (never includes the secret)
+   * @private
+   */
+  static formatEndpoint(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      filters: {
+        eventTypes: row.event_types || [],
+        typeIds: row.type_ids || [],
+        minSeverity: row.min_severity,
+        area: row.area,
+      },
+      active: row.is_active,
+      pendingCount: row.pending_count ?? 0,
+      deadCount: row.dead_count ?? 0,
+      createdBy: row.created_by,
+      lastSuccessAt: row.last_success_at,
+      lastFailureAt: row.last_failure_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Shape a webhook_deliveries row for API responses
+   * @private
+   */
+  static formatDelivery(row) {
+    return {
+      id: Number(row.id),
+      endpointId: row.endpoint_id,
+      endpoint: row.endpoint_name !== undefined ? { name: row.endpoint_name, url: row.endpoint_url } : undefined,
+      eventId: row.event_id,
+      event: row.event,
+      incidentId: row.incident_id,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+      lastAttemptAt: row.last_attempt_at,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      durationMs: row.duration_ms,
+      deliveredAt: row.delivered_at,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+WebhookService.EVENT_TYPES = EVENT_TYPES;
+WebhookService.DELIVERY_STATUSES = DELIVERY_STATUSES;
+WebhookService.MAX_WEBHOOK_ENDPOINTS = MAX_WEBHOOK_ENDPOINTS;
+
+module.exports = WebhookService;
@@ -33,7 +33,11 @@
  * - Error handling for invalid geographic data
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+const Database = require('better-sqlite3');
 const jwt = require('jsonwebtoken');
 const ExpressApp = require('../app');
 const db = require('../db/connection');
@@ -58,6 +62,13 @@ describe('🗺️ Advanced GIS Analysis API', () => {
   let testUserId;
   let adminUserId;
 
+  // Collect binary response bodies (vector tiles, zipped exports)
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
   // Test data for spatial operations
   const testBounds = {
     north: 37.7849,
@@ -85,6 +96,12 @@ describe('🗺️ Advanced GIS Analysis API', () => {
       if (!db.isConnected) {
         throw new Error('Database failed to connect properly');
       }
+
+      // Exports and predictive models check role permissions
+      await db.query(fs.readFileSync(
+        path.join(__dirname, '../db/migrations/19-role-permissions.sql'),
+        'utf8'
+      ));
       
       // Initialize Express app in test mode
       const expressApp = new ExpressApp({ isTestMode: true });
@@ -249,6 +266,62 @@ describe('🗺️ Advanced GIS Analysis API', () => {
       expect(response.body.error).toContain('validation');
     });
 
+    it('should compute Getis-Ord Gi* statistics per cell', async () => {
+      const response = await request(app)
+        .get('/api/analysis/hotspots')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({
+          north: testBounds.north,
+          south: testBounds.south,
+          east: testBounds.east,
+          west: testBounds.west,
+          gridSize: 100,
+          method: 'gistar',
+          neighborhood: 'distance',
+          distanceBand: 2000,
+          includeMoran: 'true'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.metadata.method).toBe('gistar');
+      expect(response.body.metadata.neighborhood).toEqual({ type: 'distance', distanceBand: 2000 });
+      expect(response.body.metadata).toHaveProperty('totalCells');
+
+      response.body.hotspots.forEach(cell => {
+        expect(typeof cell.zScore).toBe('number');
+        expect(cell.pValue).toBeGreaterThanOrEqual(0);
+        expect(cell.pValue).toBeLessThanOrEqual(1);
+        expect([-3, -2, -1, 0, 1, 2, 3]).toContain(cell.confidenceBin);
+        expect(['hot', 'cold', 'not_significant']).toContain(cell.classification);
+        expect(cell).toHaveProperty('localMoran');
+        expect(cell.localMoran).toHaveProperty('clusterType');
+      });
+    });
+
+    it('should support k-nearest neighbourhoods for Gi*', async () => {
+      const response = await request(app)
+        .get('/api/analysis/hotspots')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ method: 'gistar', neighborhood: 'knn', neighbors: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.metadata.neighborhood).toEqual({ type: 'knn', neighbors: 3 });
+      response.body.hotspots.forEach(cell => {
+        expect(cell).not.toHaveProperty('localMoran');
+      });
+    });
+
+    it('should reject unknown hotspot methods', async () => {
+      const response = await request(app)
+        .get('/api/analysis/hotspots')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ method: 'kriging' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('validation');
+    });
+
     it('should require authentication', async () => {
       const response = await request(app)
         .get('/api/analysis/hotspots')
@@ -485,6 +558,36 @@ describe('🗺️ Advanced GIS Analysis API', () => {
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
     });
+
+    it('should support DBSCAN clustering with noise reporting', async () => {
+      const response = await request(app)
+        .get('/api/analysis/predictive')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({
+          method: 'dbscan',
+          eps: 500,
+          minPoints: 2,
+          hull: 'concave'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.data.noise)).toBe(true);
+
+      response.body.data.risk_areas.forEach(area => {
+        expect(area).toHaveProperty('hull');
+      });
+    });
+
+    it('should reject invalid DBSCAN parameters', async () => {
+      const response = await request(app)
+        .get('/api/analysis/predictive')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ method: 'dbscan', eps: 0, minPoints: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('📈 Incident Density Analysis', () => {
@@ -627,6 +730,253 @@ describe('🗺️ Advanced GIS Analysis API', () => {
       expect(response.body.data.analysis).toHaveProperty('severity_distribution');
       expect(response.body.data.analysis).toHaveProperty('type_distribution');
     });
+
+    it('should export line extents as feature geometry with the point in properties', async () => {
+      const inserted = await db.query(`
+        INSERT INTO incidents (type_id, title, description, location, extent, reported_by, severity)
+        VALUES (1, 'Closure Extent', 'Road closed between two intersections',
+          ST_SetSRID(ST_MakePoint(-122.4194, 37.7749), 4326),
+          ST_SetSRID(ST_GeomFromText('LINESTRING(-122.4194 37.7749, -122.4150 37.7790)'), 4326),
+          $1, 4)
+        RETURNING id
+      `, [testUserId]);
+      const incidentId = inserted.rows[0].id;
+
+      try {
+        const response = await request(app)
+          .get('/api/analysis/export/geojson')
+          .set('Authorization', `Bearer ${userToken}`)
+          .query({
+            north: testBounds.north,
+            south: testBounds.south,
+            east: testBounds.east,
+            west: testBounds.west,
+          });
+
+        expect(response.status).toBe(200);
+        const feature = response.body.data.geojson.features.find(f => f.properties.id === incidentId);
+        expect(feature.geometry.type).toBe('LineString');
+        expect(feature.geometry.coordinates).toHaveLength(2);
+        expect(feature.properties.longitude).toBeCloseTo(-122.4194, 4);
+        expect(feature.properties.latitude).toBeCloseTo(37.7749, 4);
+      } finally {
+        await db.query('DELETE FROM incidents WHERE id = $1', [incidentId]);
+      }
+    });
+
+    it('should stream CSV exports with WKT geometry', async () => {
+      const response = await request(app)
+        .get('/api/analysis/export/csv')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ bbox: `${testBounds.west},${testBounds.south},${testBounds.east},${testBounds.north}` });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="incidents-.*\.csv"/);
+
+      const [header, ...lines] = response.text.trim().split('\r\n');
+      expect(header.split(',')).toContain('wkt');
+      lines.forEach(line => expect(line).toContain('POINT('));
+    });
+
+    it('should style KML placemarks by incident type', async () => {
+      const response = await request(app)
+        .get('/api/analysis/export/kml')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ incidentTypes: '1' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/vnd.google-earth.kml+xml');
+      expect(response.text).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+      expect(response.text).toContain('<Style id="type-1">');
+      expect(response.text).not.toContain('<styleUrl>#type-2</styleUrl>');
+    });
+
+    it('should export GPX waypoints', async () => {
+      const response = await request(app)
+        .get('/api/analysis/export/gpx')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('<gpx version="1.1"');
+      expect(response.text).toContain('<wpt lat=');
+    });
+
+    it('should export GeoPackage and zipped Shapefile downloads', async () => {
+      const gpkg = await request(app)
+        .get('/api/analysis/export/gpkg')
+        .set('Authorization', `Bearer ${userToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(gpkg.status).toBe(200);
+      expect(gpkg.body.subarray(0, 15).toString()).toBe('SQLite format 3');
+
+      const shapefile = await request(app)
+        .get('/api/analysis/export/shapefile')
+        .set('Authorization', `Bearer ${userToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(shapefile.status).toBe(200);
+      expect(shapefile.headers['content-type']).toContain('application/zip');
+      expect(shapefile.body.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    it('should write buffer polygons into CSV, KML and GeoPackage exports', async () => {
+      const query = { includeBuffers: 'true', bufferDistance: 250 };
+
+      const csv = await request(app)
+        .get('/api/analysis/export/csv')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query(query);
+
+      expect(csv.status).toBe(200);
+      const [header, ...lines] = csv.text.trim().split('\r\n');
+      expect(header.split(',')).toContain('buffer_wkt');
+      lines.forEach(line => expect(line).toContain('POLYGON(('));
+
+      const kml = await request(app)
+        .get('/api/analysis/export/kml')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query(query);
+
+      expect(kml.status).toBe(200);
+      expect(kml.text).toContain('<MultiGeometry><Point>');
+      expect(kml.text).toContain('<Polygon>');
+      expect(kml.text).toContain('<PolyStyle>');
+
+      const gpkg = await request(app)
+        .get('/api/analysis/export/gpkg')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query(query)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(gpkg.status).toBe(200);
+      const filePath = path.join(os.tmpdir(), `export-test-${Date.now()}.gpkg`);
+      fs.writeFileSync(filePath, gpkg.body);
+
+      try {
+        const geoPackage = new Database(filePath, { readonly: true });
+        const layers = geoPackage.prepare(`
+          SELECT table_name, geometry_type_name FROM gpkg_geometry_columns ORDER BY table_name
+        `).all();
+        const buffers = geoPackage.prepare('SELECT COUNT(*) AS count, MIN(buffer_distance) AS distance FROM incident_buffers').get();
+        const incidents = geoPackage.prepare('SELECT COUNT(*) AS count FROM incidents').get();
+        geoPackage.close();
+
+        expect(layers).toEqual([
+          { table_name: 'incident_buffers', geometry_type_name: 'POLYGON' },
+          { table_name: 'incidents', geometry_type_name: 'POINT' },
+        ]);
+        expect(buffers.count).toBe(incidents.count);
+        expect(buffers.distance).toBe(250);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    it('should allow file exports beyond the GeoJSON incident limit', async () => {
+      const geojson = await request(app)
+        .get('/api/analysis/export/geojson')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ maxIncidents: 20000 });
+
+      expect(geojson.status).toBe(400);
+
+      const csv = await request(app)
+        .get('/api/analysis/export/csv')
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ maxIncidents: 20000 });
+
+      expect(csv.status).toBe(200);
+      expect(csv.headers['content-type']).toContain('text/csv');
+    });
+
+    it('should reject buffers for formats that cannot hold polygons', async () => {
+      for (const format of ['gpx', 'shapefile']) {
+        const response = await request(app)
+          .get(`/api/analysis/export/${format}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .query({ includeBuffers: 'true' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.success).toBe(false);
+        expect(response.body.message).toContain('Buffer geometries');
+      }
+    });
+
+    it('should reject unsupported export formats', async () => {
+      const response = await request(app)
+        .get('/api/analysis/export/dxf')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('🧱 Vector Tiles', () => {
+    // z12 tile covering the San Francisco test incidents
+    const sfTile = '12/655/1583';
+
+    it('should serve incident tiles with caching headers', async () => {
+      const response = await request(app)
+        .get(`/api/tiles/incidents/${sfTile}.mvt`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/vnd.mapbox-vector-tile');
+      expect(response.headers['cache-control']).toContain('max-age=');
+      expect(response.headers.etag).toBeDefined();
+      expect(response.body.length).toBeGreaterThan(0);
+
+      const cached = await request(app)
+        .get(`/api/tiles/incidents/${sfTile}.mvt`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('If-None-Match', response.headers.etag);
+
+      expect(cached.status).toBe(304);
+    });
+
+    it('should serve hotspot and density grid tiles', async () => {
+      for (const layer of ['hotspots', 'density']) {
+        const response = await request(app)
+          .get(`/api/tiles/${layer}/${sfTile}.mvt`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .query({ timeRange: '30d', incidentTypes: '1,2,3' });
+
+        expect([200, 204]).toContain(response.status);
+      }
+    });
+
+    it('should return 204 for tiles without incidents', async () => {
+      const response = await request(app)
+        .get('/api/tiles/incidents/12/0/0.mvt')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(204);
+    });
+
+    it('should reject unknown layers and out-of-range coordinates', async () => {
+      const unknownLayer = await request(app)
+        .get(`/api/tiles/roads/${sfTile}.mvt`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(unknownLayer.status).toBe(400);
+
+      const outOfRange = await request(app)
+        .get('/api/tiles/incidents/2/4/1.mvt')
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(outOfRange.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get(`/api/tiles/incidents/${sfTile}.mvt`);
+      expect(response.status).toBe(401);
+    });
   });
 
   describe('🔧 Health Check & Performance', () => {
@@ -17,6 +17,11 @@
  * 6. PostGIS Spatial Operations
  * 7. Community Verification System
  * 8. Rate Limiting & Performance
+ * 9. Incident Status Workflow and Role Permissions
+ * 10. Photo and Video Attachments
+ * 11. Comment Threads and Internal Notes
+ * 12. Outbound Webhooks
+ * 13. Server-Sent Events Stream
  * 
  * SPATIAL TEST SCENARIOS:
  * - Proximity searches with ST_DWithin
@@ -43,12 +48,18 @@
  * npm test -- --testNamePattern="spatial"
  */
 
+const fs = require('fs');
+const path = require('path');
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
 const socketIOClient = require('socket.io-client');
 const { Pool } = require('pg');
+const sharp = require('sharp');
 const app = require('../../app');
-const { configureSocketIO } = require('../services/socket');
+const { configureSocketIO, socketIOHandler } = require('../services/socket');
+const geoRooms = require('../services/geo-rooms');
+const { WebhookDispatcher } = require('../services/webhook-dispatcher');
+const EventLogService = require('../services/event-log');
 const AuthenticationService = require('../services/auth');
 const IncidentService = require('../services/incident');
 const logger = require('../services/logger');
@@ -62,8 +73,10 @@ describe('Incident Management System', () => {
   let dbPool;
   let testUser;
   let adminUser;
+  let moderatorUser;
   let authToken;
   let adminToken;
+  let moderatorToken;
 
   // Test data fixtures
   const validIncident = {
@@ -152,8 +165,16 @@ describe('Incident Management System', () => {
           email VARCHAR(255) UNIQUE NOT NULL,
           password VARCHAR(255) NOT NULL,
           role VARCHAR(50) DEFAULT 'user',
+          first_name VARCHAR(100),
+          last_name VARCHAR(100),
+          phone VARCHAR(20),
           is_active BOOLEAN DEFAULT true,
-          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+          email_verified BOOLEAN DEFAULT false,
+          last_login TIMESTAMP WITH TIME ZONE,
+          reputation_score INTEGER DEFAULT 50,
+          reputation_updated_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
@@ -161,6 +182,12 @@ describe('Incident Management System', () => {
         CREATE TABLE IF NOT EXISTS incident_types (
           id SERIAL PRIMARY KEY,
           name VARCHAR(255) UNIQUE NOT NULL,
+          verify_threshold NUMERIC(6, 2),
+          dispute_threshold NUMERIC(6, 2),
+          auto_flag_false_reports BOOLEAN DEFAULT true,
+          auto_expire_hours INTEGER,
+          expiry_action VARCHAR(10) DEFAULT 'resolve',
+          stale_after_hours INTEGER,
           created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
       `);
@@ -179,9 +206,245 @@ describe('Incident Management System', () => {
           severity INTEGER CHECK (severity BETWEEN 1 AND 5),
           verified BOOLEAN DEFAULT FALSE,
           verification_count INTEGER DEFAULT 0,
+          confirm_weight NUMERIC(8, 2) DEFAULT 0,
+          dispute_weight NUMERIC(8, 2) DEFAULT 0,
           status VARCHAR(20) DEFAULT 'active',
+          acknowledged_at TIMESTAMP WITH TIME ZONE,
+          acknowledged_by INTEGER REFERENCES users(id),
+          resolved_at TIMESTAMP WITH TIME ZONE,
+          resolved_by INTEGER REFERENCES users(id),
+          resolution_notes TEXT,
           expires_at TIMESTAMP WITH TIME ZONE,
-          is_deleted BOOLEAN DEFAULT FALSE
+          estimated_duration_minutes INTEGER,
+          last_confirmed_at TIMESTAMP WITH TIME ZONE,
+          stale_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          extent GEOMETRY(GEOMETRY, 4326),
+          views_count INTEGER DEFAULT 0,
+          reports_count INTEGER DEFAULT 1,
+          merged_into_id INTEGER REFERENCES incidents(id),
+          merged_at TIMESTAMP WITH TIME ZONE,
+          merged_by INTEGER REFERENCES users(id),
+          is_deleted BOOLEAN DEFAULT FALSE,
+          deleted_at TIMESTAMP WITH TIME ZONE,
+          deleted_by INTEGER REFERENCES users(id)
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_reports (
+          id SERIAL PRIMARY KEY,
+          incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE,
+          reported_by INTEGER REFERENCES users(id) NOT NULL,
+          report_type VARCHAR(50) NOT NULL,
+          notes TEXT,
+          weight NUMERIC(5, 2) DEFAULT 1,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(incident_id, reported_by, report_type)
+        )
+      `);
+
+      // Same reports_count trigger as db/init/01-init-schema.sql
+      await dbPool.query(`
+        CREATE OR REPLACE FUNCTION update_incident_reports_count()
+        RETURNS TRIGGER AS $$
+        BEGIN
+            IF TG_OP = 'INSERT' THEN
+                UPDATE incidents
+                SET reports_count = reports_count + 1
+                WHERE id = NEW.incident_id;
+                RETURN NEW;
+            ELSIF TG_OP = 'DELETE' THEN
+                UPDATE incidents
+                SET reports_count = reports_count - 1
+                WHERE id = OLD.incident_id;
+                RETURN OLD;
+            END IF;
+            RETURN NULL;
+        END;
+        $$ language 'plpgsql'
+      `);
+
+      await dbPool.query(`
+        DROP TRIGGER IF EXISTS update_incident_reports_count_trigger ON incident_reports;
+        CREATE TRIGGER update_incident_reports_count_trigger
+            AFTER INSERT OR DELETE ON incident_reports
+            FOR EACH ROW EXECUTE FUNCTION update_incident_reports_count()
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_verifications (
+          id SERIAL PRIMARY KEY,
+          incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+          user_id INTEGER REFERENCES users(id) NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_merges (
+          id SERIAL PRIMARY KEY,
+          canonical_incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+          merged_incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL UNIQUE,
+          merged_by INTEGER REFERENCES users(id) NOT NULL,
+          reports_moved INTEGER DEFAULT 0,
+          verifications_moved INTEGER DEFAULT 0,
+          views_moved INTEGER DEFAULT 0,
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_attachments (
+          id SERIAL PRIMARY KEY,
+          incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+          uploaded_by INTEGER REFERENCES users(id) NOT NULL,
+          storage_driver VARCHAR(20) NOT NULL,
+          storage_key TEXT NOT NULL,
+          thumbnail_key TEXT,
+          original_name VARCHAR(255),
+          mime_type VARCHAR(100) NOT NULL,
+          media_type VARCHAR(10) NOT NULL,
+          size_bytes BIGINT NOT NULL,
+          width INTEGER,
+          height INTEGER,
+          gps_stripped BOOLEAN DEFAULT false,
+          gps_distance_meters NUMERIC(12,2),
+          location_verified BOOLEAN,
+          is_deleted BOOLEAN DEFAULT false,
+          deleted_at TIMESTAMP WITH TIME ZONE,
+          deleted_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_comments (
+          id SERIAL PRIMARY KEY,
+          incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+          parent_id INTEGER REFERENCES incident_comments(id) ON DELETE CASCADE,
+          author_id INTEGER REFERENCES users(id) NOT NULL,
+          body TEXT NOT NULL,
+          is_internal BOOLEAN DEFAULT false,
+          depth INTEGER DEFAULT 0,
+          edited_at TIMESTAMP WITH TIME ZONE,
+          is_deleted BOOLEAN DEFAULT false,
+          deleted_at TIMESTAMP WITH TIME ZONE,
+          deleted_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_comment_mentions (
+          comment_id INTEGER REFERENCES incident_comments(id) ON DELETE CASCADE NOT NULL,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (comment_id, user_id)
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS incident_status_history (
+          id SERIAL PRIMARY KEY,
+          incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE NOT NULL,
+          action VARCHAR(30) NOT NULL,
+          from_status VARCHAR(20) NOT NULL,
+          to_status VARCHAR(20) NOT NULL,
+          changed_by INTEGER REFERENCES users(id),
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS watch_zones (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          zone_type VARCHAR(10) NOT NULL,
+          route GEOMETRY(LINESTRING, 4326),
+          buffer_meters INTEGER,
+          geometry GEOMETRY(GEOMETRY, 4326) NOT NULL,
+          type_ids INTEGER[],
+          min_severity INTEGER DEFAULT 1,
+          is_active BOOLEAN DEFAULT true,
+          last_triggered_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS notifications (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+          type VARCHAR(50) NOT NULL,
+          message TEXT NOT NULL,
+          incident_id INTEGER REFERENCES incidents(id) ON DELETE CASCADE,
+          data JSONB DEFAULT '{}'::jsonb,
+          read_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS notification_preferences (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          disabled_types TEXT[] NOT NULL DEFAULT '{}',
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS realtime_events (
+          seq BIGSERIAL PRIMARY KEY,
+          event VARCHAR(50) NOT NULL,
+          payload JSONB NOT NULL,
+          incident_id INTEGER,
+          rooms TEXT[],
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS webhook_endpoints (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          url TEXT NOT NULL,
+          secret VARCHAR(100) NOT NULL,
+          event_types TEXT[] NOT NULL DEFAULT '{}',
+          type_ids INTEGER[] NOT NULL DEFAULT '{}',
+          min_severity INTEGER NOT NULL DEFAULT 1,
+          area GEOMETRY(POLYGON, 4326),
+          is_active BOOLEAN NOT NULL DEFAULT true,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          last_success_at TIMESTAMP WITH TIME ZONE,
+          last_failure_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await dbPool.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id BIGSERIAL PRIMARY KEY,
+          endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+          event_id UUID NOT NULL,
+          event VARCHAR(50) NOT NULL,
+          incident_id INTEGER,
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          last_attempt_at TIMESTAMP WITH TIME ZONE,
+          response_status INTEGER,
+          last_error TEXT,
+          duration_ms INTEGER,
+          delivered_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
@@ -198,6 +461,12 @@ describe('Incident Management System', () => {
         ON CONFLICT (name) DO NOTHING
       `);
 
+      // Default role permission bundles
+      await dbPool.query(fs.readFileSync(
+        path.join(__dirname, '../db/migrations/19-role-permissions.sql'),
+        'utf8'
+      ));
+
       logger.info('Test database schema created successfully');
 
     } catch (error) {
@@ -208,9 +477,24 @@ describe('Incident Management System', () => {
 
   async function cleanupTestDatabase() {
     try {
+      await dbPool.query('DROP TABLE IF EXISTS webhook_deliveries CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS webhook_endpoints CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS realtime_events CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS notification_preferences CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS notifications CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS watch_zones CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_comment_mentions CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_comments CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_attachments CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_merges CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_verifications CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_reports CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS incident_status_history CASCADE');
       await dbPool.query('DROP TABLE IF EXISTS incidents CASCADE');
       await dbPool.query('DROP TABLE IF EXISTS incident_types CASCADE');
+      await dbPool.query('DROP TABLE IF EXISTS role_permissions CASCADE');
       await dbPool.query('DROP TABLE IF EXISTS users CASCADE');
+      await dbPool.query('DROP FUNCTION IF EXISTS update_incident_reports_count() CASCADE');
     } catch (error) {
       logger.logError(error, null, { operation: 'cleanup_test_database' });
     }
@@ -247,6 +531,20 @@ describe('Incident Management System', () => {
       process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
+
+    // Create moderator test user
+    const moderatorResult = await dbPool.query(`
+      INSERT INTO users (username, email, password, role)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, ['moderator', 'moderator@example.com', hashedPassword, 'moderator']);
+
+    moderatorUser = moderatorResult.rows[0];
+    moderatorToken = jwt.sign(
+      { userId: moderatorUser.id, email: moderatorUser.email },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
   }
 
   // ==============================================
@@ -477,6 +775,49 @@ describe('Incident Management System', () => {
       });
     });
 
+    test('GET /api/incidents/clusters - DBSCAN clustering', async () => {
+      const response = await request(app)
+        .get('/api/incidents/clusters')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({
+          method: 'dbscan',
+          eps: 2000,
+          minPoints: 2,
+          bounds: JSON.stringify({
+            north: 41,
+            south: 40,
+            east: -73,
+            west: -75,
+          }),
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.noise)).toBe(true);
+
+      response.body.clusters.forEach(cluster => {
+        expect(cluster.incidentCount).toBeGreaterThanOrEqual(2);
+        expect(cluster.hull).toHaveProperty('type');
+        expect(cluster.incidentIds).toHaveLength(cluster.incidentCount);
+      });
+
+      response.body.noise.forEach(point => {
+        expect(point).toMatchObject({
+          id: expect.any(Number),
+          latitude: expect.any(Number),
+          longitude: expect.any(Number),
+        });
+      });
+    });
+
+    test('GET /api/incidents/clusters - Rejects unknown clustering method', async () => {
+      await request(app)
+        .get('/api/incidents/clusters')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ method: 'hierarchical' })
+        .expect(400);
+    });
+
     test('GET /api/incidents/heatmap - Heatmap data generation', async () => {
       const response = await request(app)
         .get('/api/incidents/heatmap')
@@ -614,6 +955,195 @@ describe('Incident Management System', () => {
       client.emit('subscribe_area', { bounds });
     });
 
+    test('Area subscription joins every tile intersecting the viewport', (done) => {
+      const bounds = { north: 40.80, south: 40.65, east: -73.90, west: -74.10 };
+
+      client.on('area_subscribed', (data) => {
+        expect(data.rooms).toEqual(geoRooms.roomsForBounds(bounds).rooms);
+        expect(data.rooms.length).toBeGreaterThan(1);
+        expect(data.rooms.length).toBeLessThanOrEqual(geoRooms.MAX_ROOMS_PER_SUBSCRIPTION);
+        done();
+      });
+
+      client.emit('subscribe_area', { bounds });
+    });
+
+    test('Incidents near a viewport edge reach its area rooms', () => {
+      const bounds = { north: 40.80, south: 40.65, east: -73.90, west: -74.10 };
+      const { rooms } = geoRooms.roomsForBounds(bounds);
+
+      // Corners of the viewport, far from its centre
+      const edgeIncidents = [
+        { location: { latitude: 40.799, longitude: -74.099 } },
+        { location: { latitude: 40.651, longitude: -73.901 } },
+      ];
+
+      edgeIncidents.forEach(incident => {
+        const incidentRooms = geoRooms.roomsForIncident(incident);
+        expect(incidentRooms.some(room => rooms.includes(room))).toBe(true);
+      });
+    });
+
+    test('Area filters are applied per socket and can change without resubscribing', async () => {
+      const bounds = { north: 40.80, south: 40.65, east: -73.90, west: -74.10 };
+      const areaIncidents = [];
+      client.on('area-incident', data => areaIncidents.push(data.incident));
+
+      const subscribed = new Promise(resolve => client.once('area_subscribed', resolve));
+      client.emit('subscribe_area', { bounds, filters: { minSeverity: 5, typeIds: [1] } });
+      expect((await subscribed).filters).toEqual({ minSeverity: 5, typeIds: [1] });
+
+      // Severity 3 is below the subscriber's threshold
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      const updated = new Promise(resolve => client.once('area_filters_updated', resolve));
+      client.emit('update_area_filters', { filters: { minSeverity: 3, statuses: ['active'] } });
+      expect((await updated).filters).toEqual({ minSeverity: 3, statuses: ['active'] });
+
+      const received = new Promise(resolve => client.once('area-incident', resolve));
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, description: 'Matches the updated filters' })
+        .expect(201);
+      await received;
+
+      expect(areaIncidents.map(incident => incident.description)).toEqual(['Matches the updated filters']);
+    });
+
+    test('Global incident broadcasts skip sockets whose area filters reject them', async () => {
+      const newIncidents = [];
+      client.on('new-incident', data => newIncidents.push(data.incident));
+
+      const updated = new Promise(resolve => client.once('area_filters_updated', resolve));
+      client.emit('update_area_filters', { filters: { minSeverity: 4 } });
+      await updated;
+
+      // Severity 3 is below the socket's threshold
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      const received = new Promise(resolve => client.once('new-incident', resolve));
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, severity: 4, description: 'Matches the severity filter' })
+        .expect(201);
+      await received;
+
+      expect(newIncidents.map(incident => incident.description)).toEqual(['Matches the severity filter']);
+    });
+
+    test('Invalid area filters are rejected', (done) => {
+      client.on('error', (error) => {
+        expect(error.message).toContain('Invalid area filters');
+        done();
+      });
+
+      client.emit('update_area_filters', { filters: { statuses: ['archived'] } });
+    });
+
+    test('Resume replays events missed while disconnected', async () => {
+      const latest = await dbPool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM realtime_events');
+      const lastSeq = Number(latest.rows[0].seq);
+      client.disconnect();
+
+      const updatedBy = { id: testUser.id, username: testUser.username };
+      await socketIOHandler.broadcastIncidentUpdated({ id: 9001, description: 'First missed update' }, updatedBy);
+      await socketIOHandler.broadcastIncidentUpdated({ id: 9001, description: 'Second missed update' }, updatedBy);
+
+      client = socketIOClient(`http://localhost:${server.address().port}`, {
+        auth: { token: authToken },
+      });
+      await new Promise(resolve => client.on('connect', resolve));
+
+      const replayed = [];
+      client.on('incident-updated', data => replayed.push(data));
+
+      const completed = new Promise(resolve => client.once('resume_complete', resolve));
+      client.emit('resume', { lastSeq });
+      const result = await completed;
+
+      expect(result.replayed).toBe(2);
+      expect(result.seq).toBe(lastSeq + 2);
+      expect(replayed.map(data => data.incident.description)).toEqual([
+        'First missed update',
+        'Second missed update',
+      ]);
+      expect(replayed.every(data => data.replayed === true)).toBe(true);
+      expect(replayed.map(data => data.seq)).toEqual([lastSeq + 1, lastSeq + 2]);
+    });
+
+    test('Resume skips missed events the area filters reject', async () => {
+      const updated = new Promise(resolve => client.once('area_filters_updated', resolve));
+      client.emit('update_area_filters', { filters: { minSeverity: 4 } });
+      await updated;
+
+      const latest = await dbPool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM realtime_events');
+      const lastSeq = Number(latest.rows[0].seq);
+
+      await socketIOHandler.broadcastIncidentUpdated({ id: 9003, severity: 2, description: 'Filtered out' }, null);
+      await socketIOHandler.broadcastIncidentUpdated({ id: 9004, severity: 5, description: 'Matches' }, null);
+
+      const replayed = [];
+      client.on('incident-updated', (data) => {
+        if (data.replayed) {
+          replayed.push(data);
+        }
+      });
+
+      const completed = new Promise(resolve => client.once('resume_complete', resolve));
+      client.emit('resume', { lastSeq });
+      const result = await completed;
+
+      expect(result.replayed).toBe(1);
+      expect(result.seq).toBe(lastSeq + 2);
+      expect(replayed.map(data => data.incident.description)).toEqual(['Matches']);
+    });
+
+    test('Event log appends wait for the one before them to commit', async () => {
+      const latest = await dbPool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM realtime_events');
+      const lastSeq = Number(latest.rows[0].seq);
+
+      // Stand in for another instance midway through its append
+      const otherInstance = await dbPool.connect();
+      await otherInstance.query('BEGIN');
+      await otherInstance.query('SELECT pg_advisory_xact_lock($1)', [EventLogService.APPEND_LOCK_KEY]);
+
+      const appended = new EventLogService().append('incident-updated', { incident: { id: 9005 } });
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const whileLocked = await dbPool.query('SELECT COUNT(*) AS count FROM realtime_events WHERE seq > $1', [lastSeq]);
+      expect(Number(whileLocked.rows[0].count)).toBe(0);
+
+      await otherInstance.query('COMMIT');
+      otherInstance.release();
+
+      expect(await appended).toBe(lastSeq + 1);
+    });
+
+    test('Resume requires a resync once missed events have been pruned', async () => {
+      await socketIOHandler.broadcastIncidentUpdated({ id: 9002, description: 'Before pruning' }, null);
+      await dbPool.query('DELETE FROM realtime_events');
+      await socketIOHandler.broadcastIncidentUpdated({ id: 9002, description: 'After pruning' }, null);
+
+      const resync = new Promise(resolve => client.once('resync_required', resolve));
+      client.emit('resume', { lastSeq: 0 });
+
+      const data = await resync;
+      expect(data).toMatchObject({
+        reason: 'events_expired',
+        seq: expect.any(Number),
+      });
+    });
+
     test('Incident verification broadcast', (done) => {
       let incidentId;
 
@@ -639,6 +1169,32 @@ describe('Incident Management System', () => {
           .send({ verified: true });
       }, 100);
     });
+
+    test('Incident status change broadcast', (done) => {
+      let incidentId;
+
+      client.on('incident-status-changed', (data) => {
+        expect(data).toMatchObject({
+          type: 'incident_status_changed',
+          incidentId,
+          action: 'start_work',
+          fromStatus: 'active',
+          toStatus: 'in_progress',
+          timestamp: expect.any(String),
+        });
+        done();
+      });
+
+      setTimeout(async () => {
+        const incident = await createSingleTestIncident();
+        incidentId = incident.id;
+
+        await request(app)
+          .post(`/api/incidents/${incident.id}/start`)
+          .set('Authorization', `Bearer ${moderatorToken}`)
+          .send({});
+      }, 100);
+    });
   });
 
   // ==============================================
@@ -828,6 +1384,1725 @@ describe('Incident Management System', () => {
 
       expect(response.body.incident.verification_count).toBeGreaterThanOrEqual(5);
     });
+
+    test('Votes are weighted by reputation and the reporter\'s own vote carries no weight', async () => {
+      const incident = await createSingleTestIncident();
+      const trusted = await createTestUser('trustedverifier', 'trustedverifier@example.com');
+      await dbPool.query('UPDATE users SET reputation_score = 100 WHERE id = $1', [trusted.id]);
+      const trustedToken = jwt.sign(
+        { userId: trusted.id, email: trusted.email },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      const ownVote = await request(app)
+        .post(`/api/incidents/${incident.id}/verify`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(200);
+
+      expect(ownVote.body).toMatchObject({ vote: 'confirm', weight: 0, isVerified: false });
+
+      const trustedVote = await request(app)
+        .post(`/api/incidents/${incident.id}/verify`)
+        .set('Authorization', `Bearer ${trustedToken}`)
+        .send({ vote: 'confirm' })
+        .expect(200);
+
+      expect(trustedVote.body).toMatchObject({ weight: 2, confirmWeight: 2, isVerified: false });
+
+      // Switching sides after voting is not allowed
+      await request(app)
+        .post(`/api/incidents/${incident.id}/verify`)
+        .set('Authorization', `Bearer ${trustedToken}`)
+        .send({ vote: 'dispute' })
+        .expect(400);
+    });
+
+    test('Per-type thresholds decide verification', async () => {
+      await dbPool.query('UPDATE incident_types SET verify_threshold = 1 WHERE id = $1', [validIncident.typeId]);
+
+      try {
+        const incident = await createSingleTestIncident();
+        const verifier = await createTestUser('thresholdverifier', 'thresholdverifier@example.com');
+        const verifierToken = jwt.sign(
+          { userId: verifier.id, email: verifier.email },
+          process.env.JWT_SECRET,
+          { expiresIn: '1h' }
+        );
+
+        const response = await request(app)
+          .post(`/api/incidents/${incident.id}/verify`)
+          .set('Authorization', `Bearer ${verifierToken}`)
+          .send({ vote: 'confirm' })
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          isVerified: true,
+          thresholds: expect.objectContaining({ verify: 1 }),
+        });
+      } finally {
+        await dbPool.query('UPDATE incident_types SET verify_threshold = NULL WHERE id = $1', [validIncident.typeId]);
+      }
+    });
+
+    test('Disputes flag a false report and lower the reporter\'s reputation', async () => {
+      const incident = await createSingleTestIncident();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident.id}/verify`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ vote: 'dispute', notes: 'No incident visible on traffic cameras' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        vote: 'dispute',
+        disputeWeight: 3,
+        status: 'false_report',
+      });
+
+      const history = await request(app)
+        .get(`/api/incidents/${incident.id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(history.body.history[0]).toMatchObject({ action: 'mark_false_report' });
+
+      // Voting closes once the incident is settled
+      await request(app)
+        .post(`/api/incidents/${incident.id}/verify`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ vote: 'confirm' })
+        .expect(409);
+
+      const profile = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(profile.body.reputation).toMatchObject({ reportsFalse: 1 });
+      expect(profile.body.reputation.score).toBeLessThan(50);
+    });
+  });
+
+  // ==============================================
+  // INCIDENT STATUS WORKFLOW TESTS
+  // ==============================================
+
+  describe('Incident Status Workflow', () => {
+    test('Moderator can acknowledge, start and resolve an incident', async () => {
+      const incident = await createSingleTestIncident();
+
+      const ackResponse = await request(app)
+        .post(`/api/incidents/${incident.id}/acknowledge`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({})
+        .expect(200);
+
+      expect(ackResponse.body.transition).toMatchObject({
+        action: 'acknowledge',
+        fromStatus: 'active',
+        toStatus: 'active',
+      });
+
+      const startResponse = await request(app)
+        .post(`/api/incidents/${incident.id}/start`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ notes: 'Tow truck dispatched' })
+        .expect(200);
+
+      expect(startResponse.body.incident.status).toBe('in_progress');
+
+      const resolveResponse = await request(app)
+        .post(`/api/incidents/${incident.id}/resolve`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ notes: 'Vehicles cleared from the roadway' })
+        .expect(200);
+
+      expect(resolveResponse.body.incident).toMatchObject({
+        status: 'resolved',
+        resolution: expect.objectContaining({
+          resolvedBy: moderatorUser.id,
+          notes: 'Vehicles cleared from the roadway',
+        }),
+      });
+    });
+
+    test('Resolving requires resolution notes', async () => {
+      const incident = await createSingleTestIncident();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident.id}/resolve`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('Reporter can resolve but not start work on their own incident', async () => {
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/start`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(403);
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident.id}/resolve`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ notes: 'Traffic is flowing again' })
+        .expect(200);
+
+      expect(response.body.incident.status).toBe('resolved');
+    });
+
+    test('Invalid transitions are rejected with 409', async () => {
+      const incident = await createSingleTestIncident();
+
+      // Cannot reopen an incident that is still active
+      await request(app)
+        .post(`/api/incidents/${incident.id}/reopen`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(409);
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/false-report`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes: 'No incident at this location' })
+        .expect(200);
+
+      // A false report cannot be resolved without reopening first
+      await request(app)
+        .post(`/api/incidents/${incident.id}/resolve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes: 'Cleared' })
+        .expect(409);
+    });
+
+    test('Reopen clears resolution fields and history is recorded', async () => {
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/resolve`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ notes: 'Debris removed' })
+        .expect(200);
+
+      const reopenResponse = await request(app)
+        .post(`/api/incidents/${incident.id}/reopen`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ notes: 'More debris reported' })
+        .expect(200);
+
+      expect(reopenResponse.body.incident.status).toBe('active');
+      expect(reopenResponse.body.incident.resolution).toBeNull();
+
+      const historyResponse = await request(app)
+        .get(`/api/incidents/${incident.id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(historyResponse.body.history.map(h => h.action)).toEqual(['reopen', 'resolve']);
+      expect(historyResponse.body.history[0]).toMatchObject({
+        fromStatus: 'resolved',
+        toStatus: 'active',
+        changedBy: expect.objectContaining({ id: moderatorUser.id }),
+      });
+    });
+  });
+
+  // ==============================================
+  // ROLE PERMISSION TESTS
+  // ==============================================
+
+  describe('Role Permissions', () => {
+    const moderatorBundle = ['export', 'verify', 'resolve', 'delete-any', 'view-internal-notes'];
+
+    afterEach(async () => {
+      await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: moderatorBundle })
+        .expect(200);
+    });
+
+    test('Moderator powers follow the editable role bundle', async () => {
+      const incident = await createSingleTestIncident();
+
+      const update = await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['export', 'resolve'] })
+        .expect(200);
+
+      expect(update.body.role).toMatchObject({
+        role: 'moderator',
+        permissions: ['export', 'resolve'],
+        locked: false,
+      });
+
+      const denied = await request(app)
+        .post(`/api/incidents/${incident.id}/acknowledge`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({})
+        .expect(403);
+
+      expect(denied.body.code).toBe('INSUFFICIENT_PERMISSION');
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/resolve`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ notes: 'Lanes reopened' })
+        .expect(200);
+    });
+
+    test('Granting a permission gives users the matching power', async () => {
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/acknowledge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .put('/api/users/roles/user')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['export', 'verify'] })
+        .expect(200);
+
+      try {
+        await request(app)
+          .post(`/api/incidents/${incident.id}/acknowledge`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({})
+          .expect(200);
+      } finally {
+        await request(app)
+          .put('/api/users/roles/user')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ permissions: ['export'] })
+          .expect(200);
+      }
+    });
+
+    test('Admin bundle is locked and only managers can edit roles', async () => {
+      const roles = await request(app)
+        .get('/api/users/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const admin = roles.body.roles.find(role => role.role === 'admin');
+      expect(admin.locked).toBe(true);
+      expect(admin.permissions).toEqual(expect.arrayContaining(['manage-users', 'manage-types']));
+
+      await request(app)
+        .put('/api/users/roles/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: [] })
+        .expect(403);
+
+      await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ permissions: moderatorBundle.concat('manage-users') })
+        .expect(403);
+
+      await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['publish'] })
+        .expect(400);
+    });
+
+    test('Staff vote weight follows the verify permission', async () => {
+      const voter = await createTestUser('bundlevoter', 'bundlevoter@example.com');
+      const voterToken = jwt.sign(
+        { userId: voter.id, email: voter.email },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      // Moderators without verify vote like anyone else
+      await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['export', 'resolve'] })
+        .expect(200);
+
+      const moderatorVote = await request(app)
+        .post(`/api/incidents/${(await createSingleTestIncident()).id}/verify`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ vote: 'confirm' })
+        .expect(200);
+      expect(moderatorVote.body.weight).toBe(1);
+
+      await request(app)
+        .put('/api/users/roles/user')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['export', 'verify'] })
+        .expect(200);
+
+      try {
+        const userVote = await request(app)
+          .post(`/api/incidents/${(await createSingleTestIncident()).id}/verify`)
+          .set('Authorization', `Bearer ${voterToken}`)
+          .send({ vote: 'confirm' })
+          .expect(200);
+        expect(userVote.body.weight).toBe(3);
+      } finally {
+        await request(app)
+          .put('/api/users/roles/user')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ permissions: ['export'] })
+          .expect(200);
+      }
+    });
+
+    test('Managers who are not admins cannot edit role bundles', async () => {
+      await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: moderatorBundle.concat('manage-users') })
+        .expect(200);
+
+      // manage-users still lists the roles
+      await request(app)
+        .get('/api/users/roles')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      const denied = await request(app)
+        .put('/api/users/roles/moderator')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ permissions: moderatorBundle.concat('manage-users', 'manage-types', 'import') })
+        .expect(403);
+
+      expect(denied.body.message).toBe('Only admins can edit role permissions');
+
+      await request(app)
+        .put('/api/users/roles/user')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ permissions: ['export', 'verify'] })
+        .expect(403);
+
+      const roles = await request(app)
+        .get('/api/users/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const moderator = roles.body.roles.find(role => role.role === 'moderator');
+      expect(moderator.permissions).not.toContain('manage-types');
+    });
+
+    test('Incident type rules require manage-types', async () => {
+      const typeResult = await dbPool.query(`SELECT id FROM incident_types WHERE name = 'Weather'`);
+      const typeId = typeResult.rows[0].id;
+
+      await request(app)
+        .put(`/api/incidents/types/${typeId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ verifyThreshold: 5 })
+        .expect(403);
+
+      const response = await request(app)
+        .put(`/api/incidents/types/${typeId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ verifyThreshold: 5, expiryPolicy: { staleAfterHours: 4 } })
+        .expect(200);
+
+      expect(response.body.incidentType).toMatchObject({
+        id: typeId,
+        verifyThreshold: 5,
+        expiryPolicy: expect.objectContaining({ staleAfterHours: 4 }),
+      });
+
+      await dbPool.query(
+        'UPDATE incident_types SET verify_threshold = NULL, stale_after_hours = NULL WHERE id = $1',
+        [typeId]
+      );
+    });
+  });
+
+  // ==============================================
+  // EXPIRY POLICY TESTS
+  // ==============================================
+
+  describe('Incident Expiry Policies', () => {
+    afterEach(async () => {
+      await dbPool.query(`
+        UPDATE incident_types
+        SET auto_expire_hours = NULL, expiry_action = 'resolve', stale_after_hours = NULL
+        WHERE id = $1
+      `, [validIncident.typeId]);
+    });
+
+    test('estimatedDuration sets the expiry time', async () => {
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, estimatedDuration: 90 })
+        .expect(201);
+
+      const expiresAt = new Date(response.body.incident.timestamps.expiresAt).getTime();
+      expect(expiresAt).toBeGreaterThan(Date.now() + 85 * 60 * 1000);
+      expect(expiresAt).toBeLessThan(Date.now() + 95 * 60 * 1000);
+    });
+
+    test('Incidents past their lifetime are auto-resolved by default', async () => {
+      const incident = await createSingleTestIncident();
+      await dbPool.query(
+        "UPDATE incidents SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1",
+        [incident.id]
+      );
+
+      const response = await request(app)
+        .post('/api/incidents/cleanup-expired')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.resolvedIncidents).toContain(incident.id);
+
+      const historyResponse = await request(app)
+        .get(`/api/incidents/${incident.id}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(historyResponse.body.history[0]).toMatchObject({
+        action: 'resolve',
+        toStatus: 'resolved',
+        changedBy: null,
+      });
+    });
+
+    test('Types with an expire policy remove incidents past their lifetime', async () => {
+      await dbPool.query("UPDATE incident_types SET expiry_action = 'expire' WHERE id = $1", [validIncident.typeId]);
+
+      const incident = await createSingleTestIncident();
+      await dbPool.query(
+        "UPDATE incidents SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1",
+        [incident.id]
+      );
+
+      const response = await request(app)
+        .post('/api/incidents/cleanup-expired')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.cleanedIncidents).toContain(incident.id);
+
+      const deleted = await dbPool.query('SELECT is_deleted FROM incidents WHERE id = $1', [incident.id]);
+      expect(deleted.rows[0].is_deleted).toBe(true);
+    });
+
+    test('Unconfirmed incidents go stale and a confirmation clears it', async () => {
+      await dbPool.query('UPDATE incident_types SET stale_after_hours = 2 WHERE id = $1', [validIncident.typeId]);
+
+      const incident = await createSingleTestIncident();
+      await dbPool.query(
+        "UPDATE incidents SET created_at = CURRENT_TIMESTAMP - INTERVAL '3 hours' WHERE id = $1",
+        [incident.id]
+      );
+
+      const response = await request(app)
+        .post('/api/incidents/cleanup-expired')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.staleIncidents).toContain(incident.id);
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/verify`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ vote: 'confirm' })
+        .expect(200);
+
+      const detail = await request(app)
+        .get(`/api/incidents/${incident.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(detail.body.incident.isStale).toBe(false);
+      expect(detail.body.incident.timestamps.lastConfirmedAt).toBeTruthy();
+    });
+  });
+
+  // ==============================================
+  // BULK IMPORT TESTS
+  // ==============================================
+
+  describe('Bulk Incident Import', () => {
+    const importCsv = [
+      'lat,lon,type,description,severity',
+      '40.7128,-74.0060,Accident,"Two-car collision, right lane blocked",3',
+      '40.7200,-74.0100,construction,Lane closure for resurfacing works,2',
+      '95,-74.0100,Accident,Latitude is out of range here,2',
+      '40.7300,-74.0200,Volcano,Unknown incident type for this row,2',
+    ].join('\n');
+
+    test('Dry run reports per-row errors without writing incidents', async () => {
+      const before = await dbPool.query('SELECT COUNT(*)::int AS count FROM incidents');
+
+      const response = await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'csv', data: importCsv })
+        .expect(200);
+
+      expect(response.body.report).toMatchObject({
+        dryRun: true,
+        totalRows: 4,
+        validRows: 2,
+        invalidRows: 2,
+      });
+      expect(response.body.report.errors.map(e => e.row)).toEqual([3, 4]);
+      expect(response.body.report.errors[1].errors[0]).toContain('Volcano');
+
+      const after = await dbPool.query('SELECT COUNT(*)::int AS count FROM incidents');
+      expect(after.rows[0].count).toBe(before.rows[0].count);
+    });
+
+    test('Confirmed import with invalid rows is rejected as a whole', async () => {
+      const response = await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'csv', data: importCsv, confirm: true })
+        .expect(422);
+
+      expect(response.body.report.invalidRows).toBe(2);
+    });
+
+    test('Confirmed GeoJSON import inserts all rows', async () => {
+      const featureCollection = {
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-74.0060, 40.7128] },
+            properties: { type: 'Weather', description: 'Flooding under the overpass', severity: 4 },
+          },
+          {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-74.0160, 40.7228] },
+            properties: { type_id: 1, description: 'Stalled truck on the shoulder' },
+          },
+        ],
+      };
+
+      const response = await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'geojson', data: featureCollection, confirm: true })
+        .expect(201);
+
+      expect(response.body.report.importedCount).toBe(2);
+      expect(response.body.incidentIds).toHaveLength(2);
+
+      const dbResult = await dbPool.query(
+        'SELECT reported_by, ST_X(location) AS lon FROM incidents WHERE id = ANY($1) ORDER BY id',
+        [response.body.incidentIds]
+      );
+      expect(dbResult.rows.every(row => row.reported_by === adminUser.id)).toBe(true);
+      expect(dbResult.rows[0].lon).toBeCloseTo(-74.0060, 6);
+    });
+
+    test('Historical rows keep their occurred-at time and expiry', async () => {
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const historicalCsv = [
+        'lat,lon,type,description,estimated_duration,occurred_at',
+        `40.7128,-74.0060,Accident,Cleared two days ago after an hour,60,${twoDaysAgo}`,
+        `40.7200,-74.0100,Accident,Still blocking the right lane,240,${oneHourAgo}`,
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'csv', data: historicalCsv, confirm: true })
+        .expect(201);
+
+      const dbResult = await dbPool.query(
+        'SELECT status, created_at, expires_at, resolved_at FROM incidents WHERE id = ANY($1) ORDER BY id',
+        [response.body.incidentIds]
+      );
+      const [cleared, ongoing] = dbResult.rows;
+
+      expect(cleared.created_at.toISOString()).toBe(twoDaysAgo);
+      expect(cleared.expires_at.getTime()).toBe(new Date(twoDaysAgo).getTime() + 60 * 60 * 1000);
+      expect(cleared.status).toBe('resolved');
+      expect(cleared.resolved_at.getTime()).toBe(cleared.expires_at.getTime());
+
+      expect(ongoing.created_at.toISOString()).toBe(oneHourAgo);
+      expect(ongoing.expires_at.getTime()).toBe(new Date(oneHourAgo).getTime() + 240 * 60 * 1000);
+      expect(ongoing.status).toBe('active');
+      expect(ongoing.resolved_at).toBeNull();
+    });
+
+    test('Occurred-at times in the future are rejected', async () => {
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          format: 'csv',
+          data: `lat,lon,type,description,created_at\n40.7128,-74.0060,Accident,Reported from the future,${tomorrow}`,
+        })
+        .expect(200);
+
+      expect(response.body.report.invalidRows).toBe(1);
+      expect(response.body.report.errors[0].errors[0]).toContain('cannot be in the future');
+    });
+
+    test('Import requires admin role', async () => {
+      await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ format: 'csv', data: importCsv })
+        .expect(403);
+    });
+
+    test('Malformed import files are rejected', async () => {
+      await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'geojson', data: { type: 'Point', coordinates: [0, 0] } })
+        .expect(400);
+
+      await request(app)
+        .post('/api/incidents/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ format: 'xlsx', data: 'a,b' })
+        .expect(400);
+    });
+  });
+
+  // ==============================================
+  // INCIDENT EXTENT TESTS
+  // ==============================================
+
+  describe('Line and Polygon Extents', () => {
+    // ~1.1km road closure heading north from the representative point
+    const closureExtent = {
+      type: 'LineString',
+      coordinates: [
+        [validIncident.longitude, validIncident.latitude],
+        [validIncident.longitude, validIncident.latitude + 0.01],
+      ],
+    };
+
+    test('POST /api/incidents - Stores a LineString extent alongside the point', async () => {
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, extent: closureExtent })
+        .expect(201);
+
+      expect(response.body.incident.extent).toEqual(closureExtent);
+      expect(response.body.incident.location).toEqual({
+        latitude: validIncident.latitude,
+        longitude: validIncident.longitude,
+      });
+    });
+
+    test('POST /api/incidents - Rejects unclosed and self-intersecting polygons', async () => {
+      const { longitude: x, latitude: y } = validIncident;
+
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validIncident,
+          extent: { type: 'Polygon', coordinates: [[[x, y], [x + 0.01, y], [x + 0.01, y + 0.01], [x, y + 0.02]]] },
+        })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validIncident,
+          extent: {
+            type: 'Polygon',
+            coordinates: [[[x, y], [x + 0.01, y + 0.01], [x + 0.01, y], [x, y + 0.01], [x, y]]],
+          },
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid extent');
+    });
+
+    test('GET /api/incidents - Spatial search matches along the extent', async () => {
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, extent: closureExtent })
+        .expect(201);
+
+      // Search around the far end of the closure, away from the point
+      const response = await request(app)
+        .get('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({
+          latitude: validIncident.latitude + 0.01,
+          longitude: validIncident.longitude,
+          radius: 100,
+        })
+        .expect(200);
+
+      const match = response.body.incidents.find(i => i.id === created.body.incident.id);
+      expect(match).toBeDefined();
+      expect(match.extent.type).toBe('LineString');
+    });
+
+    test('PUT /api/incidents/:id - Setting extent to null removes it', async () => {
+      const created = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, extent: closureExtent })
+        .expect(201);
+
+      const response = await request(app)
+        .put(`/api/incidents/${created.body.incident.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ extent: null })
+        .expect(200);
+
+      expect(response.body.incident.extent).toBeNull();
+    });
+  });
+
+  // ==============================================
+  // DUPLICATE DETECTION TESTS
+  // ==============================================
+
+  describe('Duplicate Detection and Merging', () => {
+    test('Creating a nearby incident of the same type returns duplicate candidates', async () => {
+      const existing = await createSingleTestIncident();
+
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validIncident,
+          latitude: validIncident.latitude + 0.0003, // ~33m north
+        })
+        .expect(201);
+
+      expect(response.body.duplicateCandidates).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            id: existing.id,
+            sameType: true,
+            distanceMeters: expect.any(Number),
+          }),
+        ])
+      );
+      expect(response.body.duplicateCandidates.map(c => c.id)).not.toContain(response.body.incident.id);
+    });
+
+    test('GET /api/incidents/duplicates - Finds candidates within the radius only', async () => {
+      const existing = await createSingleTestIncident();
+
+      const nearby = await request(app)
+        .get('/api/incidents/duplicates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({
+          typeId: validIncident.typeId,
+          latitude: validIncident.latitude,
+          longitude: validIncident.longitude + 0.0005,
+        })
+        .expect(200);
+
+      expect(nearby.body.duplicateCandidates.map(c => c.id)).toContain(existing.id);
+
+      const faraway = await request(app)
+        .get('/api/incidents/duplicates')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({
+          typeId: validIncident.typeId,
+          latitude: validIncident.latitude + 0.1,
+          longitude: validIncident.longitude,
+        })
+        .expect(200);
+
+      expect(faraway.body.duplicateCandidates.map(c => c.id)).not.toContain(existing.id);
+    });
+
+    test('Moderator merge folds verifications and redirects the old id', async () => {
+      const canonical = await createSingleTestIncident();
+      const duplicate = await createSingleTestIncident();
+
+      await dbPool.query(
+        'INSERT INTO incident_verifications (incident_id, user_id) VALUES ($1, $2)',
+        [duplicate.id, adminUser.id]
+      );
+      await dbPool.query(
+        "INSERT INTO incident_reports (incident_id, reported_by, report_type) VALUES ($1, $2, 'confirm')",
+        [duplicate.id, moderatorUser.id]
+      );
+      await dbPool.query('UPDATE incidents SET views_count = 7 WHERE id = $1', [duplicate.id]);
+
+      const response = await request(app)
+        .post(`/api/incidents/${canonical.id}/merge`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ duplicateIds: [duplicate.id], notes: 'Same crash reported twice' })
+        .expect(200);
+
+      expect(response.body.merged).toEqual([
+        expect.objectContaining({ incidentId: duplicate.id, reportsMoved: 1, verificationsMoved: 1, viewsMoved: 7 }),
+      ]);
+
+      // Its own report, the duplicate reporter's confirmation and the moved confirmation
+      expect(response.body.incident).toMatchObject({
+        id: canonical.id,
+        verificationCount: 1,
+        reportsCount: 3,
+        viewsCount: 7,
+      });
+
+      const redirect = await request(app)
+        .get(`/api/incidents/${duplicate.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(301);
+
+      expect(redirect.headers.location).toBe(`/api/incidents/${canonical.id}`);
+      expect(redirect.body.canonicalIncidentId).toBe(canonical.id);
+    });
+
+    test('Merging requires moderator role and rejects self-merges', async () => {
+      const canonical = await createSingleTestIncident();
+      const duplicate = await createSingleTestIncident();
+
+      await request(app)
+        .post(`/api/incidents/${canonical.id}/merge`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ duplicateIds: [duplicate.id] })
+        .expect(403);
+
+      await request(app)
+        .post(`/api/incidents/${canonical.id}/merge`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ duplicateIds: [canonical.id] })
+        .expect(400);
+    });
+  });
+
+  // ==============================================
+  // ATTACHMENT TESTS
+  // ==============================================
+
+  describe('Photo and Video Attachments', () => {
+    const createTestPhoto = () => sharp({
+      create: { width: 800, height: 600, channels: 3, background: { r: 200, g: 60, b: 40 } },
+    })
+      .jpeg()
+      .withExif({
+        IFD3: {
+          GPSLatitudeRef: 'N',
+          GPSLatitude: '40/1 42/1 4608/100',
+          GPSLongitudeRef: 'W',
+          GPSLongitude: '74/1 0/1 2160/100',
+        },
+      })
+      .toBuffer();
+
+    test('POST /api/incidents - Accepts a multipart report with a photo', async () => {
+      const photo = await createTestPhoto();
+
+      const response = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('typeId', String(validIncident.typeId))
+        .field('description', validIncident.description)
+        .field('latitude', String(validIncident.latitude))
+        .field('longitude', String(validIncident.longitude))
+        .attach('attachments', photo, { filename: 'crash.jpg', contentType: 'image/jpeg' })
+        .expect(201);
+
+      const [attachment] = response.body.incident.attachments;
+      expect(attachment).toMatchObject({
+        mimeType: 'image/jpeg',
+        mediaType: 'image',
+        originalName: 'crash.jpg',
+        width: 800,
+        height: 600,
+      });
+      expect(attachment.thumbnailUrl).toBeTruthy();
+      // Photo GPS is ~1m from the reported location
+      expect(attachment.locationCheck.withinTolerance).toBe(true);
+
+      const file = await request(app)
+        .get(attachment.url)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(file.headers['content-type']).toBe('image/jpeg');
+      const metadata = await sharp(file.body).metadata();
+      expect(metadata.exif).toBeUndefined();
+
+      const details = await request(app)
+        .get(`/api/incidents/${response.body.incident.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(details.body.incident.attachments).toHaveLength(1);
+    });
+
+    test('POST /api/incidents/:id/attachments - Uploads to an existing incident', async () => {
+      const incident = await createSingleTestIncident();
+      const photo = await createTestPhoto();
+
+      const response = await request(app)
+        .post(`/api/incidents/${incident.id}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('attachments', photo, 'photo.jpg')
+        .expect(201);
+
+      expect(response.body.attachments).toHaveLength(1);
+
+      const thumbnail = await request(app)
+        .get(response.body.attachments[0].thumbnailUrl)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(thumbnail.headers['content-type']).toBe('image/jpeg');
+
+      const list = await request(app)
+        .get(`/api/incidents/${incident.id}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(list.body.attachments.map(a => a.id)).toEqual([response.body.attachments[0].id]);
+    });
+
+    test('Rejects files whose contents are not an allowed type', async () => {
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('attachments', Buffer.from('%PDF-1.4 not a photo'), { filename: 'photo.jpg', contentType: 'image/jpeg' })
+        .expect(415);
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    test('DELETE /api/incidents/:id/attachments/:attachmentId - Limited to uploader, reporter and moderators', async () => {
+      const incident = await createSingleTestIncident();
+      const otherUser = await createTestUser('attachmentother', 'attachmentother@example.com');
+      const otherToken = jwt.sign(
+        { userId: otherUser.id, email: otherUser.email },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+      const photo = await createTestPhoto();
+
+      const upload = await request(app)
+        .post(`/api/incidents/${incident.id}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('attachments', photo, 'photo.jpg')
+        .expect(201);
+
+      const attachmentId = upload.body.attachments[0].id;
+
+      await request(app)
+        .delete(`/api/incidents/${incident.id}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/incidents/${incident.id}/attachments/${attachmentId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/incidents/${incident.id}/attachments/${attachmentId}/file`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  // ==============================================
+  // COMMENT TESTS
+  // ==============================================
+
+  describe('Comment Threads and Internal Notes', () => {
+    test('POST /api/incidents/:id/comments - Threads replies and records mentions', async () => {
+      const incident = await createSingleTestIncident();
+
+      const parent = await request(app)
+        .post(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Is the right lane still blocked?' })
+        .expect(201);
+
+      const reply = await request(app)
+        .post(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ body: '@testuser tow truck is on site', parentId: parent.body.comment.id })
+        .expect(201);
+
+      expect(reply.body.comment).toMatchObject({
+        parentId: parent.body.comment.id,
+        internal: false,
+        mentions: [{ id: testUser.id, username: testUser.username }],
+      });
+
+      const response = await request(app)
+        .get(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.comments).toHaveLength(1);
+      expect(response.body.comments[0].replies.map(c => c.id)).toEqual([reply.body.comment.id]);
+    });
+
+    test('Internal notes are only visible to moderators and admins', async () => {
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .post(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Trying to post a note', internal: true })
+        .expect(403);
+
+      const note = await request(app)
+        .post(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ body: 'Reporter has two prior false reports', internal: true })
+        .expect(201);
+
+      const userView = await request(app)
+        .get(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(userView.body.comments).toHaveLength(0);
+
+      const adminView = await request(app)
+        .get(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(adminView.body.comments).toEqual([
+        expect.objectContaining({ id: note.body.comment.id, internal: true }),
+      ]);
+
+      // Replying to a hidden note looks like replying to a missing comment
+      await request(app)
+        .post(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Replying anyway', parentId: note.body.comment.id })
+        .expect(404);
+    });
+
+    test('PUT/DELETE /api/incidents/:id/comments/:commentId - Author edits, moderators delete', async () => {
+      const incident = await createSingleTestIncident();
+
+      const created = await request(app)
+        .post(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Traffic backed up to exit 12' })
+        .expect(201);
+
+      const commentId = created.body.comment.id;
+
+      await request(app)
+        .put(`/api/incidents/${incident.id}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ body: 'Not my comment' })
+        .expect(403);
+
+      const edited = await request(app)
+        .put(`/api/incidents/${incident.id}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Traffic backed up to exit 14' })
+        .expect(200);
+
+      expect(edited.body.comment).toMatchObject({ body: 'Traffic backed up to exit 14', edited: true });
+
+      await request(app)
+        .delete(`/api/incidents/${incident.id}/comments/${commentId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/incidents/${incident.id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.comments).toHaveLength(0);
+    });
+
+    test('New comments are pushed to the incident room', (done) => {
+      createSingleTestIncident().then((incident) => {
+        const commentClient = socketIOClient(`http://localhost:${server.address().port}`, {
+          auth: { token: authToken },
+        });
+
+        commentClient.on('connect', () => {
+          commentClient.emit('focus_incident', { incidentId: incident.id, action: 'focus' });
+
+          setTimeout(() => {
+            request(app)
+              .post(`/api/incidents/${incident.id}/comments`)
+              .set('Authorization', `Bearer ${adminToken}`)
+              .send({ body: 'Crews are clearing debris' })
+              .then(() => {});
+          }, 100);
+        });
+
+        commentClient.on('incident-comment-created', (data) => {
+          expect(data).toMatchObject({
+            type: 'comment_created',
+            incidentId: incident.id,
+            comment: expect.objectContaining({ body: 'Crews are clearing debris' }),
+          });
+          commentClient.disconnect();
+          done();
+        });
+      });
+    });
+  });
+
+  // ==============================================
+  // WATCH ZONE TESTS
+  // ==============================================
+
+  describe('Watch Zones and Geofenced Alerts', () => {
+    // Square around the validIncident location
+    const depotPolygon = {
+      type: 'Polygon',
+      coordinates: [[
+        [-74.02, 40.70], [-73.99, 40.70], [-73.99, 40.72], [-74.02, 40.72], [-74.02, 40.70],
+      ]],
+    };
+
+    afterEach(async () => {
+      await dbPool.query('DELETE FROM notifications');
+      await dbPool.query('DELETE FROM watch_zones');
+    });
+
+    test('User can save and list polygon and corridor zones', async () => {
+      await request(app)
+        .post('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'Depot area', geometry: depotPolygon })
+        .expect(201);
+
+      const corridorResponse = await request(app)
+        .post('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({
+          name: 'Delivery route',
+          geometry: { type: 'LineString', coordinates: [[-74.01, 40.71], [-73.95, 40.75]] },
+          bufferMeters: 300,
+          minSeverity: 3,
+        })
+        .expect(201);
+
+      expect(corridorResponse.body.zone).toMatchObject({
+        zoneType: 'corridor',
+        bufferMeters: 300,
+        route: expect.objectContaining({ type: 'LineString' }),
+        geometry: expect.objectContaining({ type: 'Polygon' }),
+        filters: { typeIds: [], minSeverity: 3 },
+      });
+
+      const listResponse = await request(app)
+        .get('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(listResponse.body.zones.map(zone => zone.name)).toEqual(['Delivery route', 'Depot area']);
+    });
+
+    test('Zones are private to their owner', async () => {
+      const createResponse = await request(app)
+        .post('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'Depot area', geometry: depotPolygon })
+        .expect(201);
+
+      await request(app)
+        .get(`/api/watch-zones/${createResponse.body.zone.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    test('Incident updates inside a zone store a notification for its owner', async () => {
+      await request(app)
+        .post('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'Depot area', geometry: depotPolygon })
+        .expect(201);
+
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .put(`/api/incidents/${incident.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ severity: 4 })
+        .expect(200);
+
+      const notifications = await dbPool.query(
+        'SELECT type, incident_id, data FROM notifications WHERE user_id = $1',
+        [moderatorUser.id]
+      );
+
+      expect(notifications.rows).toHaveLength(1);
+      expect(notifications.rows[0]).toMatchObject({
+        type: 'watch_zone_alert',
+        incident_id: incident.id,
+        data: expect.objectContaining({ event: 'updated' }),
+      });
+    });
+
+    test('Type and severity filters suppress non-matching alerts', async () => {
+      await request(app)
+        .post('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'Severe only', geometry: depotPolygon, minSeverity: 5 })
+        .expect(201);
+
+      await request(app)
+        .post('/api/watch-zones')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'Weather only', geometry: depotPolygon, typeIds: [3] })
+        .expect(201);
+
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .put(`/api/incidents/${incident.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ severity: 4 })
+        .expect(200);
+
+      const notifications = await dbPool.query('SELECT id FROM notifications WHERE user_id = $1', [moderatorUser.id]);
+      expect(notifications.rows).toHaveLength(0);
+    });
+  });
+
+  describe('Notification Center', () => {
+    afterEach(async () => {
+      await dbPool.query('DELETE FROM notifications');
+      await dbPool.query('DELETE FROM notification_preferences');
+    });
+
+    async function insertNotification(userId, type = 'comment_mention') {
+      const result = await dbPool.query(`
+        INSERT INTO notifications (user_id, type, message)
+        VALUES ($1, $2, 'Test notification')
+        RETURNING id
+      `, [userId, type]);
+
+      return result.rows[0].id;
+    }
+
+    test('Owner edits by others are stored as notifications', async () => {
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .put(`/api/incidents/${incident.id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ severity: 4 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.unreadCount).toBe(1);
+      expect(response.body.notifications[0]).toMatchObject({
+        type: 'incident_updated_by_other',
+        incidentId: incident.id,
+        read: false,
+      });
+    });
+
+    test('User can mark notifications read individually and all at once', async () => {
+      const firstId = await insertNotification(testUser.id);
+      await insertNotification(testUser.id);
+      await insertNotification(testUser.id);
+
+      const readResponse = await request(app)
+        .put(`/api/notifications/${firstId}/read`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(readResponse.body.notification.read).toBe(true);
+      expect(readResponse.body.unreadCount).toBe(2);
+
+      const unreadResponse = await request(app)
+        .get('/api/notifications?unreadOnly=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(unreadResponse.body.notifications).toHaveLength(2);
+
+      await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const countResponse = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(countResponse.body.unreadCount).toBe(0);
+    });
+
+    test('Notifications are private to their recipient', async () => {
+      const notificationId = await insertNotification(moderatorUser.id);
+
+      await request(app)
+        .put(`/api/notifications/${notificationId}/read`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/notifications/${notificationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/notifications/${notificationId}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+    });
+
+    test('Muted notification types are not stored', async () => {
+      const preferencesResponse = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ types: { incident_updated_by_other: false } })
+        .expect(200);
+
+      expect(preferencesResponse.body.preferences.types).toContainEqual(
+        expect.objectContaining({ type: 'incident_updated_by_other', enabled: false })
+      );
+
+      const incident = await createSingleTestIncident();
+
+      await request(app)
+        .put(`/api/incidents/${incident.id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ severity: 4 })
+        .expect(200);
+
+      const notifications = await dbPool.query('SELECT id FROM notifications WHERE user_id = $1', [testUser.id]);
+      expect(notifications.rows).toHaveLength(0);
+
+      await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ types: { not_a_type: false } })
+        .expect(400);
+    });
+  });
+
+  // ==============================================
+  // OUTBOUND WEBHOOKS
+  // ==============================================
+
+  describe('Outbound Webhooks', () => {
+    let receiver;
+    let receiverUrl;
+    let received;
+    let receiverStatus;
+
+    beforeAll(async () => {
+      const http = require('http');
+
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = receiverStatus;
+          res.end('ok');
+        });
+      });
+
+      await new Promise(resolve => receiver.listen(0, resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(async () => {
+      received = [];
+      receiverStatus = 200;
+      await dbPool.query('DELETE FROM webhook_endpoints');
+    });
+
+    async function createEndpoint(body = {}) {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Partner', url: receiverUrl, ...body })
+        .expect(201);
+
+      return response.body;
+    }
+
+    test('Only admins can manage webhooks', async () => {
+      await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(403);
+
+      await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bad', url: 'ftp://example.com/hook' })
+        .expect(400);
+
+      const { endpoint, secret } = await createEndpoint();
+      expect(secret).toMatch(/^whsec_/);
+      expect(endpoint.secret).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.endpoints.map(e => e.id)).toContain(endpoint.id);
+    });
+
+    test('Matching incident events are delivered with a valid signature', async () => {
+      const { endpoint, secret } = await createEndpoint({ eventTypes: ['incident.created'], minSeverity: 3 });
+
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, severity: 1 })
+        .expect(201);
+
+      const createResponse = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      const queued = await dbPool.query('SELECT incident_id FROM webhook_deliveries WHERE endpoint_id = $1', [endpoint.id]);
+      expect(queued.rows).toHaveLength(1);
+      expect(queued.rows[0].incident_id).toBe(createResponse.body.incident.id);
+
+      const dispatcher = new WebhookDispatcher();
+      const totals = await dispatcher.runOnce();
+      expect(totals.succeeded).toBe(1);
+
+      expect(received).toHaveLength(1);
+      const { headers, body } = received[0];
+      const timestamp = headers['x-gisnet-signature'].match(/^t=(\d+),/)[1];
+      expect(headers['x-gisnet-signature']).toBe(WebhookDispatcher.sign(secret, timestamp, body));
+      expect(headers['x-gisnet-event']).toBe('incident.created');
+      expect(JSON.parse(body).data.incident.id).toBe(createResponse.body.incident.id);
+
+      const deliveries = await request(app)
+        .get(`/api/webhooks/${endpoint.id}/deliveries`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(deliveries.body.deliveries[0].status).toBe('succeeded');
+    });
+
+    test('Failing deliveries are retried, dead-lettered and can be replayed', async () => {
+      const { endpoint } = await createEndpoint({ eventTypes: ['incident.created'] });
+      receiverStatus = 500;
+
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      const dispatcher = new WebhookDispatcher();
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+
+      let totals = await dispatcher.runOnce();
+      expect(totals.failed).toBe(1);
+
+      // Make the retry due now
+      await dbPool.query('UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP');
+      totals = await dispatcher.runOnce();
+      expect(totals.dead).toBe(1);
+
+      const deadLetters = await request(app)
+        .get('/api/webhooks/dead-letters')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .query({ endpointId: endpoint.id })
+        .expect(200);
+
+      expect(deadLetters.body.deliveries).toHaveLength(1);
+      expect(deadLetters.body.deliveries[0].responseStatus).toBe(500);
+
+      receiverStatus = 200;
+      await request(app)
+        .post(`/api/webhooks/${endpoint.id}/dead-letters/replay`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      totals = await dispatcher.runOnce();
+      expect(totals.succeeded).toBe(1);
+      expect(received).toHaveLength(3);
+    });
+  });
+
+  // ==============================================
+  // SERVER-SENT EVENTS STREAM
+  // ==============================================
+
+  describe('Server-Sent Events Stream', () => {
+    const http = require('http');
+    const streams = [];
+
+    // Collect parsed SSE messages until closed
+    function openStream(query = '', headers = {}) {
+      return new Promise((resolve, reject) => {
+        const req = http.get({
+          port: server.address().port,
+          path: `/api/stream/incidents${query}`,
+          headers: { Authorization: `Bearer ${authToken}`, ...headers },
+        }, (res) => {
+          const stream = { res, messages: [], close: () => req.destroy() };
+          let buffer = '';
+
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            blocks.forEach((block) => {
+              const message = {};
+              block.split('\n').forEach((line) => {
+                const [field, ...rest] = line.split(': ');
+                if (['id', 'event', 'data'].includes(field)) {
+                  message[field] = field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ');
+                }
+              });
+              if (message.event) {
+                stream.messages.push(message);
+              }
+            });
+          });
+
+          streams.push(stream);
+          resolve(stream);
+        });
+        req.on('error', reject);
+      });
+    }
+
+    async function waitForMessage(stream, event, timeoutMs = 3000) {
+      const startedAt = Date.now();
+      while (Date.now() - startedAt < timeoutMs) {
+        const message = stream.messages.find(m => m.event === event);
+        if (message) return message;
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+      throw new Error(`Timed out waiting for ${event}`);
+    }
+
+    afterEach(() => {
+      streams.splice(0).forEach(stream => stream.close());
+    });
+
+    test('Stream requires the same JWT as the REST API', async () => {
+      const stream = await openStream('', { Authorization: '' });
+      expect(stream.res.statusCode).toBe(401);
+
+      await request(app)
+        .get('/api/stream/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ bbox: '-73,41,-74,40' })
+        .expect(400);
+    });
+
+    test('Stream delivers incident events inside the bounding box and type filter', async () => {
+      const stream = await openStream('?bbox=-74.1,40.6,-73.9,40.8&incidentTypes=1');
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+      await waitForMessage(stream, 'connected');
+
+      // Outside the box, then the wrong type, then a match
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, latitude: 34.0522, longitude: -118.2437 })
+        .expect(201);
+
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...validIncident, typeId: 2 })
+        .expect(201);
+
+      const createResponse = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      const message = await waitForMessage(stream, 'new-incident');
+      expect(message.data.incident.id).toBe(createResponse.body.incident.id);
+      expect(message.id).toBe(String(message.data.seq));
+      expect(stream.messages.filter(m => m.event === 'new-incident')).toHaveLength(1);
+    });
+
+    test('Last-Event-ID replays events missed while disconnected', async () => {
+      const seqResult = await dbPool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM realtime_events');
+      const lastEventId = Number(seqResult.rows[0].seq);
+
+      const createResponse = await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      const stream = await openStream('?bbox=-74.1,40.6,-73.9,40.8', { 'Last-Event-ID': String(lastEventId) });
+      const complete = await waitForMessage(stream, 'resume_complete');
+
+      const replayed = stream.messages.find(m => m.event === 'new-incident');
+      expect(replayed.data.replayed).toBe(true);
+      expect(replayed.data.incident.id).toBe(createResponse.body.incident.id);
+      expect(complete.data.replayed).toBe(1);
+
+      // Prune the missed event; the next one starts the log after the gap
+      await dbPool.query('DELETE FROM realtime_events');
+      await request(app)
+        .post('/api/incidents')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(validIncident)
+        .expect(201);
+
+      const expired = await openStream('', { 'Last-Event-ID': String(lastEventId) });
+      const resync = await waitForMessage(expired, 'resync_required');
+      expect(resync.data.reason).toBe('events_expired');
+    });
   });
 
   // ==============================================
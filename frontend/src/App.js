@@ -14,6 +14,9 @@
  * ROUTE STRUCTURE:
  * - /login: Authentication page
  * - /register: User registration page
+ * - /forgot-password: Request a password reset email
+ * - /reset-password: Set a new password from an emailed link
+ * - /verify-email: Confirm an email address from an emailed link
  * - /dashboard: Main incident map dashboard
  * - /incidents: Incident management interface
  * - /analytics: GIS analysis and reports
@@ -42,6 +45,9 @@ import ConnectionStatus from './components/UI/ConnectionStatus';
 // Lazy load pages for better performance
 const LoginPage = React.lazy(() => import('./pages/LoginPage'));
 const RegisterPage = React.lazy(() => import('./pages/RegisterPage'));
+const ForgotPasswordPage = React.lazy(() => import('./pages/ForgotPasswordPage'));
+const ResetPasswordPage = React.lazy(() => import('./pages/ResetPasswordPage'));
+const VerifyEmailPage = React.lazy(() => import('./pages/VerifyEmailPage'));
 const DashboardPage = React.lazy(() => import('./pages/DashboardPage'));
 const IncidentsPage = React.lazy(() => import('./pages/IncidentsPage'));
 const AnalyticsPage = React.lazy(() => import('./pages/AnalyticsPage'));
@@ -153,6 +159,25 @@ const App = () => {
                 </PublicRoute>
               }
             />
+            <Route
+              path="/forgot-password"
+              element={
+                <PublicRoute>
+                  <ForgotPasswordPage />
+                </PublicRoute>
+              }
+            />
+            <Route
+              path="/reset-password"
+              element={
+                <PublicRoute>
+                  <ResetPasswordPage />
+                </PublicRoute>
+              }
+            />
+
+            {/* Email links work whether or not the user is signed in */}
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
 
             {/* Protected Routes */}
             <Route
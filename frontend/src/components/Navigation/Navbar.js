@@ -4,8 +4,8 @@
  * Main Application Navigation Header
  * ===================================================
  * 
- * Provides navigation links, user menu, and logout functionality.
- * Responsive design with mobile menu support.
+ * Provides navigation links, notification center, user menu, and
+ * logout functionality. Responsive design with mobile menu support.
  */
 
 import React, { useState } from 'react';
@@ -22,6 +22,7 @@ import {
   Box,
   Chip,
   Tooltip,
+  Badge,
 } from '@mui/material';
 import {
   Dashboard,
@@ -29,16 +30,21 @@ import {
   Analytics,
   Person,
   ExitToApp,
+  Notifications,
 } from '@mui/icons-material';
 import { useAuth } from '../../context/AuthContext';
 import { useSocket } from '../../context/SocketContext';
+import { useNotifications } from '../../context/NotificationContext';
+import NotificationDrawer from '../Notifications/NotificationDrawer';
 
 const Navbar = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user, logout } = useAuth();
   const { isConnected } = useSocket();
+  const { unreadCount } = useNotifications();
   const [anchorEl, setAnchorEl] = useState(null);
+  const [notificationsOpen, setNotificationsOpen] = useState(false);
 
   const navigationItems = [
     {
@@ -135,6 +141,29 @@ const Navbar = () => {
           </Tooltip>
         </Box>
 
+        {/* Notification Center */}
+        <Box sx={{ mr: 1 }}>
+          <Tooltip title="Notifications">
+            <IconButton
+              color="inherit"
+              onClick={() => setNotificationsOpen(true)}
+              sx={{
+                '&:hover': {
+                  backgroundColor: 'rgba(255,255,255,0.1)',
+                },
+              }}
+            >
+              <Badge badgeContent={unreadCount} color="secondary" max={99}>
+                <Notifications />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+          <NotificationDrawer
+            open={notificationsOpen}
+            onClose={() => setNotificationsOpen(false)}
+          />
+        </Box>
+
         {/* User Menu */}
         <Box>
           <Tooltip title="User Menu">
@@ -0,0 +1,182 @@
+/**
+ * ===================================================
+ * NOTIFICATION DRAWER COMPONENT
+ * Stored Notification Center Panel
+ * ===================================================
+ *
+ * Slide-out panel listing the user's notifications with
+ * read/unread state, mark all read, deletion and per-type
+ * notification settings.
+ */
+
+import React, { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Button,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Divider,
+  Switch,
+  FormControlLabel,
+  Tooltip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Close,
+  DeleteOutline,
+  DoneAll,
+  Settings,
+  ArrowBack,
+} from '@mui/icons-material';
+import { useNotifications } from '../../context/NotificationContext';
+
+const NotificationDrawer = ({ open, onClose }) => {
+  const {
+    notifications,
+    unreadCount,
+    hasMore,
+    isLoading,
+    preferences,
+    loadMore,
+    markRead,
+    markAllRead,
+    remove,
+    loadPreferences,
+    setPreference,
+  } = useNotifications();
+  const [showSettings, setShowSettings] = useState(false);
+
+  const handleOpenSettings = () => {
+    setShowSettings(true);
+    loadPreferences();
+  };
+
+  const handleClose = () => {
+    setShowSettings(false);
+    onClose();
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={handleClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 400 }, display: 'flex', flexDirection: 'column', height: '100%' }}>
+        {/* Header */}
+        <Box display="flex" alignItems="center" px={2} py={1.5} gap={1}>
+          {showSettings && (
+            <IconButton size="small" onClick={() => setShowSettings(false)}>
+              <ArrowBack fontSize="small" />
+            </IconButton>
+          )}
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            {showSettings ? 'Notification Settings' : 'Notifications'}
+          </Typography>
+          {!showSettings && (
+            <>
+              <Tooltip title="Mark all as read">
+                <span>
+                  <IconButton size="small" onClick={markAllRead} disabled={unreadCount === 0}>
+                    <DoneAll fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Settings">
+                <IconButton size="small" onClick={handleOpenSettings}>
+                  <Settings fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </>
+          )}
+          <IconButton size="small" onClick={handleClose}>
+            <Close fontSize="small" />
+          </IconButton>
+        </Box>
+
+        <Divider />
+
+        {/* Per-type settings */}
+        {showSettings && (
+          <Box px={2} py={1}>
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Choose which notifications you receive.
+            </Typography>
+            {preferences.map((preference) => (
+              <FormControlLabel
+                key={preference.type}
+                sx={{ display: 'flex', justifyContent: 'space-between', ml: 0 }}
+                labelPlacement="start"
+                label={preference.label}
+                control={
+                  <Switch
+                    checked={preference.enabled}
+                    onChange={(event) => setPreference(preference.type, event.target.checked)}
+                  />
+                }
+              />
+            ))}
+          </Box>
+        )}
+
+        {/* Notification list */}
+        {!showSettings && (
+          <Box sx={{ flexGrow: 1, overflowY: 'auto' }}>
+            {notifications.length === 0 && !isLoading && (
+              <Typography variant="body2" color="text.secondary" textAlign="center" sx={{ mt: 4 }}>
+                You have no notifications
+              </Typography>
+            )}
+
+            <List disablePadding>
+              {notifications.map((notification) => (
+                <ListItem
+                  key={notification.id}
+                  disablePadding
+                  divider
+                  secondaryAction={
+                    <IconButton edge="end" size="small" onClick={() => remove(notification.id)}>
+                      <DeleteOutline fontSize="small" />
+                    </IconButton>
+                  }
+                  sx={{ bgcolor: notification.read ? 'transparent' : 'action.hover' }}
+                >
+                  <ListItemButton onClick={() => !notification.read && markRead(notification.id)}>
+                    <ListItemText
+                      primary={notification.message}
+                      secondary={notification.createdAt
+                        ? formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })
+                        : null}
+                      primaryTypographyProps={{
+                        variant: 'body2',
+                        fontWeight: notification.read ? 'normal' : 'bold',
+                      }}
+                    />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+            </List>
+
+            {isLoading && (
+              <Box display="flex" justifyContent="center" py={2}>
+                <CircularProgress size={24} />
+              </Box>
+            )}
+
+            {hasMore && !isLoading && (
+              <Box display="flex" justifyContent="center" py={1}>
+                <Button size="small" onClick={loadMore}>
+                  Load more
+                </Button>
+              </Box>
+            )}
+          </Box>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default NotificationDrawer;
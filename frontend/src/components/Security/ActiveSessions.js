@@ -0,0 +1,165 @@
+/**
+ * ===================================================
+ * ACTIVE SESSIONS COMPONENT
+ * Profile Panel for Signed-In Devices
+ * ===================================================
+ *
+ * Lists every device signed in to the account with its IP and
+ * last activity, and signs out one session or all the others.
+ * Signed-out devices lose access straight away, including their
+ * real-time connection.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import { Devices, Computer, PhoneIphone, Logout } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import { authService } from '../../services/authService';
+
+const isMobile = (device) => /iOS|Android/.test(device);
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.data.sessions);
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to load active sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    setPendingId(session.id);
+
+    try {
+      await authService.revokeSession(session.id);
+
+      if (session.current) {
+        authService.handleAuthenticationFailure();
+        return;
+      }
+
+      toast.success(`Signed out ${session.device}`);
+      await loadSessions();
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to sign out session');
+    }
+
+    setPendingId(null);
+  };
+
+  const handleRevokeOthers = async () => {
+    setPendingId('others');
+
+    try {
+      const response = await authService.revokeOtherSessions();
+      toast.success(response.data.message);
+      await loadSessions();
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to sign out other sessions');
+    }
+
+    setPendingId(null);
+  };
+
+  const otherCount = sessions ? sessions.filter(session => !session.current).length : 0;
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <Devices color="primary" />
+        <Typography variant="h6">Active Sessions</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Devices currently signed in to your account. Sign out any you don't recognise.
+      </Typography>
+
+      {!sessions ? (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <>
+          <List disablePadding>
+            {sessions.map((session) => (
+              <ListItem
+                key={session.id}
+                disableGutters
+                secondaryAction={
+                  <Tooltip title={session.current ? 'Sign out of this device' : 'Sign out'}>
+                    <span>
+                      <IconButton
+                        edge="end"
+                        onClick={() => handleRevoke(session)}
+                        disabled={pendingId !== null}
+                        aria-label={`Sign out ${session.device}`}
+                      >
+                        {pendingId === session.id ? <CircularProgress size={20} /> : <Logout />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                }
+              >
+                <ListItemIcon>
+                  {isMobile(session.device) ? <PhoneIphone /> : <Computer />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {session.device}
+                      {session.current && <Chip label="This device" color="primary" size="small" />}
+                    </Box>
+                  }
+                  secondary={[
+                    session.clientIP,
+                    session.current
+                      ? 'Active now'
+                      : `Last active ${formatDistanceToNow(new Date(session.lastActivity), { addSuffix: true })}`,
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+
+          {otherCount > 0 && (
+            <Button
+              variant="outlined"
+              color="error"
+              onClick={handleRevokeOthers}
+              disabled={pendingId !== null}
+              sx={{ mt: 1 }}
+            >
+              {pendingId === 'others' ? <CircularProgress size={20} /> : 'Sign Out All Other Sessions'}
+            </Button>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ActiveSessions;
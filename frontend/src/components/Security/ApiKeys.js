@@ -0,0 +1,285 @@
+/**
+ * ===================================================
+ * API KEYS COMPONENT
+ * Profile Panel for Personal API Keys
+ * ===================================================
+ *
+ * Creates and revokes API keys for scripts and integrations. Each
+ * key is limited to the scopes chosen here and is only shown once,
+ * right after it is created.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  TextField,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { VpnKey, ContentCopy, Delete } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import { authService } from '../../services/authService';
+
+const SCOPE_LABELS = {
+  'incidents:read': 'Read incidents',
+  'incidents:write': 'Report and update incidents',
+  'analysis:read': 'Read analysis, map tiles and exports',
+};
+
+const EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['incidents:read']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [newKey, setNewKey] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const response = await authService.getApiKeys();
+      setApiKeys(response.data.apiKeys);
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to load API keys');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (scope) => {
+    setScopes(current => (
+      current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]
+    ));
+  };
+
+  const resetForm = () => {
+    setCreating(false);
+    setName('');
+    setScopes(['incidents:read']);
+    setExpiresInDays(90);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setPendingId('create');
+
+    try {
+      const response = await authService.createApiKey({
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiresInDays === '' ? null : expiresInDays,
+      });
+
+      setNewKey(response.data.key);
+      resetForm();
+      await loadKeys();
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.details?.[0]?.message || apiErr?.message || 'Unable to create API key');
+    }
+
+    setPendingId(null);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success('API key copied');
+    } catch (err) {
+      toast.error('Unable to copy. Select the key and copy it instead.');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    setPendingId(apiKey.id);
+
+    try {
+      await authService.revokeApiKey(apiKey.id);
+      toast.success(`Revoked ${apiKey.name}`);
+      await loadKeys();
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to revoke API key');
+    }
+
+    setPendingId(null);
+  };
+
+  const describeKey = (apiKey) => [
+    `${apiKey.prefix}…`,
+    apiKey.lastUsedAt
+      ? `Last used ${formatDistanceToNow(new Date(apiKey.lastUsedAt), { addSuffix: true })}`
+      : 'Never used',
+    apiKey.expiresAt
+      ? `Expires ${format(new Date(apiKey.expiresAt), 'PP')}`
+      : 'No expiry',
+  ].join(' · ');
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <VpnKey color="primary" />
+        <Typography variant="h6">API Keys</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Let scripts and integrations use the incidents and analysis APIs as you.
+        Send the key in an <code>Authorization: ApiKey &lt;key&gt;</code> header.
+      </Typography>
+
+      {newKey && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setNewKey(null)}>
+              Done
+            </Button>
+          }
+        >
+          Copy this key now. It won't be shown again.
+          <Box display="flex" alignItems="center" gap={1} mt={1}>
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+              {newKey}
+            </Typography>
+            <IconButton size="small" onClick={handleCopy} aria-label="Copy API key">
+              <ContentCopy fontSize="small" />
+            </IconButton>
+          </Box>
+        </Alert>
+      )}
+
+      {!apiKeys ? (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <>
+          {apiKeys.length > 0 && (
+            <List disablePadding>
+              {apiKeys.map((apiKey) => (
+                <ListItem
+                  key={apiKey.id}
+                  disableGutters
+                  secondaryAction={
+                    <Tooltip title="Revoke">
+                      <span>
+                        <IconButton
+                          edge="end"
+                          onClick={() => handleRevoke(apiKey)}
+                          disabled={pendingId !== null}
+                          aria-label={`Revoke ${apiKey.name}`}
+                        >
+                          {pendingId === apiKey.id ? <CircularProgress size={20} /> : <Delete />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  }
+                >
+                  <ListItemText
+                    primary={
+                      <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                        {apiKey.name}
+                        {apiKey.scopes.map(scope => (
+                          <Chip key={scope} label={scope} size="small" variant="outlined" />
+                        ))}
+                      </Box>
+                    }
+                    secondary={describeKey(apiKey)}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          {creating ? (
+            <Box component="form" onSubmit={handleCreate} mt={2}>
+              <TextField
+                label="Key name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Traffic dashboard"
+                fullWidth
+                size="small"
+                inputProps={{ maxLength: 100 }}
+                sx={{ mb: 2 }}
+              />
+
+              <FormGroup sx={{ mb: 2 }}>
+                {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+                  <FormControlLabel
+                    key={scope}
+                    control={
+                      <Checkbox
+                        checked={scopes.includes(scope)}
+                        onChange={() => toggleScope(scope)}
+                      />
+                    }
+                    label={label}
+                  />
+                ))}
+              </FormGroup>
+
+              <TextField
+                select
+                label="Expires after"
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(e.target.value)}
+                size="small"
+                sx={{ mb: 2, minWidth: 160 }}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <MenuItem key={option.label} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+
+              <Box display="flex" gap={1}>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  disabled={!name.trim() || scopes.length === 0 || pendingId !== null}
+                >
+                  {pendingId === 'create' ? <CircularProgress size={20} /> : 'Create Key'}
+                </Button>
+                <Button onClick={resetForm} disabled={pendingId !== null}>
+                  Cancel
+                </Button>
+              </Box>
+            </Box>
+          ) : (
+            <Button variant="outlined" onClick={() => setCreating(true)} sx={{ mt: 1 }}>
+              Create API Key
+            </Button>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,78 @@
+/**
+ * ===================================================
+ * RECOVERY CODES LIST COMPONENT
+ * One-Time Recovery Code Display
+ * ===================================================
+ *
+ * Shows freshly issued recovery codes with copy and download
+ * actions. The server only returns them once.
+ */
+
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+} from '@mui/material';
+import { ContentCopy, Download } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+
+const RecoveryCodesList = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (err) {
+      toast.error('Unable to copy. Select the codes and copy them instead.');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`GIS-NET recovery codes\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'gis-net-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Each code signs you in once if you lose your authenticator app.
+        They won't be shown again.
+      </Alert>
+
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, 1fr)',
+          gap: 1,
+          p: 2,
+          bgcolor: 'grey.100',
+          borderRadius: 1,
+        }}
+      >
+        {codes.map((code) => (
+          <Typography key={code} variant="body2" sx={{ fontFamily: 'monospace', textAlign: 'center' }}>
+            {code}
+          </Typography>
+        ))}
+      </Box>
+
+      <Box display="flex" gap={1} mt={1}>
+        <Button size="small" startIcon={<ContentCopy />} onClick={handleCopy}>
+          Copy
+        </Button>
+        <Button size="small" startIcon={<Download />} onClick={handleDownload}>
+          Download
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default RecoveryCodesList;
@@ -0,0 +1,119 @@
+/**
+ * ===================================================
+ * ROLE PERMISSIONS COMPONENT
+ * Admin Controls for Role Permission Bundles
+ * ===================================================
+ *
+ * Lets admins choose which named permissions (verify, resolve,
+ * delete-any, ...) each role holds. The admin role always has every
+ * permission and is shown read-only. Other managers see the bundles
+ * read-only too; only admins may edit them.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Divider,
+  FormGroup,
+  FormControlLabel,
+  Switch,
+  Tooltip,
+  CircularProgress,
+} from '@mui/material';
+import { Policy } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import { authService } from '../../services/authService';
+
+const RolePermissions = ({ editable = false }) => {
+  const [roles, setRoles] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [updatingRole, setUpdatingRole] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await authService.getRoles();
+        setRoles(response.data.roles);
+        setPermissions(response.data.permissions);
+      } catch (err) {
+        const apiErr = err.response?.data;
+        toast.error(apiErr?.message || apiErr?.error || 'Unable to load role permissions');
+      }
+    };
+
+    load();
+  }, []);
+
+  const handleToggle = async (role, permission, granted) => {
+    const next = granted
+      ? [...role.permissions, permission]
+      : role.permissions.filter(p => p !== permission);
+
+    setUpdatingRole(role.role);
+
+    try {
+      const response = await authService.updateRole(role.role, next);
+      setRoles(current => current.map(r => (r.role === role.role ? response.data.role : r)));
+      toast.success(response.data.message);
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to update role permissions');
+    }
+
+    setUpdatingRole(null);
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <Policy color="primary" />
+        <Typography variant="h6">Role Permissions</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        {editable
+          ? 'Choose what each role may do. Changes apply to every member of the role within a few seconds.'
+          : 'What each role may do. Only admins can change role permissions.'}
+      </Typography>
+
+      {!roles ? (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        roles.map((role, index) => (
+          <Box key={role.role} mt={index > 0 ? 2 : 0}>
+            {index > 0 && <Divider sx={{ mb: 2 }} />}
+            <Typography variant="subtitle1">
+              {`${role.role.charAt(0).toUpperCase()}${role.role.slice(1)}`}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              {role.locked ? 'Always has every permission' : role.description}
+            </Typography>
+
+            <FormGroup>
+              {permissions.map(({ name, description }) => (
+                <Tooltip key={name} title={description} placement="left">
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        size="small"
+                        checked={role.permissions.includes(name)}
+                        disabled={!editable || role.locked || updatingRole !== null}
+                        onChange={(e) => handleToggle(role, name, e.target.checked)}
+                      />
+                    }
+                    label={name}
+                  />
+                </Tooltip>
+              ))}
+            </FormGroup>
+          </Box>
+        ))
+      )}
+    </Paper>
+  );
+};
+
+export default RolePermissions;
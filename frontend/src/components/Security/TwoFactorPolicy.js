@@ -0,0 +1,103 @@
+/**
+ * ===================================================
+ * TWO-FACTOR POLICY COMPONENT
+ * Admin Controls for Required Two-Factor by Role
+ * ===================================================
+ *
+ * Lets admins require two-factor authentication for admin and
+ * moderator accounts. Members who have not enrolled are sent
+ * through setup at their next sign-in.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Switch,
+  CircularProgress,
+} from '@mui/material';
+import { AdminPanelSettings } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import { authService } from '../../services/authService';
+
+const TwoFactorPolicy = () => {
+  const [roles, setRoles] = useState(null);
+  const [updatingRole, setUpdatingRole] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await authService.getTwoFactorPolicy();
+        setRoles(response.data.roles);
+      } catch (err) {
+        const apiErr = err.response?.data;
+        toast.error(apiErr?.message || apiErr?.error || 'Unable to load two-factor requirements');
+      }
+    };
+
+    load();
+  }, []);
+
+  const handleToggle = async (role, required) => {
+    setUpdatingRole(role);
+
+    try {
+      const response = await authService.updateTwoFactorPolicy(role, required);
+      setRoles(response.data.roles);
+      toast.success(response.data.message);
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to update two-factor requirements');
+    }
+
+    setUpdatingRole(null);
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <AdminPanelSettings color="primary" />
+        <Typography variant="h6">Two-Factor Requirements</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Require two-factor authentication for privileged roles. Members who haven't
+        set it up are asked to at their next sign-in.
+      </Typography>
+
+      {!roles ? (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : (
+        <List disablePadding>
+          {roles.map(({ role, required, enrolledUsers, totalUsers }) => (
+            <ListItem
+              key={role}
+              disableGutters
+              secondaryAction={
+                <Switch
+                  edge="end"
+                  checked={required}
+                  disabled={updatingRole !== null}
+                  onChange={(e) => handleToggle(role, e.target.checked)}
+                  inputProps={{ 'aria-label': `Require two-factor for ${role} accounts` }}
+                />
+              }
+            >
+              <ListItemText
+                primary={`${role.charAt(0).toUpperCase()}${role.slice(1)} accounts`}
+                secondary={`${enrolledUsers} of ${totalUsers} enrolled`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
+export default TwoFactorPolicy;
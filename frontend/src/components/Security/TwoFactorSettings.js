@@ -0,0 +1,247 @@
+/**
+ * ===================================================
+ * TWO-FACTOR SETTINGS COMPONENT
+ * Profile Panel for Authenticator App Sign-In
+ * ===================================================
+ *
+ * Turns two-factor authentication on and off and issues new
+ * recovery codes. Accounts whose role requires two-factor can't
+ * turn it off.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import {
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { PhonelinkLock } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import { authService } from '../../services/authService';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodesList from './RecoveryCodesList';
+
+const getErrorMessage = (err, fallback) => {
+  const apiErr = err.response?.data;
+  const detailMsg = Array.isArray(apiErr?.details) && apiErr.details.length
+    ? apiErr.details[0]?.message
+    : apiErr?.message || apiErr?.error;
+  return detailMsg || fallback;
+};
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [newCodes, setNewCodes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data.twoFactor);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to load two-factor status'));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetForm = () => {
+    setMode(null);
+    setPassword('');
+    setCode('');
+    setUseRecoveryCode(false);
+  };
+
+  const handleSetupComplete = () => {
+    resetForm();
+    toast.success('Two-factor authentication is on');
+    loadStatus();
+  };
+
+  const handleDisable = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await authService.disableTwoFactor(password, useRecoveryCode ? { recoveryCode: code } : { code });
+      resetForm();
+      toast.success('Two-factor authentication is off');
+      loadStatus();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to turn off two-factor authentication'));
+      setCode('');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const handleRegenerate = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await authService.regenerateRecoveryCodes(code);
+      resetForm();
+      setNewCodes(response.data.recoveryCodes);
+      loadStatus();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to issue new recovery codes'));
+      setCode('');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const renderCodeField = () => (
+    <TextField
+      key={useRecoveryCode ? 'recovery' : 'totp'}
+      fullWidth
+      size="small"
+      label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      margin="dense"
+      autoComplete="one-time-code"
+      inputProps={useRecoveryCode ? { maxLength: 11 } : { inputMode: 'numeric', maxLength: 7 }}
+    />
+  );
+
+  const renderFormButtons = (submitLabel) => (
+    <Box display="flex" gap={1} mt={1}>
+      <Button onClick={resetForm} disabled={isSubmitting}>
+        Cancel
+      </Button>
+      <Button type="submit" variant="contained" disabled={isSubmitting || !code.trim()}>
+        {isSubmitting ? <CircularProgress size={20} /> : submitLabel}
+      </Button>
+    </Box>
+  );
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box display="flex" alignItems="center" gap={2} mb={2}>
+        <PhonelinkLock color="primary" />
+        <Typography variant="h6">Two-Factor Authentication</Typography>
+        {status && (
+          <Chip
+            label={status.enabled ? 'On' : 'Off'}
+            color={status.enabled ? 'success' : 'default'}
+            size="small"
+          />
+        )}
+      </Box>
+
+      {!status && (
+        <Box display="flex" justifyContent="center" my={2}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {status && !mode && !newCodes && (
+        <>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            {status.enabled
+              ? `Sign-in asks for a code from your authenticator app. Turned on ${format(new Date(status.enabledAt), 'PP')}.`
+              : 'Require a code from an authenticator app as well as your password when signing in.'}
+          </Typography>
+
+          {status.required && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Two-factor authentication is required for your role.
+            </Alert>
+          )}
+
+          {status.enabled && (
+            <Typography variant="body2" color="text.secondary" paragraph>
+              {status.recoveryCodesRemaining} of 10 recovery codes left.
+            </Typography>
+          )}
+
+          {status.enabled ? (
+            <Box display="flex" gap={1} flexWrap="wrap">
+              <Button variant="outlined" onClick={() => setMode('regenerate')}>
+                New Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button variant="outlined" color="error" onClick={() => setMode('disable')}>
+                  Turn Off
+                </Button>
+              )}
+            </Box>
+          ) : (
+            <Button variant="outlined" onClick={() => setMode('setup')}>
+              Turn On
+            </Button>
+          )}
+        </>
+      )}
+
+      {mode === 'setup' && (
+        <TwoFactorSetup onComplete={handleSetupComplete} onCancel={resetForm} />
+      )}
+
+      {mode === 'disable' && (
+        <Box component="form" onSubmit={handleDisable}>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Confirm your password and a current code to turn off two-factor authentication.
+          </Typography>
+          <TextField
+            fullWidth
+            size="small"
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            margin="dense"
+            autoComplete="current-password"
+            autoFocus
+          />
+          {renderCodeField()}
+          <Button
+            size="small"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </Button>
+          {renderFormButtons('Turn Off')}
+        </Box>
+      )}
+
+      {mode === 'regenerate' && (
+        <Box component="form" onSubmit={handleRegenerate}>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Enter a code from your authenticator app. Your current recovery codes will stop working.
+          </Typography>
+          {renderCodeField()}
+          {renderFormButtons('Generate')}
+        </Box>
+      )}
+
+      {newCodes && (
+        <>
+          <RecoveryCodesList codes={newCodes} />
+          <Button variant="contained" sx={{ mt: 2 }} onClick={() => setNewCodes(null)}>
+            Done
+          </Button>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default TwoFactorSettings;
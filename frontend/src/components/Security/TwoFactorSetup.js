@@ -0,0 +1,168 @@
+/**
+ * ===================================================
+ * TWO-FACTOR SETUP COMPONENT
+ * Authenticator App Enrolment Flow
+ * ===================================================
+ *
+ * Shows the QR code (or the key for manual entry), confirms a
+ * code from the app, then lists the one-time recovery codes.
+ * Used from the profile page and, with a pre-auth token, at
+ * sign-in when the user's role requires two-factor.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { authService } from '../../services/authService';
+import RecoveryCodesList from './RecoveryCodesList';
+
+const TwoFactorSetup = ({ preAuthToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Starting again replaces the secret, so only ask once per mount
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) {
+      return;
+    }
+    started.current = true;
+
+    const start = async () => {
+      try {
+        const response = await authService.startTwoFactorSetup(preAuthToken);
+        setSetup(response.data.setup);
+      } catch (err) {
+        const apiErr = err.response?.data;
+        setError(apiErr?.message || apiErr?.error || 'Unable to start two-factor setup');
+      }
+    };
+
+    start();
+  }, [preAuthToken]);
+
+  const handleConfirm = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await authService.enableTwoFactor(code, preAuthToken);
+      setResult(response.data);
+    } catch (err) {
+      const apiErr = err.response?.data;
+      const detailMsg = Array.isArray(apiErr?.details) && apiErr.details.length
+        ? apiErr.details[0]?.message
+        : apiErr?.message || apiErr?.error;
+      setError(detailMsg || 'Unable to turn on two-factor authentication');
+      setCode('');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  if (result) {
+    return (
+      <Box width="100%">
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Two-factor authentication is on.
+        </Alert>
+        <RecoveryCodesList codes={result.recoveryCodes} />
+        <Button
+          fullWidth
+          variant="contained"
+          sx={{ mt: 2 }}
+          onClick={() => onComplete(result)}
+        >
+          I have saved my recovery codes
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box width="100%">
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {!setup && !error && (
+        <Box display="flex" justifyContent="center" my={3}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {setup && (
+        <Box component="form" onSubmit={handleConfirm}>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Scan this QR code with an authenticator app such as Google Authenticator,
+            Authy or 1Password, then enter the six digit code it shows.
+          </Typography>
+
+          {setup.qrCodeDataUrl && (
+            <Box textAlign="center" mb={2}>
+              <img src={setup.qrCodeDataUrl} alt="Authenticator QR code" width={200} height={200} />
+            </Box>
+          )}
+
+          <Typography variant="body2" color="text.secondary">
+            {setup.qrCodeDataUrl ? 'Can\'t scan it? Enter this key instead:' : 'Enter this key in your authenticator app:'}
+          </Typography>
+          <Typography
+            variant="body2"
+            sx={{ fontFamily: 'monospace', wordBreak: 'break-all', my: 1 }}
+          >
+            {setup.secret.match(/.{1,4}/g).join(' ')}
+          </Typography>
+
+          <TextField
+            fullWidth
+            label="Authentication code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            margin="normal"
+            autoComplete="one-time-code"
+            inputProps={{ inputMode: 'numeric', maxLength: 7 }}
+            autoFocus
+          />
+
+          <Box display="flex" gap={2} mt={2}>
+            {onCancel && (
+              <Button fullWidth variant="outlined" onClick={onCancel} disabled={isSubmitting}>
+                Cancel
+              </Button>
+            )}
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              disabled={isSubmitting || code.replace(/\s/g, '').length !== 6}
+            >
+              {isSubmitting ? <CircularProgress size={20} /> : 'Turn On'}
+            </Button>
+          </Box>
+        </Box>
+      )}
+
+      {!setup && error && onCancel && (
+        <Button fullWidth variant="outlined" onClick={onCancel}>
+          Back
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
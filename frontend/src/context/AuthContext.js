@@ -10,6 +10,7 @@
  * - Automatic token refresh
  * - Protected route authentication
  * - User profile management
+ * - Two-factor sign-in challenges
  * 
  * FEATURES:
  * - Persistent authentication state via localStorage
@@ -17,6 +18,7 @@
  * - Login/logout with proper cleanup
  * - User profile information management
  * - Authentication loading states
+ * - Pending second-factor step kept across the login page remounting
  * 
  * DEPENDENCIES:
  * - React Context API for state management
@@ -40,6 +42,7 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  twoFactorChallenge: null,
 };
 
 // Action types for authentication reducer
@@ -53,6 +56,8 @@ const AUTH_ACTIONS = {
   UPDATE_USER: 'UPDATE_USER',
   SET_LOADING: 'SET_LOADING',
   CLEAR_ERROR: 'CLEAR_ERROR',
+  TWO_FACTOR_CHALLENGE: 'TWO_FACTOR_CHALLENGE',
+  TWO_FACTOR_CANCEL: 'TWO_FACTOR_CANCEL',
 };
 
 /**
@@ -79,6 +84,7 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        twoFactorChallenge: null,
       };
 
     case AUTH_ACTIONS.LOGIN_FAILURE:
@@ -90,6 +96,7 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: action.payload,
+        twoFactorChallenge: null,
       };
 
     case AUTH_ACTIONS.LOGOUT:
@@ -131,6 +138,20 @@ const authReducer = (state, action) => {
         error: null,
       };
 
+    case AUTH_ACTIONS.TWO_FACTOR_CHALLENGE:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        twoFactorChallenge: action.payload,
+      };
+
+    case AUTH_ACTIONS.TWO_FACTOR_CANCEL:
+      return {
+        ...state,
+        twoFactorChallenge: null,
+      };
+
     default:
       return state;
   }
@@ -214,8 +235,33 @@ export const AuthProvider = ({ children }) => {
     authService.setToken(token);
   };
 
+  /**
+   * Sign in from a response carrying user and tokens
+   * @param {Object} data - Login, 2FA verify or 2FA enable response body
+   */
+  const completeLogin = (data) => {
+    const { user, tokens } = data;
+
+    // Store authentication data
+    storeAuthData(tokens.accessToken, tokens.refreshToken, user);
+
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: {
+        user,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+
+    toast.success(`Welcome back, ${user.username}!`);
+  };
+
   /**
    * User login function
+   * When the account uses two-factor authentication no tokens are issued
+   * yet; the pending step is stored as twoFactorChallenge and this
+   * resolves false.
    * @param {string} email - User email
    * @param {string} password - User password
    * @param {boolean} rememberMe - Whether to remember login
@@ -226,21 +272,21 @@ export const AuthProvider = ({ children }) => {
 
     try {
       const response = await authService.login(email, password, rememberMe);
-      const { user, tokens } = response.data;
-
-      // Store authentication data
-      storeAuthData(tokens.accessToken, tokens.refreshToken, user);
 
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: {
-          user,
-          token: tokens.accessToken,
-          refreshToken: tokens.refreshToken,
-        },
-      });
+      if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.TWO_FACTOR_CHALLENGE,
+          payload: {
+            step: response.data.twoFactorRequired ? 'verify' : 'setup',
+            preAuthToken: response.data.preAuthToken,
+            expiresAt: response.data.expiresAt,
+            message: response.data.message,
+          },
+        });
+        return false;
+      }
 
-      toast.success(`Welcome back, ${user.username}!`);
+      completeLogin(response.data);
       return true;
 
     } catch (error) {
@@ -260,6 +306,50 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Finish a two-factor sign-in with an authenticator or recovery code
+   * @param {Object} factor - Either { code } or { recoveryCode }
+   * @returns {Promise<boolean>} Success status
+   */
+  const verifyTwoFactor = async (factor) => {
+    try {
+      const response = await authService.verifyTwoFactor(state.twoFactorChallenge.preAuthToken, factor);
+      completeLogin(response.data);
+
+      const { recoveryCodesRemaining } = response.data;
+      if (recoveryCodesRemaining !== undefined && recoveryCodesRemaining <= 3) {
+        toast(`Only ${recoveryCodesRemaining} recovery codes left. Generate new ones from your profile.`);
+      }
+
+      return true;
+
+    } catch (error) {
+      const apiErr = error.response?.data;
+      const detailMsg = Array.isArray(apiErr?.details) && apiErr.details.length
+        ? apiErr.details[0]?.message
+        : apiErr?.message || apiErr?.error;
+      const errorMessage = detailMsg || 'Verification failed';
+
+      // Expired, locked or disabled: start again from the password step
+      if (apiErr?.requiresLogin || [403, 423].includes(error.response?.status)) {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
+          payload: errorMessage,
+        });
+      }
+
+      toast.error(errorMessage);
+      return false;
+    }
+  };
+
+  /**
+   * Abandon a pending two-factor step and return to the password form
+   */
+  const cancelTwoFactor = () => {
+    dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_CANCEL });
+  };
+
   /**
    * User registration function
    * @param {Object} userData - Registration data
@@ -396,9 +486,13 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: state.isAuthenticated,
     isLoading: state.isLoading,
     error: state.error,
+    twoFactorChallenge: state.twoFactorChallenge,
 
     // Actions
     login,
+    completeLogin,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
     refreshToken,
@@ -408,6 +502,10 @@ export const AuthProvider = ({ children }) => {
     // Utilities
     isAdmin: state.user?.role === 'admin',
     isModerator: ['admin', 'moderator'].includes(state.user?.role),
+    // Named permission from the user's role bundle (e.g. 'verify', 'export')
+    hasPermission: (permission) => (
+      state.user?.role === 'admin' || Boolean(state.user?.permissions?.includes(permission))
+    ),
   };
 
   return (
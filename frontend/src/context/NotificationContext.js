@@ -0,0 +1,252 @@
+/**
+ * ===================================================
+ * NOTIFICATION CONTEXT PROVIDER
+ * Stored Notification Center State
+ * ===================================================
+ *
+ * This context keeps the user's stored notifications and unread count:
+ * - Loads the latest notifications after login
+ * - Prepends live notifications pushed over Socket.io
+ * - Syncs read and delete actions made in other tabs or devices
+ * - Exposes mark read, mark all read, delete and preferences actions
+ *
+ * DEPENDENCIES:
+ * - Authentication context for login state
+ * - Socket context window events ('user-notification', 'notifications-updated')
+ * - Notification service for API calls
+ *
+ * USAGE:
+ * const { notifications, unreadCount, markAllRead } = useNotifications();
+ */
+
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { notificationService } from '../services/notificationService';
+
+// Notifications loaded per page in the drawer
+const PAGE_SIZE = 20;
+
+// Create Notification Context
+const NotificationContext = createContext();
+
+/**
+ * Shape a live socket notification like a stored one
+ * @param {Object} payload - 'user-notification' event detail
+ */
+const fromSocketPayload = ({ notificationId, type, message, incidentId, unreadCount, timestamp, ...data }) => ({
+  id: notificationId,
+  type,
+  message,
+  incidentId: incidentId || null,
+  data,
+  read: false,
+  readAt: null,
+  createdAt: timestamp,
+});
+
+/**
+ * Notification Context Provider Component
+ * @param {Object} children - Child components
+ */
+export const NotificationProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [preferences, setPreferences] = useState([]);
+
+  /**
+   * Load the first page of notifications
+   */
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await notificationService.list({ limit: PAGE_SIZE });
+      setNotifications(result.notifications);
+      setUnreadCount(result.unreadCount);
+      setTotal(result.total);
+    } catch (error) {
+      toast.error('Unable to load notifications');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Append the next page of notifications
+   */
+  const loadMore = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await notificationService.list({ limit: PAGE_SIZE, offset: notifications.length });
+      setNotifications(prev => [...prev, ...result.notifications]);
+      setUnreadCount(result.unreadCount);
+      setTotal(result.total);
+    } catch (error) {
+      toast.error('Unable to load notifications');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [notifications.length]);
+
+  /**
+   * Mark one notification read
+   * @param {number} notificationId - Notification ID
+   */
+  const markRead = useCallback(async (notificationId) => {
+    try {
+      const result = await notificationService.markRead(notificationId);
+      setNotifications(prev => prev.map(item => (
+        item.id === notificationId ? result.notification : item
+      )));
+      setUnreadCount(result.unreadCount);
+    } catch (error) {
+      toast.error('Unable to update notification');
+    }
+  }, []);
+
+  /**
+   * Mark every notification read
+   */
+  const markAllRead = useCallback(async () => {
+    try {
+      await notificationService.markAllRead();
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error('Unable to update notifications');
+    }
+  }, []);
+
+  /**
+   * Delete a notification
+   * @param {number} notificationId - Notification ID
+   */
+  const remove = useCallback(async (notificationId) => {
+    try {
+      const result = await notificationService.remove(notificationId);
+      setNotifications(prev => prev.filter(item => item.id !== notificationId));
+      setTotal(prev => Math.max(prev - 1, 0));
+      setUnreadCount(result.unreadCount);
+    } catch (error) {
+      toast.error('Unable to delete notification');
+    }
+  }, []);
+
+  /**
+   * Load per-type notification preferences
+   */
+  const loadPreferences = useCallback(async () => {
+    try {
+      setPreferences(await notificationService.getPreferences());
+    } catch (error) {
+      toast.error('Unable to load notification preferences');
+    }
+  }, []);
+
+  /**
+   * Turn one notification type on or off
+   * @param {string} type - Notification type
+   * @param {boolean} enabled - New setting
+   */
+  const setPreference = useCallback(async (type, enabled) => {
+    try {
+      setPreferences(await notificationService.updatePreferences({ [type]: enabled }));
+    } catch (error) {
+      toast.error('Unable to update notification preferences');
+    }
+  }, []);
+
+  // Load notifications after login, clear them after logout
+  useEffect(() => {
+    if (isAuthenticated) {
+      refresh();
+    } else {
+      setNotifications([]);
+      setUnreadCount(0);
+      setTotal(0);
+      setPreferences([]);
+    }
+  }, [isAuthenticated, refresh]);
+
+  // Live updates relayed by the socket context
+  useEffect(() => {
+    const handleNotification = (event) => {
+      const payload = event.detail;
+
+      // Only stored notifications carry an ID and count
+      if (!payload.notificationId) {
+        return;
+      }
+
+      setNotifications(prev => [fromSocketPayload(payload), ...prev]);
+      setTotal(prev => prev + 1);
+      setUnreadCount(payload.unreadCount);
+    };
+
+    const handleStateUpdate = (event) => {
+      const { readIds, deletedId, allRead, unreadCount: count } = event.detail;
+
+      setNotifications(prev => prev
+        .filter(item => item.id !== deletedId)
+        .map(item => (allRead || readIds?.includes(item.id) ? { ...item, read: true } : item)));
+
+      if (deletedId) {
+        setTotal(prev => Math.max(prev - 1, 0));
+      }
+      setUnreadCount(count);
+    };
+
+    window.addEventListener('user-notification', handleNotification);
+    window.addEventListener('notifications-updated', handleStateUpdate);
+
+    return () => {
+      window.removeEventListener('user-notification', handleNotification);
+      window.removeEventListener('notifications-updated', handleStateUpdate);
+    };
+  }, []);
+
+  // Context value object
+  const contextValue = {
+    // Notification state
+    notifications,
+    unreadCount,
+    total,
+    hasMore: notifications.length < total,
+    isLoading,
+    preferences,
+
+    // Notification actions
+    refresh,
+    loadMore,
+    markRead,
+    markAllRead,
+    remove,
+    loadPreferences,
+    setPreference,
+  };
+
+  return (
+    <NotificationContext.Provider value={contextValue}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+/**
+ * Custom hook to use notification context
+ * @returns {Object} Notification context value
+ */
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+
+  return context;
+};
+
+export default NotificationContext;
@@ -14,10 +14,12 @@
  * FEATURES:
  * - Authenticated WebSocket connections
  * - Automatic reconnection with exponential backoff
- * - Geographic area subscription management
+ * - Geographic area subscription management with server-side filters
  * - Real-time incident event handling
+ * - Missed-event replay after reconnecting (full resync when too far behind)
  * - Connection status indicators
  * - Error recovery and user notifications
+ * - Sign-out when this session is ended from another device
  * 
  * DEPENDENCIES:
  * - Socket.io client for WebSocket communication
@@ -31,6 +33,7 @@
 import React, { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { authService } from '../services/authService';
 import { toast } from 'react-hot-toast';
 
 // Socket connection status constants
@@ -53,8 +56,12 @@ export const SocketProvider = ({ children }) => {
   const { isAuthenticated, token, user } = useAuth();
   const socketRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  const lastSeqRef = useRef(null);
+  const areaBoundsRef = useRef(null);
+  const areaFiltersRef = useRef(null);
   const [connectionStatus, setConnectionStatus] = useState(CONNECTION_STATUS.DISCONNECTED);
   const [subscribedAreas, setSubscribedAreas] = useState(new Set());
+  const [areaFilters, setAreaFilters] = useState(null);
   const [lastError, setLastError] = useState(null);
   const [reconnectAttempts, setReconnectAttempts] = useState(0);
 
@@ -117,6 +124,33 @@ export const SocketProvider = ({ children }) => {
       handleReconnection();
     });
 
+    // Server acknowledgment with the current event sequence
+    // After a reconnect, restore the area subscription and replay what was missed
+    socket.on('connected', (data) => {
+      if (lastSeqRef.current === null) {
+        lastSeqRef.current = data.seq ?? null;
+        return;
+      }
+
+      if (areaBoundsRef.current) {
+        socket.emit('subscribe_area', {
+          bounds: areaBoundsRef.current,
+          filters: areaFiltersRef.current,
+        });
+      }
+      socket.emit('resume', { lastSeq: lastSeqRef.current });
+    });
+
+    socket.on('resume_complete', (data) => {
+      trackSequence(data);
+    });
+
+    socket.on('resync_required', (data) => {
+      lastSeqRef.current = data.seq ?? null;
+      window.dispatchEvent(new CustomEvent('incidents-resync', { detail: data }));
+      toast('Reconnected. Refreshing incidents...');
+    });
+
     // Authentication-related events
     socket.on('authenticated', (data) => {
       toast.success('Connected to real-time updates');
@@ -127,6 +161,12 @@ export const SocketProvider = ({ children }) => {
       toast.error('Real-time connection authentication failed');
     });
 
+    // This session was signed out elsewhere; the server closes the socket next
+    socket.on('session-revoked', () => {
+      toast.error('This session was signed out from another device');
+      authService.handleAuthenticationFailure();
+    });
+
     // Real-time incident events
     socket.on('new-incident', (data) => {
       handleNewIncident(data);
@@ -144,6 +184,10 @@ export const SocketProvider = ({ children }) => {
       handleIncidentVerification(data);
     });
 
+    socket.on('incident-status-changed', (data) => {
+      handleIncidentStatusChange(data);
+    });
+
     // Area-specific incident events
     socket.on('area-incident', (data) => {
       handleAreaIncident(data);
@@ -154,16 +198,26 @@ export const SocketProvider = ({ children }) => {
       handleUserNotification(data);
     });
 
+    // Read state changes made from another tab or device
+    socket.on('notifications-updated', (data) => {
+      window.dispatchEvent(new CustomEvent('notifications-updated', { detail: data }));
+    });
+
     // Area subscription confirmations
+    // A new subscription replaces the previous viewport's tile rooms
     socket.on('area_subscribed', (data) => {
-      setSubscribedAreas(prev => new Set([...prev, data.roomName]));
-      toast.success('Subscribed to area updates');
+      setSubscribedAreas(new Set(data.rooms));
+      setAreaFilters(data.filters);
+    });
+
+    socket.on('area_filters_updated', (data) => {
+      setAreaFilters(data.filters);
     });
 
     socket.on('area_unsubscribed', (data) => {
       setSubscribedAreas(prev => {
         const newSet = new Set(prev);
-        newSet.delete(data.roomName);
+        data.rooms.forEach(room => newSet.delete(room));
         return newSet;
       });
     });
@@ -218,54 +272,84 @@ export const SocketProvider = ({ children }) => {
       socketRef.current = null;
     }
 
+    lastSeqRef.current = null;
+    areaBoundsRef.current = null;
+    areaFiltersRef.current = null;
+
     setConnectionStatus(CONNECTION_STATUS.DISCONNECTED);
     setSubscribedAreas(new Set());
+    setAreaFilters(null);
     setReconnectAttempts(0);
     setLastError(null);
   }, []);
 
+  /**
+   * Remember the newest event sequence seen, for resuming after a reconnect
+   */
+  const trackSequence = useCallback((data) => {
+    if (typeof data.seq === 'number' && (lastSeqRef.current === null || data.seq > lastSeqRef.current)) {
+      lastSeqRef.current = data.seq;
+    }
+  }, []);
+
   /**
    * Handle new incident notifications
+   * Replayed events update lists without repeating their toasts.
    */
   const handleNewIncident = useCallback((data) => {
+    trackSequence(data);
+
     // Dispatch custom event for incident list updates
     window.dispatchEvent(new CustomEvent('incident-created', { detail: data }));
     
-    if (data.incident.reportedBy !== user?.id) {
+    if (!data.replayed && data.incident.reportedBy !== user?.id) {
       toast.success(`New incident reported: ${data.incident.description?.substring(0, 50)}...`);
     }
-  }, [user?.id]);
+  }, [user?.id, trackSequence]);
 
   /**
    * Handle incident update notifications
    */
   const handleIncidentUpdate = useCallback((data) => {
+    trackSequence(data);
     window.dispatchEvent(new CustomEvent('incident-updated', { detail: data }));
     
-    if (data.incident.reportedBy === user?.id) {
+    if (!data.replayed && data.incident.reportedBy === user?.id) {
       toast.info('Your incident report has been updated');
     }
-  }, [user?.id]);
+  }, [user?.id, trackSequence]);
 
   /**
    * Handle incident deletion notifications
    */
   const handleIncidentDeletion = useCallback((data) => {
+    trackSequence(data);
     window.dispatchEvent(new CustomEvent('incident-deleted', { detail: data }));
     
-    if (data.deletedBy !== user?.id) {
+    if (!data.replayed && data.deletedBy !== user?.id) {
       toast.info('An incident has been resolved');
     }
-  }, [user?.id]);
+  }, [user?.id, trackSequence]);
 
   /**
    * Handle incident verification notifications
    */
   const handleIncidentVerification = useCallback((data) => {
+    trackSequence(data);
     window.dispatchEvent(new CustomEvent('incident-verified', { detail: data }));
     
-    toast.success('Incident verification updated');
-  }, []);
+    if (!data.replayed) {
+      toast.success('Incident verification updated');
+    }
+  }, [trackSequence]);
+
+  /**
+   * Handle incident lifecycle transitions (acknowledged, resolved, reopened...)
+   */
+  const handleIncidentStatusChange = useCallback((data) => {
+    trackSequence(data);
+    window.dispatchEvent(new CustomEvent('incident-status-changed', { detail: data }));
+  }, [trackSequence]);
 
   /**
    * Handle area-specific incident notifications
@@ -278,6 +362,9 @@ export const SocketProvider = ({ children }) => {
    * Handle user-specific notifications
    */
   const handleUserNotification = useCallback((notification) => {
+    // Notification center keeps the stored list and unread count in sync
+    window.dispatchEvent(new CustomEvent('user-notification', { detail: notification }));
+
     switch (notification.type) {
       case 'incident_comment':
         toast.info('New comment on your incident');
@@ -295,21 +382,46 @@ export const SocketProvider = ({ children }) => {
 
   /**
    * Subscribe to geographic area updates
+   * Call again whenever the map viewport changes; the server joins every
+   * tile room intersecting the bounds and leaves the ones no longer visible.
    * @param {Object} bounds - Area bounds {north, south, east, west}
+   * @param {Object} [filters] - { typeIds, minSeverity, verifiedOnly, statuses };
+   *   omit to keep the current filters
+   */
+  const subscribeToArea = useCallback((bounds, filters) => {
+    areaBoundsRef.current = bounds;
+    if (filters !== undefined) {
+      areaFiltersRef.current = filters;
+    }
+
+    if (socketRef.current && socketRef.current.connected) {
+      socketRef.current.emit('subscribe_area', filters !== undefined ? { bounds, filters } : { bounds });
+    }
+  }, []);
+
+  /**
+   * Change which area incidents are delivered without resubscribing
+   * @param {Object|null} filters - { typeIds, minSeverity, verifiedOnly, statuses }; null clears them
    */
-  const subscribeToArea = useCallback((bounds) => {
+  const updateAreaFilters = useCallback((filters) => {
+    areaFiltersRef.current = filters;
+
     if (socketRef.current && socketRef.current.connected) {
-      socketRef.current.emit('subscribe_area', { bounds });
+      socketRef.current.emit('update_area_filters', { filters });
     }
   }, []);
 
   /**
    * Unsubscribe from geographic area updates
-   * @param {string} roomName - Area room name to unsubscribe from
+   * @param {string} [roomName] - One tile room to leave; omit to leave the whole viewport
    */
   const unsubscribeFromArea = useCallback((roomName) => {
+    if (!roomName) {
+      areaBoundsRef.current = null;
+    }
+
     if (socketRef.current && socketRef.current.connected) {
-      socketRef.current.emit('unsubscribe_area', { roomName });
+      socketRef.current.emit('unsubscribe_area', roomName ? { roomName } : {});
     }
   }, []);
 
@@ -344,11 +456,13 @@ export const SocketProvider = ({ children }) => {
     isConnecting: connectionStatus === CONNECTION_STATUS.CONNECTING,
     isReconnecting: connectionStatus === CONNECTION_STATUS.RECONNECTING,
     subscribedAreas,
+    areaFilters,
     reconnectAttempts,
 
     // Connection methods
     reconnect,
     subscribeToArea,
+    updateAreaFilters,
     unsubscribeFromArea,
 
     // Utility methods
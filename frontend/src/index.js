@@ -8,6 +8,7 @@
  * - React Query for server state management
  * - Material-UI theme provider
  * - Authentication context provider
+ * - Socket.io and notification center providers
  * - React Router for client-side routing
  * - Error boundaries for graceful error handling
  * 
@@ -34,6 +35,7 @@ import { ErrorBoundary } from 'react-error-boundary';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
 import { SocketProvider } from './context/SocketContext';
+import { NotificationProvider } from './context/NotificationContext';
 import ErrorFallback from './components/ErrorBoundary/ErrorFallback';
 import './index.css';
 
@@ -161,29 +163,31 @@ const Root = () => {
           <BrowserRouter future={{ v7_relativeSplatPath: true }}>
             <AuthProvider>
               <SocketProvider>
-                <App />
-                <Toaster
-                  position="top-right"
-                  toastOptions={{
-                    duration: 4000,
-                    style: {
-                      background: '#363636',
-                      color: '#fff',
-                    },
-                    success: {
-                      iconTheme: {
-                        primary: '#4caf50',
-                        secondary: '#fff',
+                <NotificationProvider>
+                  <App />
+                  <Toaster
+                    position="top-right"
+                    toastOptions={{
+                      duration: 4000,
+                      style: {
+                        background: '#363636',
+                        color: '#fff',
                       },
-                    },
-                    error: {
-                      iconTheme: {
-                        primary: '#f44336',
-                        secondary: '#fff',
+                      success: {
+                        iconTheme: {
+                          primary: '#4caf50',
+                          secondary: '#fff',
+                        },
                       },
-                    },
-                  }}
-                />
+                      error: {
+                        iconTheme: {
+                          primary: '#f44336',
+                          secondary: '#fff',
+                        },
+                      },
+                    }}
+                  />
+                </NotificationProvider>
               </SocketProvider>
             </AuthProvider>
           </BrowserRouter>
@@ -29,10 +29,12 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
+import { useNotifications } from '../context/NotificationContext';
 
 const DashboardPage = () => {
   const { user } = useAuth();
   const { isConnected } = useSocket();
+  const { unreadCount } = useNotifications();
 
   const dashboardStats = [
     {
@@ -55,7 +57,7 @@ const DashboardPage = () => {
     },
     {
       title: 'Notifications',
-      value: '5',
+      value: String(unreadCount),
       icon: <Notifications color="warning" />,
       color: 'warning',
     },
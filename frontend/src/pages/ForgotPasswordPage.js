@@ -0,0 +1,172 @@
+/**
+ * ===================================================
+ * FORGOT PASSWORD PAGE COMPONENT
+ * Password Reset Request Interface
+ * ===================================================
+ *
+ * Asks for the account email and requests a reset link. The
+ * confirmation is the same whether or not the address has an
+ * account, matching the API.
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Formik, Form, Field } from 'formik';
+import * as Yup from 'yup';
+import { authService } from '../services/authService';
+
+// Validation schema
+const forgotPasswordSchema = Yup.object().shape({
+  email: Yup.string()
+    .email('Invalid email address')
+    .required('Email is required'),
+});
+
+const ForgotPasswordPage = () => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submittedEmail, setSubmittedEmail] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (values) => {
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await authService.requestPasswordReset(values.email);
+      setSubmittedEmail(values.email);
+    } catch (err) {
+      const apiErr = err.response?.data;
+      setError(apiErr?.message || apiErr?.error || 'Unable to request a password reset');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            p: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+          }}
+        >
+          {/* Header */}
+          <Box textAlign="center" mb={3}>
+            <Typography variant="h3" component="h1" fontWeight="bold" color="primary.main" gutterBottom>
+              GIS-NET
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              Real-Time Traffic Incident Reporting
+            </Typography>
+          </Box>
+
+          <Typography variant="h5" component="h2" gutterBottom>
+            Forgot Password
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {submittedEmail ? (
+            <Alert severity="success" sx={{ width: '100%', mb: 2 }}>
+              If an account exists for {submittedEmail}, we've sent it a link to reset the
+              password. The link can only be used once.
+            </Alert>
+          ) : (
+            <Formik
+              initialValues={{ email: '' }}
+              validationSchema={forgotPasswordSchema}
+              onSubmit={handleSubmit}
+            >
+              {({ errors, touched, values, handleChange, handleBlur }) => (
+                <Form style={{ width: '100%' }}>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    Enter the email address you registered with and we'll send you a reset link.
+                  </Typography>
+
+                  <Field
+                    as={TextField}
+                    fullWidth
+                    id="email"
+                    name="email"
+                    label="Email Address"
+                    type="email"
+                    value={values.email}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={Boolean(touched.email && errors.email)}
+                    helperText={touched.email && errors.email}
+                    margin="normal"
+                    autoComplete="email"
+                    autoFocus
+                  />
+
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isSubmitting}
+                    sx={{ mt: 2, mb: 3, py: 1.5 }}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <CircularProgress size={20} sx={{ mr: 1 }} />
+                        Sending...
+                      </>
+                    ) : (
+                      'Send Reset Link'
+                    )}
+                  </Button>
+                </Form>
+              )}
+            </Formik>
+          )}
+
+          <Box textAlign="center">
+            <Typography variant="body2" color="text.secondary">
+              Remembered it?{' '}
+              <Link
+                to="/login"
+                style={{
+                  color: 'inherit',
+                  textDecoration: 'none',
+                  fontWeight: 'bold'
+                }}
+              >
+                Back to sign in
+              </Link>
+            </Typography>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ForgotPasswordPage;
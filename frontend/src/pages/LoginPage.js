@@ -5,7 +5,9 @@
  * ===================================================
  * 
  * Provides user login functionality with form validation,
- * error handling, and navigation to registration.
+ * error handling, and navigation to registration. Accounts with
+ * two-factor authentication continue to a code step; privileged
+ * roles that require it but have not enrolled set it up here.
  */
 
 import React, { useState } from 'react';
@@ -26,6 +28,7 @@ import {
 import { Formik, Form, Field } from 'formik';
 import * as Yup from 'yup';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorSetup from '../components/Security/TwoFactorSetup';
 
 // Validation schema
 const loginSchema = Yup.object().shape({
@@ -38,9 +41,93 @@ const loginSchema = Yup.object().shape({
   rememberMe: Yup.boolean(),
 });
 
+/**
+ * Second sign-in step for accounts with two-factor enabled
+ */
+const TwoFactorVerifyForm = ({ onVerify, onCancel }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+
+    const success = await onVerify(useRecoveryCode ? { recoveryCode: value } : { code: value });
+
+    // On success the page navigates away
+    if (!success) {
+      setValue('');
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleToggle = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} width="100%">
+      <Typography variant="body2" color="text.secondary" paragraph>
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+          : 'Enter the six digit code from your authenticator app.'}
+      </Typography>
+
+      <TextField
+        key={useRecoveryCode ? 'recovery' : 'totp'}
+        fullWidth
+        label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        margin="normal"
+        autoComplete="one-time-code"
+        inputProps={useRecoveryCode ? { maxLength: 11 } : { inputMode: 'numeric', maxLength: 7 }}
+        autoFocus
+      />
+
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        size="large"
+        disabled={isSubmitting || !value.trim()}
+        sx={{ mt: 2, mb: 2, py: 1.5 }}
+      >
+        {isSubmitting ? (
+          <>
+            <CircularProgress size={20} sx={{ mr: 1 }} />
+            Verifying...
+          </>
+        ) : (
+          'Verify'
+        )}
+      </Button>
+
+      <Box display="flex" justifyContent="space-between">
+        <Button size="small" onClick={handleToggle} disabled={isSubmitting}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </Button>
+        <Button size="small" onClick={onCancel} disabled={isSubmitting}>
+          Back to sign in
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
 const LoginPage = () => {
   const navigate = useNavigate();
-  const { login, error, clearError } = useAuth();
+  const {
+    login,
+    error,
+    clearError,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    completeLogin,
+    cancelTwoFactor,
+  } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const handleSubmit = async (values) => {
@@ -56,6 +143,21 @@ const LoginPage = () => {
     setIsSubmitting(false);
   };
 
+  const handleVerify = async (factor) => {
+    const success = await verifyTwoFactor(factor);
+
+    if (success) {
+      navigate('/dashboard');
+    }
+
+    return success;
+  };
+
+  const handleSetupComplete = (data) => {
+    completeLogin(data);
+    navigate('/dashboard');
+  };
+
   return (
     <Container component="main" maxWidth="sm">
       <Box
@@ -87,9 +189,26 @@ const LoginPage = () => {
           </Box>
 
           <Typography variant="h5" component="h2" gutterBottom>
-            Sign In
+            {twoFactorChallenge?.step === 'setup' ? 'Set Up Two-Factor Authentication' : 'Sign In'}
           </Typography>
 
+          {twoFactorChallenge?.step === 'setup' && (
+            <>
+              <Alert severity="info" sx={{ width: '100%', mb: 2 }}>
+                {twoFactorChallenge.message}
+              </Alert>
+              <TwoFactorSetup
+                preAuthToken={twoFactorChallenge.preAuthToken}
+                onComplete={handleSetupComplete}
+                onCancel={cancelTwoFactor}
+              />
+            </>
+          )}
+
+          {twoFactorChallenge?.step === 'verify' && (
+            <TwoFactorVerifyForm onVerify={handleVerify} onCancel={cancelTwoFactor} />
+          )}
+
           {/* Error Alert */}
           {error && (
             <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
@@ -98,106 +217,119 @@ const LoginPage = () => {
           )}
 
           {/* Login Form */}
-          <Formik
-            initialValues={{
-              email: '',
-              password: '',
-              rememberMe: false,
-            }}
-            validationSchema={loginSchema}
-            onSubmit={handleSubmit}
-          >
-            {({ errors, touched, values, handleChange, handleBlur }) => (
-              <Form style={{ width: '100%' }}>
-                <Field
-                  as={TextField}
-                  fullWidth
-                  id="email"
-                  name="email"
-                  label="Email Address"
-                  type="email"
-                  value={values.email}
-                  onChange={handleChange}
-                  onBlur={handleBlur}
-                  error={Boolean(touched.email && errors.email)}
-                  helperText={touched.email && errors.email}
-                  margin="normal"
-                  autoComplete="email"
-                  autoFocus
-                />
-
-                <Field
-                  as={TextField}
-                  fullWidth
-                  id="password"
-                  name="password"
-                  label="Password"
-                  type="password"
-                  value={values.password}
-                  onChange={handleChange}
-                  onBlur={handleBlur}
-                  error={Boolean(touched.password && errors.password)}
-                  helperText={touched.password && errors.password}
-                  margin="normal"
-                  autoComplete="current-password"
-                />
-
-                <FormControlLabel
-                  control={
-                    <Field
-                      as={Checkbox}
-                      name="rememberMe"
-                      checked={values.rememberMe}
-                      onChange={handleChange}
-                      color="primary"
-                    />
-                  }
-                  label="Remember me"
-                  sx={{ mt: 1, mb: 2 }}
-                />
-
-                <Button
-                  type="submit"
-                  fullWidth
-                  variant="contained"
-                  size="large"
-                  disabled={isSubmitting}
-                  sx={{ mt: 2, mb: 3, py: 1.5 }}
-                >
-                  {isSubmitting ? (
-                    <>
-                      <CircularProgress size={20} sx={{ mr: 1 }} />
-                      Signing In...
-                    </>
-                  ) : (
-                    'Sign In'
-                  )}
-                </Button>
-
-                <Divider sx={{ my: 2 }}>
-                  <Typography variant="body2" color="text.secondary">
-                    OR
-                  </Typography>
-                </Divider>
-
-                <Box textAlign="center">
-                  <Typography variant="body2" color="text.secondary">
-                    Don't have an account?{' '}
-                    <Link 
-                      to="/register" 
-                      style={{ 
-                        color: 'inherit', 
-                        textDecoration: 'none',
-                        fontWeight: 'bold'
-                      }}
-                    >
-                      Sign up here
-                    </Link>
-                  </Typography>
-                </Box>
-              </Form>
-            )}
-          </Formik>
+          {!twoFactorChallenge && (
+            <Formik
+              initialValues={{
+                email: '',
+                password: '',
+                rememberMe: false,
+              }}
+              validationSchema={loginSchema}
+              onSubmit={handleSubmit}
+            >
+              {({ errors, touched, values, handleChange, handleBlur }) => (
+                <Form style={{ width: '100%' }}>
+                  <Field
+                    as={TextField}
+                    fullWidth
+                    id="email"
+                    name="email"
+                    label="Email Address"
+                    type="email"
+                    value={values.email}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={Boolean(touched.email && errors.email)}
+                    helperText={touched.email && errors.email}
+                    margin="normal"
+                    autoComplete="email"
+                    autoFocus
+                  />
+
+                  <Field
+                    as={TextField}
+                    fullWidth
+                    id="password"
+                    name="password"
+                    label="Password"
+                    type="password"
+                    value={values.password}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={Boolean(touched.password && errors.password)}
+                    helperText={touched.password && errors.password}
+                    margin="normal"
+                    autoComplete="current-password"
+                  />
+
+                  <FormControlLabel
+                    control={
+                      <Field
+                        as={Checkbox}
+                        name="rememberMe"
+                        checked={values.rememberMe}
+                        onChange={handleChange}
+                        color="primary"
+                      />
+                    }
+                    label="Remember me"
+                    sx={{ mt: 1, mb: 2 }}
+                  />
+
+                  <Box textAlign="right">
+                    <Typography variant="body2">
+                      <Link
+                        to="/forgot-password"
+                        style={{ color: 'inherit', textDecoration: 'none' }}
+                      >
+                        Forgot password?
+                      </Link>
+                    </Typography>
+                  </Box>
+
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isSubmitting}
+                    sx={{ mt: 2, mb: 3, py: 1.5 }}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <CircularProgress size={20} sx={{ mr: 1 }} />
+                        Signing In...
+                      </>
+                    ) : (
+                      'Sign In'
+                    )}
+                  </Button>
+
+                  <Divider sx={{ my: 2 }}>
+                    <Typography variant="body2" color="text.secondary">
+                      OR
+                    </Typography>
+                  </Divider>
+
+                  <Box textAlign="center">
+                    <Typography variant="body2" color="text.secondary">
+                      Don't have an account?{' '}
+                      <Link 
+                        to="/register" 
+                        style={{ 
+                          color: 'inherit', 
+                          textDecoration: 'none',
+                          fontWeight: 'bold'
+                        }}
+                      >
+                        Sign up here
+                      </Link>
+                    </Typography>
+                  </Box>
+                </Form>
+              )}
+            </Formik>
+          )}
 
           {/* Footer */}
           <Box mt={4} textAlign="center">
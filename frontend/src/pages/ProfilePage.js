@@ -4,7 +4,9 @@
  * User Profile Management Interface
  * ===================================================
  * 
- * User profile settings, preferences, and account management.
+ * User profile settings, preferences, and account management,
+ * including two-factor authentication, signed-in devices and, for
+ * admins, the per-role two-factor requirements.
  */
 
 import React from 'react';
@@ -20,9 +22,14 @@ import {
 } from '@mui/material';
 import { Person, Settings, Security } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from '../components/Security/TwoFactorSettings';
+import TwoFactorPolicy from '../components/Security/TwoFactorPolicy';
+import ActiveSessions from '../components/Security/ActiveSessions';
+import ApiKeys from '../components/Security/ApiKeys';
+import RolePermissions from '../components/Security/RolePermissions';
 
 const ProfilePage = () => {
-  const { user } = useAuth();
+  const { user, isAdmin, hasPermission } = useAuth();
 
   return (
     <Container maxWidth="md" sx={{ py: 3 }}>
@@ -110,6 +117,16 @@ const ProfilePage = () => {
                 Security Options
               </Button>
             </Paper>
+
+            <TwoFactorSettings />
+
+            <ActiveSessions />
+
+            <ApiKeys />
+
+            {isAdmin && <TwoFactorPolicy />}
+
+            {hasPermission('manage-users') && <RolePermissions editable={user?.role === 'admin'} />}
           </Box>
         </Grid>
       </Grid>
@@ -0,0 +1,200 @@
+/**
+ * ===================================================
+ * RESET PASSWORD PAGE COMPONENT
+ * New Password Form for Emailed Reset Links
+ * ===================================================
+ *
+ * Opened from the password reset email with ?token=. Sets the new
+ * password and sends the user back to sign in; a used or expired
+ * link offers to request a new one.
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Formik, Form, Field } from 'formik';
+import * as Yup from 'yup';
+import { toast } from 'react-hot-toast';
+import { authService } from '../services/authService';
+
+// Validation schema (same password rules as registration)
+const resetPasswordSchema = Yup.object().shape({
+  password: Yup.string()
+    .min(8, 'Password must be at least 8 characters')
+    .matches(/(?=.*[a-z])/, 'Password must contain at least one lowercase letter')
+    .matches(/(?=.*[A-Z])/, 'Password must contain at least one uppercase letter')
+    .matches(/(?=.*\d)/, 'Password must contain at least one number')
+    .matches(/(?=.*[@$!%*?&])/, 'Password must contain at least one special character (@$!%*?&)')
+    .required('Password is required'),
+  confirmPassword: Yup.string()
+    .oneOf([Yup.ref('password'), null], 'Passwords must match')
+    .required('Password confirmation is required'),
+});
+
+const ResetPasswordPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (values) => {
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await authService.resetPassword(token, values.password, values.confirmPassword);
+      toast.success('Password updated. Please sign in with your new password.');
+      navigate('/login', { replace: true });
+      return;
+    } catch (err) {
+      const apiErr = err.response?.data;
+      const detailMsg = Array.isArray(apiErr?.details) && apiErr.details.length
+        ? apiErr.details[0]?.message
+        : apiErr?.message || apiErr?.error;
+      setError(detailMsg || 'Unable to reset password');
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            p: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+          }}
+        >
+          {/* Header */}
+          <Box textAlign="center" mb={3}>
+            <Typography variant="h3" component="h1" fontWeight="bold" color="primary.main" gutterBottom>
+              GIS-NET
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              Real-Time Traffic Incident Reporting
+            </Typography>
+          </Box>
+
+          <Typography variant="h5" component="h2" gutterBottom>
+            Choose a New Password
+          </Typography>
+
+          {!token && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              This reset link is incomplete. Open the link from your email again, or request a new one.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {token && (
+            <Formik
+              initialValues={{ password: '', confirmPassword: '' }}
+              validationSchema={resetPasswordSchema}
+              onSubmit={handleSubmit}
+            >
+              {({ errors, touched, values, handleChange, handleBlur }) => (
+                <Form style={{ width: '100%' }}>
+                  <Field
+                    as={TextField}
+                    fullWidth
+                    id="password"
+                    name="password"
+                    label="New Password"
+                    type="password"
+                    value={values.password}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={Boolean(touched.password && errors.password)}
+                    helperText={touched.password && errors.password}
+                    margin="normal"
+                    autoComplete="new-password"
+                    autoFocus
+                  />
+
+                  <Field
+                    as={TextField}
+                    fullWidth
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    label="Confirm New Password"
+                    type="password"
+                    value={values.confirmPassword}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={Boolean(touched.confirmPassword && errors.confirmPassword)}
+                    helperText={touched.confirmPassword && errors.confirmPassword}
+                    margin="normal"
+                    autoComplete="new-password"
+                  />
+
+                  <Button
+                    type="submit"
+                    fullWidth
+                    variant="contained"
+                    size="large"
+                    disabled={isSubmitting}
+                    sx={{ mt: 2, mb: 3, py: 1.5 }}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <CircularProgress size={20} sx={{ mr: 1 }} />
+                        Updating...
+                      </>
+                    ) : (
+                      'Update Password'
+                    )}
+                  </Button>
+                </Form>
+              )}
+            </Formik>
+          )}
+
+          <Box textAlign="center">
+            <Typography variant="body2" color="text.secondary">
+              Link expired?{' '}
+              <Link
+                to="/forgot-password"
+                style={{
+                  color: 'inherit',
+                  textDecoration: 'none',
+                  fontWeight: 'bold'
+                }}
+              >
+                Request a new one
+              </Link>
+            </Typography>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPasswordPage;
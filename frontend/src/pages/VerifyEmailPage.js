@@ -0,0 +1,172 @@
+/**
+ * ===================================================
+ * VERIFY EMAIL PAGE COMPONENT
+ * Email Address Confirmation from Emailed Links
+ * ===================================================
+ *
+ * Opened from the verification email with ?token=. Confirms the
+ * address as soon as the page loads. Reachable signed in or out, since
+ * the link is often opened in a fresh browser; signed-in users can ask
+ * for a new link when this one has expired.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/authService';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This verification link is incomplete.');
+  const [isResending, setIsResending] = useState(false);
+
+  // Tokens are single use, so never submit the same one twice
+  const submittedToken = useRef(null);
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) {
+      return;
+    }
+    submittedToken.current = token;
+
+    const verify = async () => {
+      try {
+        await authService.verifyEmail(token);
+        setStatus('verified');
+
+        if (isAuthenticated) {
+          updateUser({ emailVerified: true });
+        }
+      } catch (err) {
+        const apiErr = err.response?.data;
+        setStatus('error');
+        setMessage(apiErr?.message || apiErr?.error || 'This verification link is invalid or has expired');
+      }
+    };
+
+    verify();
+  }, [token, isAuthenticated, updateUser]);
+
+  const handleResend = async () => {
+    setIsResending(true);
+
+    try {
+      await authService.resendEmailVerification();
+      toast.success('A new verification link is on its way');
+    } catch (err) {
+      const apiErr = err.response?.data;
+      toast.error(apiErr?.message || apiErr?.error || 'Unable to send a new verification link');
+    }
+
+    setIsResending(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          py: 4,
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            p: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+          }}
+        >
+          {/* Header */}
+          <Box textAlign="center" mb={3}>
+            <Typography variant="h3" component="h1" fontWeight="bold" color="primary.main" gutterBottom>
+              GIS-NET
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary">
+              Real-Time Traffic Incident Reporting
+            </Typography>
+          </Box>
+
+          <Typography variant="h5" component="h2" gutterBottom>
+            Email Verification
+          </Typography>
+
+          {status === 'verifying' && (
+            <Box display="flex" alignItems="center" gap={2} my={3}>
+              <CircularProgress size={24} />
+              <Typography variant="body1" color="text.secondary">
+                Verifying your email address...
+              </Typography>
+            </Box>
+          )}
+
+          {status === 'verified' && (
+            <Alert severity="success" sx={{ width: '100%', mb: 2 }}>
+              Your email address is verified.
+            </Alert>
+          )}
+
+          {status === 'error' && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              {message}
+            </Alert>
+          )}
+
+          {status === 'error' && isAuthenticated && (
+            <Button
+              variant="outlined"
+              onClick={handleResend}
+              disabled={isResending}
+              sx={{ mb: 2 }}
+            >
+              {isResending ? (
+                <>
+                  <CircularProgress size={20} sx={{ mr: 1 }} />
+                  Sending...
+                </>
+              ) : (
+                'Send a New Link'
+              )}
+            </Button>
+          )}
+
+          {status !== 'verifying' && (
+            <Box textAlign="center">
+              <Typography variant="body2" color="text.secondary">
+                <Link
+                  to={isAuthenticated ? '/dashboard' : '/login'}
+                  style={{
+                    color: 'inherit',
+                    textDecoration: 'none',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  {isAuthenticated ? 'Continue to dashboard' : 'Continue to sign in'}
+                </Link>
+              </Typography>
+            </Box>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmailPage;
@@ -8,7 +8,8 @@
  * - User login and registration
  * - JWT token management and refresh
  * - User profile operations
- * - Session management
+ * - Session management (active sessions and remote sign-out)
+ * - Personal API keys for scripts and integrations
  * - Automatic token injection for authenticated requests
  * 
  * FEATURES:
@@ -254,12 +255,14 @@ class AuthenticationService {
    * Reset password with token
    * @param {string} token - Reset token
    * @param {string} password - New password
+   * @param {string} confirmPassword - New password confirmation
    * @returns {Promise} API response
    */
-  async resetPassword(token, password) {
+  async resetPassword(token, password, confirmPassword = password) {
     const response = await this.apiClient.post('/auth/reset-password', {
       token,
       password,
+      confirmPassword,
     });
 
     return response;
@@ -287,6 +290,193 @@ class AuthenticationService {
     return response;
   }
 
+  // ==============================================
+  // TWO-FACTOR AUTHENTICATION METHODS
+  // ==============================================
+
+  /**
+   * Complete a sign-in that asked for a second factor
+   * @param {string} preAuthToken - Pre-auth token from the login response
+   * @param {Object} factor - Either { code } or { recoveryCode }
+   * @returns {Promise} API response
+   */
+  async verifyTwoFactor(preAuthToken, factor) {
+    const response = await this.apiClient.post('/auth/2fa/verify', {
+      preAuthToken,
+      ...factor,
+    });
+
+    return response;
+  }
+
+  /**
+   * Get two-factor status for the current user
+   * @returns {Promise} API response
+   */
+  async getTwoFactorStatus() {
+    const response = await this.apiClient.get('/auth/2fa');
+    return response;
+  }
+
+  /**
+   * Start authenticator app enrolment
+   * @param {string} [preAuthToken] - Pre-auth token when enrolment is required at sign-in
+   * @returns {Promise} API response
+   */
+  async startTwoFactorSetup(preAuthToken) {
+    const response = await this.apiClient.post('/auth/2fa/setup', preAuthToken ? { preAuthToken } : {});
+    return response;
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @param {string} code - Six digit code
+   * @param {string} [preAuthToken] - Pre-auth token when enrolment is required at sign-in
+   * @returns {Promise} API response
+   */
+  async enableTwoFactor(code, preAuthToken) {
+    const response = await this.apiClient.post('/auth/2fa/enable', {
+      code,
+      ...(preAuthToken && { preAuthToken }),
+    });
+
+    return response;
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {string} password - Current password
+   * @param {Object} factor - Either { code } or { recoveryCode }
+   * @returns {Promise} API response
+   */
+  async disableTwoFactor(password, factor) {
+    const response = await this.apiClient.post('/auth/2fa/disable', {
+      password,
+      ...factor,
+    });
+
+    return response;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} code - Six digit code
+   * @returns {Promise} API response
+   */
+  async regenerateRecoveryCodes(code) {
+    const response = await this.apiClient.post('/auth/2fa/recovery-codes', { code });
+    return response;
+  }
+
+  /**
+   * Get per-role two-factor requirements (admin function)
+   * @returns {Promise} API response
+   */
+  async getTwoFactorPolicy() {
+    const response = await this.apiClient.get('/auth/2fa/policy');
+    return response;
+  }
+
+  /**
+   * Require or stop requiring two-factor for a role (admin function)
+   * @param {string} role - 'admin' or 'moderator'
+   * @param {boolean} required - Whether the role must use two-factor
+   * @returns {Promise} API response
+   */
+  async updateTwoFactorPolicy(role, required) {
+    const response = await this.apiClient.put('/auth/2fa/policy', { role, required });
+    return response;
+  }
+
+  // ==============================================
+  // SESSION MANAGEMENT METHODS
+  // ==============================================
+
+  /**
+   * List the current user's active sign-in sessions
+   * @returns {Promise} API response
+   */
+  async getSessions() {
+    const response = await this.apiClient.get('/users/sessions');
+    return response;
+  }
+
+  /**
+   * Sign out one session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise} API response
+   */
+  async revokeSession(sessionId) {
+    const response = await this.apiClient.delete(`/users/sessions/${encodeURIComponent(sessionId)}`);
+    return response;
+  }
+
+  /**
+   * Sign out every session except this one
+   * @returns {Promise} API response
+   */
+  async revokeOtherSessions() {
+    const response = await this.apiClient.delete('/users/sessions');
+    return response;
+  }
+
+  // ==============================================
+  // API KEY METHODS
+  // ==============================================
+
+  /**
+   * List the current user's API keys
+   * @returns {Promise} API response
+   */
+  async getApiKeys() {
+    const response = await this.apiClient.get('/api-keys');
+    return response;
+  }
+
+  /**
+   * Create an API key; the key is only in this response
+   * @param {Object} keyData - { name, scopes, expiresInDays? }
+   * @returns {Promise} API response
+   */
+  async createApiKey(keyData) {
+    const response = await this.apiClient.post('/api-keys', keyData);
+    return response;
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} keyId - API key ID
+   * @returns {Promise} API response
+   */
+  async revokeApiKey(keyId) {
+    const response = await this.apiClient.delete(`/api-keys/${keyId}`);
+    return response;
+  }
+
+  // ==============================================
+  // ROLE PERMISSION METHODS
+  // ==============================================
+
+  /**
+   * List role permission bundles and the available permissions
+   * @returns {Promise} API response
+   */
+  async getRoles() {
+    const response = await this.apiClient.get('/users/roles');
+    return response;
+  }
+
+  /**
+   * Replace a role's permissions (manage-users permission)
+   * @param {string} role - Role name; admin cannot be edited
+   * @param {Array<string>} permissions - Full permission list for the role
+   * @returns {Promise} API response
+   */
+  async updateRole(role, permissions) {
+    const response = await this.apiClient.put(`/users/roles/${encodeURIComponent(role)}`, { permissions });
+    return response;
+  }
+
   // ==============================================
   // UTILITY METHODS
   // ==============================================
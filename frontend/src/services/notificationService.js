@@ -0,0 +1,103 @@
+/**
+ * ===================================================
+ * NOTIFICATION SERVICE
+ * API Client for the Notification Center
+ * ===================================================
+ *
+ * This service provides methods for the stored notification API:
+ * - Paginated notification list and unread count
+ * - Mark one or all notifications read
+ * - Notification deletion
+ * - Per-type notification preferences
+ *
+ * DEPENDENCIES:
+ * - Authentication service axios client (token injection and refresh)
+ *
+ * USAGE:
+ * import { notificationService } from './notificationService';
+ * const { notifications, unreadCount } = await notificationService.list();
+ */
+
+import { authService } from './authService';
+
+/**
+ * Notification Service Class
+ * Handles all notification-related API operations
+ */
+class NotificationApiService {
+  constructor() {
+    this.apiClient = authService.apiClient;
+  }
+
+  /**
+   * List notifications, newest first
+   * @param {Object} params - { unreadOnly, limit, offset }
+   * @returns {Promise} { notifications, total, unreadCount, pagination }
+   */
+  async list(params = {}) {
+    const response = await this.apiClient.get('/notifications', { params });
+    return response.data;
+  }
+
+  /**
+   * Get the unread notification count
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount() {
+    const response = await this.apiClient.get('/notifications/unread-count');
+    return response.data.unreadCount;
+  }
+
+  /**
+   * Mark one notification read
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise} { notification, unreadCount }
+   */
+  async markRead(notificationId) {
+    const response = await this.apiClient.put(`/notifications/${notificationId}/read`);
+    return response.data;
+  }
+
+  /**
+   * Mark all notifications read
+   * @returns {Promise} { updatedCount, unreadCount }
+   */
+  async markAllRead() {
+    const response = await this.apiClient.put('/notifications/read-all');
+    return response.data;
+  }
+
+  /**
+   * Delete a notification
+   * @param {number} notificationId - Notification ID
+   * @returns {Promise} { notificationId, unreadCount }
+   */
+  async remove(notificationId) {
+    const response = await this.apiClient.delete(`/notifications/${notificationId}`);
+    return response.data;
+  }
+
+  /**
+   * Get per-type notification preferences
+   * @returns {Promise<Array>} [{ type, label, enabled }]
+   */
+  async getPreferences() {
+    const response = await this.apiClient.get('/notifications/preferences');
+    return response.data.preferences.types;
+  }
+
+  /**
+   * Turn notification types on or off
+   * @param {Object} types - { [type]: enabled }
+   * @returns {Promise<Array>} Updated [{ type, label, enabled }]
+   */
+  async updatePreferences(types) {
+    const response = await this.apiClient.put('/notifications/preferences', { types });
+    return response.data.preferences.types;
+  }
+}
+
+// Create and export singleton instance
+export const notificationService = new NotificationApiService();
+
+export default NotificationApiService;